@@ -17,7 +17,17 @@ const walletsRoutes = require('./src/routes/wallets');
 const ledgerRoutes = require('./src/routes/ledger');
 const kycRoutes = require('./src/routes/kyc');
 const webhooksRoutes = require('./src/routes/webhooks');
+const eventsRoutes = require('./src/routes/events');
+const accountRoutes = require('./src/routes/account');
 const adminRoutes = require('./src/routes/admin');
+const feesRoutes = require('./src/routes/fees');
+const paymentLinksRoutes = require('./src/routes/paymentLinks');
+const checkoutRoutes = require('./src/routes/checkout');
+
+// Import background jobs
+const { startWebhookDeliveryWorker } = require('./src/jobs/webhookDeliveryWorker');
+const { startEscrowScheduler } = require('./src/jobs/escrowScheduler');
+const { startCollectionReconciler } = require('./src/jobs/collectionReconciler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -38,7 +48,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw bytes for provider callbacks whose signature covers the body
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files (HTML pages)
@@ -53,7 +69,12 @@ app.use('/api/v1/wallets', walletsRoutes);
 app.use('/api/v1/ledger', ledgerRoutes);
 app.use('/api/v1/kyc', kycRoutes);
 app.use('/api/v1/webhooks', webhooksRoutes);
+app.use('/api/v1/events', eventsRoutes);
+app.use('/api/v1/account', accountRoutes);
 app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/fees', feesRoutes);
+app.use('/api/v1/payment-links', paymentLinksRoutes);
+app.use('/api/v1/checkout', checkoutRoutes);
 
 // Dashboard Stats Endpoint
 app.get('/api/v1/dashboard/stats', async (req, res) => {
@@ -88,33 +109,6 @@ app.get('/api/v1/dashboard/stats', async (req, res) => {
   }
 });
 
-// Account Keys Endpoint
-app.get('/api/v1/account/keys', async (req, res) => {
-  try {
-    const User = require('./src/models/User');
-    
-    // Get user ID from JWT token (simplified)
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing authorization' });
-    }
-    
-    // Mock API keys data
-    const mockKeys = {
-      keys: [
-        { type: 'public_test', prefix: 'pk_test', last_4: 'abcd', environment: 'test' },
-        { type: 'secret_test', prefix: 'sk_test', last_4: 'efgh', environment: 'test' },
-        { type: 'public_live', prefix: 'pk_live', last_4: 'ijkl', environment: 'live' },
-        { type: 'secret_live', prefix: 'sk_live', last_4: 'mnop', environment: 'live' }
-      ]
-    };
-    
-    res.json(mockKeys);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to load API keys' });
-  }
-});
-
 // Admin KYC Reviews Endpoint  
 app.get('/api/v1/admin/kyc-reviews', async (req, res) => {
   try {
@@ -147,84 +141,6 @@ app.get('/api/v1/admin/kyc-reviews', async (req, res) => {
   }
 });
 
-// Webhook Management Endpoint
-app.post('/api/v1/webhooks', async (req, res) => {
-  try {
-    const crypto = require('crypto');
-    const { url, events } = req.body;
-    
-    // Generate webhook secret
-    const secret = crypto.randomBytes(32).toString('hex');
-    
-    // Mock webhook creation
-    const webhook = {
-      id: 'webhook_' + Date.now(),
-      url: url,
-      secret: secret,
-      events: events,
-      status: 'active',
-      created_at: new Date()
-    };
-    
-    res.json({
-      success: true,
-      webhook: webhook,
-      message: 'Webhook endpoint created successfully'
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to create webhook endpoint' });
-  }
-});
-
-// Get Webhooks Endpoint
-app.get('/api/v1/webhooks', async (req, res) => {
-  try {
-    // Mock webhooks data
-    const mockWebhooks = {
-      webhooks: [
-        {
-          id: 'webhook_001',
-          url: 'https://myapp.com/webhooks/payloom',
-          events: ['collection.success', 'escrow.locked', 'escrow.released', 'payout.success'],
-          status: 'active',
-          created_at: new Date(),
-          last_delivery: new Date()
-        }
-      ]
-    };
-    
-    res.json(mockWebhooks);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch webhooks' });
-  }
-});
-
-// Test Webhook Endpoint
-app.post('/api/v1/webhooks/test', async (req, res) => {
-  try {
-    const { url, events } = req.body;
-    
-    // Mock test webhook delivery
-    const testPayload = {
-      id: 'evt_test_' + Date.now(),
-      type: 'test.webhook',
-      data: {
-        message: 'Test webhook from PayLoom',
-        timestamp: new Date()
-      },
-      created: Date.now()
-    };
-    
-    res.json({
-      success: true,
-      message: 'Test webhook sent successfully',
-      payload: testPayload
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to send test webhook' });
-  }
-});
-
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -257,6 +173,11 @@ const startServer = async () => {
   try {
     // Connect to database
     await connectDB();
+
+    // Background workers
+    startWebhookDeliveryWorker();
+    startEscrowScheduler();
+    startCollectionReconciler();
     
     app.listen(PORT, () => {
       console.log(`🚀 PayLoom API Server running on port ${PORT}`);
@@ -267,6 +188,7 @@ const startServer = async () => {
       console.log(`   - Client Onboarding: http://localhost:${PORT}/client-onboarding.html`);
       console.log(`   - Client Dashboard: http://localhost:${PORT}/client-app.html`);
       console.log(`   - Admin Dashboard: http://localhost:${PORT}/admin-app.html`);
+      console.log(`   - Hosted Checkout: http://localhost:${PORT}/checkout.html?link=<link_id>`);
       console.log(`📁 Frontend Directory: ${path.join(__dirname, '../frontend')}`);
     });
   } catch (error) {
@@ -0,0 +1,47 @@
+// Roles an admin user can hold
+const ADMIN_ROLES = ['super_admin', 'compliance', 'support', 'finance'];
+
+// Permissions checked by the admin routes
+const ADMIN_PERMISSIONS = [
+  'accounts:read',
+  'accounts:review',
+  'kyc:read',
+  'kyc:review',
+  'transactions:read',
+  'stats:read',
+  'logs:read',
+  'audit:read',
+  'wallets:freeze',
+  'disputes:read',
+  'disputes:resolve',
+  'fees:manage',
+  'providers:manage',
+  'admins:manage'
+];
+
+// What each role may do; super admins may do everything
+const ROLE_PERMISSIONS = {
+  super_admin: ['*'],
+  compliance: [
+    'accounts:read', 'accounts:review', 'kyc:read', 'kyc:review',
+    'transactions:read', 'audit:read', 'wallets:freeze', 'disputes:read', 'disputes:resolve'
+  ],
+  support: ['accounts:read', 'kyc:read', 'transactions:read', 'logs:read', 'disputes:read'],
+  finance: ['accounts:read', 'transactions:read', 'stats:read', 'audit:read', 'fees:manage']
+};
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Whether a role grants a permission
+const roleHasPermission = (role, permission) => {
+  const permissions = getRolePermissions(role);
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+module.exports = {
+  ADMIN_ROLES,
+  ADMIN_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  roleHasPermission
+};
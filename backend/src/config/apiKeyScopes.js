@@ -0,0 +1,38 @@
+// Scopes an API key can be granted. Routes require `<resource>:read` for GET
+// requests and `<resource>:write` otherwise; a write scope implies read.
+const RESOURCES = ['collections', 'payouts', 'wallets', 'escrow', 'ledger', 'events', 'webhooks', 'kyc', 'fees'];
+
+const API_KEY_SCOPES = [
+  ...RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]),
+  // Starting a payment, the one operation a browser or mobile app may do
+  'collections:create'
+];
+
+// Named scope sets offered when creating a key
+const SCOPE_PRESETS = {
+  full_access: ['*'],
+  read_only: RESOURCES.map(resource => `${resource}:read`),
+  collections_only: ['collections:read', 'collections:write', 'fees:read']
+};
+
+// Publishable keys ship in client code, so they are limited to client-safe operations
+const PUBLISHABLE_KEY_SCOPES = ['collections:create'];
+
+// Whether a set of granted scopes covers the required one
+const scopeAllows = (grantedScopes, requiredScope) => {
+  if (grantedScopes.includes('*') || grantedScopes.includes(requiredScope)) {
+    return true;
+  }
+
+  const [resource, action] = requiredScope.split(':');
+  const writeScope = `${resource}:write`;
+
+  return (action === 'read' || action === 'create') && grantedScopes.includes(writeScope);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  SCOPE_PRESETS,
+  PUBLISHABLE_KEY_SCOPES,
+  scopeAllows
+};
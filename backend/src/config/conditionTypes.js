@@ -0,0 +1,60 @@
+// Catalog of escrow condition types.
+//
+// `party` is who fulfills a condition of the type unless the condition names
+// another one from `parties`. A null party leaves it to the escrow's release
+// policy. `config` lists the settings given when the condition is created and
+// `evidence` what the fulfilling party submits.
+const CONDITION_PARTIES = ['payer', 'payee', 'arbiter', 'approver', 'system', 'third_party'];
+
+const CONDITION_TYPES = {
+  custom: {
+    description: 'Free-text condition, signed off under the release policy',
+    party: null,
+    parties: ['payer', 'payee', 'arbiter', 'approver'],
+    config: [],
+    evidence: ['evidence']
+  },
+  delivery_confirmation: {
+    description: 'Goods handed to a courier; fulfilled with the courier tracking number',
+    party: 'payee',
+    parties: ['payer', 'payee', 'arbiter', 'approver'],
+    config: ['courier', 'tracking_number'],
+    evidence: ['tracking_number', 'courier', 'delivered_at']
+  },
+  buyer_otp: {
+    description: 'The buyer is emailed a one-time code to hand over on delivery; fulfilled with that code',
+    party: 'payee',
+    parties: ['payee', 'arbiter', 'approver'],
+    config: [],
+    evidence: ['otp']
+  },
+  document_upload: {
+    description: 'A document, such as a signed delivery note, is uploaded',
+    party: 'payee',
+    parties: ['payer', 'payee', 'arbiter', 'approver'],
+    config: ['document_name', 'allowed_mime_types'],
+    evidence: ['document']
+  },
+  date_reached: {
+    description: 'Fulfilled by PayLoom once the date is reached',
+    party: 'system',
+    parties: ['system'],
+    config: ['date'],
+    evidence: []
+  },
+  webhook_callback: {
+    description: 'Fulfilled by a signed callback from a trusted third party, such as an inspection service',
+    party: 'third_party',
+    parties: ['third_party'],
+    config: ['issuer'],
+    evidence: ['reference', 'data']
+  }
+};
+
+const isKnownConditionType = (type) => Object.prototype.hasOwnProperty.call(CONDITION_TYPES, type);
+
+module.exports = {
+  CONDITION_PARTIES,
+  CONDITION_TYPES,
+  isKnownConditionType
+};
@@ -0,0 +1,173 @@
+// Catalog of event types emitted by the API.
+//
+// EVENT_API_VERSION is stamped on every event and webhook. Bump it whenever the
+// shape of an event's data object changes; stored events keep the version
+// they were emitted with. `since` is the first version that emits the type.
+//
+// 2024-06-01  First catalog.
+// 2024-10-01  Escrow objects list their milestones and carry event-specific
+//             fields; refund transactions name the collection they pay back.
+//             Adds escrow lifecycle, dispute, signature, amendment and refund
+//             events.
+const EVENT_API_VERSION = '2024-10-01';
+
+const EVENT_TYPES = {
+  'collection.succeeded': {
+    object: 'transaction',
+    description: 'A collection was paid and credited to the merchant wallet',
+    since: '2024-06-01'
+  },
+  'collection.failed': {
+    object: 'transaction',
+    description: 'A collection could not be completed',
+    since: '2024-06-01'
+  },
+  'payout.succeeded': {
+    object: 'transaction',
+    description: 'A payout reached its destination',
+    since: '2024-06-01'
+  },
+  'payout.failed': {
+    object: 'transaction',
+    description: 'A payout failed and its funds were returned to the source wallet',
+    since: '2024-06-01'
+  },
+  'payout.cancelled': {
+    object: 'transaction',
+    description: 'A payout was cancelled before settlement',
+    since: '2024-06-01'
+  },
+  'refund.created': {
+    object: 'transaction',
+    description: 'A refund of a collection was debited from the merchant wallet and sent back over the payment method the customer used',
+    since: '2024-10-01'
+  },
+  'refund.succeeded': {
+    object: 'transaction',
+    description: 'A refund reached the customer',
+    since: '2024-10-01'
+  },
+  'refund.failed': {
+    object: 'transaction',
+    description: 'A refund failed and its amount was returned to the merchant wallet',
+    since: '2024-10-01'
+  },
+  'escrow.created': {
+    object: 'escrow',
+    description: 'An escrow was created and the payer funds were locked',
+    since: '2024-06-01'
+  },
+  'escrow.funded': {
+    object: 'escrow',
+    description: 'The checkout payment for an escrow arrived and the escrow is now active',
+    since: '2024-10-01'
+  },
+  'escrow.signed': {
+    object: 'escrow',
+    description: 'A participant signed a release or a condition; data.object.signatures counts them against the release policy',
+    since: '2024-10-01'
+  },
+  'escrow.amendment_proposed': {
+    object: 'escrow',
+    description: 'A party proposed changes to the terms of an escrow; data.object.amendment holds them',
+    since: '2024-10-01'
+  },
+  'escrow.amended': {
+    object: 'escrow',
+    description: 'Both parties consented and an amendment was applied; data.object.version is the new version',
+    since: '2024-10-01'
+  },
+  'escrow.amendment_rejected': {
+    object: 'escrow',
+    description: 'A proposed amendment was rejected and the escrow keeps its terms',
+    since: '2024-10-01'
+  },
+  'escrow.released': {
+    object: 'escrow',
+    description: 'Escrowed funds were released to the payee',
+    since: '2024-06-01'
+  },
+  'escrow.partially_released': {
+    object: 'escrow',
+    description: 'Part of an escrow, or one of its milestones, was released to the payee; data.object.release holds the running totals',
+    since: '2024-10-01'
+  },
+  'escrow.refunded': {
+    object: 'escrow',
+    description: 'Escrowed funds were returned to the payer',
+    since: '2024-06-01'
+  },
+  'escrow.disputed': {
+    object: 'escrow',
+    description: 'A dispute was raised on an escrow',
+    since: '2024-06-01'
+  },
+  'escrow.dispute_updated': {
+    object: 'escrow',
+    description: 'A dispute was taken into review or is waiting on evidence; see data.object.dispute',
+    since: '2024-10-01'
+  },
+  'escrow.dispute_resolved': {
+    object: 'escrow',
+    description: 'A dispute was resolved for the payer, the payee or with a split',
+    since: '2024-10-01'
+  },
+  'escrow.dispute_message': {
+    object: 'escrow',
+    description: 'A message was posted on a dispute; data.object.message holds it',
+    since: '2024-10-01'
+  },
+  'escrow.expired': {
+    object: 'escrow',
+    description: 'An escrow passed its expiry date and any held funds were returned to the payer',
+    since: '2024-10-01'
+  },
+  'escrow.cancelled': {
+    object: 'escrow',
+    description: 'An escrow was cancelled before it was activated; any funds held were returned to the payer',
+    since: '2024-10-01'
+  },
+  'escrow.deadline_approaching': {
+    object: 'escrow',
+    description: 'An escrow will be auto-released or expire soon; data.object.deadline says which',
+    since: '2024-10-01'
+  },
+  'wallet.funded': {
+    object: 'wallet',
+    description: 'A wallet was topped up',
+    since: '2024-06-01'
+  },
+  'wallet.debited': {
+    object: 'wallet',
+    description: 'Funds were transferred out of a wallet',
+    since: '2024-06-01'
+  },
+  'wallet.credited': {
+    object: 'wallet',
+    description: 'Funds were transferred into a wallet',
+    since: '2024-06-01'
+  },
+  'kyc.submitted': {
+    object: 'account',
+    description: 'KYC documents were submitted for review',
+    since: '2024-06-01'
+  },
+  'kyc.approved': {
+    object: 'account',
+    description: 'KYC was approved and live mode enabled',
+    since: '2024-06-01'
+  },
+  'kyc.rejected': {
+    object: 'account',
+    description: 'KYC was rejected',
+    since: '2024-06-01'
+  }
+};
+
+const isKnownEventType = (type) => Object.prototype.hasOwnProperty.call(EVENT_TYPES, type);
+
+module.exports = {
+  EVENT_API_VERSION,
+  EVENT_TYPES,
+  isKnownEventType
+};
@@ -0,0 +1,37 @@
+// Transactions a fee schedule prices, and who can bear the fee on them.
+//
+// The payer is whoever the money comes from: the customer paying a collection
+// or topping up a wallet, the wallet a payout, withdrawal or transfer is sent
+// from, and the payer of an escrow. The payee is whoever receives it. When the
+// payer bears the fee it is charged on top of the amount; when the payee bears
+// it, it comes out of the amount received.
+const FEE_TRANSACTION_TYPES = ['collection', 'escrow', 'payout', 'wallet_funding', 'wallet_withdrawal', 'wallet_transfer'];
+
+const FEE_BEARERS = ['payer', 'payee'];
+
+// Rails a rule can be limited to: the payment method of a collection, funding
+// or withdrawal, and the rail a payout is routed over
+const FEE_RAILS = ['mpesa', 'card', 'bank', 'internal', 'mpesa_b2c', 'mpesa_corporate', 'pesalink', 'rtgs'];
+
+// Standard pricing, used for merchants without a pricing plan and for any
+// transaction a plan has no rule for. Percentages are in percent.
+const STANDARD_FEE_RULES = [
+  { transaction_type: 'collection', percentage: 2.5, fee_bearer: 'payee' },
+  { transaction_type: 'escrow', percentage: 2, fee_bearer: 'payee' },
+  { transaction_type: 'payout', rail: 'internal', fee_bearer: 'payer' },
+  { transaction_type: 'payout', rail: 'mpesa_b2c', percentage: 1.5, fee_bearer: 'payer' },
+  { transaction_type: 'payout', rail: 'mpesa_corporate', flat_fee: 100, fee_bearer: 'payer' },
+  { transaction_type: 'payout', rail: 'pesalink', flat_fee: 50, fee_bearer: 'payer' },
+  { transaction_type: 'payout', rail: 'rtgs', flat_fee: 150, fee_bearer: 'payer' },
+  { transaction_type: 'payout', percentage: 1.5, fee_bearer: 'payer' },
+  { transaction_type: 'wallet_funding', percentage: 1.5, fee_bearer: 'payer' },
+  { transaction_type: 'wallet_withdrawal', percentage: 1.5, fee_bearer: 'payer' },
+  { transaction_type: 'wallet_transfer', percentage: 0.5, fee_bearer: 'payer' }
+];
+
+module.exports = {
+  FEE_TRANSACTION_TYPES,
+  FEE_BEARERS,
+  FEE_RAILS,
+  STANDARD_FEE_RULES
+};
@@ -0,0 +1,16 @@
+// Payment methods money can come in or go out by
+const PAYMENT_METHODS = ['mpesa', 'card', 'bank', 'wallet'];
+
+// Provider each payment method goes through unless a provider route for the
+// merchant or currency says otherwise
+const DEFAULT_PROVIDERS = {
+  mpesa: 'mpesa',
+  card: 'stripe',
+  bank: 'bank',
+  wallet: 'wallet'
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  DEFAULT_PROVIDERS
+};
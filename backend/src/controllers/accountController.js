@@ -0,0 +1,212 @@
+const { validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { auditService } = require('../services/auditService');
+const { SCOPE_PRESETS } = require('../config/apiKeyScopes');
+
+// List the account's API keys (never the secrets)
+const getApiKeys = async (req, res) => {
+  try {
+    const { include_revoked } = req.query;
+
+    const query = { user_id: String(req.user.userId) };
+    if (include_revoked !== 'true') {
+      query.status = 'active';
+    }
+
+    const keys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      keys: keys.map(key => key.toPublicJSON())
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to load API keys'
+    });
+  }
+};
+
+// Create an API key; the full key is only returned in this response
+const createApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      type = 'secret',
+      environment = 'test',
+      name,
+      scopes,
+      preset
+    } = req.body;
+
+    if (environment === 'live') {
+      const user = await User.findById(req.user.userId).select('mode');
+      if (user.mode !== 'live') {
+        return res.status(403).json({
+          error: 'Live mode not enabled',
+          message: 'Complete KYC verification to create live keys'
+        });
+      }
+    }
+
+    const { apiKey, rawKey } = await ApiKey.generate({
+      userId: req.user.userId,
+      type,
+      environment,
+      name,
+      scopes: scopes || SCOPE_PRESETS[preset || 'full_access']
+    });
+
+    logger.logSecurityEvent('api_key_created', {
+      key_id: apiKey.key_id,
+      type,
+      environment,
+      scopes: apiKey.scopes
+    }, req);
+
+    await auditService.record({
+      action: 'api_key.created',
+      target: { type: 'api_key', id: apiKey.key_id, user_id: req.user.userId },
+      after: { status: apiKey.status, type, environment, scopes: apiKey.scopes },
+      req
+    });
+
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again.',
+      key: {
+        ...apiKey.toPublicJSON(),
+        secret: rawKey
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to create API key'
+    });
+  }
+};
+
+// Roll an API key: issue a replacement and keep the old key working for an overlap window
+const rollApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { key_id } = req.params;
+    const { overlap_hours = 24 } = req.body;
+
+    const apiKey = await ApiKey.findOne({
+      key_id,
+      user_id: String(req.user.userId),
+      status: 'active'
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+
+    if (apiKey.rolled_to) {
+      return res.status(400).json({
+        error: 'API key has already been rolled',
+        rolled_to: apiKey.rolled_to
+      });
+    }
+
+    const { apiKey: replacement, rawKey } = await apiKey.roll(parseInt(overlap_hours));
+
+    logger.logSecurityEvent('api_key_rolled', {
+      key_id,
+      replacement_key_id: replacement.key_id,
+      expires_at: apiKey.expires_at
+    }, req);
+
+    await auditService.record({
+      action: 'api_key.rolled',
+      target: { type: 'api_key', id: key_id, user_id: req.user.userId },
+      before: { status: 'active', expires_at: null, rolled_to: null },
+      after: { status: apiKey.status, expires_at: apiKey.expires_at, rolled_to: apiKey.rolled_to },
+      req
+    });
+
+    res.json({
+      message: 'API key rolled. Store the new key now, it will not be shown again.',
+      previous_key: apiKey.toPublicJSON(),
+      key: {
+        ...replacement.toPublicJSON(),
+        secret: rawKey
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to roll API key'
+    });
+  }
+};
+
+// Revoke an API key immediately
+const revokeApiKey = async (req, res) => {
+  try {
+    const { key_id } = req.params;
+
+    const apiKey = await ApiKey.findOne({
+      key_id,
+      user_id: String(req.user.userId),
+      status: 'active'
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+
+    await apiKey.revoke();
+
+    logger.logSecurityEvent('api_key_revoked', { key_id }, req);
+
+    await auditService.record({
+      action: 'api_key.revoked',
+      target: { type: 'api_key', id: key_id, user_id: req.user.userId },
+      before: { status: 'active' },
+      after: { status: apiKey.status },
+      req
+    });
+
+    res.json({
+      message: 'API key revoked successfully',
+      key: apiKey.toPublicJSON()
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to revoke API key'
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  rollApiKey,
+  revokeApiKey
+};
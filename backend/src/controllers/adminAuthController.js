@@ -0,0 +1,220 @@
+const jwt = require('jsonwebtoken');
+const { validationResult } = require('express-validator');
+const AdminUser = require('../models/AdminUser');
+const logger = require('../utils/logger');
+
+// Generate an admin access token; admins have no refresh token and log in again
+const generateAdminToken = (admin) => {
+  return jwt.sign(
+    { adminId: admin.admin_id, role: admin.role, type: 'admin' },
+    process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET,
+    { expiresIn: process.env.ADMIN_JWT_EXPIRES_IN || '8h' }
+  );
+};
+
+// Admin login
+const login = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    let admin = await AdminUser.findOne({ email });
+    if (!admin) {
+      admin = await AdminUser.bootstrapFromEnv(email, password);
+      if (admin) {
+        logger.logSecurityEvent('admin_bootstrapped', { admin_id: admin.admin_id, email }, req);
+      }
+    }
+
+    if (!admin || !(await admin.comparePassword(password))) {
+      logger.logSecurityEvent('admin_login_failed', { email }, req);
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Email or password is incorrect'
+      });
+    }
+
+    if (admin.status !== 'active') {
+      logger.logSecurityEvent('admin_login_disabled', { admin_id: admin.admin_id }, req);
+      return res.status(403).json({
+        error: 'Admin disabled',
+        message: 'This admin account has been disabled'
+      });
+    }
+
+    admin.last_login_at = new Date();
+    await admin.save();
+
+    logger.info(`Admin logged in: ${admin.email} (${admin.role})`);
+
+    res.json({
+      message: 'Login successful',
+      admin: admin.toPublicJSON(),
+      token: generateAdminToken(admin)
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'Unable to authenticate admin'
+    });
+  }
+};
+
+// Get the logged-in admin
+const getMe = async (req, res) => {
+  try {
+    const admin = await AdminUser.findOne({ admin_id: req.admin.id });
+
+    res.json({
+      admin: admin.toPublicJSON()
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to load admin'
+    });
+  }
+};
+
+// List admin users
+const getAdmins = async (req, res) => {
+  try {
+    const admins = await AdminUser.find().sort({ createdAt: -1 });
+
+    res.json({
+      admins: admins.map(admin => admin.toPublicJSON())
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to load admins'
+    });
+  }
+};
+
+// Create an admin user
+const createAdmin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, email, password, role } = req.body;
+
+    if (await AdminUser.exists({ email })) {
+      return res.status(409).json({
+        error: 'Admin already exists',
+        message: 'An admin with this email already exists'
+      });
+    }
+
+    const admin = await AdminUser.create({
+      name,
+      email,
+      password,
+      role,
+      created_by: req.admin.id
+    });
+
+    logger.logSecurityEvent('admin_created', {
+      admin_id: admin.admin_id,
+      role,
+      created_by: req.admin.id
+    }, req);
+
+    res.status(201).json({
+      message: 'Admin created successfully',
+      admin: admin.toPublicJSON()
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to create admin'
+    });
+  }
+};
+
+// Change an admin's role or status
+const updateAdmin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { admin_id } = req.params;
+    const { role, status } = req.body;
+
+    // Keeps at least one super admin able to manage the others
+    if (admin_id === req.admin.id) {
+      return res.status(400).json({
+        error: 'Cannot update own account',
+        message: 'Another super admin must change your role or status'
+      });
+    }
+
+    const admin = await AdminUser.findOne({ admin_id });
+    if (!admin) {
+      return res.status(404).json({
+        error: 'Admin not found'
+      });
+    }
+
+    const changes = {};
+    if (role && role !== admin.role) {
+      changes.role = { from: admin.role, to: role };
+      admin.role = role;
+    }
+    if (status && status !== admin.status) {
+      changes.status = { from: admin.status, to: status };
+      admin.status = status;
+      admin.disabled_at = status === 'disabled' ? new Date() : null;
+    }
+
+    await admin.save();
+
+    logger.logSecurityEvent('admin_updated', {
+      admin_id,
+      changes,
+      updated_by: req.admin.id
+    }, req);
+
+    res.json({
+      message: 'Admin updated successfully',
+      admin: admin.toPublicJSON()
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to update admin'
+    });
+  }
+};
+
+module.exports = {
+  login,
+  getMe,
+  getAdmins,
+  createAdmin,
+  updateAdmin
+};
@@ -1,7 +1,12 @@
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const AuditLog = require('../models/AuditLog');
+const LedgerEntry = require('../models/LedgerEntry');
 const logger = require('../utils/logger');
 const { sendEmail } = require('../services/emailService');
+const { eventService } = require('../services/eventService');
+const { auditService } = require('../services/auditService');
 
 // Get pending accounts for approval
 const getPendingAccounts = async (req, res) => {
@@ -51,8 +56,14 @@ const approveAccount = async (req, res) => {
       });
     }
 
+    const before = { status: user.status, mode: user.mode };
+
     // Update user status
     user.status = 'approved';
+    user.review = {
+      reviewed_by: req.admin.id,
+      reviewed_at: new Date()
+    };
     
     // If approving live mode, check KYC first
     if (approve_live_mode) {
@@ -62,11 +73,16 @@ const approveAccount = async (req, res) => {
         });
       }
       user.mode = 'live';
-      user.generateAPIKeys(); // Generate live keys
     }
 
     await user.save();
 
+    // Issue test keys, plus live keys when live mode is enabled
+    const apiKeys = await user.generateAPIKeys('test');
+    if (approve_live_mode) {
+      Object.assign(apiKeys, await user.generateAPIKeys('live'));
+    }
+
     // Send approval email
     try {
       await sendEmail({
@@ -76,7 +92,7 @@ const approveAccount = async (req, res) => {
         data: {
           business_name: user.business_name,
           email: user.email,
-          api_keys: user.api_keys,
+          api_keys: apiKeys,
           mode: user.mode
         }
       });
@@ -84,7 +100,15 @@ const approveAccount = async (req, res) => {
       logger.error('Failed to send approval email:', emailError);
     }
 
-    logger.info(`Account approved: ${user.email}, mode: ${user.mode}`);
+    await auditService.record({
+      action: 'account.approved',
+      target: { type: 'account', id: user._id, user_id: user._id },
+      before,
+      after: { status: user.status, mode: user.mode },
+      req
+    });
+
+    logger.info(`Account approved: ${user.email}, mode: ${user.mode}, by admin ${req.admin.id}`);
 
     res.json({
       message: approve_live_mode ? 'Live mode enabled successfully' : 'Account approved successfully',
@@ -133,6 +157,11 @@ const rejectAccount = async (req, res) => {
     }
 
     user.status = 'rejected';
+    user.review = {
+      reviewed_by: req.admin.id,
+      reviewed_at: new Date(),
+      rejection_reason: reason
+    };
     await user.save();
 
     // Send rejection email
@@ -150,7 +179,16 @@ const rejectAccount = async (req, res) => {
       logger.error('Failed to send rejection email:', emailError);
     }
 
-    logger.info(`Account rejected: ${user.email}, reason: ${reason}`);
+    await auditService.record({
+      action: 'account.rejected',
+      target: { type: 'account', id: user._id, user_id: user._id },
+      before: { status: 'pending' },
+      after: { status: user.status },
+      metadata: { reason },
+      req
+    });
+
+    logger.info(`Account rejected: ${user.email}, reason: ${reason}, by admin ${req.admin.id}`);
 
     res.json({
       message: 'Account rejected successfully'
@@ -211,14 +249,22 @@ const approveKYC = async (req, res) => {
       });
     }
 
+    const before = { kyc_status: user.kyc_status, mode: user.mode, trust_score: user.trust_score };
+
     // Update KYC status and enable live mode
     user.kyc_status = 'approved';
     user.mode = 'live';
     user.trust_score = 85; // Set initial trust score
-    user.generateAPIKeys(); // Generate live API keys
+    user.kyc_review = {
+      reviewed_by: req.admin.id,
+      reviewed_at: new Date()
+    };
 
     await user.save();
 
+    // Generate live API keys
+    const apiKeys = await user.generateAPIKeys('live');
+
     // Send KYC approval email with live keys
     try {
       await sendEmail({
@@ -228,7 +274,7 @@ const approveKYC = async (req, res) => {
         data: {
           business_name: user.business_name,
           email: user.email,
-          api_keys: user.api_keys,
+          api_keys: apiKeys,
           trust_score: user.trust_score
         }
       });
@@ -236,7 +282,21 @@ const approveKYC = async (req, res) => {
       logger.error('Failed to send KYC approval email:', emailError);
     }
 
-    logger.info(`KYC approved and live mode enabled: ${user.email}`);
+    try {
+      await eventService.emitKYCEvent(user, 'kyc.approved');
+    } catch (webhookError) {
+      logger.error('KYC webhook failed:', webhookError);
+    }
+
+    await auditService.record({
+      action: 'kyc.approved',
+      target: { type: 'account', id: user._id, user_id: user._id },
+      before,
+      after: { kyc_status: user.kyc_status, mode: user.mode, trust_score: user.trust_score },
+      req
+    });
+
+    logger.info(`KYC approved and live mode enabled: ${user.email}, by admin ${req.admin.id}`);
 
     res.json({
       message: 'KYC approved and live mode enabled successfully',
@@ -247,10 +307,7 @@ const approveKYC = async (req, res) => {
         kyc_status: user.kyc_status,
         mode: user.mode,
         trust_score: user.trust_score,
-        api_keys: {
-          public_live: user.api_keys.public_live,
-          secret_live: user.api_keys.secret_live
-        }
+        api_keys: apiKeys
       }
     });
 
@@ -289,6 +346,11 @@ const rejectKYC = async (req, res) => {
     }
 
     user.kyc_status = 'rejected';
+    user.kyc_review = {
+      reviewed_by: req.admin.id,
+      reviewed_at: new Date(),
+      rejection_reason: reason
+    };
     await user.save();
 
     // Send KYC rejection email
@@ -306,7 +368,22 @@ const rejectKYC = async (req, res) => {
       logger.error('Failed to send KYC rejection email:', emailError);
     }
 
-    logger.info(`KYC rejected: ${user.email}, reason: ${reason}`);
+    try {
+      await eventService.emitKYCEvent(user, 'kyc.rejected');
+    } catch (webhookError) {
+      logger.error('KYC webhook failed:', webhookError);
+    }
+
+    await auditService.record({
+      action: 'kyc.rejected',
+      target: { type: 'account', id: user._id, user_id: user._id },
+      before: { kyc_status: 'pending' },
+      after: { kyc_status: user.kyc_status },
+      metadata: { reason },
+      req
+    });
+
+    logger.info(`KYC rejected: ${user.email}, reason: ${reason}, by admin ${req.admin.id}`);
 
     res.json({
       message: 'KYC rejected successfully'
@@ -360,6 +437,8 @@ const getAllAccounts = async (req, res) => {
         mode: user.mode,
         kyc_status: user.kyc_status,
         trust_score: user.trust_score,
+        review: user.review,
+        kyc_review: user.kyc_review,
         created_at: user.created_at,
         last_login: user.metadata.last_login
       })),
@@ -389,7 +468,8 @@ const getPlatformStats = async (req, res) => {
       kycPending,
       kycApproved,
       totalTransactions,
-      totalVolume
+      totalVolume,
+      feeRevenue
     ] = await Promise.all([
       User.countDocuments(),
       User.countDocuments({ status: 'pending' }),
@@ -400,11 +480,29 @@ const getPlatformStats = async (req, res) => {
       Transaction.countDocuments(),
       Transaction.aggregate([
         { $group: { _id: null, total: { $sum: '$amount' } } }
+      ]),
+      // Fees actually charged, net of reversals, from the fee revenue accounts
+      LedgerEntry.aggregate([
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': { $regex: '^system:fees:' } } },
+        {
+          $group: {
+            _id: '$currency',
+            total: {
+              $sum: {
+                $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', { $multiply: ['$lines.amount', -1] }]
+              }
+            }
+          }
+        }
       ])
     ]);
 
-    // Calculate revenue (2.5% of total volume)
-    const totalRevenue = totalVolume.length > 0 ? totalVolume[0].total * 0.025 : 0;
+    const revenueByCurrency = {};
+    feeRevenue.forEach(row => {
+      revenueByCurrency[row._id] = Math.round(row.total * 100) / 100;
+    });
+    const totalRevenue = Math.round(feeRevenue.reduce((sum, row) => sum + row.total, 0) * 100) / 100;
 
     res.json({
       stats: {
@@ -421,7 +519,8 @@ const getPlatformStats = async (req, res) => {
         transactions: {
           total: totalTransactions,
           volume: totalVolume.length > 0 ? totalVolume[0].total : 0,
-          revenue: totalRevenue
+          revenue: totalRevenue,
+          revenue_by_currency: revenueByCurrency
         }
       }
     });
@@ -535,6 +634,162 @@ const getAPILogs = async (req, res) => {
   }
 };
 
+// Get audit log entries
+const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      action,
+      actor_id,
+      actor_type,
+      target_type,
+      target_id,
+      user_id,
+      from_date,
+      to_date
+    } = req.query;
+
+    const query = {};
+
+    if (action) query.action = action;
+    if (actor_id) query['actor.id'] = actor_id;
+    if (actor_type) query['actor.type'] = actor_type;
+    if (target_type) query['target.type'] = target_type;
+    if (target_id) query['target.id'] = target_id;
+    if (user_id) query['target.user_id'] = user_id;
+
+    if (from_date || to_date) {
+      query.occurred_at = {};
+      if (from_date) query.occurred_at.$gte = new Date(from_date);
+      if (to_date) query.occurred_at.$lte = new Date(to_date);
+    }
+
+    const pageSize = Math.min(parseInt(limit), 200);
+    const skip = (parseInt(page) - 1) * pageSize;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      audit_logs: entries.map(entry => entry.toPublicJSON()),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / pageSize),
+        total_records: total
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch audit logs'
+    });
+  }
+};
+
+// Check the audit log hash chain for tampering
+const verifyAuditLogs = async (req, res) => {
+  try {
+    const { from_sequence = 1, limit = 10000 } = req.query;
+
+    const result = await auditService.verifyChain({
+      fromSequence: parseInt(from_sequence),
+      limit: parseInt(limit)
+    });
+
+    if (!result.valid) {
+      logger.logSecurityEvent('audit_chain_broken', { ...result, admin_id: req.admin.id }, req);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to verify audit logs'
+    });
+  }
+};
+
+// Freeze or unfreeze a wallet; frozen wallets can't be debited or credited
+const setWalletFrozen = (frozen) => async (req, res) => {
+  try {
+    const { wallet_id } = req.params;
+    const { reason } = req.body;
+
+    if (frozen && !reason) {
+      return res.status(400).json({
+        error: 'Freeze reason is required'
+      });
+    }
+
+    const fromStatus = frozen ? 'active' : 'frozen';
+    const update = frozen
+      ? {
+        $set: {
+          status: 'frozen',
+          freeze: { frozen_by: req.admin.id, frozen_at: new Date(), reason }
+        }
+      }
+      : { $set: { status: 'active' }, $unset: { freeze: 1 } };
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { wallet_id, status: fromStatus },
+      update,
+      { new: true }
+    );
+
+    if (!wallet) {
+      const existing = await Wallet.findOne({ wallet_id }).select('status');
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Wallet not found'
+        });
+      }
+      return res.status(409).json({
+        error: frozen ? 'Wallet cannot be frozen' : 'Wallet is not frozen',
+        status: existing.status
+      });
+    }
+
+    await auditService.record({
+      action: frozen ? 'wallet.frozen' : 'wallet.unfrozen',
+      target: { type: 'wallet', id: wallet.wallet_id, user_id: wallet.owner_id },
+      before: { status: fromStatus },
+      after: { status: wallet.status },
+      metadata: { reason },
+      req
+    });
+
+    logger.info(`Wallet ${frozen ? 'frozen' : 'unfrozen'}: ${wallet_id}, by admin ${req.admin.id}`);
+
+    res.json({
+      message: frozen ? 'Wallet frozen successfully' : 'Wallet unfrozen successfully',
+      wallet: {
+        wallet_id: wallet.wallet_id,
+        owner_id: wallet.owner_id,
+        status: wallet.status,
+        freeze: wallet.freeze
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: frozen ? 'Failed to freeze wallet' : 'Failed to unfreeze wallet'
+    });
+  }
+};
+
+const freezeWallet = setWalletFrozen(true);
+const unfreezeWallet = setWalletFrozen(false);
+
 module.exports = {
   getPendingAccounts,
   approveAccount,
@@ -545,5 +800,9 @@ module.exports = {
   getAllAccounts,
   getPlatformStats,
   getTransactions,
-  getAPILogs
+  getAPILogs,
+  getAuditLogs,
+  verifyAuditLogs,
+  freezeWallet,
+  unfreezeWallet
 };
@@ -4,6 +4,7 @@ const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const logger = require('../utils/logger');
 const { emailService } = require('../services/emailService');
+const { auditService } = require('../services/auditService');
 
 // Generate JWT tokens
 const generateTokens = (userId) => {
@@ -165,8 +166,7 @@ const login = async (req, res) => {
       tokens: {
         accessToken,
         refreshToken
-      },
-      api_keys: user.api_keys
+      }
     });
   } catch (error) {
     logger.error('Login error:', error);
@@ -435,26 +435,36 @@ const approveAccount = async (req, res) => {
       return res.status(404).json({ error: 'Account not found' });
     }
 
+    const before = { status: user.status, kyc_status: user.kyc_status };
+
     // Update account status
     user.status = 'active';
     user.kyc_verified = approve_live_mode;
     user.live_mode_enabled = approve_live_mode;
     user.kyc_status = 'approved';
-    user.kyc_reviewed_at = new Date();
+    user.review = {
+      reviewed_by: req.admin.id,
+      reviewed_at: new Date()
+    };
 
     // If approving live mode, generate live keys
+    await user.save();
+
     let liveKeys = null;
     if (approve_live_mode) {
-      user.generateAPIKeys('live');
-      liveKeys = {
-        public_live: user.api_keys.public_live,
-        secret_live: user.api_keys.secret_live
-      };
+      liveKeys = await user.generateAPIKeys('live');
     }
 
-    await user.save();
+    await auditService.record({
+      action: 'account.approved',
+      target: { type: 'account', id: accountId, user_id: accountId },
+      before,
+      after: { status: user.status, kyc_status: user.kyc_status },
+      metadata: { approve_live_mode },
+      req
+    });
 
-    logger.info(`Account approved: ${accountId}, Live mode: ${approve_live_mode}`);
+    logger.info(`Account approved: ${accountId}, Live mode: ${approve_live_mode}, by admin ${req.admin.id}`);
 
     // Send approval email
     try {
@@ -499,15 +509,29 @@ const rejectAccount = async (req, res) => {
       return res.status(404).json({ error: 'Account not found' });
     }
 
+    const before = { status: user.status, kyc_status: user.kyc_status };
+
     // Update account status
     user.status = 'rejected';
     user.kyc_status = 'rejected';
-    user.kyc_rejection_reason = reason;
-    user.kyc_reviewed_at = new Date();
+    user.review = {
+      reviewed_by: req.admin.id,
+      reviewed_at: new Date(),
+      rejection_reason: reason
+    };
 
     await user.save();
 
-    logger.info(`Account rejected: ${accountId}`);
+    await auditService.record({
+      action: 'account.rejected',
+      target: { type: 'account', id: accountId, user_id: accountId },
+      before,
+      after: { status: user.status, kyc_status: user.kyc_status },
+      metadata: { reason },
+      req
+    });
+
+    logger.info(`Account rejected: ${accountId}, by admin ${req.admin.id}`);
 
     // Send rejection email
     try {
@@ -1,10 +1,11 @@
-const { v4: uuidv4 } = require('uuid');
+const { validationResult } = require('express-validator');
 const Transaction = require('../models/Transaction');
-const Wallet = require('../models/Wallet');
-const User = require('../models/User');
 const logger = require('../utils/logger');
-const { processMpesaPayment, processCardPayment, processBankPayment } = require('../services/paymentService');
-const { sendWebhook } = require('../services/webhookService');
+const { collectionService } = require('../services/collectionService');
+const { providerService } = require('../services/providerService');
+const { settlementService } = require('../services/settlementService');
+const { refundService } = require('../services/refundService');
+const { auditService } = require('../services/auditService');
 
 // Create a new collection
 const createCollection = async (req, res) => {
@@ -21,154 +22,24 @@ const createCollection = async (req, res) => {
       reference
     } = req.body;
 
-    const transaction_id = `col_${uuidv4().replace(/-/g, '')}`;
-
-    // Calculate fees (2.5% for collections)
-    const processing_fee = amount * 0.025;
-    const platform_fee = 0; // No platform fee for collections
-    const total_fee = processing_fee + platform_fee;
-    const net_amount = amount - total_fee;
-
-    // Create transaction record
-    const transaction = new Transaction({
-      transaction_id,
-      type: 'collection',
+    const { transaction, paymentResponse } = await collectionService.create({
+      merchantId: req.user.userId,
       amount,
       currency,
-      fees: {
-        processing_fee,
-        platform_fee,
-        total_fee
-      },
-      net_amount,
-      source: {
-        payment_method,
-        payment_details: {
-          phone_number: payment_method === 'mpesa' ? customer_phone : null,
-          email: customer_email
-        }
-      },
-      metadata: {
-        description,
-        reference,
-        customer_email,
-        customer_name,
-        webhook_url,
-        ip_address: req.ip,
-        user_agent: req.get('User-Agent')
-      },
-      processing: {
-        initiated_at: new Date()
-      }
+      payment_method,
+      customer_email,
+      customer_phone,
+      customer_name,
+      description,
+      webhook_url,
+      reference,
+      req
     });
 
-    await transaction.save();
-
-    // Process payment based on method
-    let paymentResponse;
-    try {
-      switch (payment_method) {
-        case 'mpesa':
-          paymentResponse = await processMpesaPayment({
-            transaction_id,
-            amount,
-            phone_number: customer_phone,
-            customer_name,
-            description: description || `Payment for ${reference || transaction_id}`
-          });
-          break;
-        
-        case 'card':
-          paymentResponse = await processCardPayment({
-            transaction_id,
-            amount,
-            customer_email,
-            customer_name,
-            description: description || `Payment for ${reference || transaction_id}`
-          });
-          break;
-        
-        case 'bank':
-          paymentResponse = await processBankPayment({
-            transaction_id,
-            amount,
-            customer_email,
-            customer_name,
-            description: description || `Payment for ${reference || transaction_id}`
-          });
-          break;
-        
-        default:
-          throw new Error('Unsupported payment method');
-      }
-
-      // Update transaction with payment response
-      transaction.source.payment_details.transaction_ref = paymentResponse.reference;
-      transaction.status = paymentResponse.status;
-      
-      if (paymentResponse.status === 'completed') {
-        transaction.processing.completed_at = new Date();
-        
-        // Create or find user's wallet and credit it
-        const wallet = await findOrCreateWallet(req.user.userId, 'user');
-        await wallet.addFunds(net_amount);
-        
-        logger.logTransaction({
-          transaction_id,
-          type: 'collection',
-          amount,
-          currency,
-          status: 'completed',
-          user_id: req.user.userId
-        });
-      }
-      
-      await transaction.save();
-
-    } catch (paymentError) {
-      // Mark transaction as failed
-      transaction.status = 'failed';
-      transaction.processing.failed_at = new Date();
-      transaction.processing.failure_reason = paymentError.message;
-      await transaction.save();
-
-      logger.logApiError(paymentError, req, { transaction_id });
-      
-      return res.status(400).json({
-        error: 'Payment processing failed',
-        message: paymentError.message,
-        transaction_id
-      });
-    }
-
-    // Send webhook if provided
-    if (webhook_url && transaction.status === 'completed') {
-      try {
-        await sendWebhook(webhook_url, {
-          event: 'collection.completed',
-          data: {
-            transaction_id,
-            amount,
-            currency,
-            status: transaction.status,
-            customer_email,
-            customer_name,
-            net_amount,
-            fees: transaction.fees,
-            created_at: transaction.created_at
-          }
-        });
-      } catch (webhookError) {
-        logger.error('Webhook delivery failed:', webhookError);
-      }
-    }
-
-    logger.info(`Collection created: ${transaction_id}`);
-
     res.status(201).json({
       message: 'Collection initiated successfully',
       transaction: {
-        transaction_id,
+        transaction_id: transaction.transaction_id,
         type: transaction.type,
         amount: transaction.amount,
         currency: transaction.currency,
@@ -186,6 +57,9 @@ const createCollection = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     logger.logApiError(error, req);
     res.status(500).json({
       error: 'Failed to create collection',
@@ -221,6 +95,7 @@ const getCollection = async (req, res) => {
         status: transaction.status,
         fees: transaction.fees,
         net_amount: transaction.net_amount,
+        refunded_amount: transaction.refund_details?.refunded_amount || 0,
         source: transaction.source,
         metadata: {
           description: transaction.metadata.description,
@@ -327,25 +202,32 @@ const verifyCollection = async (req, res) => {
       });
     }
 
-    // Check payment status with payment provider
+    // Check payment status with the payment provider. Only providers whose
+    // status queries are trusted for reconciliation settle the payment here,
+    // just as their callback would have; for the others the status they
+    // report is passed on and the callback still decides.
     let currentStatus = transaction.status;
-    try {
-      const statusUpdate = await checkPaymentStatus(transaction);
-      if (statusUpdate.status !== transaction.status) {
-        transaction.status = statusUpdate.status;
-        if (statusUpdate.status === 'completed') {
-          transaction.processing.completed_at = new Date();
+    let providerStatus;
+    if (['pending', 'processing'].includes(transaction.status)) {
+      try {
+        const provider = providerService.forTransaction(transaction);
+        const statusUpdate = await provider.queryStatus(transaction);
+        providerStatus = statusUpdate.status;
+        if (provider.pollsStatus) {
+          const updated = await settlementService.applyEvent(provider, { ...statusUpdate, transaction_id });
+          if (updated) {
+            currentStatus = updated.status;
+          }
         }
-        await transaction.save();
-        currentStatus = statusUpdate.status;
+      } catch (statusCheckError) {
+        logger.error('Payment status check failed:', statusCheckError);
       }
-    } catch (statusCheckError) {
-      logger.error('Payment status check failed:', statusCheckError);
     }
 
     res.json({
       transaction_id,
       status: currentStatus,
+      provider_status: providerStatus,
       verified_at: new Date()
     });
 
@@ -390,7 +272,7 @@ const cancelCollection = async (req, res) => {
 
     // Cancel with payment provider
     try {
-      await cancelPaymentWithProvider(transaction);
+      await providerService.forTransaction(transaction).cancel(transaction);
     } catch (cancelError) {
       logger.error('Payment cancellation failed:', cancelError);
     }
@@ -415,22 +297,116 @@ const cancelCollection = async (req, res) => {
   }
 };
 
-// Helper function to find or create wallet
-const findOrCreateWallet = async (userId, ownerType) => {
-  let wallet = await Wallet.findOne({ owner_id: userId, owner_type: ownerType });
-  
-  if (!wallet) {
-    wallet = new Wallet({
-      wallet_id: `wallet_${uuidv4().replace(/-/g, '')}`,
-      owner_type: ownerType,
-      owner_id: userId,
-      ownerModel: ownerType === 'user' ? 'User' : 'Business',
-      currency: 'KES'
+const serializeRefund = (refund) => ({
+  refund_id: refund.transaction_id,
+  collection_id: refund.refund_details.collection_id,
+  amount: refund.amount,
+  currency: refund.currency,
+  status: refund.status,
+  reason: refund.refund_details.reason,
+  payment_method: refund.destination.payment_method,
+  provider_reference: refund.destination.payment_details?.transaction_ref,
+  failure_reason: refund.processing?.failure_reason,
+  created_at: refund.createdAt,
+  completed_at: refund.processing?.completed_at
+});
+
+// Refund a completed collection, fully or in part
+const createRefund = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { transaction_id } = req.params;
+    const { amount, reason } = req.body;
+
+    const collection = await Transaction.findOne({
+      transaction_id,
+      type: 'collection',
+      'metadata.user_id': req.user.userId
+    });
+
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    const refund = await refundService.create(collection, {
+      amount: amount !== undefined ? Number(amount) : undefined,
+      reason
+    });
+
+    const refundedBefore = collection.refund_details?.refunded_amount || 0;
+    const refundedAfter = Math.round((refundedBefore + refund.amount) * 100) / 100;
+
+    await auditService.record({
+      action: 'collection.refunded',
+      target: { type: 'collection', id: transaction_id, user_id: req.user.userId },
+      before: { refunded_amount: refundedBefore },
+      after: { refunded_amount: refundedAfter },
+      metadata: { refund_id: refund.transaction_id, amount: refund.amount, currency: refund.currency, reason },
+      req
+    });
+
+    res.status(201).json({
+      message: 'Refund initiated',
+      refund: serializeRefund(refund),
+      refundable_amount: Math.round((collection.amount - refundedAfter) * 100) / 100
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to refund collection'
+    });
+  }
+};
+
+// List the refunds of a collection
+const getRefunds = async (req, res) => {
+  try {
+    const { transaction_id } = req.params;
+
+    const collection = await Transaction.findOne({
+      transaction_id,
+      type: 'collection',
+      'metadata.user_id': req.user.userId
+    });
+
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    const refunds = await Transaction.find({
+      type: 'refund',
+      'refund_details.collection_id': transaction_id
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      collection_id: transaction_id,
+      amount: collection.amount,
+      refunded_amount: collection.refund_details?.refunded_amount || 0,
+      refundable_amount: collection.status === 'completed' ? refundService.refundableAmount(collection) : 0,
+      refunds: refunds.map(serializeRefund)
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch refunds'
     });
-    await wallet.save();
   }
-  
-  return wallet;
 };
 
 module.exports = {
@@ -438,5 +414,7 @@ module.exports = {
   getCollection,
   getCollections,
   verifyCollection,
-  cancelCollection
+  cancelCollection,
+  createRefund,
+  getRefunds
 };
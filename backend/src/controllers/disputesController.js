@@ -0,0 +1,408 @@
+const { validationResult } = require('express-validator');
+const Escrow = require('../models/Escrow');
+const Wallet = require('../models/Wallet');
+const DisputeMessage = require('../models/DisputeMessage');
+const logger = require('../utils/logger');
+const { escrowService, serializeDispute } = require('../services/escrowService');
+const { auditService } = require('../services/auditService');
+
+// Load the escrow holding a dispute
+const findDisputedEscrow = async (disputeId) => {
+  const escrow = await Escrow.findOne({ 'disputes.dispute_id': disputeId });
+  return escrow ? { escrow, dispute: escrow.findDispute(disputeId) } : {};
+};
+
+const escrowSummary = (escrow) => ({
+  escrow_id: escrow.escrow_id,
+  amount: escrow.amount,
+  currency: escrow.currency,
+  status: escrow.status,
+  parties: escrow.parties
+});
+
+// List disputes across escrows
+const getDisputes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const pageSize = Math.min(parseInt(limit), 100);
+    const skip = (parseInt(page) - 1) * pageSize;
+    const match = status ? { 'disputes.status': { $in: Escrow.storedDisputeStatuses([status]) } } : {};
+
+    const [rows, [count]] = await Promise.all([
+      Escrow.aggregate([
+        { $unwind: '$disputes' },
+        { $match: match },
+        { $sort: { 'disputes.raised_at': -1 } },
+        { $skip: skip },
+        { $limit: pageSize },
+        {
+          $project: {
+            escrow_id: 1,
+            amount: 1,
+            currency: 1,
+            status: 1,
+            parties: 1,
+            dispute: '$disputes'
+          }
+        }
+      ]),
+      Escrow.aggregate([
+        { $unwind: '$disputes' },
+        { $match: match },
+        { $count: 'total' }
+      ])
+    ]);
+
+    const total = count ? count.total : 0;
+
+    res.json({
+      disputes: rows.map(row => ({
+        ...serializeDispute(row.dispute),
+        escrow: escrowSummary(row)
+      })),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / pageSize),
+        total_records: total
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch disputes'
+    });
+  }
+};
+
+// Get a dispute with its evidence
+const getDispute = async (req, res) => {
+  try {
+    const { escrow, dispute } = await findDisputedEscrow(req.params.dispute_id);
+    if (!dispute) {
+      return res.status(404).json({
+        error: 'Dispute not found'
+      });
+    }
+
+    res.json({
+      dispute: {
+        ...serializeDispute(dispute),
+        evidence: dispute.evidence,
+        escrow: escrowSummary(escrow)
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch dispute'
+    });
+  }
+};
+
+// Take a dispute into review
+const startReview = async (req, res) => {
+  try {
+    const { escrow, dispute } = await findDisputedEscrow(req.params.dispute_id);
+    if (!dispute) {
+      return res.status(404).json({
+        error: 'Dispute not found'
+      });
+    }
+
+    const previousStatus = dispute.status;
+    await escrowService.startDisputeReview(escrow, dispute, req.admin);
+
+    await auditService.record({
+      action: 'dispute.review_started',
+      target: { type: 'dispute', id: dispute.dispute_id, user_id: escrow.metadata.user_id },
+      before: { status: previousStatus },
+      after: { status: dispute.status, assigned_to: dispute.assigned_to },
+      metadata: { escrow_id: escrow.escrow_id },
+      req
+    });
+
+    logger.info(`Dispute under review: ${dispute.dispute_id}, by admin ${req.admin.id}`);
+
+    res.json({
+      message: 'Dispute taken into review',
+      dispute: serializeDispute(dispute)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to start dispute review'
+    });
+  }
+};
+
+// Request evidence from the payer or the payee
+const requestEvidence = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { party, message, due_at, due_in_hours = 72 } = req.body;
+
+    const { escrow, dispute } = await findDisputedEscrow(req.params.dispute_id);
+    if (!dispute) {
+      return res.status(404).json({
+        error: 'Dispute not found'
+      });
+    }
+
+    const dueAt = due_at
+      ? new Date(due_at)
+      : new Date(Date.now() + parseInt(due_in_hours) * 60 * 60 * 1000);
+
+    if (dueAt <= new Date()) {
+      return res.status(400).json({
+        error: 'Evidence deadline must be in the future'
+      });
+    }
+
+    const previousStatus = dispute.status;
+    await escrowService.requestDisputeEvidence(escrow, dispute, {
+      party,
+      message,
+      dueAt,
+      admin: req.admin
+    });
+
+    await auditService.record({
+      action: 'dispute.evidence_requested',
+      target: { type: 'dispute', id: dispute.dispute_id, user_id: escrow.metadata.user_id },
+      before: { status: previousStatus },
+      after: { status: dispute.status },
+      metadata: { escrow_id: escrow.escrow_id, party, due_at: dueAt },
+      req
+    });
+
+    logger.info(`Evidence requested from ${party}: dispute ${dispute.dispute_id}, by admin ${req.admin.id}`);
+
+    res.json({
+      message: 'Evidence requested successfully',
+      dispute: serializeDispute(dispute)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to request evidence'
+    });
+  }
+};
+
+// Resolve a dispute for the payer, the payee or with a split
+const resolveDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { outcome, payee_amount, resolution } = req.body;
+
+    const found = await findDisputedEscrow(req.params.dispute_id);
+    if (!found.dispute) {
+      return res.status(404).json({
+        error: 'Dispute not found'
+      });
+    }
+
+    const previousStatus = found.dispute.status;
+    const {
+      escrow,
+      dispute,
+      releaseTransaction,
+      refundTransaction
+    } = await escrowService.resolveDispute(found.escrow, found.dispute.dispute_id, {
+      outcome,
+      payeeAmount: payee_amount,
+      resolution,
+      admin: req.admin
+    });
+
+    await auditService.record({
+      action: 'dispute.resolved',
+      target: { type: 'dispute', id: dispute.dispute_id, user_id: escrow.metadata.user_id },
+      before: { status: previousStatus, escrow_status: 'disputed' },
+      after: { status: dispute.status, escrow_status: escrow.status },
+      metadata: {
+        escrow_id: escrow.escrow_id,
+        outcome,
+        payer_amount: dispute.payer_amount,
+        payee_amount: dispute.payee_amount,
+        transaction_ids: dispute.transaction_ids
+      },
+      req
+    });
+
+    logger.info(`Dispute resolved: ${dispute.dispute_id}, outcome: ${outcome}, by admin ${req.admin.id}`);
+
+    res.json({
+      message: 'Dispute resolved successfully',
+      dispute: serializeDispute(dispute),
+      escrow: escrowSummary(escrow),
+      transactions: {
+        release: releaseTransaction && {
+          transaction_id: releaseTransaction.transaction_id,
+          amount: releaseTransaction.amount,
+          net_amount: releaseTransaction.net_amount
+        },
+        refund: refundTransaction && {
+          transaction_id: refundTransaction.transaction_id,
+          amount: refundTransaction.amount
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to resolve dispute'
+    });
+  }
+};
+
+// Load the escrow and dispute of a thread and work out who is asking:
+// an admin, or the payer or payee of the escrow
+const loadThread = async (req) => {
+  const { escrow_id, dispute_id } = req.params;
+
+  const escrow = await Escrow.findOne({ escrow_id });
+  const dispute = escrow && escrow.findDispute(dispute_id);
+  if (!dispute) {
+    return { status: 404, error: 'Dispute not found' };
+  }
+
+  if (req.admin) {
+    return { escrow, dispute, sender: { role: 'admin', id: req.admin.id, name: req.admin.name } };
+  }
+
+  const userWallets = await Wallet.find({ owner_id: req.user.userId });
+  const userWalletIds = userWallets.map(w => w.wallet_id);
+
+  const role = userWalletIds.includes(escrow.parties.payer.wallet_id)
+    ? 'payer'
+    : userWalletIds.includes(escrow.parties.payee.wallet_id) ? 'payee' : null;
+
+  if (!role) {
+    return { status: 403, error: 'You are not a party to this escrow' };
+  }
+
+  return {
+    escrow,
+    dispute,
+    sender: { role, id: String(req.user.userId), name: req.user.business_name }
+  };
+};
+
+// Get the messages of a dispute thread, oldest first
+const getDisputeMessages = async (req, res) => {
+  try {
+    const thread = await loadThread(req);
+    if (thread.error) {
+      return res.status(thread.status).json({
+        error: thread.error
+      });
+    }
+
+    const messages = await DisputeMessage.find({ dispute_id: thread.dispute.dispute_id })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      escrow_id: thread.escrow.escrow_id,
+      dispute_id: thread.dispute.dispute_id,
+      dispute_status: thread.dispute.status,
+      messages: messages.map(message => message.toPublicJSON())
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch dispute messages'
+    });
+  }
+};
+
+// Post a message on a dispute thread
+const postDisputeMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { body, attachments } = req.body;
+
+    const thread = await loadThread(req);
+    if (thread.error) {
+      return res.status(thread.status).json({
+        error: thread.error
+      });
+    }
+
+    if (!Escrow.OPEN_DISPUTE_STATUSES.includes(thread.dispute.status)) {
+      return res.status(409).json({
+        error: 'Dispute is closed',
+        dispute_status: thread.dispute.status
+      });
+    }
+
+    const message = await escrowService.postDisputeMessage(thread.escrow, thread.dispute, {
+      sender: thread.sender,
+      body,
+      attachments
+    });
+
+    logger.info(`Dispute message posted: ${message.message_id}, dispute: ${thread.dispute.dispute_id}, by ${thread.sender.role}`);
+
+    res.status(201).json({
+      message: 'Message posted successfully',
+      dispute_message: message.toPublicJSON()
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to post dispute message'
+    });
+  }
+};
+
+module.exports = {
+  getDisputes,
+  getDispute,
+  startReview,
+  requestEvidence,
+  resolveDispute,
+  getDisputeMessages,
+  postDisputeMessage
+};
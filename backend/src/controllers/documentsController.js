@@ -0,0 +1,112 @@
+const { validationResult } = require('express-validator');
+const Escrow = require('../models/Escrow');
+const Wallet = require('../models/Wallet');
+const logger = require('../utils/logger');
+const { documentService } = require('../services/documentService');
+const { auditService } = require('../services/auditService');
+
+// Parties, participants and the creator of an escrow can download its documents
+const canAccess = async (escrow, userId) => {
+  if (escrow.metadata.user_id === String(userId) || escrow.participantsForUser(userId).length > 0) {
+    return true;
+  }
+
+  const wallets = await Wallet.find({ owner_id: userId }).select('wallet_id');
+  const walletIds = wallets.map(wallet => wallet.wallet_id);
+  return walletIds.includes(escrow.parties.payer.wallet_id) || walletIds.includes(escrow.parties.payee.wallet_id);
+};
+
+// Generate a signed PDF for an escrow and send it
+const sendDocument = (document) => async (req, res) => {
+  try {
+    const { escrow_id } = req.params;
+
+    const escrow = await Escrow.findOne({ escrow_id });
+    if (!escrow) {
+      return res.status(404).json({
+        error: 'Escrow not found'
+      });
+    }
+
+    if (!(await canAccess(escrow, req.user.userId))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a party to this escrow'
+      });
+    }
+
+    const { pdf, hash, signature, keyId, payload } = await documentService.generate(escrow, document);
+
+    await auditService.record({
+      action: 'escrow.document_generated',
+      target: { type: 'escrow', id: escrow_id, user_id: escrow.metadata.user_id },
+      metadata: { document, hash, key_id: keyId, generated_at: payload.generated_at },
+      req
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${escrow_id}-${document}.pdf"`,
+      'X-Document-Hash': hash,
+      'X-Document-Signature': signature,
+      'X-Document-Key-Id': keyId
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: `Failed to generate escrow ${document}`
+    });
+  }
+};
+
+// Escrow agreement: parties, amount, fees, conditions and deadlines
+const getAgreement = sendDocument('agreement');
+
+// Escrow statement: funding, conditions, disputes, releases and refunds
+const getStatement = sendDocument('statement');
+
+// Verify an escrow document. Uses only the public key, never the database.
+const verifyDocument = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { document, hash, signature } = req.body;
+
+    const result = documentService.verify({
+      pdf: document ? Buffer.from(document, 'base64') : null,
+      hash,
+      signature
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to verify document'
+    });
+  }
+};
+
+// Public key for verifying escrow documents offline
+const getDocumentKey = (req, res) => {
+  res.json(documentService.getPublicKey());
+};
+
+module.exports = {
+  getAgreement,
+  getStatement,
+  verifyDocument,
+  getDocumentKey
+};
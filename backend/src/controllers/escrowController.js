@@ -1,9 +1,66 @@
 const { v4: uuidv4 } = require('uuid');
+const mongoose = require('mongoose');
 const Escrow = require('../models/Escrow');
 const Transaction = require('../models/Transaction');
+const User = require('../models/User');
 const Wallet = require('../models/Wallet');
 const logger = require('../utils/logger');
-const { webhookService } = require('../services/webhookService');
+const httpError = require('../utils/httpError');
+const { eventService } = require('../services/eventService');
+const { ledgerService } = require('../services/ledgerService');
+const { auditService } = require('../services/auditService');
+const { escrowService, serializeDispute, serializeAmendment } = require('../services/escrowService');
+const { conditionService } = require('../services/conditionService');
+const { feeService } = require('../services/feeService');
+const { providerService } = require('../services/providerService');
+const { runInTransaction } = require('../utils/transaction');
+
+// Payment methods a buyer can fund an escrow with at checkout
+const CHECKOUT_METHODS = ['mpesa', 'card'];
+
+// Arbiters and approvers given by user ID or by one of their wallets
+const resolveParticipants = async (participants) => {
+  const walletIds = participants.map(participant => participant.wallet_id).filter(Boolean);
+  const wallets = walletIds.length > 0 ? await Wallet.find({ wallet_id: { $in: walletIds } }) : [];
+
+  return participants.map(participant => {
+    const wallet = wallets.find(w => w.wallet_id === participant.wallet_id);
+    const userId = wallet ? wallet.owner_id : participant.user_id;
+
+    return {
+      participant_id: `ptc_${uuidv4().replace(/-/g, '')}`,
+      role: participant.role,
+      user_id: userId ? String(userId) : undefined,
+      wallet_id: wallet ? wallet.wallet_id : undefined,
+      name: participant.name,
+      email: participant.email
+    };
+  });
+};
+
+// Accounts owning the given wallets, by owner id, for the parties' names and
+// email addresses
+const walletOwners = async (wallets) => {
+  const ids = wallets
+    .filter(wallet => wallet.ownerModel === 'User' && mongoose.isValidObjectId(wallet.owner_id))
+    .map(wallet => wallet.owner_id);
+  const users = ids.length > 0 ? await User.find({ _id: { $in: ids } }).select('business_name email phone') : [];
+  return new Map(users.map(user => [String(user._id), user]));
+};
+
+// Callback details for an escrow's webhook_callback conditions
+const callbackSecrets = (escrow) => [
+  ...escrow.conditions.map(condition => ({ condition, milestone: null })),
+  ...escrow.milestones.flatMap(milestone => milestone.conditions.map(condition => ({ condition, milestone })))
+]
+  .filter(({ condition }) => condition.type === 'webhook_callback')
+  .map(({ condition, milestone }) => ({
+    condition_id: String(condition._id),
+    milestone_id: milestone?.milestone_id,
+    issuer: condition.config.issuer,
+    callback_url: `/api/v1/escrow/${escrow.escrow_id}/conditions/${condition._id}/callback`,
+    secret: conditionService.callbackSecret(escrow.escrow_id, condition._id)
+  }));
 
 // Create escrow
 const createEscrow = async (req, res) => {
@@ -13,18 +70,87 @@ const createEscrow = async (req, res) => {
       currency = 'KES',
       payer_wallet_id,
       payee_wallet_id,
-      conditions,
+      conditions = [],
+      milestones = [],
       description,
       auto_release_date,
+      expires_at,
       reference,
-      webhook_url
+      webhook_url,
+      payment_method,
+      customer_phone,
+      customer_email,
+      customer_name,
+      payment_timeout_minutes,
+      participants = [],
+      release_policy = {}
     } = req.body;
 
+    // Checkout escrows are paid by the buyer through a collection rather than
+    // from a funded wallet; the merchant's wallet holds the funds meanwhile
+    const checkout = !!payment_method;
+    if (checkout && !CHECKOUT_METHODS.includes(payment_method)) {
+      return res.status(400).json({
+        error: 'Unsupported payment method',
+        supported_methods: CHECKOUT_METHODS
+      });
+    }
+    const provider = checkout
+      ? await providerService.resolve(payment_method, { merchantId: req.user.userId, currency })
+      : null;
+
+    // Milestones split the escrow amount between them
+    if (milestones.length > 0) {
+      const milestoneTotal = milestones.reduce((sum, milestone) => sum + Number(milestone.amount), 0);
+      if (Math.round(milestoneTotal * 100) !== Math.round(amount * 100)) {
+        return res.status(400).json({
+          error: 'Milestone amounts must add up to the escrow amount',
+          amount,
+          milestone_total: milestoneTotal
+        });
+      }
+    }
+
+    // Arbiters and approvers sign releases and conditions under the release policy
+    const { rule = 'payer', required_approvals = 1 } = release_policy;
+    const signers = await resolveParticipants(participants);
+
+    const unknown = signers.filter(signer => !signer.user_id);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Participants need a user_id or a known wallet_id',
+        participants: unknown.map(signer => ({ role: signer.role, name: signer.name }))
+      });
+    }
+
+    const approverCount = signers.filter(signer => signer.role === 'approver').length;
+    if (rule === 'approvers' && approverCount < required_approvals) {
+      return res.status(400).json({
+        error: 'Release policy needs more approvals than there are approvers',
+        required_approvals,
+        approvers: approverCount
+      });
+    }
+    if (rule === 'arbiter' && !signers.some(signer => signer.role === 'arbiter')) {
+      return res.status(400).json({
+        error: 'Release policy needs an arbiter'
+      });
+    }
+
+    // Typed conditions are checked and set up before anything is saved
+    const roles = ['payer', 'payee', ...signers.map(signer => signer.role)];
+    const preparedConditions = conditions.map(condition => conditionService.prepare(condition, { roles }));
+    const preparedMilestones = milestones.map(milestone =>
+      (milestone.conditions || []).map(condition => conditionService.prepare(condition, { roles }))
+    );
+
     const escrow_id = `esc_${uuidv4().replace(/-/g, '')}`;
 
     // Validate wallets exist
     const [payerWallet, payeeWallet] = await Promise.all([
-      Wallet.findOne({ wallet_id: payer_wallet_id }),
+      checkout
+        ? Wallet.findOrCreateForOwner(req.user.userId, 'user')
+        : Wallet.findOne({ wallet_id: payer_wallet_id }),
       Wallet.findOne({ wallet_id: payee_wallet_id })
     ]);
 
@@ -34,34 +160,36 @@ const createEscrow = async (req, res) => {
       });
     }
 
-    // Check if payer has sufficient funds
-    if (!payerWallet.hasSufficientFunds(amount)) {
+    const owners = await walletOwners([payerWallet, payeeWallet]);
+
+    // Price the escrow, and the collection for a checkout escrow
+    const quotes = await feeService.quoteEscrow({
+      merchantId: req.user.userId,
+      amount,
+      currency,
+      paymentMethod: checkout ? payment_method : null
+    });
+    const escrowQuote = quotes.escrow;
+
+    // Check if payer has sufficient funds, fee included when the payer bears it
+    if (!checkout && !payerWallet.hasSufficientFunds(escrowQuote.gross_amount)) {
       return res.status(400).json({
         error: 'Insufficient funds in payer wallet',
         available_balance: payerWallet.balances.available,
-        required_amount: amount
+        required_amount: escrowQuote.gross_amount
       });
     }
 
-    // Calculate fees (2% for escrow)
-    const escrow_fee = amount * 0.02;
-    const processing_fee = 0;
-    const total_fee = escrow_fee + processing_fee;
-
     // Create transaction record
     const transaction = new Transaction({
       transaction_id: `txn_${uuidv4().replace(/-/g, '')}`,
       type: 'escrow_hold',
-      amount,
+      amount: escrowQuote.gross_amount,
       currency,
-      fees: {
-        processing_fee,
-        platform_fee: escrow_fee,
-        total_fee
-      },
-      net_amount: amount - total_fee,
+      fees: feeService.transactionFees(escrowQuote, 'platform_fee'),
+      net_amount: escrowQuote.net_amount,
       source: {
-        wallet_id: payer_wallet_id,
+        wallet_id: payerWallet.wallet_id,
         payment_method: 'wallet'
       },
       destination: {
@@ -87,10 +215,51 @@ const createEscrow = async (req, res) => {
       }
     });
 
-    await transaction.save();
-
-    // Lock funds in payer wallet
-    await payerWallet.lockFunds(amount);
+    // Collection the buyer pays at checkout; the collection fee is paid on
+    // top so the full hold lands in escrow
+    let collection = null;
+    if (checkout) {
+      collection = new Transaction({
+        transaction_id: `col_${uuidv4().replace(/-/g, '')}`,
+        type: 'collection',
+        amount: quotes.checkout.gross_amount,
+        currency,
+        fees: feeService.transactionFees(quotes.checkout),
+        net_amount: quotes.checkout.net_amount,
+        source: {
+          payment_method,
+          provider: provider.name,
+          payment_details: {
+            phone_number: payment_method === 'mpesa' ? customer_phone : null,
+            email: customer_email
+          }
+        },
+        destination: {
+          wallet_id: payerWallet.wallet_id,
+          payment_method: 'escrow'
+        },
+        escrow_details: {
+          escrow_id,
+          parties: {
+            payer: payerWallet.owner_id,
+            payee: payeeWallet.owner_id
+          }
+        },
+        metadata: {
+          description: `Escrow payment: ${description || escrow_id}`,
+          reference,
+          customer_email,
+          customer_name,
+          webhook_url,
+          ip_address: req.ip,
+          user_agent: req.get('User-Agent'),
+          user_id: req.user.userId
+        },
+        processing: {
+          initiated_at: new Date()
+        }
+      });
+    }
 
     // Create escrow record
     const escrow = new Escrow({
@@ -99,62 +268,165 @@ const createEscrow = async (req, res) => {
       amount,
       currency,
       parties: {
-        payer: {
-          user_id: payerWallet.owner_id,
-          wallet_id: payer_wallet_id,
-          name: 'Payer', // Would be populated from user data
-          email: 'payer@example.com' // Would be populated from user data
-        },
+        payer: checkout
+          ? {
+            user_id: payerWallet.owner_id,
+            wallet_id: payerWallet.wallet_id,
+            name: customer_name,
+            email: customer_email,
+            phone: customer_phone
+          }
+          : {
+            user_id: payerWallet.owner_id,
+            wallet_id: payer_wallet_id,
+            name: owners.get(payerWallet.owner_id)?.business_name,
+            email: owners.get(payerWallet.owner_id)?.email,
+            phone: owners.get(payerWallet.owner_id)?.phone
+          },
         payee: {
           user_id: payeeWallet.owner_id,
           wallet_id: payee_wallet_id,
-          name: 'Payee', // Would be populated from user data
-          email: 'payee@example.com' // Would be populated from user data
+          name: owners.get(payeeWallet.owner_id)?.business_name,
+          email: owners.get(payeeWallet.owner_id)?.email
         }
       },
-      conditions: conditions.map(condition => ({
-        type: condition.type,
-        description: condition.description,
-        fulfilled: false
+      conditions: preparedConditions.map(item => item.condition),
+      milestones: milestones.map((milestone, index) => ({
+        milestone_id: `ms_${uuidv4().replace(/-/g, '')}`,
+        title: milestone.title,
+        description: milestone.description,
+        amount: milestone.amount,
+        due_date: milestone.due_date ? new Date(milestone.due_date) : null,
+        conditions: preparedMilestones[index].map(item => item.condition)
       })),
+      funding: {
+        method: checkout ? payment_method : 'wallet',
+        collection_id: collection?.transaction_id,
+        pay_by: checkout
+          ? new Date(Date.now() + (parseInt(payment_timeout_minutes) || escrowService.paymentTimeoutMinutes) * 60 * 1000)
+          : null
+      },
+      timeline: {
+        expires_at: expires_at ? new Date(expires_at) : null
+      },
       release_settings: {
         auto_release: !!auto_release_date,
         auto_release_date: auto_release_date ? new Date(auto_release_date) : null,
         require_all_conditions: true
       },
+      release_policy: {
+        rule,
+        required_approvals: rule === 'approvers' ? required_approvals : 1
+      },
       fees: {
-        escrow_fee,
-        processing_fee,
-        total_fee
+        escrow_fee: escrowQuote.fee,
+        processing_fee: 0,
+        total_fee: escrowQuote.fee,
+        bearer: escrowQuote.fee_bearer,
+        schedule_id: escrowQuote.schedule_id || undefined
       },
       metadata: {
         description,
         reference,
-        webhook_url
+        webhook_url,
+        user_id: req.user.userId
       }
     });
 
-    await escrow.save();
+    conditionService.checkOtpRecipient(escrow.parties.payer, [...preparedConditions, ...preparedMilestones.flat()]);
 
-    // Update transaction status
-    transaction.status = 'completed';
-    transaction.processing.completed_at = new Date();
-    await transaction.save();
+    escrow.participants = [
+      ...['payer', 'payee'].map(role => ({
+        participant_id: `ptc_${uuidv4().replace(/-/g, '')}`,
+        role,
+        user_id: escrow.parties[role].user_id,
+        wallet_id: escrow.parties[role].wallet_id,
+        name: escrow.parties[role].name,
+        email: escrow.parties[role].email
+      })),
+      ...signers
+    ];
+
+    let paymentResponse;
+    if (checkout) {
+      // Record the pending escrow, then ask the buyer to pay; the provider
+      // callback funds and activates the escrow
+      await runInTransaction(async (session) => {
+        await transaction.save({ session });
+        await collection.save({ session });
+        await escrow.save({ session });
+      });
 
-    // Fund and activate escrow
-    await escrow.fund();
-    await escrow.activate();
+      const paymentData = {
+        transaction_id: collection.transaction_id,
+        amount: collection.amount,
+        currency,
+        phone_number: customer_phone,
+        customer_email,
+        customer_name,
+        description: `Escrow payment for ${reference || escrow_id}`
+      };
 
-    // Send webhook notification
-    if (webhook_url) {
       try {
-        await webhookService.sendEscrowWebhook(escrow, 'created');
-      } catch (webhookError) {
-        logger.error('Escrow webhook failed:', webhookError);
+        paymentResponse = await provider.initiateCollection(paymentData);
+      } catch (paymentError) {
+        collection.status = 'failed';
+        collection.processing.failed_at = new Date();
+        collection.processing.failure_reason = paymentError.message;
+        await collection.save();
+        await escrowService.expireUnfunded(escrow, 'Payment could not be started');
+
+        logger.logApiError(paymentError, req, { escrow_id, transaction_id: collection.transaction_id });
+
+        return res.status(400).json({
+          error: 'Payment processing failed',
+          message: paymentError.message,
+          escrow_id,
+          transaction_id: collection.transaction_id
+        });
       }
+
+      collection.source.payment_details.transaction_ref = paymentResponse.reference;
+      await collection.save();
+    } else {
+      // Lock the payer's funds and record the hold, the escrow and the journal entry as one unit
+      await runInTransaction(async (session) => {
+        await payerWallet.lockFunds(escrow.holdAmount, { session });
+
+        transaction.status = 'completed';
+        transaction.processing.completed_at = new Date();
+        await transaction.save({ session });
+
+        await escrow.save({ session });
+        await escrow.fund({ session });
+        await escrow.activate({ session });
+
+        await ledgerService.recordEscrowLock(escrow, req.user.userId, { session });
+      });
+    }
+
+    // Buyer OTP conditions email the buyer their code
+    const otps = [...preparedConditions, ...preparedMilestones.flat()].filter(item => item.otp);
+    for (const { condition, otp } of otps) {
+      await conditionService.sendOtp(escrow, condition, otp);
+    }
+
+    // Send webhook notification
+    try {
+      await eventService.emitEscrowEvent(escrow, 'escrow.created');
+    } catch (webhookError) {
+      logger.error('Escrow webhook failed:', webhookError);
     }
 
-    logger.info(`Escrow created: ${escrow_id}`);
+    await auditService.record({
+      action: 'escrow.created',
+      target: { type: 'escrow', id: escrow_id, user_id: req.user.userId },
+      after: { status: escrow.status, amount: escrow.amount, currency: escrow.currency },
+      metadata: { funding_method: escrow.funding.method, collection_id: escrow.funding.collection_id },
+      req
+    });
+
+    logger.info(`Escrow created: ${escrow_id}, funding: ${escrow.funding.method}`);
 
     res.status(201).json({
       message: 'Escrow created successfully',
@@ -166,13 +438,32 @@ const createEscrow = async (req, res) => {
         status: escrow.status,
         parties: escrow.parties,
         conditions: escrow.conditions,
+        milestones: escrow.milestones,
+        participants: escrow.participants,
+        release_policy: escrow.release_policy,
         fees: escrow.fees,
+        funding: escrow.funding,
         timeline: escrow.timeline,
         created_at: escrow.created_at
-      }
+      },
+      // Secrets the third parties behind webhook_callback conditions sign with
+      condition_callbacks: callbackSecrets(escrow),
+      payment: checkout
+        ? {
+          transaction_id: collection.transaction_id,
+          amount: collection.amount,
+          currency: collection.currency,
+          status: collection.status,
+          pay_by: escrow.funding.pay_by,
+          payment_details: paymentResponse
+        }
+        : undefined
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     logger.logApiError(error, req);
     res.status(500).json({
       error: 'Failed to create escrow'
@@ -197,7 +488,8 @@ const getEscrow = async (req, res) => {
     const userWalletIds = userWallets.map(w => w.wallet_id);
     
     const isParty = userWalletIds.includes(escrow.parties.payer.wallet_id) || 
-                   userWalletIds.includes(escrow.parties.payee.wallet_id);
+                   userWalletIds.includes(escrow.parties.payee.wallet_id) ||
+                   escrow.participantsForUser(req.user.userId).length > 0;
 
     if (!isParty) {
       return res.status(403).json({
@@ -213,10 +505,28 @@ const getEscrow = async (req, res) => {
         amount: escrow.amount,
         currency: escrow.currency,
         status: escrow.status,
+        version: escrow.version,
         parties: escrow.parties,
         conditions: escrow.conditions,
+        milestones: escrow.milestones,
+        participants: escrow.getParticipants(),
+        release_policy: escrow.release_policy,
+        signatures: escrow.signatures.map(signature => ({
+          signature_id: signature.signature_id,
+          action: signature.action,
+          target: signature.target,
+          participant_id: signature.participant_id,
+          role: signature.role,
+          milestone_id: signature.milestone_id,
+          condition_id: signature.condition_id,
+          amount: signature.amount,
+          signed_at: signature.signed_at,
+          consumed_at: signature.consumed_at,
+          transaction_id: signature.transaction_id
+        })),
         timeline: escrow.timeline,
         fees: escrow.fees,
+        funding: escrow.funding,
         disputes: escrow.disputes,
         metadata: escrow.metadata,
         created_at: escrow.created_at,
@@ -244,7 +554,8 @@ const getEscrows = async (req, res) => {
     const query = {
       $or: [
         { 'parties.payer.wallet_id': { $in: userWalletIds } },
-        { 'parties.payee.wallet_id': { $in: userWalletIds } }
+        { 'parties.payee.wallet_id': { $in: userWalletIds } },
+        { 'participants.user_id': String(req.user.userId) }
       ]
     };
 
@@ -270,6 +581,7 @@ const getEscrows = async (req, res) => {
         status: escrow.status,
         parties: escrow.parties,
         conditions: escrow.conditions,
+        milestones: escrow.milestones,
         timeline: escrow.timeline,
         created_at: escrow.created_at
       })),
@@ -288,11 +600,111 @@ const getEscrows = async (req, res) => {
   }
 };
 
+// Sign-off still missing signatures under the release policy
+const signaturePending = (res, escrow, signed) => res.status(202).json({
+  message: 'Signature recorded, waiting for more signatures',
+  escrow_id: escrow.escrow_id,
+  signature_id: signed.signature.signature_id,
+  release_rule: escrow.release_policy.rule,
+  signatures: {
+    collected: signed.collected,
+    required: signed.required
+  }
+});
+
+// Sign a condition for the caller; returns the signing result and, once the
+// policy is met, carries out the fulfilment. The evidence is checked against
+// the condition's type before the signature counts.
+const signCondition = async (req, escrow, { condition, milestoneId }) => {
+  const conditionId = String(condition._id);
+  if (condition.party === 'system') {
+    throw httpError(403, 'Access denied', { message: 'This condition is fulfilled by PayLoom once its date is reached' });
+  }
+  if (condition.party === 'third_party') {
+    throw httpError(403, 'Access denied', {
+      message: `This condition is fulfilled by a signed callback from ${condition.config.issuer}`
+    });
+  }
+
+  const proof = await conditionService.verify(escrow, condition, req.body, {
+    milestoneId,
+    userId: String(req.user.userId)
+  });
+
+  const target = `condition:${conditionId}`;
+  const signed = await escrowService.signAction(escrow, {
+    action: 'fulfill_condition',
+    target,
+    userId: req.user.userId,
+    milestoneId,
+    conditionId,
+    party: condition.party,
+    req
+  });
+
+  if (!signed.satisfied) {
+    return { signed };
+  }
+
+  const options = {
+    fulfilledBy: String(req.user.userId),
+    userId: req.user.userId,
+    proof,
+    signatureTarget: target
+  };
+  const result = milestoneId
+    ? await escrowService.fulfillMilestoneCondition(signed.escrow, milestoneId, conditionId, options)
+    : await escrowService.fulfillCondition(signed.escrow, conditionId, options);
+
+  return { signed, ...result };
+};
+
+// Sign a release for the caller and carry it out once the policy is met
+const signRelease = async (req, escrow, { amount, milestoneId }) => {
+  const target = `release:${milestoneId || 'escrow'}:${amount ? Escrow.toMoney(Number(amount)) : 'all'}`;
+  const signed = await escrowService.signAction(escrow, {
+    action: 'release',
+    target,
+    userId: req.user.userId,
+    milestoneId,
+    amount: amount ? Number(amount) : undefined,
+    req
+  });
+
+  if (!signed.satisfied) {
+    return { signed };
+  }
+
+  const result = await escrowService.releaseFunds(signed.escrow, {
+    userId: req.user.userId,
+    amount,
+    milestoneId,
+    signatureTarget: target
+  });
+
+  return { signed, ...result };
+};
+
+// Audit a release that went through
+const auditRelease = (req, released, { transaction, release, milestoneId, trigger }) => auditService.record({
+  action: released.status === 'released' ? 'escrow.released' : 'escrow.partially_released',
+  target: { type: 'escrow', id: released.escrow_id, user_id: released.metadata.user_id },
+  before: { status: 'active' },
+  after: { status: released.status },
+  metadata: {
+    milestone_id: milestoneId,
+    transaction_id: transaction.transaction_id,
+    amount: transaction.net_amount,
+    remaining_amount: release.remaining_amount,
+    trigger
+  },
+  req
+});
+
 // Fulfill escrow condition
 const fulfillCondition = async (req, res) => {
   try {
     const { escrow_id, condition_id } = req.params;
-    const { fulfilled_by, evidence } = req.body;
 
     const escrow = await Escrow.findOne({ escrow_id });
     if (!escrow) {
@@ -301,18 +713,6 @@ const fulfillCondition = async (req, res) => {
       });
     }
 
-    // Check if user is payee (typically the one who fulfills conditions)
-    const userWallets = await Wallet.find({ owner_id: req.user.userId });
-    const userWalletIds = userWallets.map(w => w.wallet_id);
-    
-    const isPayee = userWalletIds.includes(escrow.parties.payee.wallet_id);
-    if (!isPayee) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Only the payee can fulfill conditions'
-      });
-    }
-
     if (escrow.status !== 'active') {
       return res.status(400).json({
         error: 'Escrow is not active',
@@ -320,23 +720,21 @@ const fulfillCondition = async (req, res) => {
       });
     }
 
-    // Fulfill the condition
-    await escrow.fulfillCondition(condition_id, fulfilled_by);
+    const condition = escrow.conditions.id(condition_id);
+    if (!condition) {
+      return res.status(404).json({
+        error: 'Condition not found'
+      });
+    }
 
-    // Add evidence if provided
-    if (evidence && Array.isArray(evidence)) {
-      const condition = escrow.conditions.id(condition_id);
-      if (condition) {
-        evidence.forEach(item => {
-          condition.evidence.push({
-            type: item.type,
-            url: item.url,
-            uploaded_by: fulfilled_by,
-            uploaded_at: new Date()
-          });
-        });
-        await escrow.save();
-      }
+    // The condition's party fulfills it; untyped conditions follow the release policy
+    const result = await signCondition(req, escrow, { condition });
+    if (!result.escrow) {
+      return signaturePending(res, escrow, result.signed);
+    }
+
+    if (result.release) {
+      await auditRelease(req, result.escrow, { ...result, trigger: 'conditions' });
     }
 
     logger.info(`Condition fulfilled: ${escrow_id}, condition: ${condition_id}`);
@@ -345,11 +743,17 @@ const fulfillCondition = async (req, res) => {
       message: 'Condition fulfilled successfully',
       escrow_id: escrow.escrow_id,
       condition_id: condition_id,
-      status: escrow.status,
-      all_conditions_fulfilled: escrow.allConditionsFulfilled
+      status: result.escrow.status,
+      verification: result.escrow.conditions.id(condition_id)?.verification,
+      all_conditions_fulfilled: result.escrow.allConditionsFulfilled,
+      released: !!result.release,
+      transaction_id: result.transaction?.transaction_id
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     logger.logApiError(error, req);
     res.status(500).json({
       error: 'Failed to fulfill condition'
@@ -357,10 +761,11 @@ const fulfillCondition = async (req, res) => {
   }
 };
 
-// Release escrow funds
+// Release escrow funds, all of them or a partial amount
 const releaseEscrow = async (req, res) => {
   try {
     const { escrow_id } = req.params;
+    const { amount } = req.body;
 
     const escrow = await Escrow.findOne({ escrow_id });
     if (!escrow) {
@@ -369,15 +774,64 @@ const releaseEscrow = async (req, res) => {
       });
     }
 
-    // Check if user is payer (typically the one who releases funds)
-    const userWallets = await Wallet.find({ owner_id: req.user.userId });
-    const userWalletIds = userWallets.map(w => w.wallet_id);
-    
-    const isPayer = userWalletIds.includes(escrow.parties.payer.wallet_id);
-    if (!isPayer) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Only the payer can release funds'
+    if (escrow.status !== 'active') {
+      return res.status(400).json({
+        error: 'Escrow is not active',
+        status: escrow.status
+      });
+    }
+
+    // A full release needs all conditions fulfilled; a partial release is at the signers' discretion
+    if (!amount && !escrow.allConditionsFulfilled && escrow.release_settings.require_all_conditions) {
+      return res.status(400).json({
+        error: 'Not all conditions fulfilled',
+        pending_conditions: escrow.conditions.filter(c => !c.fulfilled).length
+      });
+    }
+
+    // The payer releases, unless the release policy hands it to arbiters or approvers
+    const result = await signRelease(req, escrow, { amount });
+    if (!result.escrow) {
+      return signaturePending(res, escrow, result.signed);
+    }
+
+    const { escrow: released, transaction: releaseTransaction, release } = result;
+    await auditRelease(req, released, { transaction: releaseTransaction, release });
+
+    logger.info(`Escrow released: ${escrow_id}, amount: ${release.amount}, remaining: ${release.remaining_amount}`);
+
+    res.json({
+      message: 'Escrow funds released successfully',
+      escrow_id: released.escrow_id,
+      status: released.status,
+      released_amount: releaseTransaction.net_amount,
+      total_released: release.released_amount,
+      remaining_amount: release.remaining_amount,
+      released_at: release.released_at,
+      transaction_id: releaseTransaction.transaction_id
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to release escrow funds'
+    });
+  }
+};
+
+// Release a milestone, in full or a partial amount of it
+const releaseMilestone = async (req, res) => {
+  try {
+    const { escrow_id, milestone_id } = req.params;
+    const { amount } = req.body;
+
+    const escrow = await Escrow.findOne({ escrow_id });
+    if (!escrow) {
+      return res.status(404).json({
+        error: 'Escrow not found'
       });
     }
 
@@ -388,103 +842,224 @@ const releaseEscrow = async (req, res) => {
       });
     }
 
-    // Check if all conditions are fulfilled
-    if (!escrow.allConditionsFulfilled && escrow.release_settings.require_all_conditions) {
+    const milestone = escrow.findMilestone(milestone_id);
+    if (!milestone) {
+      return res.status(404).json({
+        error: 'Milestone not found'
+      });
+    }
+
+    // Releasing a whole milestone needs its conditions fulfilled
+    const pendingConditions = milestone.conditions.filter(c => !c.fulfilled).length;
+    if (!amount && pendingConditions > 0 && escrow.release_settings.require_all_conditions) {
       return res.status(400).json({
-        error: 'Not all conditions fulfilled',
-        pending_conditions: escrow.conditions.filter(c => !c.fulfilled).length
+        error: 'Not all milestone conditions fulfilled',
+        pending_conditions: pendingConditions
       });
     }
 
-    // Get payee wallet
-    const payeeWallet = await Wallet.findOne({ wallet_id: escrow.parties.payee.wallet_id });
-    if (!payeeWallet) {
+    const result = await signRelease(req, escrow, { amount, milestoneId: milestone_id });
+    if (!result.escrow) {
+      return signaturePending(res, escrow, result.signed);
+    }
+
+    const { escrow: released, transaction: releaseTransaction, release } = result;
+    await auditRelease(req, released, { transaction: releaseTransaction, release, milestoneId: milestone_id });
+
+    logger.info(`Escrow milestone released: ${escrow_id}, milestone: ${milestone_id}, amount: ${release.amount}`);
+
+    res.json({
+      message: 'Milestone funds released successfully',
+      escrow_id: released.escrow_id,
+      status: released.status,
+      milestone: released.findMilestone(milestone_id),
+      released_amount: releaseTransaction.net_amount,
+      total_released: release.released_amount,
+      remaining_amount: release.remaining_amount,
+      released_at: release.released_at,
+      transaction_id: releaseTransaction.transaction_id
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to release milestone funds'
+    });
+  }
+};
+
+// Fulfill a milestone condition; the milestone is released once all of its conditions are fulfilled
+const fulfillMilestoneCondition = async (req, res) => {
+  try {
+    const { escrow_id, milestone_id, condition_id } = req.params;
+
+    const escrow = await Escrow.findOne({ escrow_id });
+    if (!escrow) {
       return res.status(404).json({
-        error: 'Payee wallet not found'
+        error: 'Escrow not found'
       });
     }
 
-    // Get the original transaction
-    const transaction = await Transaction.findOne({ transaction_id: escrow.transaction_id });
-    if (!transaction) {
+    if (escrow.status !== 'active') {
+      return res.status(400).json({
+        error: 'Escrow is not active',
+        status: escrow.status
+      });
+    }
+
+    const milestone = escrow.findMilestone(milestone_id);
+    const condition = milestone && milestone.conditions.id(condition_id);
+    if (!condition) {
       return res.status(404).json({
-        error: 'Original transaction not found'
+        error: milestone ? 'Condition not found' : 'Milestone not found'
       });
     }
 
-    // Get payer wallet to unlock funds
-    const payerWallet = await Wallet.findOne({ wallet_id: escrow.parties.payer.wallet_id });
-    if (!payerWallet) {
+    const result = await signCondition(req, escrow, { condition, milestoneId: milestone_id });
+    if (!result.escrow) {
+      return signaturePending(res, escrow, result.signed);
+    }
+
+    if (result.release) {
+      await auditRelease(req, result.escrow, {
+        ...result,
+        milestoneId: milestone_id,
+        trigger: 'milestone_conditions'
+      });
+    }
+
+    logger.info(`Milestone condition fulfilled: ${escrow_id}, milestone: ${milestone_id}, condition: ${condition_id}`);
+
+    res.json({
+      message: 'Condition fulfilled successfully',
+      escrow_id,
+      milestone_id,
+      condition_id,
+      status: result.escrow.status,
+      milestone: result.milestone,
+      released: !!result.release,
+      remaining_amount: result.escrow.remainingAmount,
+      transaction_id: result.transaction?.transaction_id
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fulfill condition'
+    });
+  }
+};
+
+// Callback from the third party behind a webhook_callback condition. Not
+// API key authenticated: the PayLoom-Signature header, made with the
+// condition's callback secret, is what proves the caller.
+const conditionCallback = async (req, res) => {
+  try {
+    const { escrow_id, condition_id } = req.params;
+    const { reference, data } = req.body;
+
+    const escrow = await Escrow.findOne({ escrow_id });
+    const located = escrow && escrow.locateCondition(condition_id);
+    if (!located || located.condition.type !== 'webhook_callback') {
       return res.status(404).json({
-        error: 'Payer wallet not found'
+        error: 'Condition not found'
       });
     }
 
-    // Release funds from escrow
-    await escrow.release();
+    const { condition, milestone } = located;
+    if (!conditionService.verifyCallback(req, escrow, condition)) {
+      logger.logSecurityEvent('condition_callback_signature_invalid', { escrow_id, condition_id }, req);
+      return res.status(401).json({
+        error: 'Invalid signature'
+      });
+    }
 
-    // Unlock funds from payer wallet and transfer to payee
-    await payerWallet.unlockFunds(escrow.amount);
-    await payerWallet.deductFunds(escrow.amount);
-    await payeeWallet.addFunds(transaction.net_amount);
+    if (condition.fulfilled) {
+      return res.json({ received: true, already_fulfilled: true });
+    }
 
-    // Create release transaction
-    const releaseTransaction = new Transaction({
-      transaction_id: `rel_${uuidv4().replace(/-/g, '')}`,
-      type: 'escrow_release',
-      amount: escrow.amount,
-      currency: escrow.currency,
-      fees: escrow.fees,
-      net_amount: transaction.net_amount,
-      source: {
-        wallet_id: escrow.parties.payer.wallet_id,
-        payment_method: 'wallet'
-      },
-      destination: {
-        wallet_id: escrow.parties.payee.wallet_id,
-        payment_method: 'wallet'
-      },
-      escrow_details: {
-        escrow_id: escrow.escrow_id,
-        parties: escrow.parties
-      },
+    const options = {
+      fulfilledBy: `third_party:${condition.config.issuer}`,
+      proof: conditionService.callbackProof(condition, { reference, data })
+    };
+    const result = milestone
+      ? await escrowService.fulfillMilestoneCondition(escrow, milestone.milestone_id, condition._id, options)
+      : await escrowService.fulfillCondition(escrow, condition._id, options);
+
+    await auditService.record({
+      action: 'escrow.condition_fulfilled',
+      actor: { type: 'system', id: options.fulfilledBy },
+      target: { type: 'escrow', id: escrow_id, user_id: escrow.metadata.user_id },
       metadata: {
-        description: `Escrow release: ${escrow.metadata.description}`,
-        user_id: req.user.userId
-      },
-      processing: {
-        initiated_at: new Date(),
-        completed_at: new Date()
+        condition_id,
+        milestone_id: milestone?.milestone_id,
+        condition_type: condition.type,
+        reference,
+        transaction_id: result.transaction?.transaction_id
       },
-      status: 'completed'
+      req
     });
 
-    await releaseTransaction.save();
+    logger.info(`Condition fulfilled by callback: ${escrow_id}, condition: ${condition_id}`);
 
-    // Send webhook notification
-    if (escrow.metadata.webhook_url) {
-      try {
-        await webhookService.sendEscrowWebhook(escrow, 'released');
-      } catch (webhookError) {
-        logger.error('Escrow release webhook failed:', webhookError);
-      }
+    res.json({
+      received: true,
+      escrow_id,
+      condition_id,
+      status: result.escrow.status,
+      released: !!result.release
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
     }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to process condition callback'
+    });
+  }
+};
 
-    logger.info(`Escrow released: ${escrow_id}`);
+// Get the callback secret of a webhook_callback condition, for the merchant
+// to hand to the third party
+const getConditionCallbackSecret = async (req, res) => {
+  try {
+    const { escrow_id, condition_id } = req.params;
 
-    res.json({
-      message: 'Escrow funds released successfully',
-      escrow_id: escrow.escrow_id,
-      status: escrow.status,
-      released_amount: transaction.net_amount,
-      released_at: escrow.timeline.released_at,
-      transaction_id: releaseTransaction.transaction_id
-    });
+    const escrow = await Escrow.findOne({ escrow_id });
+    if (!escrow) {
+      return res.status(404).json({
+        error: 'Escrow not found'
+      });
+    }
+
+    if (escrow.metadata.user_id !== String(req.user.userId)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only the creator of the escrow can see callback secrets'
+      });
+    }
+
+    const callback = callbackSecrets(escrow).find(item => item.condition_id === condition_id);
+    if (!callback) {
+      return res.status(404).json({
+        error: 'Condition not found'
+      });
+    }
+
+    res.json({ escrow_id, ...callback });
 
   } catch (error) {
     logger.logApiError(error, req);
     res.status(500).json({
-      error: 'Failed to release escrow funds'
+      error: 'Failed to fetch callback secret'
     });
   }
 };
@@ -495,7 +1070,7 @@ const refundEscrow = async (req, res) => {
     const { escrow_id } = req.params;
     const { reason } = req.body;
 
-    const escrow = await Escrow.findOne({ escrow_id });
+    let escrow = await Escrow.findOne({ escrow_id });
     if (!escrow) {
       return res.status(404).json({
         error: 'Escrow not found'
@@ -521,86 +1096,275 @@ const refundEscrow = async (req, res) => {
       });
     }
 
-    // Get payer wallet
-    const payerWallet = await Wallet.findOne({ wallet_id: escrow.parties.payer.wallet_id });
-    if (!payerWallet) {
+    // Refund the escrow and return the held amount to the payer's available
+    // balance as one unit
+    const {
+      escrow: refunded,
+      transaction: refundTransaction,
+      previousStatus
+    } = await escrowService.refundFunds(escrow, { userId: req.user.userId, reason });
+    escrow = refunded;
+
+    await auditService.record({
+      action: 'escrow.refunded',
+      target: { type: 'escrow', id: escrow_id, user_id: escrow.metadata.user_id },
+      before: { status: previousStatus },
+      after: { status: escrow.status },
+      metadata: { transaction_id: refundTransaction.transaction_id, reason },
+      req
+    });
+
+    logger.info(`Escrow refunded: ${escrow_id}, reason: ${reason}`);
+
+    res.json({
+      message: 'Escrow refunded successfully',
+      escrow_id: escrow.escrow_id,
+      status: escrow.status,
+      refunded_amount: refundTransaction.amount,
+      refunded_at: escrow.timeline.refunded_at,
+      transaction_id: refundTransaction.transaction_id
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to refund escrow'
+    });
+  }
+};
+
+// Get an escrow's amendments, oldest first
+const getAmendments = async (req, res) => {
+  try {
+    const { escrow_id } = req.params;
+
+    const escrow = await Escrow.findOne({ escrow_id });
+    if (!escrow) {
       return res.status(404).json({
-        error: 'Payer wallet not found'
+        error: 'Escrow not found'
       });
     }
 
-    // Get the original transaction
-    const transaction = await Transaction.findOne({ transaction_id: escrow.transaction_id });
-    if (!transaction) {
-      return res.status(404).json({
-        error: 'Original transaction not found'
+    if (escrow.participantsForUser(req.user.userId).length === 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a party to this escrow'
       });
     }
 
-    // Refund escrow
-    await escrow.refund(reason);
+    res.json({
+      escrow_id: escrow.escrow_id,
+      version: escrow.version,
+      amendments: escrow.amendments.map(serializeAmendment)
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch amendments'
+    });
+  }
+};
+
+// Propose changes to an escrow's amount, conditions, deadlines or description
+const proposeAmendment = async (req, res) => {
+  try {
+    const { escrow_id } = req.params;
+    const { amount, conditions, auto_release_date, expires_at, description, reason } = req.body;
 
-    // Unlock and refund funds to payer
-    await payerWallet.unlockFunds(escrow.amount);
-    await payerWallet.addFunds(transaction.amount); // Full refund including fees
+    const escrow = await Escrow.findOne({ escrow_id });
+    if (!escrow) {
+      return res.status(404).json({
+        error: 'Escrow not found'
+      });
+    }
 
-    // Create refund transaction
-    const refundTransaction = new Transaction({
-      transaction_id: `ref_${uuidv4().replace(/-/g, '')}`,
-      type: 'refund',
-      amount: escrow.amount,
-      currency: escrow.currency,
-      fees: { processing_fee: 0, platform_fee: 0, total_fee: 0 },
-      net_amount: escrow.amount,
-      source: {
-        wallet_id: escrow.escrow_id,
-        payment_method: 'escrow'
-      },
-      destination: {
-        wallet_id: escrow.parties.payer.wallet_id,
-        payment_method: 'wallet'
-      },
-      escrow_details: {
-        escrow_id: escrow.escrow_id,
-        parties: escrow.parties
-      },
-      metadata: {
-        description: `Escrow refund: ${reason}`,
-        user_id: req.user.userId
-      },
-      processing: {
-        initiated_at: new Date(),
-        completed_at: new Date()
+    // Only the terms present in the body change; null clears a deadline
+    const fields = Escrow.AMENDABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to amend',
+        amendable_fields: Escrow.AMENDABLE_FIELDS
+      });
+    }
+    if (fields.includes('conditions') && !Array.isArray(conditions)) {
+      return res.status(400).json({
+        error: 'Conditions must be an array'
+      });
+    }
+
+    const { amendment } = await escrowService.proposeAmendment(escrow, {
+      userId: req.user.userId,
+      fields,
+      changes: {
+        amount: fields.includes('amount') ? Escrow.toMoney(Number(amount)) : undefined,
+        conditions: fields.includes('conditions')
+          ? conditions.map(condition => ({
+            type: condition.type,
+            description: condition.description,
+            party: condition.party,
+            config: condition.config
+          }))
+          : undefined,
+        auto_release_date: auto_release_date ? new Date(auto_release_date) : null,
+        expires_at: expires_at ? new Date(expires_at) : null,
+        description
       },
-      status: 'completed'
+      reason,
+      req
     });
 
-    await refundTransaction.save();
+    logger.info(`Escrow amendment proposed: ${escrow_id}, amendment: ${amendment.amendment_id}`);
 
-    // Send webhook notification
-    if (escrow.metadata.webhook_url) {
-      try {
-        await webhookService.sendEscrowWebhook(escrow, 'refunded');
-      } catch (webhookError) {
-        logger.error('Escrow refund webhook failed:', webhookError);
-      }
+    res.status(201).json({
+      message: 'Amendment proposed, waiting for the other party to consent',
+      escrow_id,
+      amendment: serializeAmendment(amendment)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
     }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to propose amendment'
+    });
+  }
+};
 
-    logger.info(`Escrow refunded: ${escrow_id}, reason: ${reason}`);
+// Consent to an amendment; the last party to consent applies it
+const consentAmendment = async (req, res) => {
+  try {
+    const { escrow_id, amendment_id } = req.params;
+
+    const escrow = await Escrow.findOne({ escrow_id });
+    if (!escrow) {
+      return res.status(404).json({
+        error: 'Escrow not found'
+      });
+    }
+
+    const { escrow: updated, amendment, applied } = await escrowService.consentAmendment(escrow, amendment_id, {
+      userId: req.user.userId,
+      req
+    });
 
     res.json({
-      message: 'Escrow refunded successfully',
-      escrow_id: escrow.escrow_id,
-      status: escrow.status,
-      refunded_amount: escrow.amount,
-      refunded_at: escrow.timeline.refunded_at,
-      transaction_id: refundTransaction.transaction_id
+      message: applied ? 'Amendment applied' : 'Consent recorded, waiting for the other party',
+      escrow_id,
+      status: updated.status,
+      version: updated.version,
+      amount: updated.amount,
+      amendment: serializeAmendment(amendment)
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     logger.logApiError(error, req);
     res.status(500).json({
-      error: 'Failed to refund escrow'
+      error: 'Failed to consent to amendment'
+    });
+  }
+};
+
+// Reject an open amendment
+const rejectAmendment = async (req, res) => {
+  try {
+    const { escrow_id, amendment_id } = req.params;
+    const { reason } = req.body;
+
+    const escrow = await Escrow.findOne({ escrow_id });
+    if (!escrow) {
+      return res.status(404).json({
+        error: 'Escrow not found'
+      });
+    }
+
+    const { amendment } = await escrowService.rejectAmendment(escrow, amendment_id, {
+      userId: req.user.userId,
+      reason,
+      req
+    });
+
+    res.json({
+      message: 'Amendment rejected',
+      escrow_id,
+      amendment: serializeAmendment(amendment)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to reject amendment'
+    });
+  }
+};
+
+// Cancel an escrow that hasn't been activated yet
+const cancelEscrow = async (req, res) => {
+  try {
+    const { escrow_id } = req.params;
+    const { reason = 'Cancelled before activation' } = req.body;
+
+    const escrow = await Escrow.findOne({ escrow_id });
+    if (!escrow) {
+      return res.status(404).json({
+        error: 'Escrow not found'
+      });
+    }
+
+    // Either party, or the merchant that created the escrow
+    const isParty = escrow.metadata.user_id === String(req.user.userId) ||
+                   escrowService.amendmentParticipants(escrow, req.user.userId).length > 0;
+    if (!isParty) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only the payer, the payee or the creator can cancel an escrow'
+      });
+    }
+
+    const {
+      escrow: cancelled,
+      transaction: refundTransaction,
+      previousStatus
+    } = await escrowService.cancelEscrow(escrow, { userId: req.user.userId, reason });
+
+    await auditService.record({
+      action: 'escrow.cancelled',
+      target: { type: 'escrow', id: escrow_id, user_id: cancelled.metadata.user_id },
+      before: { status: previousStatus },
+      after: { status: cancelled.status },
+      metadata: { transaction_id: refundTransaction?.transaction_id, reason },
+      req
+    });
+
+    logger.info(`Escrow cancelled: ${escrow_id}, reason: ${reason}`);
+
+    res.json({
+      message: 'Escrow cancelled successfully',
+      escrow_id,
+      status: cancelled.status,
+      refunded_amount: refundTransaction ? refundTransaction.amount : 0,
+      cancelled_at: cancelled.timeline.cancelled_at,
+      transaction_id: refundTransaction?.transaction_id
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to cancel escrow'
     });
   }
 };
@@ -643,14 +1407,21 @@ const raiseDispute = async (req, res) => {
     await escrow.raiseDispute(req.user.userId, reason, description);
 
     // Send webhook notification
-    if (escrow.metadata.webhook_url) {
-      try {
-        await webhookService.sendEscrowWebhook(escrow, 'disputed');
-      } catch (webhookError) {
-        logger.error('Escrow dispute webhook failed:', webhookError);
-      }
+    try {
+      await eventService.emitEscrowEvent(escrow, 'escrow.disputed');
+    } catch (webhookError) {
+      logger.error('Escrow dispute webhook failed:', webhookError);
     }
 
+    await auditService.record({
+      action: 'escrow.disputed',
+      target: { type: 'escrow', id: escrow_id, user_id: escrow.metadata.user_id },
+      before: { status: 'active' },
+      after: { status: escrow.status },
+      metadata: { dispute_id: escrow.disputes[escrow.disputes.length - 1].dispute_id, reason },
+      req
+    });
+
     logger.info(`Dispute raised: ${escrow_id}, by: ${req.user.userId}`);
 
     res.json({
@@ -697,17 +1468,7 @@ const getDisputes = async (req, res) => {
 
     res.json({
       escrow_id: escrow.escrow_id,
-      disputes: escrow.disputes.map(dispute => ({
-        dispute_id: dispute.dispute_id,
-        raised_by: dispute.raised_by,
-        reason: dispute.reason,
-        description: dispute.description,
-        status: dispute.status,
-        raised_at: dispute.raised_at,
-        resolved_at: dispute.resolved_at,
-        resolution: dispute.resolution,
-        evidence_count: dispute.evidence.length
-      }))
+      disputes: escrow.disputes.map(serializeDispute)
     });
 
   } catch (error) {
@@ -735,10 +1496,10 @@ const addDisputeEvidence = async (req, res) => {
     const userWallets = await Wallet.find({ owner_id: req.user.userId });
     const userWalletIds = userWallets.map(w => w.wallet_id);
     
-    const isParty = userWalletIds.includes(escrow.parties.payer.wallet_id) || 
-                   userWalletIds.includes(escrow.parties.payee.wallet_id);
+    const isPayer = userWalletIds.includes(escrow.parties.payer.wallet_id);
+    const isPayee = userWalletIds.includes(escrow.parties.payee.wallet_id);
 
-    if (!isParty) {
+    if (!isPayer && !isPayee) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You are not a party to this escrow'
@@ -746,36 +1507,39 @@ const addDisputeEvidence = async (req, res) => {
     }
 
     // Find the dispute
-    const dispute = escrow.disputes.id(dispute_id);
+    const dispute = escrow.findDispute(dispute_id);
     if (!dispute) {
       return res.status(404).json({
         error: 'Dispute not found'
       });
     }
 
-    // Add evidence
-    if (evidence && Array.isArray(evidence)) {
-      evidence.forEach(item => {
-        dispute.evidence.push({
-          type: item.type,
-          url: item.url,
-          uploaded_by: req.user.userId,
-          uploaded_at: new Date()
-        });
+    if (!Array.isArray(evidence) || evidence.length === 0) {
+      return res.status(400).json({
+        error: 'Evidence must be a non-empty array'
       });
-      await escrow.save();
     }
 
+    await escrowService.addDisputeEvidence(escrow, dispute, {
+      party: isPayer ? 'payer' : 'payee',
+      userId: req.user.userId,
+      evidence
+    });
+
     logger.info(`Evidence added to dispute: ${escrow_id}, dispute: ${dispute_id}`);
 
     res.json({
       message: 'Evidence added successfully',
       escrow_id: escrow.escrow_id,
       dispute_id: dispute_id,
+      dispute_status: dispute.status,
       evidence_count: dispute.evidence.length
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     logger.logApiError(error, req);
     res.status(500).json({
       error: 'Failed to add dispute evidence'
@@ -789,7 +1553,16 @@ module.exports = {
   getEscrows,
   fulfillCondition,
   releaseEscrow,
+  releaseMilestone,
+  fulfillMilestoneCondition,
+  conditionCallback,
+  getConditionCallbackSecret,
   refundEscrow,
+  getAmendments,
+  proposeAmendment,
+  consentAmendment,
+  rejectAmendment,
+  cancelEscrow,
   raiseDispute,
   getDisputes,
   addDisputeEvidence
@@ -0,0 +1,101 @@
+const Event = require('../models/Event');
+const logger = require('../utils/logger');
+const { EVENT_API_VERSION, EVENT_TYPES } = require('../config/eventTypes');
+
+// List events, newest first, for backfilling missed webhooks
+const getEvents = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      type,
+      object_id,
+      from_date,
+      to_date
+    } = req.query;
+
+    const query = { user_id: String(req.user.userId) };
+
+    // Add filters
+    if (type) query.type = type;
+    if (object_id) query.object_id = object_id;
+
+    if (from_date || to_date) {
+      query.createdAt = {};
+      if (from_date) query.createdAt.$gte = new Date(from_date);
+      if (to_date) query.createdAt.$lte = new Date(to_date);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [events, total] = await Promise.all([
+      Event.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Event.countDocuments(query)
+    ]);
+
+    res.json({
+      events: events.map(event => event.toPayload()),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / parseInt(limit)),
+        total_records: total,
+        has_next: skip + events.length < total,
+        has_prev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch events'
+    });
+  }
+};
+
+// Get a single event
+const getEvent = async (req, res) => {
+  try {
+    const { event_id } = req.params;
+
+    const event = await Event.findOne({
+      event_id,
+      user_id: String(req.user.userId)
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    res.json({
+      event: event.toPayload()
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch event'
+    });
+  }
+};
+
+// Catalog of event types
+const getEventTypes = async (req, res) => {
+  res.json({
+    api_version: EVENT_API_VERSION,
+    event_types: Object.entries(EVENT_TYPES).map(([type, definition]) => ({
+      type,
+      ...definition
+    }))
+  });
+};
+
+module.exports = {
+  getEvents,
+  getEvent,
+  getEventTypes
+};
@@ -0,0 +1,249 @@
+const { v4: uuidv4 } = require('uuid');
+const { validationResult } = require('express-validator');
+const FeeSchedule = require('../models/FeeSchedule');
+const logger = require('../utils/logger');
+const { feeService } = require('../services/feeService');
+const { auditService } = require('../services/auditService');
+
+const serializeSchedule = (schedule) => ({
+  schedule_id: schedule.schedule_id,
+  name: schedule.name,
+  description: schedule.description,
+  merchant_ids: schedule.merchant_ids,
+  is_default: schedule.is_default,
+  status: schedule.status,
+  rules: schedule.rules,
+  created_by: schedule.created_by,
+  updated_by: schedule.updated_by,
+  created_at: schedule.createdAt,
+  updated_at: schedule.updatedAt
+});
+
+// What the audit trail records of a plan
+const scheduleTerms = (schedule) => ({
+  name: schedule.name,
+  merchant_ids: [...schedule.merchant_ids],
+  is_default: schedule.is_default,
+  status: schedule.status,
+  rules: schedule.rules.map(rule => rule.toObject())
+});
+
+// Quote the fee on a transaction before creating it
+const getQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { type, currency = 'KES', payment_method, destination_type } = req.query;
+    const amount = Number(req.query.amount);
+    const merchantId = req.user.userId;
+
+    let quote;
+    let checkout;
+    if (type === 'escrow') {
+      ({ escrow: quote, checkout } = await feeService.quoteEscrow({
+        merchantId,
+        amount,
+        currency,
+        paymentMethod: payment_method
+      }));
+    } else if (type === 'payout') {
+      quote = await feeService.quotePayout({
+        merchantId,
+        destination: { type: destination_type },
+        amount,
+        currency
+      });
+    } else {
+      quote = await feeService.quote({
+        merchantId,
+        type,
+        amount,
+        currency,
+        rail: type === 'wallet_transfer' ? 'internal' : payment_method
+      });
+    }
+
+    res.json({
+      quote,
+      // What the buyer pays at checkout for an escrow funded by payment_method
+      checkout: checkout || undefined,
+      quoted_at: new Date()
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to quote fee'
+    });
+  }
+};
+
+// Pricing plan the merchant is on
+const getSchedule = async (req, res) => {
+  try {
+    const schedule = await feeService.scheduleFor(req.user.userId);
+
+    res.json({
+      schedule: {
+        schedule_id: schedule.schedule_id,
+        name: schedule.name,
+        description: schedule.description,
+        rules: schedule.rules
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch fee schedule'
+    });
+  }
+};
+
+// List pricing plans (admin)
+const getFeeSchedules = async (req, res) => {
+  try {
+    const { status, merchant_id } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (merchant_id) query.merchant_ids = merchant_id;
+
+    const schedules = await FeeSchedule.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      schedules: schedules.map(serializeSchedule)
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch fee schedules'
+    });
+  }
+};
+
+// Create a pricing plan (admin)
+const createFeeSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, merchant_ids = [], is_default = false, rules } = req.body;
+
+    const schedule = new FeeSchedule({
+      schedule_id: `fsch_${uuidv4().replace(/-/g, '')}`,
+      name,
+      description,
+      merchant_ids: merchant_ids.map(String),
+      is_default,
+      rules,
+      created_by: req.admin.id
+    });
+    await schedule.save();
+    await feeService.claimAssignments(schedule);
+
+    await auditService.record({
+      action: 'fee_schedule.created',
+      target: { type: 'fee_schedule', id: schedule.schedule_id },
+      after: scheduleTerms(schedule),
+      req
+    });
+
+    logger.info(`Fee schedule created: ${schedule.schedule_id} by ${req.admin.id}`);
+
+    res.status(201).json({
+      message: 'Fee schedule created',
+      schedule: serializeSchedule(schedule)
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to create fee schedule'
+    });
+  }
+};
+
+// Update a pricing plan: its rules, merchants, default status or status (admin)
+const updateFeeSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schedule = await FeeSchedule.findOne({ schedule_id: req.params.schedule_id });
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Fee schedule not found'
+      });
+    }
+
+    const before = scheduleTerms(schedule);
+    ['name', 'description', 'is_default', 'status', 'rules'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        schedule[field] = req.body[field];
+      }
+    });
+    if (req.body.merchant_ids !== undefined) {
+      schedule.merchant_ids = req.body.merchant_ids.map(String);
+    }
+    // An archived plan prices nobody, so it can't stay the default
+    if (schedule.status === 'archived') {
+      schedule.is_default = false;
+    }
+    schedule.updated_by = req.admin.id;
+
+    await schedule.save();
+    if (schedule.status === 'active') {
+      await feeService.claimAssignments(schedule);
+    }
+
+    await auditService.record({
+      action: 'fee_schedule.updated',
+      target: { type: 'fee_schedule', id: schedule.schedule_id },
+      before,
+      after: scheduleTerms(schedule),
+      req
+    });
+
+    logger.info(`Fee schedule updated: ${schedule.schedule_id} by ${req.admin.id}`);
+
+    res.json({
+      message: 'Fee schedule updated',
+      schedule: serializeSchedule(schedule)
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to update fee schedule'
+    });
+  }
+};
+
+module.exports = {
+  getQuote,
+  getSchedule,
+  getFeeSchedules,
+  createFeeSchedule,
+  updateFeeSchedule
+};
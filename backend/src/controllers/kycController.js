@@ -1,7 +1,7 @@
 const User = require('../models/User');
 const logger = require('../utils/logger');
 const { uploadFile } = require('../services/fileService');
-const { webhookService } = require('../services/webhookService');
+const { eventService } = require('../services/eventService');
 
 // Submit KYC application
 const submitKYC = async (req, res) => {
@@ -73,7 +73,7 @@ const submitKYC = async (req, res) => {
 
     // Send webhook notification
     try {
-      await webhookService.sendKYCWebhook(user, 'submitted');
+      await eventService.emitKYCEvent(user, 'kyc.submitted');
     } catch (webhookError) {
       logger.error('KYC webhook failed:', webhookError);
     }
@@ -197,7 +197,7 @@ const uploadDocuments = async (req, res) => {
     
     if (uploadedDocTypes.length === requiredDocs.length) {
       try {
-        await webhookService.sendKYCWebhook(user, 'submitted');
+        await eventService.emitKYCEvent(user, 'kyc.submitted');
       } catch (webhookError) {
         logger.error('KYC webhook failed:', webhookError);
       }
@@ -1,6 +1,33 @@
-const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
 const Wallet = require('../models/Wallet');
 const logger = require('../utils/logger');
+const { ledgerService } = require('../services/ledgerService');
+
+// Wallet ids owned by the authenticated user
+const getUserWalletIds = async (userId) => {
+  const wallets = await Wallet.find({ owner_id: userId }).select('wallet_id');
+  return wallets.map(w => w.wallet_id);
+};
+
+// Shape a journal entry for API responses
+const formatEntry = (entry) => ({
+  entry_id: entry.entry_id,
+  entry_type: entry.entry_type,
+  transaction_id: entry.transaction_id,
+  amount: entry.amount,
+  currency: entry.currency,
+  description: entry.description,
+  lines: entry.lines.map(line => ({
+    account: line.account,
+    account_type: line.account_type,
+    wallet_id: line.wallet_id,
+    bucket: line.bucket,
+    direction: line.direction,
+    amount: line.amount
+  })),
+  balanced: entry.isBalanced,
+  posted_at: entry.posted_at
+});
 
 // Get ledger entries
 const getLedgerEntries = async (req, res) => {
@@ -13,47 +40,35 @@ const getLedgerEntries = async (req, res) => {
       to_date 
     } = req.query;
 
-    const query = { 'metadata.user_id': req.user.userId };
+    const walletIds = await getUserWalletIds(req.user.userId);
+    const query = { 'lines.wallet_id': { $in: walletIds } };
 
     // Add filters
-    if (entry_type) query.type = entry_type;
+    if (entry_type) query.entry_type = entry_type;
     
     if (from_date || to_date) {
-      query.created_at = {};
-      if (from_date) query.created_at.$gte = new Date(from_date);
-      if (to_date) query.created_at.$lte = new Date(to_date);
+      query.posted_at = {};
+      if (from_date) query.posted_at.$gte = new Date(from_date);
+      if (to_date) query.posted_at.$lte = new Date(to_date);
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const [transactions, total] = await Promise.all([
-      Transaction.find(query)
-        .sort({ created_at: -1 })
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .sort({ posted_at: -1 })
         .skip(skip)
-        .limit(parseInt(limit))
-        .select('transaction_id type amount currency fees net_amount status source destination metadata created_at'),
-      Transaction.countDocuments(query)
+        .limit(parseInt(limit)),
+      LedgerEntry.countDocuments(query)
     ]);
 
     res.json({
-      entries: transactions.map(tx => ({
-        entry_id: tx.transaction_id,
-        entry_type: tx.type,
-        amount: tx.amount,
-        currency: tx.currency,
-        net_amount: tx.net_amount,
-        fees: tx.fees,
-        status: tx.status,
-        source: tx.source,
-        destination: tx.destination,
-        description: tx.metadata.description,
-        created_at: tx.created_at
-      })),
+      entries: entries.map(formatEntry),
       pagination: {
         current_page: parseInt(page),
         total_pages: Math.ceil(total / parseInt(limit)),
         total_records: total,
-        has_next: skip + transactions.length < total,
+        has_next: skip + entries.length < total,
         has_prev: page > 1
       }
     });
@@ -71,33 +86,20 @@ const getLedgerEntry = async (req, res) => {
   try {
     const { entry_id } = req.params;
 
-    const transaction = await Transaction.findOne({
-      transaction_id: entry_id,
-      'metadata.user_id': req.user.userId
+    const walletIds = await getUserWalletIds(req.user.userId);
+    const entry = await LedgerEntry.findOne({
+      entry_id,
+      'lines.wallet_id': { $in: walletIds }
     });
 
-    if (!transaction) {
+    if (!entry) {
       return res.status(404).json({
         error: 'Ledger entry not found'
       });
     }
 
     res.json({
-      entry: {
-        entry_id: transaction.transaction_id,
-        entry_type: transaction.type,
-        amount: transaction.amount,
-        currency: transaction.currency,
-        net_amount: transaction.net_amount,
-        fees: transaction.fees,
-        status: transaction.status,
-        source: transaction.source,
-        destination: transaction.destination,
-        metadata: transaction.metadata,
-        processing: transaction.processing,
-        created_at: transaction.created_at,
-        updated_at: transaction.updated_at
-      }
+      entry: formatEntry(entry)
     });
 
   } catch (error) {
@@ -108,7 +110,7 @@ const getLedgerEntry = async (req, res) => {
   }
 };
 
-// Get account balance summary
+// Get account balance summary, computed from the journal and reconciled against wallet balances
 const getAccountBalance = async (req, res) => {
   try {
     const { currency } = req.query;
@@ -117,17 +119,18 @@ const getAccountBalance = async (req, res) => {
     if (currency) walletQuery.currency = currency;
 
     const wallets = await Wallet.find(walletQuery);
+    const journalBalances = await ledgerService.getWalletBalances(wallets.map(w => w.wallet_id));
 
     const balanceSummary = {
-      total_balance: 0,
-      available_balance: 0,
-      locked_balance: 0,
-      currencies: {}
+      currencies: {},
+      wallets: [],
+      reconciled: true
     };
 
     wallets.forEach(wallet => {
       const currencyKey = wallet.currency;
-      
+      const journal = journalBalances[wallet.wallet_id] || { available: 0, locked: 0, pending: 0 };
+
       if (!balanceSummary.currencies[currencyKey]) {
         balanceSummary.currencies[currencyKey] = {
           available: 0,
@@ -137,16 +140,37 @@ const getAccountBalance = async (req, res) => {
         };
       }
 
-      balanceSummary.currencies[currencyKey].available += wallet.balances.available;
-      balanceSummary.currencies[currencyKey].locked += wallet.balances.locked;
-      balanceSummary.currencies[currencyKey].total += wallet.balances.total;
+      balanceSummary.currencies[currencyKey].available += journal.available;
+      balanceSummary.currencies[currencyKey].locked += journal.locked;
+      balanceSummary.currencies[currencyKey].total += journal.available + journal.locked;
       balanceSummary.currencies[currencyKey].wallet_count += 1;
 
-      // Convert to base currency (simplified - in production, use real exchange rates)
-      const conversionRate = currencyKey === 'USD' ? 100 : (currencyKey === 'EUR' ? 110 : 1);
-      balanceSummary.total_balance += wallet.balances.total * conversionRate;
-      balanceSummary.available_balance += wallet.balances.available * conversionRate;
-      balanceSummary.locked_balance += wallet.balances.locked * conversionRate;
+      // A wallet reconciles when its stored balances match what the journal says
+      const reconciled = Math.round(journal.available * 100) === Math.round(wallet.balances.available * 100) &&
+        Math.round(journal.locked * 100) === Math.round(wallet.balances.locked * 100);
+
+      if (!reconciled) {
+        balanceSummary.reconciled = false;
+        logger.warn('Wallet balance does not match ledger', {
+          wallet_id: wallet.wallet_id,
+          wallet_balances: wallet.balances,
+          journal_balances: journal
+        });
+      }
+
+      balanceSummary.wallets.push({
+        wallet_id: wallet.wallet_id,
+        currency: currencyKey,
+        ledger_balances: {
+          available: journal.available,
+          locked: journal.locked
+        },
+        wallet_balances: {
+          available: wallet.balances.available,
+          locked: wallet.balances.locked
+        },
+        reconciled
+      });
     });
 
     res.json({
@@ -172,25 +196,31 @@ const getLedgerSummary = async (req, res) => {
     if (from_date) dateFilter.$gte = new Date(from_date);
     if (to_date) dateFilter.$lte = new Date(to_date);
 
+    const walletIds = await getUserWalletIds(req.user.userId);
+
     const query = {
-      'metadata.user_id': req.user.userId,
-      ...(Object.keys(dateFilter).length > 0 && { created_at: dateFilter })
+      'lines.wallet_id': { $in: walletIds },
+      ...(Object.keys(dateFilter).length > 0 && { posted_at: dateFilter })
     };
 
-    // Aggregate transaction data
-    const summary = await Transaction.aggregate([
+    // Net movement on the user's wallet accounts, grouped by entry type and currency
+    const summary = await LedgerEntry.aggregate([
       { $match: query },
+      { $unwind: '$lines' },
+      { $match: { 'lines.wallet_id': { $in: walletIds } } },
       {
         $group: {
           _id: {
-            type: '$type',
-            status: '$status',
+            entry_id: '$entry_id',
+            type: '$entry_type',
             currency: '$currency'
           },
-          count: { $sum: 1 },
-          total_amount: { $sum: '$amount' },
-          total_fees: { $sum: '$fees.total_fee' },
-          net_amount: { $sum: '$net_amount' }
+          credits: {
+            $sum: { $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', 0] }
+          },
+          debits: {
+            $sum: { $cond: [{ $eq: ['$lines.direction', 'debit'] }, '$lines.amount', 0] }
+          }
         }
       },
       {
@@ -199,19 +229,9 @@ const getLedgerSummary = async (req, res) => {
             type: '$_id.type',
             currency: '$_id.currency'
           },
-          transactions: {
-            $push: {
-              status: '$_id.status',
-              count: '$count',
-              total_amount: '$total_amount',
-              total_fees: '$total_fees',
-              net_amount: '$net_amount'
-            }
-          },
-          total_count: { $sum: '$count' },
-          total_amount: { $sum: '$total_amount' },
-          total_fees: { $sum: '$total_fees' },
-          net_amount: { $sum: '$net_amount' }
+          total_count: { $sum: 1 },
+          total_credits: { $sum: '$credits' },
+          total_debits: { $sum: '$debits' }
         }
       }
     ]);
@@ -222,31 +242,29 @@ const getLedgerSummary = async (req, res) => {
         from: from_date || 'all time',
         to: to_date || 'now'
       },
-      transaction_types: {},
-      total_transactions: 0,
-      total_volume: 0,
-      total_fees: 0
+      entry_types: {},
+      total_entries: 0,
+      net_change: {}
     };
 
     summary.forEach(item => {
       const typeKey = item._id.type;
       const currencyKey = item._id.currency;
+      const net = item.total_credits - item.total_debits;
 
-      if (!formattedSummary.transaction_types[typeKey]) {
-        formattedSummary.transaction_types[typeKey] = {};
+      if (!formattedSummary.entry_types[typeKey]) {
+        formattedSummary.entry_types[typeKey] = {};
       }
 
-      formattedSummary.transaction_types[typeKey][currencyKey] = {
+      formattedSummary.entry_types[typeKey][currencyKey] = {
         total_count: item.total_count,
-        total_amount: item.total_amount,
-        total_fees: item.total_fees,
-        net_amount: item.net_amount,
-        breakdown: item.transactions
+        total_credits: item.total_credits,
+        total_debits: item.total_debits,
+        net_change: net
       };
 
-      formattedSummary.total_transactions += item.total_count;
-      formattedSummary.total_volume += item.total_amount;
-      formattedSummary.total_fees += item.total_fees;
+      formattedSummary.total_entries += item.total_count;
+      formattedSummary.net_change[currencyKey] = (formattedSummary.net_change[currencyKey] || 0) + net;
     });
 
     res.json({
@@ -261,53 +279,26 @@ const getLedgerSummary = async (req, res) => {
   }
 };
 
-// Get transaction ledger entries
+// Get journal entries posted for a transaction
 const getTransactionLedger = async (req, res) => {
   try {
     const { transaction_id } = req.params;
 
-    const transaction = await Transaction.findOne({
+    const walletIds = await getUserWalletIds(req.user.userId);
+    const entries = await LedgerEntry.find({
       transaction_id,
-      'metadata.user_id': req.user.userId
-    });
+      'lines.wallet_id': { $in: walletIds }
+    }).sort({ posted_at: 1 });
 
-    if (!transaction) {
+    if (entries.length === 0) {
       return res.status(404).json({
         error: 'Transaction not found'
       });
     }
 
-    // Get related wallet transactions
-    const walletTransactions = await Transaction.find({
-      $or: [
-        { 'source.wallet_id': { $in: [transaction.source.wallet_id, transaction.destination.wallet_id] } },
-        { 'destination.wallet_id': { $in: [transaction.source.wallet_id, transaction.destination.wallet_id] } }
-      ],
-      transaction_id: { $ne: transaction_id },
-      created_at: {
-        $gte: new Date(transaction.created_at.getTime() - 24 * 60 * 60 * 1000), // 24 hours before
-        $lte: new Date(transaction.created_at.getTime() + 24 * 60 * 60 * 1000)  // 24 hours after
-      }
-    }).sort({ created_at: -1 });
-
     res.json({
-      main_transaction: {
-        transaction_id: transaction.transaction_id,
-        type: transaction.type,
-        amount: transaction.amount,
-        currency: transaction.currency,
-        status: transaction.status,
-        created_at: transaction.created_at
-      },
-      related_transactions: walletTransactions.map(tx => ({
-        transaction_id: tx.transaction_id,
-        type: tx.type,
-        amount: tx.amount,
-        currency: tx.currency,
-        status: tx.status,
-        relation: tx.source.wallet_id === transaction.source.wallet_id ? 'same_source' : 'related_wallet',
-        created_at: tx.created_at
-      }))
+      transaction_id,
+      entries: entries.map(formatEntry)
     });
 
   } catch (error) {
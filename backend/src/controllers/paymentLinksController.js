@@ -0,0 +1,428 @@
+const { v4: uuidv4 } = require('uuid');
+const { validationResult } = require('express-validator');
+const PaymentLink = require('../models/PaymentLink');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { collectionService } = require('../services/collectionService');
+const { providerService } = require('../services/providerService');
+
+// Hosted checkout page a link opens
+const checkoutUrl = (link) => `${process.env.BASE_URL || 'http://localhost:3000'}/checkout.html?link=${link.link_id}`;
+
+// Merchant's success URL, told which link and payment the buyer comes back from
+const successRedirect = (link, transaction) => {
+  if (!link.success_url) {
+    return null;
+  }
+  const url = new URL(link.success_url);
+  url.searchParams.set('payment_link_id', link.link_id);
+  url.searchParams.set('transaction_id', transaction.transaction_id);
+  return url.toString();
+};
+
+const serializeLink = (link) => ({
+  link_id: link.link_id,
+  url: checkoutUrl(link),
+  title: link.title,
+  description: link.description,
+  amount: link.amount ?? null,
+  min_amount: link.min_amount,
+  max_amount: link.max_amount,
+  currency: link.currency,
+  payment_methods: link.payment_methods,
+  customer_phone: link.customer_phone,
+  success_url: link.success_url,
+  cancel_url: link.cancel_url,
+  expires_at: link.expires_at,
+  status: link.state,
+  stats: {
+    clicks: link.clicks,
+    conversions: link.conversions,
+    conversion_rate: link.clicks ? Number((link.conversions / link.clicks).toFixed(4)) : 0,
+    revenue: link.revenue
+  },
+  deactivated_at: link.deactivated_at,
+  created_at: link.createdAt,
+  updated_at: link.updatedAt
+});
+
+// Why a buyer can't pay through a link any more
+const closedLinkError = (link) => (link.state === 'expired'
+  ? 'This payment link has expired'
+  : 'This payment link is no longer active');
+
+// Create a payment link
+const createPaymentLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      title,
+      description,
+      amount,
+      min_amount,
+      max_amount,
+      currency = 'KES',
+      payment_methods = PaymentLink.CHECKOUT_METHODS,
+      customer_phone,
+      success_url,
+      cancel_url,
+      expires_at
+    } = req.body;
+
+    if (amount !== undefined && (min_amount !== undefined || max_amount !== undefined)) {
+      return res.status(400).json({
+        error: 'min_amount and max_amount only apply when the buyer enters the amount'
+      });
+    }
+
+    if (min_amount !== undefined && max_amount !== undefined && Number(min_amount) > Number(max_amount)) {
+      return res.status(400).json({
+        error: 'min_amount must not exceed max_amount'
+      });
+    }
+
+    if (expires_at && new Date(expires_at) <= new Date()) {
+      return res.status(400).json({
+        error: 'expires_at must be in the future'
+      });
+    }
+
+    // Every method offered must be payable in the link's currency
+    const methods = [...new Set(payment_methods)];
+    for (const method of methods) {
+      await providerService.resolve(method, { merchantId: req.user.userId, currency });
+    }
+
+    const link = await PaymentLink.create({
+      link_id: `plink_${uuidv4().replace(/-/g, '')}`,
+      merchant_id: String(req.user.userId),
+      title,
+      description,
+      amount,
+      min_amount,
+      max_amount,
+      currency,
+      payment_methods: methods,
+      customer_phone,
+      success_url,
+      cancel_url,
+      expires_at
+    });
+
+    logger.info(`Payment link created: ${link.link_id}`);
+
+    res.status(201).json({
+      message: 'Payment link created',
+      payment_link: serializeLink(link)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to create payment link'
+    });
+  }
+};
+
+// List the merchant's payment links
+const getPaymentLinks = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { merchant_id: String(req.user.userId) };
+    const now = new Date();
+    if (status === 'active') {
+      query.status = 'active';
+      query.$or = [{ expires_at: null }, { expires_at: { $gt: now } }];
+    } else if (status === 'expired') {
+      query.status = 'active';
+      query.expires_at = { $lte: now };
+    } else if (status === 'inactive') {
+      query.status = 'inactive';
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [links, total] = await Promise.all([
+      PaymentLink.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PaymentLink.countDocuments(query)
+    ]);
+
+    res.json({
+      payment_links: links.map(serializeLink),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / parseInt(limit)),
+        total_records: total,
+        has_next: skip + links.length < total,
+        has_prev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch payment links'
+    });
+  }
+};
+
+// Get one of the merchant's payment links
+const getPaymentLink = async (req, res) => {
+  try {
+    const link = await PaymentLink.findOne({
+      link_id: req.params.link_id,
+      merchant_id: String(req.user.userId)
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Payment link not found'
+      });
+    }
+
+    res.json({
+      payment_link: serializeLink(link)
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch payment link'
+    });
+  }
+};
+
+// Stop taking payments through a link
+const deactivatePaymentLink = async (req, res) => {
+  try {
+    const link = await PaymentLink.findOneAndUpdate(
+      {
+        link_id: req.params.link_id,
+        merchant_id: String(req.user.userId),
+        status: 'active'
+      },
+      { $set: { status: 'inactive', deactivated_at: new Date() } },
+      { new: true }
+    );
+
+    if (!link) {
+      const exists = await PaymentLink.exists({ link_id: req.params.link_id, merchant_id: String(req.user.userId) });
+      return res.status(exists ? 400 : 404).json({
+        error: exists ? 'Payment link already inactive' : 'Payment link not found'
+      });
+    }
+
+    logger.info(`Payment link deactivated: ${link.link_id}`);
+
+    res.json({
+      message: 'Payment link deactivated',
+      payment_link: serializeLink(link)
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to deactivate payment link'
+    });
+  }
+};
+
+// What the hosted checkout page shows a buyer (public); counts as a click
+const getCheckout = async (req, res) => {
+  try {
+    const link = await PaymentLink.findOne({ link_id: req.params.link_id });
+    if (!link) {
+      return res.status(404).json({
+        error: 'Payment link not found'
+      });
+    }
+
+    if (!link.isOpen()) {
+      return res.status(410).json({
+        error: closedLinkError(link),
+        status: link.state,
+        cancel_url: link.cancel_url
+      });
+    }
+
+    await PaymentLink.updateOne({ link_id: link.link_id }, { $inc: { clicks: 1 } });
+    const merchant = await User.findById(link.merchant_id).select('business_name');
+
+    // The page collects card details itself, with the card provider's publishable key
+    const cardProvider = link.payment_methods.includes('card')
+      ? await providerService.resolve('card', { merchantId: link.merchant_id, currency: link.currency })
+      : null;
+
+    res.json({
+      link_id: link.link_id,
+      merchant: {
+        business_name: merchant?.business_name
+      },
+      title: link.title,
+      description: link.description,
+      amount: link.amount ?? null,
+      min_amount: link.min_amount,
+      max_amount: link.max_amount,
+      currency: link.currency,
+      payment_methods: link.payment_methods,
+      card_publishable_key: cardProvider?.publishableKey,
+      customer_phone: link.customer_phone,
+      cancel_url: link.cancel_url,
+      expires_at: link.expires_at
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to load checkout'
+    });
+  }
+};
+
+// Pay through a link (public): starts a collection for the link's merchant
+const payCheckout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const link = await PaymentLink.findOne({ link_id: req.params.link_id });
+    if (!link) {
+      return res.status(404).json({
+        error: 'Payment link not found'
+      });
+    }
+
+    if (!link.isOpen()) {
+      return res.status(410).json({
+        error: closedLinkError(link),
+        status: link.state
+      });
+    }
+
+    const { payment_method, customer_email, customer_phone, customer_name } = req.body;
+
+    if (!link.payment_methods.includes(payment_method)) {
+      return res.status(400).json({
+        error: 'Payment method not accepted for this link',
+        supported_methods: link.payment_methods
+      });
+    }
+
+    // A fixed amount wins over whatever the buyer sent
+    const amount = link.amount ?? Number(req.body.amount);
+    if (!amount) {
+      return res.status(400).json({
+        error: 'Amount is required'
+      });
+    }
+    if ((link.min_amount && amount < link.min_amount) || (link.max_amount && amount > link.max_amount)) {
+      return res.status(400).json({
+        error: 'Amount is out of range for this link',
+        min_amount: link.min_amount,
+        max_amount: link.max_amount
+      });
+    }
+
+    const { transaction, paymentResponse } = await collectionService.create({
+      merchantId: link.merchant_id,
+      amount,
+      currency: link.currency,
+      payment_method,
+      customer_email,
+      customer_phone,
+      customer_name,
+      description: link.title,
+      reference: link.link_id,
+      payment_link_id: link.link_id,
+      req
+    });
+
+    res.status(201).json({
+      message: 'Payment initiated',
+      payment: {
+        transaction_id: transaction.transaction_id,
+        status: transaction.status,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        payment_method,
+        payment_details: paymentResponse,
+        redirect_url: transaction.status === 'completed' ? successRedirect(link, transaction) : null
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to start payment'
+    });
+  }
+};
+
+// Status of a payment made through a link (public), polled by the checkout page
+const getCheckoutPayment = async (req, res) => {
+  try {
+    const { link_id, transaction_id } = req.params;
+
+    const [link, transaction] = await Promise.all([
+      PaymentLink.findOne({ link_id }),
+      Transaction.findOne({ transaction_id, type: 'collection', 'metadata.payment_link_id': link_id })
+    ]);
+
+    if (!link || !transaction) {
+      return res.status(404).json({
+        error: 'Payment not found'
+      });
+    }
+
+    res.json({
+      transaction_id,
+      status: transaction.status,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      failure_reason: transaction.processing.failure_reason,
+      redirect_url: transaction.status === 'completed' ? successRedirect(link, transaction) : null
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch payment status'
+    });
+  }
+};
+
+module.exports = {
+  createPaymentLink,
+  getPaymentLinks,
+  getPaymentLink,
+  deactivatePaymentLink,
+  getCheckout,
+  payCheckout,
+  getCheckoutPayment
+};
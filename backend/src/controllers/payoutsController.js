@@ -1,264 +1,224 @@
 const { v4: uuidv4 } = require('uuid');
+const { validationResult } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const Wallet = require('../models/Wallet');
 const logger = require('../utils/logger');
-const { 
-  processMpesaPayout, 
-  processBankPayout, 
-  processWalletPayout 
-} = require('../services/payoutService');
-const { webhookService } = require('../services/webhookService');
-
-// Payment rail selection function
-function selectPaymentRail(destination, amount, currency) {
-  if (destination.type === 'wallet') {
-    return {
-      rail: 'internal',
-      fee: 0,
-      instant: true
-    };
+const httpError = require('../utils/httpError');
+const { reversePayout } = require('../services/payoutService');
+const { eventService } = require('../services/eventService');
+const { ledgerService } = require('../services/ledgerService');
+const { auditService } = require('../services/auditService');
+const { feeService } = require('../services/feeService');
+const { providerService } = require('../services/providerService');
+const { runInTransaction } = require('../utils/transaction');
+
+// Debit the merchant's wallet for a payout, journal it and send it through
+// the provider for the destination. Shared by single and bulk payouts, so
+// every payout moves money and posts its ledger entry the same way. Throws
+// an httpError for anything the caller should answer with.
+const processPayout = async ({
+  userId,
+  source_wallet_id,
+  destination,
+  amount,
+  currency = 'KES',
+  reference,
+  description,
+  webhook_url,
+  payout_id = `payout_${uuidv4().replace(/-/g, '')}`,
+  bulk_id
+}) => {
+  if (!source_wallet_id || !destination || !amount) {
+    throw httpError(400, 'source_wallet_id, destination, and amount required');
   }
-  
-  if (destination.type === 'mpesa') {
-    if (amount <= 250000) {
-      return {
-        rail: 'mpesa_b2c',
-        fee: amount * 0.015, // 1.5%
-        instant: true
-      };
-    } else {
-      return {
-        rail: 'mpesa_corporate',
-        fee: 100,
-        instant: false
-      };
-    }
+
+  if (!destination.type || !['mpesa', 'bank', 'wallet'].includes(destination.type)) {
+    throw httpError(400, 'Invalid destination type', { allowed: ['mpesa', 'bank', 'wallet'] });
   }
-  
-  if (destination.type === 'bank') {
-    if (currency === 'KES' && amount < 999999) {
-      return {
-        rail: 'pesalink',
-        fee: 50,
-        instant: true
-      };
-    } else {
-      return {
-        rail: 'rtgs',
-        fee: 150,
-        instant: false
-      };
-    }
+
+  // Payouts only ever leave a wallet the merchant owns
+  const sourceWallet = await Wallet.findOne({
+    wallet_id: source_wallet_id,
+    owner_id: userId
+  });
+
+  if (!sourceWallet) {
+    throw httpError(404, 'Source wallet not found');
   }
-  
-  return {
-    rail: 'unknown',
-    fee: 0,
-    instant: false
-  };
-}
 
-// Create single payout
-const createPayout = async (req, res) => {
-  try {
-    const {
-      source_wallet_id,
-      destination,
-      amount,
-      currency = 'KES',
-      reference,
-      metadata,
-      webhook_url
-    } = req.body;
+  // Select the payment rail and price the payout over it
+  const quote = await feeService.quotePayout({
+    merchantId: userId,
+    destination,
+    amount,
+    currency
+  });
+  const netAmount = quote.net_amount;
+  const totalAmount = quote.gross_amount;
 
-    // Validation
-    if (!source_wallet_id || !destination || !amount) {
-      return res.status(400).json({ 
-        error: 'source_wallet_id, destination, and amount required' 
-      });
-    }
-    
-    if (!destination.type || !['mpesa', 'bank', 'wallet'].includes(destination.type)) {
-      return res.status(400).json({ 
-        error: 'Invalid destination type',
-        allowed: ['mpesa', 'bank', 'wallet']
-      });
-    }
+  // Provider the payout goes out through for this merchant and currency
+  const provider = await providerService.resolve(destination.type, {
+    merchantId: userId,
+    currency
+  });
 
-    // Get source wallet
-    const sourceWallet = await Wallet.findOne({ 
-      wallet_id: source_wallet_id,
-      owner_id: req.user.userId 
+  // Check sufficient balance
+  if (!sourceWallet.hasSufficientFunds(totalAmount)) {
+    throw httpError(400, 'Insufficient balance', {
+      required: totalAmount,
+      available: sourceWallet.balances.available
     });
-    
-    if (!sourceWallet) {
-      return res.status(404).json({ error: 'Source wallet not found' });
-    }
-
-    // Select payment rail and calculate fees
-    const routing = selectPaymentRail(destination, amount, currency);
-    const fees = routing.fee;
-    const netAmount = amount - fees;
-    const totalAmount = amount + fees;
-
-    // Check sufficient balance
-    if (!sourceWallet.hasSufficientFunds(totalAmount)) {
-      return res.status(400).json({ 
-        error: 'Insufficient balance',
-        required: totalAmount,
-        available: sourceWallet.balances.available
-      });
-    }
+  }
 
-    const payout_id = `payout_${uuidv4().replace(/-/g, '')}`;
+  // Create transaction record
+  const transaction = new Transaction({
+    transaction_id: payout_id,
+    type: 'payout',
+    amount: totalAmount,
+    currency,
+    fees: feeService.transactionFees(quote),
+    net_amount: netAmount,
+    source: {
+      wallet_id: source_wallet_id,
+      payment_method: 'wallet'
+    },
+    destination: {
+      wallet_id: destination.type === 'wallet' ? destination.wallet_id : undefined,
+      payment_method: destination.type,
+      provider: provider.name,
+      payment_details: {
+        phone_number: destination.phone,
+        bank_account: destination.bank_account,
+        wallet_id: destination.wallet_id,
+        recipient_name: destination.recipient_name
+      }
+    },
+    metadata: {
+      description: description || `Payout to ${destination.type}`,
+      reference,
+      webhook_url,
+      user_id: userId,
+      bulk_id,
+      rail_used: quote.rail,
+      destination_details: destination,
+      instant: quote.instant
+    },
+    processing: {
+      initiated_at: new Date()
+    },
+    status: 'pending'
+  });
 
-    // Create transaction record
-    const transaction = new Transaction({
-      transaction_id: payout_id,
-      type: 'payout',
-      amount: totalAmount,
-      currency,
-      fees: {
-        processing_fee: fees,
-        platform_fee: 0,
-        total_fee: fees
-      },
-      net_amount: netAmount,
-      source: {
-        wallet_id: source_wallet_id,
-        payment_method: 'wallet'
-      },
-      destination: {
-        payment_method: destination.type,
-        payment_details: {
-          phone_number: destination.phone,
-          bank_account: destination.bank_account,
-          wallet_id: destination.wallet_id,
-          recipient_name: destination.recipient_name
-        }
-      },
-      metadata: {
-        description: `Payout to ${destination.type}`,
-        reference,
-        webhook_url,
-        user_id: req.user.userId,
-        rail_used: routing.rail,
-        destination_details: destination,
-        instant: routing.instant
-      },
-      processing: {
-        initiated_at: new Date()
-      },
-      status: 'pending'
-    });
+  const payoutRequest = {
+    payout_id,
+    amount: netAmount,
+    currency,
+    phone_number: destination.phone,
+    bank_account: destination.bank_account,
+    wallet_id: destination.wallet_id,
+    recipient_name: destination.recipient_name,
+    description: `Payout ${reference || payout_id}`
+  };
 
-    await transaction.save();
+  // Update transaction with the provider's answer
+  const applyPayoutResult = (result) => {
+    transaction.destination.payment_details.transaction_ref = result.reference;
+    transaction.status = result.status;
+    if (result.status === 'completed') {
+      transaction.processing.completed_at = new Date();
+    }
+  };
 
-    // Deduct funds from source wallet
-    await sourceWallet.deductFunds(totalAmount);
+  // Debit the source wallet, journal it and record the payout as one unit.
+  // A payout into another of our wallets is credited in the same unit, so
+  // the money can't be left half-moved.
+  await runInTransaction(async (session) => {
+    await transaction.save({ session });
+    await sourceWallet.deductFunds(totalAmount, { session });
+    await ledgerService.recordPayout(transaction, { session });
+
+    if (provider.internal) {
+      applyPayoutResult(await provider.payout(payoutRequest, { session }));
+      await transaction.save({ session });
+    }
+  });
 
-    // Execute payout based on type
-    let providerReference = null;
-    let payoutStatus = 'processing';
-    
+  // Send the payout through an external provider
+  if (!provider.internal) {
     try {
-      switch (destination.type) {
-        case 'wallet':
-          const walletResult = await processWalletPayout({
-            payout_id,
-            amount: netAmount,
-            wallet_id: destination.wallet_id,
-            description: `Internal transfer: ${reference || payout_id}`
-          });
-          providerReference = walletResult.reference;
-          payoutStatus = walletResult.status;
-          break;
-        
-        case 'mpesa':
-          const mpesaResult = await processMpesaPayout({
-            payout_id,
-            amount: netAmount,
-            phone_number: destination.phone,
-            recipient_name: destination.recipient_name,
-            description: `M-Pesa payout: ${reference || payout_id}`
-          });
-          providerReference = mpesaResult.reference;
-          payoutStatus = mpesaResult.status;
-          break;
-        
-        case 'bank':
-          const bankResult = await processBankPayout({
-            payout_id,
-            amount: netAmount,
-            bank_account: destination.bank_account,
-            recipient_name: destination.recipient_name,
-            description: `Bank transfer: ${reference || payout_id}`
-          });
-          providerReference = bankResult.reference;
-          payoutStatus = bankResult.status;
-          break;
-        
-        default:
-          throw new Error('Unsupported destination type');
-      }
-
-      // Update transaction with provider reference
-      transaction.destination.payment_details.provider_reference = providerReference;
-      transaction.status = payoutStatus;
-      
-      if (payoutStatus === 'completed') {
-        transaction.processing.completed_at = new Date();
-      }
-      
+      applyPayoutResult(await provider.payout(payoutRequest));
       await transaction.save();
 
     } catch (payoutError) {
-      // Mark transaction as failed
-      transaction.status = 'failed';
-      transaction.processing.failed_at = new Date();
-      transaction.processing.failure_reason = payoutError.message;
-      await transaction.save();
+      // Mark transaction as failed and return the debited funds
+      await reversePayout(payout_id, { reason: payoutError.message });
 
-      // Refund if source wallet was used
-      await sourceWallet.addFunds(totalAmount);
+      logger.error(`Payout processing failed: ${payout_id}`, { error: payoutError.message });
 
-      logger.logApiError(payoutError, req, { payout_id });
-      
-      return res.status(400).json({
-        error: 'Payout processing failed',
+      throw httpError(400, 'Payout processing failed', {
         message: payoutError.message,
         payout_id
       });
     }
+  }
 
-    // Send webhook if provided
-    if (webhook_url && transaction.status === 'completed') {
-      try {
-        await webhookService.sendTransactionWebhook(transaction, 'payout.completed');
-      } catch (webhookError) {
-        logger.error('Payout webhook failed:', webhookError);
-      }
+  // Notify subscribed webhook endpoints
+  if (transaction.status === 'completed') {
+    try {
+      await eventService.emitTransactionEvent(transaction, 'payout.succeeded');
+    } catch (webhookError) {
+      logger.error('Payout webhook failed:', webhookError);
     }
+  }
+
+  logger.info(`Payout created: ${payout_id}, status: ${transaction.status}`);
+
+  return { transaction, quote };
+};
+
+// Create single payout
+const createPayout = async (req, res) => {
+  try {
+    const {
+      source_wallet_id,
+      destination,
+      amount,
+      currency = 'KES',
+      reference,
+      webhook_url
+    } = req.body;
 
-    logger.info(`Payout created: ${payout_id}, status: ${payoutStatus}`);
+    const { transaction, quote } = await processPayout({
+      userId: req.user.userId,
+      source_wallet_id,
+      destination,
+      amount,
+      currency,
+      reference,
+      webhook_url
+    });
 
     res.status(201).json({
       success: true,
       payout_id: transaction.transaction_id,
-      status: payoutStatus,
+      status: transaction.status,
       amount: amount,
-      fees: fees,
-      net_amount: netAmount,
-      total_amount: totalAmount,
+      fees: quote.fee,
+      fee_bearer: quote.fee_bearer,
+      net_amount: transaction.net_amount,
+      total_amount: transaction.amount,
       destination: destination,
-      provider_reference: providerReference,
-      rail_used: routing.rail,
-      instant: routing.instant,
-      estimated_arrival: routing.instant ? new Date() : new Date(Date.now() + 3600000),
+      provider_reference: transaction.destination.payment_details.transaction_ref,
+      rail_used: quote.rail,
+      instant: quote.instant,
+      estimated_arrival: quote.instant ? new Date() : new Date(Date.now() + 3600000),
       created_at: transaction.created_at
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     logger.logApiError(error, req);
     res.status(500).json({
       error: 'Failed to create payout'
@@ -266,17 +226,21 @@ const createPayout = async (req, res) => {
   }
 };
 
-// Create bulk payouts
+// Create bulk payouts. Each item is paid out on its own, from the request's
+// source wallet unless the item names another of the merchant's wallets; an
+// item that fails doesn't stop the rest.
 const createBulkPayouts = async (req, res) => {
   try {
-    const { payouts } = req.body;
-
-    if (payouts.length > 100) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Maximum 100 payouts allowed per bulk request'
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
+    const { payouts, source_wallet_id } = req.body;
+
     const bulk_id = 'bulk_' + uuidv4().replace(/-/g, '');
     const results = [];
     let total_amount = 0;
@@ -284,32 +248,47 @@ const createBulkPayouts = async (req, res) => {
 
     // Process each payout
     for (let i = 0; i < payouts.length; i++) {
-      const payoutData = payouts[i];
-      
+      const item = payouts[i];
+
       try {
-        // Create individual payout
-        const payoutResponse = await createPayoutInternal({
-          ...payoutData,
-          bulk_id,
-          user_id: req.user.userId,
-          index: i
+        const { transaction } = await processPayout({
+          userId: req.user.userId,
+          source_wallet_id: item.source_wallet_id || source_wallet_id,
+          destination: {
+            type: item.payment_method,
+            phone: item.recipient_phone,
+            bank_account: item.recipient_bank_account,
+            wallet_id: item.recipient_wallet_id,
+            recipient_name: item.recipient_name
+          },
+          amount: item.amount,
+          currency: item.currency,
+          reference: item.reference,
+          description: item.description,
+          webhook_url: item.webhook_url,
+          payout_id: `${bulk_id}_${i}_${uuidv4().replace(/-/g, '').substring(0, 8)}`,
+          bulk_id
         });
-        
+
         results.push({
           index: i,
           success: true,
-          payout_id: payoutResponse.payout_id,
-          status: payoutResponse.status
+          payout_id: transaction.transaction_id,
+          status: transaction.status
         });
-        
-        total_amount += payoutResponse.total_amount;
-        total_fees += payoutResponse.fees.total_fee;
-        
+
+        total_amount += transaction.amount;
+        total_fees += transaction.fees.total_fee;
+
       } catch (error) {
+        if (!error.status) {
+          logger.logApiError(error, req, { bulk_id, index: i });
+        }
         results.push({
           index: i,
           success: false,
-          error: error.message
+          error: error.status ? error.message : 'Failed to create payout',
+          ...error.details
         });
       }
     }
@@ -340,101 +319,6 @@ const createBulkPayouts = async (req, res) => {
   }
 };
 
-// Internal function to create individual payout (used by bulk payouts)
-const createPayoutInternal = async (payoutData) => {
-  const {
-    amount,
-    currency = 'KES',
-    payment_method,
-    recipient_name,
-    recipient_phone,
-    recipient_bank_account,
-    recipient_wallet_id,
-    description,
-    reference,
-    webhook_url,
-    source_wallet_id,
-    bulk_id,
-    user_id,
-    index
-  } = payoutData;
-
-  const payout_id = bulk_id + '_' + index + '_' + uuidv4().replace(/-/g, '').substring(0, 8);
-
-  // Calculate fees
-  const processing_fee = amount * 0.015;
-  const platform_fee = 0;
-  const total_fee = processing_fee + platform_fee;
-  const total_amount = amount + total_fee;
-  const net_amount = amount;
-
-  // Create transaction
-  const transaction = new Transaction({
-    transaction_id: payout_id,
-    type: 'payout',
-    amount: total_amount,
-    currency,
-    fees: {
-      processing_fee,
-      platform_fee,
-      total_fee
-    },
-    net_amount,
-    source: source_wallet_id ? {
-      wallet_id: source_wallet_id,
-      payment_method: 'wallet'
-    } : {
-      payment_method: 'external'
-    },
-    destination: {
-      payment_method,
-      payment_details: {
-        recipient_name,
-        phone_number: recipient_phone,
-        bank_account: recipient_bank_account,
-        wallet_id: recipient_wallet_id
-      }
-    },
-    metadata: {
-      description,
-      reference,
-      webhook_url,
-      user_id,
-      bulk_id,
-      recipient_name,
-      recipient_phone,
-      recipient_bank_account,
-      recipient_wallet_id
-    },
-    processing: {
-      initiated_at: new Date()
-    },
-    status: 'pending'
-  });
-
-  await transaction.save();
-
-  // Process payout (simplified for bulk processing)
-  let status = 'processing';
-  try {
-    // Add payout processing logic here
-    status = 'processing'; // Default to processing for bulk
-  } catch (error) {
-    status = 'failed';
-    transaction.processing.failure_reason = error.message;
-  }
-
-  transaction.status = status;
-  await transaction.save();
-
-  return {
-    payout_id: transaction.transaction_id,
-    status,
-    total_amount: transaction.amount,
-    fees: transaction.fees
-  };
-};
-
 // Get payout details
 const getPayout = async (req, res) => {
   try {
@@ -628,18 +512,23 @@ const cancelPayout = async (req, res) => {
       });
     }
 
-    // Cancel payout
-    transaction.status = 'cancelled';
-    await transaction.save();
-
-    // Refund if source wallet was used
-    if (transaction.source.wallet_id) {
-      const sourceWallet = await Wallet.findOne({ wallet_id: transaction.source.wallet_id });
-      if (sourceWallet) {
-        await sourceWallet.addFunds(transaction.amount);
-      }
+    // Cancel payout and refund the source wallet
+    const cancelled = await reversePayout(payout_id, { status: 'cancelled' });
+    if (!cancelled) {
+      return res.status(409).json({
+        error: 'Payout is already being settled and can no longer be cancelled'
+      });
     }
 
+    await auditService.record({
+      action: 'payout.cancelled',
+      target: { type: 'payout', id: payout_id, user_id: req.user.userId },
+      before: { status: transaction.status },
+      after: { status: 'cancelled' },
+      metadata: { amount: transaction.amount, currency: transaction.currency },
+      req
+    });
+
     logger.info(`Payout cancelled: ${payout_id}`);
 
     res.json({
@@ -0,0 +1,215 @@
+const { v4: uuidv4 } = require('uuid');
+const { validationResult } = require('express-validator');
+const ProviderRoute = require('../models/ProviderRoute');
+const logger = require('../utils/logger');
+const { providerService } = require('../services/providerService');
+const { auditService } = require('../services/auditService');
+const { DEFAULT_PROVIDERS } = require('../config/paymentProviders');
+
+const serializeRoute = (route) => ({
+  route_id: route.route_id,
+  method: route.method,
+  provider: route.provider,
+  merchant_id: route.merchant_id,
+  currency: route.currency,
+  status: route.status,
+  created_by: route.created_by,
+  updated_by: route.updated_by,
+  created_at: route.createdAt,
+  updated_at: route.updatedAt
+});
+
+// What the audit trail records of a route
+const routeTerms = (route) => ({
+  method: route.method,
+  provider: route.provider,
+  merchant_id: route.merchant_id,
+  currency: route.currency,
+  status: route.status
+});
+
+// Another active route for the same method, merchant and currency
+const findConflict = (route) => ProviderRoute.findOne({
+  route_id: { $ne: route.route_id },
+  method: route.method,
+  merchant_id: route.merchant_id || null,
+  currency: route.currency || null,
+  status: 'active'
+});
+
+// Registered providers and what they can do (admin)
+const getProviders = (req, res) => {
+  res.json({
+    providers: providerService.list().map(provider => ({
+      name: provider.name,
+      methods: provider.methods,
+      currencies: provider.currencies,
+      capabilities: provider.capabilities,
+      default_for: provider.methods.filter(method => DEFAULT_PROVIDERS[method] === provider.name)
+    }))
+  });
+};
+
+// List provider routes (admin)
+const getProviderRoutes = async (req, res) => {
+  try {
+    const { method, merchant_id, status } = req.query;
+
+    const query = {};
+    if (method) query.method = method;
+    if (merchant_id) query.merchant_id = merchant_id;
+    if (status) query.status = status;
+
+    const routes = await ProviderRoute.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      routes: routes.map(serializeRoute)
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch provider routes'
+    });
+  }
+};
+
+// Route a payment method through a provider for a merchant, a currency or both (admin)
+const createProviderRoute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { method, provider, merchant_id, currency } = req.body;
+
+    if (!providerService.get(provider).supports(method, currency)) {
+      return res.status(400).json({
+        error: `${provider} does not handle ${method}${currency ? ` in ${currency}` : ''} payments`
+      });
+    }
+
+    const route = new ProviderRoute({
+      route_id: `prt_${uuidv4().replace(/-/g, '')}`,
+      method,
+      provider,
+      merchant_id: merchant_id ? String(merchant_id) : undefined,
+      currency,
+      created_by: req.admin.id
+    });
+
+    const conflict = await findConflict(route);
+    if (conflict) {
+      return res.status(409).json({
+        error: 'An active route already covers this method, merchant and currency',
+        route_id: conflict.route_id
+      });
+    }
+
+    await route.save();
+
+    await auditService.record({
+      action: 'provider_route.created',
+      target: { type: 'provider_route', id: route.route_id, user_id: route.merchant_id },
+      after: routeTerms(route),
+      req
+    });
+
+    logger.info(`Provider route created: ${route.route_id} by ${req.admin.id}`);
+
+    res.status(201).json({
+      message: 'Provider route created',
+      route: serializeRoute(route)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to create provider route'
+    });
+  }
+};
+
+// Switch a route to another provider, or disable or re-enable it (admin)
+const updateProviderRoute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const route = await ProviderRoute.findOne({ route_id: req.params.route_id });
+    if (!route) {
+      return res.status(404).json({
+        error: 'Provider route not found'
+      });
+    }
+
+    const before = routeTerms(route);
+    ['provider', 'status'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        route[field] = req.body[field];
+      }
+    });
+
+    if (!providerService.get(route.provider).supports(route.method, route.currency)) {
+      return res.status(400).json({
+        error: `${route.provider} does not handle ${route.method}${route.currency ? ` in ${route.currency}` : ''} payments`
+      });
+    }
+
+    if (route.status === 'active') {
+      const conflict = await findConflict(route);
+      if (conflict) {
+        return res.status(409).json({
+          error: 'An active route already covers this method, merchant and currency',
+          route_id: conflict.route_id
+        });
+      }
+    }
+
+    route.updated_by = req.admin.id;
+    await route.save();
+
+    await auditService.record({
+      action: 'provider_route.updated',
+      target: { type: 'provider_route', id: route.route_id, user_id: route.merchant_id },
+      before,
+      after: routeTerms(route),
+      req
+    });
+
+    logger.info(`Provider route updated: ${route.route_id} by ${req.admin.id}`);
+
+    res.json({
+      message: 'Provider route updated',
+      route: serializeRoute(route)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to update provider route'
+    });
+  }
+};
+
+module.exports = {
+  getProviders,
+  getProviderRoutes,
+  createProviderRoute,
+  updateProviderRoute
+};
@@ -2,8 +2,11 @@ const { v4: uuidv4 } = require('uuid');
 const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const logger = require('../utils/logger');
-const { processMpesaPayment } = require('../services/paymentService');
-const { webhookService } = require('../services/webhookService');
+const { eventService } = require('../services/eventService');
+const { ledgerService } = require('../services/ledgerService');
+const { feeService } = require('../services/feeService');
+const { providerService } = require('../services/providerService');
+const { runInTransaction } = require('../utils/transaction');
 
 // Create wallet
 const createWallet = async (req, res) => {
@@ -219,12 +222,22 @@ const fundWallet = async (req, res) => {
       });
     }
 
-    // Calculate fees (1.5% for funding)
-    const processing_fee = amount * 0.015;
-    const platform_fee = 0;
-    const total_fee = processing_fee + platform_fee;
-    const total_amount = amount + total_fee;
-    const net_amount = amount;
+    // Price the top-up over the payment method it comes in by
+    const quote = await feeService.quote({
+      merchantId: req.user.userId,
+      type: 'wallet_funding',
+      amount,
+      currency,
+      rail: payment_method
+    });
+    const total_amount = quote.gross_amount;
+    const net_amount = quote.net_amount;
+
+    // Provider the payment method goes through for this merchant and currency
+    const provider = await providerService.resolve(payment_method, {
+      merchantId: req.user.userId,
+      currency
+    });
 
     // Create funding transaction
     const transaction = new Transaction({
@@ -232,16 +245,13 @@ const fundWallet = async (req, res) => {
       type: 'wallet_funding',
       amount: total_amount,
       currency,
-      fees: {
-        processing_fee,
-        platform_fee,
-        total_fee
-      },
+      fees: feeService.transactionFees(quote),
       net_amount,
       source: {
         payment_method,
+        provider: provider.name,
         payment_details: {
-          reference
+          phone_number: req.body.phone_number
         }
       },
       destination: {
@@ -262,40 +272,29 @@ const fundWallet = async (req, res) => {
 
     await transaction.save();
 
-    // Process payment based on method
+    // Ask the payer to pay through the provider
     let paymentResponse;
     try {
-      switch (payment_method) {
-        case 'mpesa':
-          paymentResponse = await processMpesaPayment({
-            amount: total_amount,
-            phone_number: req.body.phone_number,
-            reference: transaction.transaction_id,
-            description: `Fund wallet ${wallet_id}`
-          });
-          break;
-        
-        case 'card':
-          // Process card payment (mock)
-          paymentResponse = { status: 'completed', reference: transaction.transaction_id };
-          break;
-        
-        case 'bank':
-          // Process bank transfer (mock)
-          paymentResponse = { status: 'pending', reference: transaction.transaction_id };
-          break;
-        
-        default:
-          throw new Error('Unsupported payment method');
-      }
+      paymentResponse = await provider.initiateCollection({
+        transaction_id: transaction.transaction_id,
+        amount: total_amount,
+        currency,
+        phone_number: req.body.phone_number,
+        description: `Fund wallet ${wallet_id}`
+      });
+      transaction.source.payment_details.transaction_ref = paymentResponse.reference;
 
       // Update transaction status
       if (paymentResponse.status === 'completed') {
         transaction.status = 'completed';
         transaction.processing.completed_at = new Date();
         
-        // Add funds to wallet
-        await wallet.addFunds(net_amount);
+        // Credit the wallet, journal it and complete the transaction as one unit
+        await runInTransaction(async (session) => {
+          await wallet.addFunds(net_amount, { session });
+          await ledgerService.recordFunding(transaction, wallet.wallet_id, { session });
+          await transaction.save({ session });
+        });
         
         logger.logTransaction({
           transaction_id: transaction.transaction_id,
@@ -307,9 +306,8 @@ const fundWallet = async (req, res) => {
         });
       } else {
         transaction.status = 'processing';
+        await transaction.save();
       }
-      
-      await transaction.save();
 
     } catch (paymentError) {
       transaction.status = 'failed';
@@ -326,10 +324,10 @@ const fundWallet = async (req, res) => {
       });
     }
 
-    // Send webhook if provided
-    if (webhook_url && transaction.status === 'completed') {
+    // Notify subscribed webhook endpoints
+    if (transaction.status === 'completed') {
       try {
-        await webhookService.sendWalletWebhook(wallet, 'funded', {
+        await eventService.emitWalletEvent(wallet, 'wallet.funded', {
           transaction_id: transaction.transaction_id,
           amount: net_amount
         });
@@ -358,6 +356,9 @@ const fundWallet = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     logger.logApiError(error, req);
     res.status(500).json({
       error: 'Failed to fund wallet'
@@ -388,33 +389,33 @@ const withdrawFromWallet = async (req, res) => {
       });
     }
 
-    // Check sufficient balance
-    if (!wallet.hasSufficientFunds(amount)) {
+    // Price the withdrawal over the payment method it goes out by
+    const quote = await feeService.quote({
+      merchantId: req.user.userId,
+      type: 'wallet_withdrawal',
+      amount,
+      currency: wallet.currency,
+      rail: payment_method
+    });
+    const total_amount = quote.gross_amount;
+    const net_amount = quote.net_amount;
+
+    // Check sufficient balance, fee included
+    if (!wallet.hasSufficientFunds(total_amount)) {
       return res.status(400).json({
         error: 'Insufficient balance',
         available_balance: wallet.balances.available,
-        requested_amount: amount
+        requested_amount: total_amount
       });
     }
 
-    // Calculate fees (1.5% for withdrawal)
-    const processing_fee = amount * 0.015;
-    const platform_fee = 0;
-    const total_fee = processing_fee + platform_fee;
-    const total_amount = amount + total_fee;
-    const net_amount = amount;
-
     // Create withdrawal transaction
     const transaction = new Transaction({
       transaction_id: `withdraw_${uuidv4().replace(/-/g, '')}`,
       type: 'wallet_withdrawal',
       amount: total_amount,
       currency: wallet.currency,
-      fees: {
-        processing_fee,
-        platform_fee,
-        total_fee
-      },
+      fees: feeService.transactionFees(quote),
       net_amount,
       source: {
         wallet_id,
@@ -435,10 +436,13 @@ const withdrawFromWallet = async (req, res) => {
       status: 'pending'
     });
 
-    await transaction.save();
-
-    // Deduct funds from wallet
-    await wallet.deductFunds(total_amount);
+    // Debit the wallet and journal it together with the transaction record
+    await runInTransaction(async (session) => {
+      transaction.status = 'processing';
+      await transaction.save({ session });
+      await wallet.deductFunds(total_amount, { session });
+      await ledgerService.recordPayout(transaction, { session });
+    });
 
     // Process withdrawal (mock for now)
     const withdrawalResponse = {
@@ -447,10 +451,6 @@ const withdrawFromWallet = async (req, res) => {
       estimated_completion: '2-5 business days'
     };
 
-    // Update transaction
-    transaction.status = 'processing';
-    await transaction.save();
-
     logger.info(`Wallet withdrawal: ${wallet_id}, amount: ${net_amount}`);
 
     res.status(201).json({
@@ -471,6 +471,9 @@ const withdrawFromWallet = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     logger.logApiError(error, req);
     res.status(500).json({
       error: 'Failed to process withdrawal'
@@ -517,31 +520,33 @@ const transferFunds = async (req, res) => {
       });
     }
 
-    // Check sufficient balance
-    if (!sourceWallet.hasSufficientFunds(amount)) {
+    // Price the transfer
+    const quote = await feeService.quote({
+      merchantId: req.user.userId,
+      type: 'wallet_transfer',
+      amount,
+      currency: sourceWallet.currency,
+      rail: 'internal'
+    });
+    const total_amount = quote.gross_amount;
+    const net_amount = quote.net_amount;
+
+    // Check sufficient balance, fee included
+    if (!sourceWallet.hasSufficientFunds(total_amount)) {
       return res.status(400).json({
         error: 'Insufficient balance',
         available_balance: sourceWallet.balances.available,
-        requested_amount: amount
+        requested_amount: total_amount
       });
     }
 
-    // Calculate transfer fee (0.5% for internal transfers)
-    const transfer_fee = amount * 0.005;
-    const total_amount = amount + transfer_fee;
-    const net_amount = amount;
-
     // Create transfer transaction
     const transaction = new Transaction({
       transaction_id: `transfer_${uuidv4().replace(/-/g, '')}`,
       type: 'wallet_transfer',
       amount: total_amount,
       currency: sourceWallet.currency,
-      fees: {
-        processing_fee: 0,
-        platform_fee: transfer_fee,
-        total_fee: transfer_fee
-      },
+      fees: feeService.transactionFees(quote, 'platform_fee'),
       net_amount,
       source: {
         wallet_id: sourceWallet.wallet_id,
@@ -563,11 +568,13 @@ const transferFunds = async (req, res) => {
       status: 'completed'
     });
 
-    await transaction.save();
-
-    // Process transfer
-    await sourceWallet.deductFunds(total_amount);
-    await recipientWallet.addFunds(net_amount);
+    // Debit, credit, journal and record the transfer as one atomic unit
+    await runInTransaction(async (session) => {
+      await transaction.save({ session });
+      await sourceWallet.deductFunds(total_amount, { session });
+      await recipientWallet.addFunds(net_amount, { session });
+      await ledgerService.recordTransfer(transaction, { session });
+    });
 
     logger.logTransaction({
       transaction_id: transaction.transaction_id,
@@ -580,12 +587,12 @@ const transferFunds = async (req, res) => {
 
     // Send webhooks
     try {
-      await webhookService.sendWalletWebhook(sourceWallet, 'debit', {
+      await eventService.emitWalletEvent(sourceWallet, 'wallet.debited', {
         transaction_id: transaction.transaction_id,
         amount: total_amount
       });
       
-      await webhookService.sendWalletWebhook(recipientWallet, 'credit', {
+      await eventService.emitWalletEvent(recipientWallet, 'wallet.credited', {
         transaction_id: transaction.transaction_id,
         amount: net_amount
       });
@@ -612,6 +619,9 @@ const transferFunds = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     logger.logApiError(error, req);
     res.status(500).json({
       error: 'Failed to process transfer'
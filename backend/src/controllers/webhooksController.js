@@ -1,80 +1,50 @@
 const crypto = require('crypto');
+const { validationResult } = require('express-validator');
 const Transaction = require('../models/Transaction');
-const Wallet = require('../models/Wallet');
 const Escrow = require('../models/Escrow');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
 const logger = require('../utils/logger');
 const { webhookService } = require('../services/webhookService');
+const { providerService } = require('../services/providerService');
+const { settlementService } = require('../services/settlementService');
 
-// M-Pesa C2B Confirmation
-const mpesaC2BConfirmation = async (req, res) => {
+// Handle a payment provider's callback: verify it came from the provider,
+// turn it into a provider-neutral event and apply it
+const providerCallback = (name) => async (req, res) => {
+  let provider;
   try {
-    const { 
-      TransactionType, 
-      TransID, 
-      TransTime, 
-      TransAmount, 
-      BusinessShortCode, 
-      BillRefNumber,
-      MSISDN,
-      FirstName 
-    } = req.body;
-
-    logger.info('M-Pesa C2B Confirmation received:', { TransID, TransAmount, BillRefNumber });
-
-    // Find the transaction
-    const transaction = await Transaction.findOne({
-      transaction_id: BillRefNumber,
-      type: 'collection',
-      status: 'pending'
-    });
-
-    if (!transaction) {
-      logger.warn('Transaction not found for M-Pesa confirmation:', BillRefNumber);
-      return res.json({ ResultCode: 0, ResultDesc: 'Success' });
-    }
+    provider = providerService.get(name || req.params.provider);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
 
-    // Update transaction status
-    transaction.status = 'completed';
-    transaction.processing.completed_at = new Date();
-    transaction.source.payment_details.mpesa_transaction_id = TransID;
-    transaction.source.payment_details.mpesa_phone = MSISDN;
-    await transaction.save();
-
-    // Credit destination wallet
-    if (transaction.destination.wallet_id) {
-      const wallet = await Wallet.findOne({ wallet_id: transaction.destination.wallet_id });
-      if (wallet) {
-        await wallet.addFunds(transaction.net_amount);
-      }
+  try {
+    if (!provider.verifyCallback(req)) {
+      logger.logSecurityEvent('provider_callback_rejected', { provider: provider.name }, req);
+      return res.status(401).json(provider.callbackResponse(false));
     }
 
-    // Send webhook to client
-    if (transaction.metadata.webhook_url) {
-      try {
-        await webhookService.sendTransactionWebhook(transaction, 'collection.completed');
-      } catch (webhookError) {
-        logger.error('Collection webhook failed:', webhookError);
-      }
+    const event = provider.parseCallback(req);
+    if (event) {
+      logger.info(`${provider.name} callback received:`, event);
+      await settlementService.applyEvent(provider, event);
     }
 
-    logger.logTransaction({
-      transaction_id: transaction.transaction_id,
-      type: 'collection',
-      amount: parseFloat(TransAmount),
-      currency: transaction.currency,
-      status: 'completed',
-      provider: 'mpesa',
-      provider_transaction_id: TransID
-    });
-
-    res.json({ ResultCode: 0, ResultDesc: 'Success' });
+    res.json(provider.callbackResponse(true));
 
   } catch (error) {
-    logger.error('M-Pesa C2B confirmation error:', error);
-    res.json({ ResultCode: 1, ResultDesc: 'Failed' });
+    logger.error(`${provider.name} callback error:`, error);
+    res.status(500).json(provider.callbackResponse(false));
   }
 };
 
+// M-Pesa STK push result, matched to its collection or funding by CheckoutRequestID
+const mpesaSTKCallback = providerCallback('mpesa');
+
+// M-Pesa C2B Confirmation
+const mpesaC2BConfirmation = providerCallback('mpesa');
+
 // M-Pesa C2B Validation
 const mpesaC2BValidation = async (req, res) => {
   try {
@@ -82,6 +52,10 @@ const mpesaC2BValidation = async (req, res) => {
 
     logger.info('M-Pesa C2B Validation received:', { TransID, TransAmount, BillRefNumber });
 
+    if (!providerService.get('mpesa').verifyCallback(req)) {
+      return res.json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
     // Validate the transaction exists and amount matches
     const transaction = await Transaction.findOne({
       transaction_id: BillRefNumber,
@@ -98,6 +72,17 @@ const mpesaC2BValidation = async (req, res) => {
       return res.json({ ResultCode: 1, ResultDesc: 'Amount mismatch' });
     }
 
+    // Refuse payments for a checkout escrow that has expired
+    if (transaction.escrow_details?.escrow_id) {
+      const escrow = await Escrow.findOne({
+        escrow_id: transaction.escrow_details.escrow_id,
+        status: 'pending'
+      });
+      if (!escrow) {
+        return res.json({ ResultCode: 1, ResultDesc: 'Escrow no longer awaiting payment' });
+      }
+    }
+
     // Accept the transaction
     res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
 
@@ -108,151 +93,16 @@ const mpesaC2BValidation = async (req, res) => {
 };
 
 // M-Pesa B2C Result
-const mpesaB2CResult = async (req, res) => {
-  try {
-    const { Result } = req.body;
-    
-    logger.info('M-Pesa B2C Result received:', Result);
-
-    const { 
-      ConversationID, 
-      TransactionID, 
-      ResultCode, 
-      ResultDesc,
-      OriginatorConversationID,
-      ResultParameters 
-    } = Result;
-
-    // Find the payout transaction
-    const transaction = await Transaction.findOne({
-      transaction_id: { $regex: OriginatorConversationID },
-      type: 'payout',
-      status: { $in: ['pending', 'processing'] }
-    });
-
-    if (!transaction) {
-      logger.warn('Payout transaction not found for B2C result:', OriginatorConversationID);
-      return res.json({ ResultCode: 0, ResultDesc: 'Success' });
-    }
-
-    if (ResultCode === 0) {
-      // Success
-      transaction.status = 'completed';
-      transaction.processing.completed_at = new Date();
-      transaction.destination.payment_details.mpesa_transaction_id = TransactionID;
-      
-      logger.info('Payout completed:', { transaction_id: transaction.transaction_id, TransactionID });
-    } else {
-      // Failed
-      transaction.status = 'failed';
-      transaction.processing.failed_at = new Date();
-      transaction.processing.failure_reason = ResultDesc;
-      
-      // Refund if source wallet was used
-      if (transaction.source.wallet_id) {
-        const sourceWallet = await Wallet.findOne({ wallet_id: transaction.source.wallet_id });
-        if (sourceWallet) {
-          await sourceWallet.addFunds(transaction.amount);
-        }
-      }
-      
-      logger.error('Payout failed:', { transaction_id: transaction.transaction_id, ResultDesc });
-    }
-
-    await transaction.save();
-
-    // Send webhook
-    if (transaction.metadata.webhook_url) {
-      try {
-        await webhookService.sendTransactionWebhook(transaction, `payout.${transaction.status}`);
-      } catch (webhookError) {
-        logger.error('Payout webhook failed:', webhookError);
-      }
-    }
-
-    res.json({ ResultCode: 0, ResultDesc: 'Success' });
-
-  } catch (error) {
-    logger.error('M-Pesa B2C result error:', error);
-    res.json({ ResultCode: 1, ResultDesc: 'Failed' });
-  }
-};
+const mpesaB2CResult = providerCallback('mpesa');
 
 // M-Pesa B2C Timeout
-const mpesaB2CTimeout = async (req, res) => {
-  try {
-    const { OriginatorConversationID } = req.body;
-
-    logger.warn('M-Pesa B2C Timeout received:', { OriginatorConversationID });
-
-    // Find and mark transaction as failed
-    const transaction = await Transaction.findOne({
-      transaction_id: { $regex: OriginatorConversationID },
-      type: 'payout',
-      status: { $in: ['pending', 'processing'] }
-    });
-
-    if (transaction) {
-      transaction.status = 'failed';
-      transaction.processing.failed_at = new Date();
-      transaction.processing.failure_reason = 'B2C timeout';
-      await transaction.save();
-
-      // Refund if source wallet was used
-      if (transaction.source.wallet_id) {
-        const sourceWallet = await Wallet.findOne({ wallet_id: transaction.source.wallet_id });
-        if (sourceWallet) {
-          await sourceWallet.addFunds(transaction.amount);
-        }
-      }
-    }
-
-    res.json({ ResultCode: 0, ResultDesc: 'Success' });
-
-  } catch (error) {
-    logger.error('M-Pesa B2C timeout error:', error);
-    res.json({ ResultCode: 1, ResultDesc: 'Failed' });
-  }
-};
+const mpesaB2CTimeout = providerCallback('mpesa');
 
 // Stripe Webhook
-const stripeWebhook = async (req, res) => {
-  try {
-    const sig = req.headers['stripe-signature'];
-    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-    if (!sig || !webhookSecret) {
-      return res.status(400).json({ error: 'Stripe webhook configuration missing' });
-    }
-
-    // Verify webhook signature
-    let event;
-    try {
-      event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-    } catch (err) {
-      logger.error('Stripe webhook signature verification failed:', err);
-      return res.status(400).json({ error: 'Invalid signature' });
-    }
-
-    // Handle different event types
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handleStripePaymentSuccess(event.data.object);
-        break;
-      case 'payment_intent.payment_failed':
-        await handleStripePaymentFailure(event.data.object);
-        break;
-      default:
-        logger.info('Unhandled Stripe event:', event.type);
-    }
+const stripeWebhook = providerCallback('stripe');
 
-    res.json({ received: true });
-
-  } catch (error) {
-    logger.error('Stripe webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
-  }
-};
+// Callback of any registered provider, at /webhooks/providers/:provider
+const providerWebhook = providerCallback();
 
 // Flutterwave Webhook
 const flutterwaveWebhook = async (req, res) => {
@@ -286,53 +136,20 @@ const flutterwaveWebhook = async (req, res) => {
 };
 
 // Bank Confirmation
-const bankConfirmation = async (req, res) => {
-  try {
-    const { transaction_id, status, amount, reference } = req.body;
-
-    logger.info('Bank confirmation received:', { transaction_id, status, amount });
-
-    // Find and update transaction
-    const transaction = await Transaction.findOne({
-      transaction_id,
-      status: { $in: ['pending', 'processing'] }
-    });
-
-    if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
-    }
-
-    if (status === 'completed') {
-      transaction.status = 'completed';
-      transaction.processing.completed_at = new Date();
-      
-      // Credit destination wallet
-      if (transaction.destination.wallet_id) {
-        const wallet = await Wallet.findOne({ wallet_id: transaction.destination.wallet_id });
-        if (wallet) {
-          await wallet.addFunds(transaction.net_amount);
-        }
-      }
-    } else {
-      transaction.status = 'failed';
-      transaction.processing.failed_at = new Date();
-      transaction.processing.failure_reason = 'Bank transfer failed';
-    }
-
-    await transaction.save();
-
-    res.json({ status: 'success' });
-
-  } catch (error) {
-    logger.error('Bank confirmation error:', error);
-    res.status(500).json({ error: 'Processing failed' });
-  }
-};
+const bankConfirmation = providerCallback('bank');
 
 // Create webhook for user
 const createWebhook = async (req, res) => {
   try {
-    const { url, events, secret } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { url, events, description, secret } = req.body;
 
     // Validate webhook URL (ping test)
     const testResponse = await fetch(url, {
@@ -348,35 +165,23 @@ const createWebhook = async (req, res) => {
       });
     }
 
-    const webhook_id = `wh_${crypto.randomBytes(16).toString('hex')}`;
-    const webhook_secret = secret || crypto.randomBytes(32).toString('hex');
-
-    // Store webhook configuration (in production, save to database)
-    const webhookConfig = {
-      webhook_id,
-      user_id: req.user.userId,
+    const webhook = new WebhookEndpoint({
+      webhook_id: `wh_${crypto.randomBytes(16).toString('hex')}`,
+      user_id: String(req.user.userId),
       url,
       events,
-      secret: webhook_secret,
-      active: true,
-      created_at: new Date()
-    };
-
-    // For now, store in memory (in production, use database)
-    if (!global.webhooks) global.webhooks = {};
-    global.webhooks[webhook_id] = webhookConfig;
+      description,
+      secret
+    });
+    await webhook.save();
 
-    logger.info(`Webhook created: ${webhook_id} for user: ${req.user.userId}`);
+    logger.info(`Webhook created: ${webhook.webhook_id} for user: ${req.user.userId}`);
 
     res.status(201).json({
       message: 'Webhook created successfully',
       webhook: {
-        webhook_id,
-        url,
-        events,
-        secret: webhook_secret,
-        active: true,
-        created_at: webhookConfig.created_at
+        ...webhook.toPublicJSON(),
+        secret: webhook.secret
       }
     });
 
@@ -391,19 +196,11 @@ const createWebhook = async (req, res) => {
 // Get user's webhooks
 const getWebhooks = async (req, res) => {
   try {
-    // In production, fetch from database
-    const userWebhooks = Object.values(global.webhooks || {})
-      .filter(webhook => webhook.user_id === req.user.userId)
-      .map(webhook => ({
-        webhook_id: webhook.webhook_id,
-        url: webhook.url,
-        events: webhook.events,
-        active: webhook.active,
-        created_at: webhook.created_at
-      }));
+    const webhooks = await WebhookEndpoint.find({ user_id: String(req.user.userId) })
+      .sort({ createdAt: -1 });
 
     res.json({
-      webhooks: userWebhooks
+      webhooks: webhooks.map(webhook => webhook.toPublicJSON())
     });
 
   } catch (error) {
@@ -417,12 +214,23 @@ const getWebhooks = async (req, res) => {
 // Update webhook
 const updateWebhook = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { webhook_id } = req.params;
-    const { url, events, active } = req.body;
+    const { url, events, description, active } = req.body;
 
-    const webhook = global.webhooks?.[webhook_id];
-    
-    if (!webhook || webhook.user_id !== req.user.userId) {
+    const webhook = await WebhookEndpoint.findOne({
+      webhook_id,
+      user_id: String(req.user.userId)
+    });
+
+    if (!webhook) {
       return res.status(404).json({
         error: 'Webhook not found'
       });
@@ -431,24 +239,101 @@ const updateWebhook = async (req, res) => {
     // Update webhook
     if (url) webhook.url = url;
     if (events) webhook.events = events;
-    if (active !== undefined) webhook.active = active;
-    webhook.updated_at = new Date();
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined && active !== webhook.active) {
+      webhook.active = active;
+      webhook.disabled_at = active ? null : new Date();
+    }
+    await webhook.save();
+
+    logger.info(`Webhook updated: ${webhook_id}`);
 
     res.json({
       message: 'Webhook updated successfully',
+      webhook: webhook.toPublicJSON()
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to update webhook'
+    });
+  }
+};
+
+// Enable or disable webhook deliveries
+const setWebhookActive = (active) => async (req, res) => {
+  try {
+    const { webhook_id } = req.params;
+
+    const webhook = await WebhookEndpoint.findOne({
+      webhook_id,
+      user_id: String(req.user.userId)
+    });
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    await webhook.setActive(active);
+
+    logger.info(`Webhook ${active ? 'enabled' : 'disabled'}: ${webhook_id}`);
+
+    res.json({
+      message: `Webhook ${active ? 'enabled' : 'disabled'} successfully`,
+      webhook: webhook.toPublicJSON()
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: `Failed to ${active ? 'enable' : 'disable'} webhook`
+    });
+  }
+};
+
+const enableWebhook = setWebhookActive(true);
+const disableWebhook = setWebhookActive(false);
+
+// Rotate webhook signing secret
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const { webhook_id } = req.params;
+    const { grace_period_hours = 24 } = req.body;
+
+    const webhook = await WebhookEndpoint.findOne({
+      webhook_id,
+      user_id: String(req.user.userId)
+    });
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    await webhook.rotateSecret(grace_period_hours);
+
+    logger.logSecurityEvent('webhook_secret_rotated', {
+      webhook_id,
+      grace_period_hours
+    }, req);
+
+    res.json({
+      message: 'Webhook secret rotated successfully',
       webhook: {
-        webhook_id,
-        url: webhook.url,
-        events: webhook.events,
-        active: webhook.active,
-        updated_at: webhook.updated_at
+        ...webhook.toPublicJSON(),
+        secret: webhook.secret,
+        previous_secret_expires_at: webhook.previous_secret_expires_at
       }
     });
 
   } catch (error) {
     logger.logApiError(error, req);
     res.status(500).json({
-      error: 'Failed to update webhook'
+      error: 'Failed to rotate webhook secret'
     });
   }
 };
@@ -458,16 +343,17 @@ const deleteWebhook = async (req, res) => {
   try {
     const { webhook_id } = req.params;
 
-    const webhook = global.webhooks?.[webhook_id];
-    
-    if (!webhook || webhook.user_id !== req.user.userId) {
+    const webhook = await WebhookEndpoint.findOneAndDelete({
+      webhook_id,
+      user_id: String(req.user.userId)
+    });
+
+    if (!webhook) {
       return res.status(404).json({
         error: 'Webhook not found'
       });
     }
 
-    delete global.webhooks[webhook_id];
-
     logger.info(`Webhook deleted: ${webhook_id}`);
 
     res.json({
@@ -487,34 +373,35 @@ const testWebhook = async (req, res) => {
   try {
     const { webhook_id } = req.params;
 
-    const webhook = global.webhooks?.[webhook_id];
-    
-    if (!webhook || webhook.user_id !== req.user.userId) {
+    const webhook = await WebhookEndpoint.findOne({
+      webhook_id,
+      user_id: String(req.user.userId)
+    });
+
+    if (!webhook) {
       return res.status(404).json({
         error: 'Webhook not found'
       });
     }
 
-    // Send test webhook
+    // Send a signed test event to this endpoint only
     const testPayload = {
-      type: 'test',
-      webhook_id,
-      timestamp: new Date().toISOString(),
-      user_id: req.user.userId
+      event: 'webhook.test',
+      data: {
+        webhook_id,
+        user_id: req.user.userId,
+        timestamp: new Date().toISOString()
+      }
     };
 
-    const response = await fetch(webhook.url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(testPayload)
+    const result = await webhookService.sendWebhook(webhook.url, testPayload, {
+      secrets: webhook.getSigningSecrets()
     });
 
-    const success = response.ok;
-
     res.json({
-      message: success ? 'Test webhook sent successfully' : 'Test webhook failed',
-      success,
-      status: response.status,
+      message: result.success ? 'Test webhook sent successfully' : 'Test webhook failed',
+      success: result.success,
+      status: result.status,
       payload: testPayload
     });
 
@@ -526,17 +413,139 @@ const testWebhook = async (req, res) => {
   }
 };
 
-// Helper functions for payment providers
-async function handleStripePaymentSuccess(paymentIntent) {
-  // Handle successful Stripe payment
-  logger.info('Stripe payment success:', paymentIntent.id);
-}
+// List delivery attempts for a webhook
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-async function handleStripePaymentFailure(paymentIntent) {
-  // Handle failed Stripe payment
-  logger.error('Stripe payment failure:', paymentIntent.id);
-}
+    const { webhook_id } = req.params;
+    const { status, event_type, event_id, page = 1, limit = 20 } = req.query;
+
+    const webhook = await WebhookEndpoint.findOne({
+      webhook_id,
+      user_id: String(req.user.userId)
+    });
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+
+    const query = { webhook_id };
+    if (status) query.status = status;
+    if (event_type) query.event_type = event_type;
+    if (event_id) query.event_id = event_id;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-__v -_id'),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      deliveries: deliveries.map(delivery => ({
+        delivery_id: delivery.delivery_id,
+        event_id: delivery.event_id,
+        event_type: delivery.event_type,
+        url: delivery.url,
+        attempt: delivery.attempt,
+        status: delivery.status,
+        manual: delivery.manual,
+        request_body: delivery.request_body,
+        response_code: delivery.response_code,
+        response_body: delivery.response_body,
+        latency_ms: delivery.latency_ms,
+        error: delivery.error,
+        scheduled_for: delivery.scheduled_for,
+        sent_at: delivery.sent_at,
+        next_retry_at: delivery.next_retry_at,
+        created_at: delivery.createdAt
+      })),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / parseInt(limit)),
+        total_records: total,
+        has_next: skip + deliveries.length < total,
+        has_prev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+};
+
+// Redeliver an event to a webhook
+const redeliverWebhookEvent = async (req, res) => {
+  try {
+    const { webhook_id, event_id } = req.params;
+
+    const webhook = await WebhookEndpoint.findOne({
+      webhook_id,
+      user_id: String(req.user.userId)
+    });
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
 
+    if (!webhook.active) {
+      return res.status(400).json({
+        error: 'Webhook is disabled',
+        message: 'Enable the webhook before redelivering events'
+      });
+    }
+
+    const delivery = await webhookService.redeliver(webhook, event_id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Event was never delivered to this webhook'
+      });
+    }
+
+    logger.info(`Webhook event redelivered: ${event_id} to ${webhook_id}`);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Event redelivered successfully' : 'Event redelivery failed',
+      delivery: {
+        delivery_id: delivery.delivery_id,
+        event_id: delivery.event_id,
+        event_type: delivery.event_type,
+        status: delivery.status,
+        response_code: delivery.response_code,
+        latency_ms: delivery.latency_ms,
+        error: delivery.error,
+        sent_at: delivery.sent_at
+      }
+    });
+
+  } catch (error) {
+    logger.logApiError(error, req);
+    res.status(500).json({
+      error: 'Failed to redeliver webhook event'
+    });
+  }
+};
+
+// Helper functions for payment providers
 async function handleFlutterwavePaymentSuccess(data) {
   // Handle successful Flutterwave payment
   logger.info('Flutterwave payment success:', data.id);
@@ -548,16 +557,23 @@ async function handleFlutterwavePaymentFailure(data) {
 }
 
 module.exports = {
+  mpesaSTKCallback,
   mpesaC2BConfirmation,
   mpesaC2BValidation,
   mpesaB2CResult,
   mpesaB2CTimeout,
   stripeWebhook,
+  providerWebhook,
   flutterwaveWebhook,
   bankConfirmation,
   createWebhook,
   getWebhooks,
   updateWebhook,
+  enableWebhook,
+  disableWebhook,
+  rotateWebhookSecret,
   deleteWebhook,
-  testWebhook
+  testWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookEvent
 };
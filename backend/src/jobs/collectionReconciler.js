@@ -0,0 +1,53 @@
+const cron = require('node-cron');
+const { settlementService } = require('../services/settlementService');
+const logger = require('../utils/logger');
+
+let task = null;
+let running = false;
+
+// Settle payments whose provider callback never arrived by querying their
+// status; skips a tick while the previous one is still running
+const reconcileCollections = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const { checked, completed, failed } = await settlementService.reconcilePending({
+      timeoutMinutes: Number(process.env.COLLECTION_PENDING_TIMEOUT_MINUTES || 2),
+      maxAttempts: Number(process.env.COLLECTION_RECONCILE_MAX_ATTEMPTS || 5)
+    });
+    if (checked > 0) {
+      logger.info(`Collection reconciler checked ${checked} pending payment(s): ${completed} completed, ${failed} failed`);
+    }
+  } catch (error) {
+    logger.error('Collection reconciler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startCollectionReconciler = () => {
+  if (task) {
+    return task;
+  }
+
+  const schedule = process.env.COLLECTION_RECONCILER_SCHEDULE || '* * * * *';
+  task = cron.schedule(schedule, reconcileCollections);
+  logger.info(`Collection reconciler started (${schedule})`);
+  return task;
+};
+
+const stopCollectionReconciler = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+module.exports = {
+  startCollectionReconciler,
+  stopCollectionReconciler,
+  reconcileCollections
+};
@@ -0,0 +1,52 @@
+const cron = require('node-cron');
+const { escrowService } = require('../services/escrowService');
+const logger = require('../utils/logger');
+
+let task = null;
+let running = false;
+
+// Send deadline reminders, fulfill date conditions, auto-release and expire
+// escrows; skips a tick while the previous one is still running. Other
+// instances running the same schedule are kept off the same escrow by the
+// service's leases.
+const processEscrowDeadlines = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const { reminders, dated, released, expired, unpaid } = await escrowService.processDeadlines();
+    if (reminders + dated + released + expired + unpaid > 0) {
+      logger.info(`Escrow scheduler sent ${reminders} reminder(s), fulfilled date conditions on ${dated}, released ${released}, expired ${expired} and expired ${unpaid} unpaid escrow(s)`);
+    }
+  } catch (error) {
+    logger.error('Escrow scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startEscrowScheduler = () => {
+  if (task) {
+    return task;
+  }
+
+  const schedule = process.env.ESCROW_SCHEDULER_SCHEDULE || '* * * * *';
+  task = cron.schedule(schedule, processEscrowDeadlines);
+  logger.info(`Escrow scheduler started (${schedule})`);
+  return task;
+};
+
+const stopEscrowScheduler = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+module.exports = {
+  startEscrowScheduler,
+  stopEscrowScheduler,
+  processEscrowDeadlines
+};
@@ -0,0 +1,49 @@
+const cron = require('node-cron');
+const { webhookService } = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+let task = null;
+let running = false;
+
+// Send due webhook attempts; skips a tick while the previous one is still running
+const processDueDeliveries = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const processed = await webhookService.processDueDeliveries();
+    if (processed > 0) {
+      logger.info(`Webhook delivery worker processed ${processed} attempt(s)`);
+    }
+  } catch (error) {
+    logger.error('Webhook delivery worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startWebhookDeliveryWorker = () => {
+  if (task) {
+    return task;
+  }
+
+  const schedule = process.env.WEBHOOK_WORKER_SCHEDULE || '*/5 * * * * *';
+  task = cron.schedule(schedule, processDueDeliveries);
+  logger.info(`Webhook delivery worker started (${schedule})`);
+  return task;
+};
+
+const stopWebhookDeliveryWorker = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+module.exports = {
+  startWebhookDeliveryWorker,
+  stopWebhookDeliveryWorker,
+  processDueDeliveries
+};
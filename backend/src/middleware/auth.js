@@ -1,5 +1,10 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const AdminUser = require('../models/AdminUser');
+const { PUBLISHABLE_KEY_SCOPES } = require('../config/apiKeyScopes');
+const { getRolePermissions, roleHasPermission } = require('../config/adminPermissions');
 const logger = require('../utils/logger');
 
 // Authentication middleware
@@ -66,6 +71,38 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Move a legacy plaintext key stored on the user into a hashed ApiKey record
+const migrateLegacyApiKey = async (rawKey) => {
+  const legacyFields = ['public_test', 'secret_test', 'public_live', 'secret_live'];
+  const user = await User.findOne({
+    $or: legacyFields.map(field => ({ [`api_keys.${field}`]: rawKey }))
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  const field = legacyFields.find(name => user.api_keys[name] === rawKey);
+  const [kind, environment] = field.split('_');
+
+  const apiKey = await ApiKey.create({
+    key_id: `key_${uuidv4().replace(/-/g, '')}`,
+    user_id: String(user._id),
+    name: `Default ${environment} ${kind === 'public' ? 'publishable' : 'secret'} key`,
+    type: kind === 'public' ? 'publishable' : 'secret',
+    environment,
+    prefix: rawKey.split('_').slice(0, 2).join('_'),
+    last4: rawKey.slice(-4),
+    key_hash: ApiKey.hashKey(rawKey),
+    scopes: kind === 'public' ? PUBLISHABLE_KEY_SCOPES : ['*']
+  });
+
+  await User.updateOne({ _id: user._id }, { $unset: { [`api_keys.${field}`]: 1 } });
+  logger.logSecurityEvent('legacy_api_key_migrated', { user_id: user._id, key_id: apiKey.key_id });
+
+  return apiKey;
+};
+
 // API Key authentication middleware
 const apiKeyAuth = async (req, res, next) => {
   try {
@@ -78,32 +115,33 @@ const apiKeyAuth = async (req, res, next) => {
       });
     }
 
-    const apiKey = authHeader.substring(7); // Remove 'Bearer ' prefix
+    const rawKey = authHeader.substring(7); // Remove 'Bearer ' prefix
 
     // Check if it's a test or live key
-    const isTestKey = apiKey.startsWith('pk_test_') || apiKey.startsWith('sk_test_');
-    const isLiveKey = apiKey.startsWith('pk_live_') || apiKey.startsWith('sk_live_');
-
-    if (!isTestKey && !isLiveKey) {
+    if (!/^(pk|sk)_(test|live)_[A-Za-z0-9]+$/.test(rawKey)) {
       return res.status(401).json({
         error: 'Invalid API key format'
       });
     }
 
-    // Find user by API key
-    const user = await User.findOne({
-      $or: [
-        { 'api_keys.public_test': apiKey },
-        { 'api_keys.secret_test': apiKey },
-        { 'api_keys.public_live': apiKey },
-        { 'api_keys.secret_live': apiKey }
-      ]
-    }).select('-password');
+    let apiKey = await ApiKey.findUsable(rawKey);
+    if (!apiKey) {
+      apiKey = await migrateLegacyApiKey(rawKey);
+    }
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'API key not found, revoked or expired'
+      });
+    }
+
+    const user = await User.findById(apiKey.user_id).select('-password');
 
     if (!user) {
       return res.status(401).json({
         error: 'Invalid API key',
-        message: 'API key not found'
+        message: 'API key not found, revoked or expired'
       });
     }
 
@@ -116,21 +154,32 @@ const apiKeyAuth = async (req, res, next) => {
     }
 
     // Check mode compatibility
-    if (isLiveKey && user.mode !== 'live') {
+    if (apiKey.environment === 'live' && user.mode !== 'live') {
       return res.status(403).json({
         error: 'Live mode not enabled',
         message: 'Complete KYC verification to enable live mode'
       });
     }
 
+    // Record usage at most once a minute per key
+    if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at.getTime() > 60 * 1000) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { last_used_at: new Date() } })
+        .catch(error => logger.error('Failed to record API key usage:', error));
+    }
+
     req.user = {
       userId: user._id,
       email: user.email,
       business_name: user.business_name,
-      mode: isLiveKey ? 'live' : 'test',
+      mode: apiKey.environment,
       kyc_status: user.kyc_status,
-      apiKey: apiKey
+      apiKey: {
+        key_id: apiKey.key_id,
+        type: apiKey.type,
+        scopes: apiKey.scopes
+      }
     };
+    req.apiKey = apiKey;
 
     next();
   } catch (error) {
@@ -142,6 +191,24 @@ const apiKeyAuth = async (req, res, next) => {
   }
 };
 
+// API key scope middleware. A bare resource ('payouts') requires
+// 'payouts:read' for GET requests and 'payouts:write' otherwise.
+const requireScope = (scope) => (req, res, next) => {
+  const requiredScope = scope.includes(':')
+    ? scope
+    : `${scope}:${req.method === 'GET' ? 'read' : 'write'}`;
+
+  if (!req.apiKey || !req.apiKey.allows(requiredScope)) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: `This API key is missing the '${requiredScope}' scope`,
+      required_scope: requiredScope
+    });
+  }
+
+  next();
+};
+
 // Admin authentication middleware
 const adminAuth = async (req, res, next) => {
   try {
@@ -156,21 +223,47 @@ const adminAuth = async (req, res, next) => {
 
     const token = authHeader.substring(7);
 
-    // For demo purposes, check if it's the admin token
-    // In production, you'd have a separate admin users table
-    if (token !== process.env.ADMIN_TOKEN && token !== 'admin_demo_token') {
+    const decoded = jwt.verify(token, process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET);
+
+    // Merchant tokens are signed with the same secret by default
+    if (decoded.type !== 'admin') {
       return res.status(401).json({
         error: 'Invalid admin token'
       });
     }
 
+    const admin = await AdminUser.findOne({ admin_id: decoded.adminId }).select('-password');
+
+    if (!admin || admin.status !== 'active') {
+      return res.status(401).json({
+        error: 'Invalid admin token',
+        message: 'Admin not found or disabled'
+      });
+    }
+
     req.admin = {
-      id: 'admin',
-      email: process.env.ADMIN_EMAIL || 'admin@payloom.com'
+      id: admin.admin_id,
+      email: admin.email,
+      name: admin.name,
+      role: admin.role,
+      permissions: getRolePermissions(admin.role)
     };
 
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        error: 'Token expired',
+        message: 'Please login again'
+      });
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        error: 'Invalid admin token'
+      });
+    }
+
     logger.error('Admin auth middleware error:', error);
     res.status(500).json({
       error: 'Admin authentication failed'
@@ -178,6 +271,44 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
+// Admin permission middleware; runs after adminAuth
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin || !roleHasPermission(req.admin.role, permission)) {
+    logger.logSecurityEvent('admin_permission_denied', {
+      admin_id: req.admin?.id,
+      role: req.admin?.role,
+      permission
+    }, req);
+
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: `Your admin role is missing the '${permission}' permission`,
+      required_permission: permission
+    });
+  }
+
+  next();
+};
+
+// For routes shared by merchants and admins: API keys go through apiKeyAuth,
+// any other bearer token through adminAuth
+const apiKeyOrAdminAuth = (req, res, next) => {
+  const authHeader = req.header('Authorization') || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+
+  if (/^(pk|sk)_(test|live)_/.test(token)) {
+    return apiKeyAuth(req, res, next);
+  }
+  return adminAuth(req, res, next);
+};
+
+// Scope check for API keys, permission check for admins
+const requireScopeOrPermission = (scope, permission) => (req, res, next) => {
+  return req.admin
+    ? requirePermission(permission)(req, res, next)
+    : requireScope(scope)(req, res, next);
+};
+
 // Live mode requirement middleware
 const requireLiveMode = (req, res, next) => {
   if (req.user.mode !== 'live') {
@@ -203,7 +334,11 @@ const requireKYC = (req, res, next) => {
 module.exports = {
   auth,
   apiKeyAuth,
+  requireScope,
   adminAuth,
+  requirePermission,
+  apiKeyOrAdminAuth,
+  requireScopeOrPermission,
   requireLiveMode,
   requireKYC
 };
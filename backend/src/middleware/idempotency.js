@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+const LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS, 10) || 60;
+const MAX_KEY_LENGTH = 255;
+
+const leaseExpiry = () => new Date(Date.now() + LEASE_SECONDS * 1000);
+
+// Fingerprint of the request a key was first used with
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+// Idempotency-Key handling for money-moving POST endpoints.
+// The first request with a key runs normally and its response is stored;
+// retries with the same key and body get the stored response back instead
+// of creating a second transaction.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+
+  // The header is optional
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency-Key',
+      message: `Idempotency-Key must not exceed ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const userId = String(req.user.userId);
+  const requestHash = hashRequest(req);
+
+  try {
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user_id: userId,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        request_hash: requestHash,
+        locked_until: leaseExpiry(),
+        expires_at: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Key already used: replay, reject, report it as in flight or take over a stale claim
+      const existing = await IdempotencyKey.findOne({ user_id: userId, key });
+
+      if (!existing) {
+        return res.status(409).json({
+          error: 'Idempotency key conflict',
+          message: 'Please retry the request'
+        });
+      }
+
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          message: 'This Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (existing.status === 'processing') {
+        // Take over a claim whose lease ran out; only one retry can win it
+        if (existing.locked_until && existing.locked_until <= new Date()) {
+          record = await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: 'processing', locked_until: existing.locked_until },
+            { $set: { locked_until: leaseExpiry() } },
+            { new: true }
+          );
+        }
+
+        if (!record) {
+          return res.status(409).json({
+            error: 'Request in progress',
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        logger.warn('Reclaimed stale idempotency key', { key, user_id: userId });
+      } else {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+    }
+
+    // Keep renewing the lease while the handler runs, however long it takes;
+    // only a claim whose process has died runs out. A client hanging up
+    // doesn't stop the handler, so renewal goes on until it responds.
+    const renewal = setInterval(() => {
+      IdempotencyKey.updateOne(
+        { _id: record._id, status: 'processing' },
+        { $set: { locked_until: leaseExpiry() } }
+      ).catch(error => {
+        logger.error('Failed to renew idempotency key lease', { key, error: error.message });
+      });
+    }, (LEASE_SECONDS * 1000) / 3);
+    renewal.unref();
+    res.on('finish', () => clearInterval(renewal));
+
+    // Store the response before the handler's response goes out, so a retry
+    // that arrives right after it is replayed rather than run again
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      clearInterval(renewal);
+      const responseStatus = res.statusCode;
+
+      // Server errors are not stored, so the client can retry with the same key
+      const update = responseStatus >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne({ _id: record._id }, {
+          $set: {
+            status: 'completed',
+            response_status: responseStatus,
+            response_body: body,
+            completed_at: new Date()
+          }
+        });
+
+      update
+        .catch(error => {
+          logger.error('Failed to store idempotent response', { key, error: error.message });
+        })
+        .then(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      error: 'Idempotency check failed'
+    });
+  }
+};
+
+module.exports = {
+  idempotency
+};
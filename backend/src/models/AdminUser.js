@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const {
+  ADMIN_ROLES,
+  getRolePermissions,
+  roleHasPermission
+} = require('../config/adminPermissions');
+
+const adminUserSchema = new mongoose.Schema({
+  admin_id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `adm_${uuidv4().replace(/-/g, '')}`
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ADMIN_ROLES
+  },
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  created_by: String,
+  last_login_at: Date,
+  disabled_at: Date
+}, {
+  timestamps: true
+});
+
+// Hash password before saving
+adminUserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare password method
+adminUserSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to check a permission against the admin's role
+adminUserSchema.methods.can = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+// Static to create the first super admin from ADMIN_EMAIL / ADMIN_PASSWORD.
+// Only runs while no admin exists, so the env credentials stop working once
+// real admin accounts have been set up.
+adminUserSchema.statics.bootstrapFromEnv = async function(email, password) {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return null;
+  if (email !== ADMIN_EMAIL.toLowerCase() || password !== ADMIN_PASSWORD) return null;
+  if (await this.exists({})) return null;
+
+  return this.create({
+    name: 'Super Admin',
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    role: 'super_admin',
+    created_by: 'bootstrap'
+  });
+};
+
+// Admin as returned by the API; never includes the password
+adminUserSchema.methods.toPublicJSON = function() {
+  return {
+    admin_id: this.admin_id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    permissions: getRolePermissions(this.role),
+    status: this.status,
+    last_login_at: this.last_login_at,
+    disabled_at: this.disabled_at,
+    created_at: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
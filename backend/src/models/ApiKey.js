@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const {
+  API_KEY_SCOPES,
+  PUBLISHABLE_KEY_SCOPES,
+  scopeAllows
+} = require('../config/apiKeyScopes');
+
+const apiKeySchema = new mongoose.Schema({
+  key_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user_id: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['publishable', 'secret']
+  },
+  environment: {
+    type: String,
+    required: true,
+    enum: ['test', 'live']
+  },
+  // e.g. 'sk_test'; with last4 this is all that is kept of the key for display
+  prefix: {
+    type: String,
+    required: true
+  },
+  last4: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key; keys are random, so a fast hash is enough and allows lookup by hash
+  key_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: [...API_KEY_SCOPES, '*']
+    }],
+    default: ['*']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  // Set when the key is rolled; the key keeps working until then
+  expires_at: Date,
+  rolled_to: String,
+  last_used_at: Date,
+  revoked_at: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiKeySchema.index({ user_id: 1, status: 1 });
+
+const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+// Static to create a key; the raw key is only ever returned here
+apiKeySchema.statics.generate = async function({ userId, type, environment, scopes, name }) {
+  const prefix = `${type === 'publishable' ? 'pk' : 'sk'}_${environment}`;
+  const rawKey = `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiKey = await this.create({
+    key_id: `key_${uuidv4().replace(/-/g, '')}`,
+    user_id: String(userId),
+    name,
+    type,
+    environment,
+    prefix,
+    last4: rawKey.slice(-4),
+    key_hash: hashKey(rawKey),
+    scopes: type === 'publishable' ? PUBLISHABLE_KEY_SCOPES : (scopes || ['*'])
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Static to find the usable key matching a raw key
+apiKeySchema.statics.findUsable = function(rawKey) {
+  return this.findOne({
+    key_hash: hashKey(rawKey),
+    status: 'active',
+    $or: [
+      { expires_at: null },
+      { expires_at: { $gt: new Date() } }
+    ]
+  });
+};
+
+apiKeySchema.statics.hashKey = hashKey;
+
+// Method to check a scope
+apiKeySchema.methods.allows = function(requiredScope) {
+  return scopeAllows(this.scopes, requiredScope);
+};
+
+// Method to roll the key: issue a replacement and let this one expire after the overlap window
+apiKeySchema.methods.roll = async function(overlapHours = 24) {
+  const { apiKey, rawKey } = await this.constructor.generate({
+    userId: this.user_id,
+    type: this.type,
+    environment: this.environment,
+    scopes: this.scopes,
+    name: this.name
+  });
+
+  this.rolled_to = apiKey.key_id;
+  if (overlapHours > 0) {
+    this.expires_at = new Date(Date.now() + overlapHours * 60 * 60 * 1000);
+  } else {
+    this.status = 'revoked';
+    this.revoked_at = new Date();
+  }
+  await this.save();
+
+  return { apiKey, rawKey };
+};
+
+// Method to revoke the key immediately
+apiKeySchema.methods.revoke = function() {
+  this.status = 'revoked';
+  this.revoked_at = new Date();
+  return this.save();
+};
+
+// Key as shown in the dashboard; never includes the secret
+apiKeySchema.methods.toPublicJSON = function() {
+  return {
+    key_id: this.key_id,
+    name: this.name,
+    type: this.type,
+    environment: this.environment,
+    prefix: this.prefix,
+    last4: this.last4,
+    redacted: `${this.prefix}_...${this.last4}`,
+    scopes: this.scopes,
+    status: this.status,
+    expires_at: this.expires_at,
+    rolled_to: this.rolled_to,
+    last_used_at: this.last_used_at,
+    revoked_at: this.revoked_at,
+    created_at: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Append-only record of sensitive actions. Entries are numbered by `sequence`
+// and each one's hash covers the previous entry's hash, so editing, removing or
+// reordering an entry breaks the chain from that point on.
+const auditLogSchema = new mongoose.Schema({
+  audit_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: { type: String, enum: ['admin', 'user', 'api_key', 'system'], required: true },
+    id: String,
+    email: String,
+    role: String,
+    key_id: String
+  },
+  target: {
+    type: { type: String, required: true },
+    id: { type: String, required: true },
+    // Merchant the target belongs to, when there is one
+    user_id: String
+  },
+  ip: String,
+  user_agent: String,
+  // Only the fields that changed, as { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  occurred_at: {
+    type: Date,
+    required: true
+  },
+  previous_hash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  minimize: false
+});
+
+// Indexes
+auditLogSchema.index({ action: 1, occurred_at: -1 });
+auditLogSchema.index({ 'actor.id': 1, occurred_at: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, occurred_at: -1 });
+auditLogSchema.index({ 'target.user_id': 1, occurred_at: -1 });
+
+// Audit entries can only be appended
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are immutable'));
+  }
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, function(next) {
+    next(new Error('Audit log entries are immutable'));
+  });
+});
+
+// Fields covered by the entry's hash
+auditLogSchema.methods.getHashedFields = function() {
+  return {
+    audit_id: this.audit_id,
+    sequence: this.sequence,
+    action: this.action,
+    actor: this.toObject().actor,
+    target: this.toObject().target,
+    ip: this.ip,
+    user_agent: this.user_agent,
+    changes: this.changes,
+    metadata: this.metadata,
+    occurred_at: this.occurred_at
+  };
+};
+
+// Entry as returned by the API
+auditLogSchema.methods.toPublicJSON = function() {
+  return {
+    ...this.getHashedFields(),
+    previous_hash: this.previous_hash,
+    hash: this.hash
+  };
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
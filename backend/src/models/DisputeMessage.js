@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One message in the conversation on an escrow dispute, mirroring the
+// dispute_messages table of the Supabase schema
+const disputeMessageSchema = new mongoose.Schema({
+  message_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  escrow_id: {
+    type: String,
+    required: true
+  },
+  dispute_id: {
+    type: String,
+    required: true
+  },
+  sender: {
+    role: {
+      type: String,
+      required: true,
+      enum: ['payer', 'payee', 'admin']
+    },
+    id: {
+      type: String,
+      required: true
+    },
+    name: String
+  },
+  is_admin: {
+    type: Boolean,
+    default: false
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  attachments: [{
+    filename: String,
+    mime_type: String,
+    size: Number,
+    url: String
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+disputeMessageSchema.index({ dispute_id: 1, createdAt: 1 });
+
+// Message as returned by the API
+disputeMessageSchema.methods.toPublicJSON = function() {
+  return {
+    message_id: this.message_id,
+    escrow_id: this.escrow_id,
+    dispute_id: this.dispute_id,
+    sender: {
+      role: this.sender.role,
+      id: this.sender.id,
+      name: this.sender.name
+    },
+    is_admin: this.is_admin,
+    body: this.body,
+    attachments: this.attachments.map(attachment => ({
+      filename: attachment.filename,
+      mime_type: attachment.mime_type,
+      size: attachment.size,
+      url: attachment.url
+    })),
+    created_at: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('DisputeMessage', disputeMessageSchema);
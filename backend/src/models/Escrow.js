@@ -1,4 +1,225 @@
 const mongoose = require('mongoose');
+const { CONDITION_PARTIES } = require('../config/conditionTypes');
+
+// Dispute statuses, mirroring the dispute_status enum of the Supabase schema
+// (OPEN, UNDER_REVIEW, ...). The buyer is the escrow payer, the seller the payee.
+const DISPUTE_STATUSES = [
+  'open',
+  'under_review',
+  'awaiting_seller',
+  'awaiting_buyer',
+  'resolved_buyer',
+  'resolved_seller',
+  'closed'
+];
+
+// Dispute statuses that block automatic release and expiry
+const OPEN_DISPUTE_STATUSES = ['open', 'under_review', 'awaiting_seller', 'awaiting_buyer'];
+
+// Statuses of disputes stored before the workflow above, and what they became.
+// A legacy resolution recorded no winner, so it reads as closed.
+const LEGACY_DISPUTE_STATUSES = {
+  investigating: 'under_review',
+  resolved: 'closed'
+};
+
+const normalizeDisputeStatus = (status) => LEGACY_DISPUTE_STATUSES[status] || status;
+
+// Stored values that read as one of `statuses`, for queries that bypass the
+// documents (filters and aggregations)
+const storedDisputeStatuses = (statuses) => [
+  ...statuses,
+  ...Object.keys(LEGACY_DISPUTE_STATUSES).filter(legacy => statuses.includes(LEGACY_DISPUTE_STATUSES[legacy]))
+];
+
+// Roles a participant can hold. Payer and payee move the money; arbiters and
+// approvers sign off on releases and conditions under the release policy.
+const PARTICIPANT_ROLES = ['payer', 'payee', 'arbiter', 'approver'];
+
+// Release rules: the payer alone, any arbiter alone, or a number of approvers
+const RELEASE_RULES = ['payer', 'arbiter', 'approvers'];
+
+// Amounts are kept to the cent so repeated partial releases don't drift
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Terms an amendment can change
+const AMENDABLE_FIELDS = ['amount', 'conditions', 'auto_release_date', 'expires_at', 'description'];
+
+// Parties whose consent applies an amendment
+const AMENDMENT_ROLES = ['payer', 'payee'];
+
+// Condition to be met before funds are released. Typed conditions keep their
+// settings in `config`; `verification` records how the fulfilment was checked.
+const conditionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    default: 'custom'
+  },
+  description: String,
+  // Who fulfills the condition; unset leaves it to the release policy
+  party: {
+    type: String,
+    enum: CONDITION_PARTIES
+  },
+  config: {
+    courier: String,
+    tracking_number: String,
+    document_name: String,
+    allowed_mime_types: [String],
+    date: Date,
+    issuer: String,
+    otp_hash: String,
+    otp_sent_at: Date,
+    otp_attempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  fulfilled: {
+    type: Boolean,
+    default: false
+  },
+  fulfilled_at: Date,
+  fulfilled_by: String,
+  evidence: [{
+    type: { type: String },
+    url: String,
+    filename: String,
+    sha256: String,
+    uploaded_by: String,
+    uploaded_at: Date
+  }],
+  verification: {
+    method: String,
+    reference: String,
+    details: mongoose.Schema.Types.Mixed,
+    verified_at: Date
+  }
+});
+
+// The OTP hash never leaves the API
+const hideConditionSecrets = (doc, ret) => {
+  if (ret.config) {
+    delete ret.config.otp_hash;
+  }
+  return ret;
+};
+conditionSchema.set('toJSON', { transform: hideConditionSecrets });
+conditionSchema.set('toObject', { transform: hideConditionSecrets });
+
+// One deliverable of a milestone escrow, paid out on its own
+const milestoneSchema = new mongoose.Schema({
+  milestone_id: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  due_date: Date,
+  conditions: [conditionSchema],
+  status: {
+    type: String,
+    enum: ['pending', 'partially_released', 'released', 'refunded'],
+    default: 'pending'
+  },
+  released_amount: {
+    type: Number,
+    default: 0
+  },
+  released_at: Date,
+  refunded_at: Date
+});
+
+// A condition's terms as kept in amendments: what it is, not how it was fulfilled
+const conditionTermsSchema = new mongoose.Schema({
+  type: { type: String },
+  description: String,
+  party: String,
+  config: {
+    courier: String,
+    tracking_number: String,
+    document_name: String,
+    allowed_mime_types: [String],
+    date: Date,
+    issuer: String
+  },
+  fulfilled: Boolean
+}, { _id: false });
+
+// Change to an escrow's terms, applied once every party consents. Applied
+// amendments keep the terms they replaced, so they double as version history.
+const amendmentSchema = new mongoose.Schema({
+  amendment_id: {
+    type: String,
+    required: true
+  },
+  // Version the amendment was proposed against, and the one it creates
+  base_version: Number,
+  version: Number,
+  status: {
+    type: String,
+    enum: ['proposed', 'applied', 'rejected'],
+    default: 'proposed'
+  },
+  // Names of the terms being changed
+  fields: [{
+    type: String,
+    enum: AMENDABLE_FIELDS
+  }],
+  changes: {
+    amount: Number,
+    conditions: [conditionTermsSchema],
+    auto_release_date: Date,
+    expires_at: Date,
+    description: String
+  },
+  // Terms as they were before the amendment was applied
+  previous: {
+    amount: Number,
+    conditions: [conditionTermsSchema],
+    auto_release_date: Date,
+    expires_at: Date,
+    description: String
+  },
+  reason: String,
+  proposed_by: {
+    participant_id: String,
+    role: String,
+    user_id: String
+  },
+  consents: [{
+    participant_id: String,
+    role: String,
+    user_id: String,
+    ip: String,
+    user_agent: String,
+    consented_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Change to the payer's locked balance when the amount changed
+  lock_adjustment: {
+    type: Number,
+    default: 0
+  },
+  proposed_at: {
+    type: Date,
+    default: Date.now
+  },
+  applied_at: Date,
+  rejected_at: Date,
+  rejected_by: String,
+  rejection_reason: String
+});
 
 const escrowSchema = new mongoose.Schema({
   escrow_id: {
@@ -27,7 +248,8 @@ const escrowSchema = new mongoose.Schema({
       user_id: String,
       wallet_id: String,
       name: String,
-      email: String
+      email: String,
+      phone: String
     },
     payee: {
       user_id: String,
@@ -37,23 +259,73 @@ const escrowSchema = new mongoose.Schema({
     }
   },
   conditions: {
-    type: [{
-      type: String,
-      description: String,
-      fulfilled: {
-        type: Boolean,
-        default: false
-      },
-      fulfilled_at: Date,
-      fulfilled_by: String
-    }],
+    type: [conditionSchema],
     required: true
   },
+  milestones: [milestoneSchema],
+  participants: [{
+    participant_id: String,
+    role: {
+      type: String,
+      enum: PARTICIPANT_ROLES
+    },
+    user_id: String,
+    wallet_id: String,
+    name: String,
+    email: String,
+    added_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Sign-offs collected towards releases and condition fulfilment. Signatures
+  // on the same target count together until the action is carried out.
+  signatures: [{
+    signature_id: String,
+    action: {
+      type: String,
+      enum: ['release', 'fulfill_condition']
+    },
+    target: String,
+    participant_id: String,
+    role: String,
+    user_id: String,
+    milestone_id: String,
+    condition_id: String,
+    amount: Number,
+    ip: String,
+    user_agent: String,
+    signed_at: {
+      type: Date,
+      default: Date.now
+    },
+    consumed_at: Date,
+    transaction_id: String
+  }],
+  // How the payer's side is funded: from a PayLoom wallet, or by a collection
+  // the buyer pays at checkout
+  funding: {
+    method: {
+      type: String,
+      enum: ['wallet', 'mpesa', 'card'],
+      default: 'wallet'
+    },
+    collection_id: String,
+    // Unpaid escrows expire at this time
+    pay_by: Date,
+    paid_at: Date
+  },
   status: {
     type: String,
-    enum: ['pending', 'funded', 'active', 'released', 'refunded', 'disputed', 'expired'],
+    enum: ['pending', 'funded', 'active', 'released', 'refunded', 'disputed', 'expired', 'cancelled'],
     default: 'pending'
   },
+  // Bumped by every applied amendment
+  version: {
+    type: Number,
+    default: 1
+  },
+  amendments: [amendmentSchema],
   timeline: {
     created_at: {
       type: Date,
@@ -65,7 +337,34 @@ const escrowSchema = new mongoose.Schema({
     released_at: Date,
     refunded_at: Date,
     disputed_at: Date,
-    expires_at: Date
+    expired_at: Date,
+    cancelled_at: Date,
+    expires_at: Date,
+    // Running totals of what has been paid out and returned so far
+    released_amount: {
+      type: Number,
+      default: 0
+    },
+    refunded_amount: {
+      type: Number,
+      default: 0
+    },
+    remaining_amount: Number,
+    // Every payout to the payee, full or partial
+    releases: [{
+      transaction_id: String,
+      milestone_id: String,
+      amount: Number,
+      fee: Number,
+      net_amount: Number,
+      trigger: String,
+      released_amount: Number,
+      remaining_amount: Number,
+      released_at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   release_settings: {
     auto_release: {
@@ -78,6 +377,19 @@ const escrowSchema = new mongoose.Schema({
       default: true
     },
   },
+  release_policy: {
+    rule: {
+      type: String,
+      enum: RELEASE_RULES,
+      default: 'payer'
+    },
+    // Distinct approvers needed under the 'approvers' rule
+    required_approvals: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  },
   fees: {
     escrow_fee: {
       type: Number,
@@ -90,7 +402,15 @@ const escrowSchema = new mongoose.Schema({
     total_fee: {
       type: Number,
       default: 0
-    }
+    },
+    // The payee's releases are paid less the fee, unless the payer bears it,
+    // in which case it is held on top of the amount
+    bearer: {
+      type: String,
+      enum: ['payer', 'payee'],
+      default: 'payee'
+    },
+    schedule_id: String
   },
   disputes: [{
     dispute_id: String,
@@ -99,17 +419,44 @@ const escrowSchema = new mongoose.Schema({
     description: String,
     status: {
       type: String,
-      enum: ['open', 'investigating', 'resolved', 'closed'],
+      enum: DISPUTE_STATUSES,
       default: 'open'
     },
     raised_at: {
       type: Date,
       default: Date.now
     },
+    // Admin handling the dispute
+    assigned_to: String,
+    review_started_at: Date,
+    evidence_requests: [{
+      request_id: String,
+      party: {
+        type: String,
+        enum: ['payer', 'payee']
+      },
+      message: String,
+      due_at: Date,
+      requested_by: String,
+      requested_at: {
+        type: Date,
+        default: Date.now
+      },
+      fulfilled_at: Date
+    }],
     resolved_at: Date,
+    resolved_by: String,
+    // Written reasoning for the outcome
     resolution: String,
-    evidence: [{
+    outcome: {
       type: String,
+      enum: ['payer', 'payee', 'split']
+    },
+    payer_amount: Number,
+    payee_amount: Number,
+    transaction_ids: [String],
+    evidence: [{
+      type: { type: String },
       url: String,
       uploaded_by: String,
       uploaded_at: {
@@ -118,9 +465,27 @@ const escrowSchema = new mongoose.Schema({
       }
     }]
   }],
+  // Deadline reminders already sent, so each goes out once
+  reminders: {
+    auto_release_sent_at: Date,
+    expiry_sent_at: Date
+  },
+  // Lease taken by the scheduler instance acting on the escrow
+  scheduler: {
+    locked_by: String,
+    locked_until: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    last_error: String
+  },
   metadata: {
     description: String,
     reference: String,
+    user_id: String,
+    refund_reason: String,
+    cancel_reason: String,
     contract_url: String,
     tags: [String]
   }
@@ -134,6 +499,41 @@ escrowSchema.index({ 'parties.payer.user_id': 1 });
 escrowSchema.index({ 'parties.payee.user_id': 1 });
 escrowSchema.index({ status: 1 });
 escrowSchema.index({ 'timeline.expires_at': 1 });
+escrowSchema.index({ status: 1, 'release_settings.auto_release_date': 1 });
+escrowSchema.index({ status: 1, 'funding.pay_by': 1 });
+escrowSchema.index({ 'participants.user_id': 1 });
+
+// Amount still held for the payee
+escrowSchema.virtual('remainingAmount').get(function() {
+  return toMoney(this.amount - (this.timeline.released_amount || 0) - (this.timeline.refunded_amount || 0));
+});
+
+// Amount locked on the payer's wallet when the escrow is funded
+escrowSchema.virtual('holdAmount').get(function() {
+  return this.fees.bearer === 'payer' ? toMoney(this.amount + this.fees.total_fee) : this.amount;
+});
+
+// Disputes stored with a legacy status load with the status it became, so
+// they validate and are written back in the current form on the next save
+escrowSchema.post('init', function() {
+  (this.disputes || []).forEach(dispute => {
+    if (LEGACY_DISPUTE_STATUSES[dispute.status]) {
+      dispute.status = normalizeDisputeStatus(dispute.status);
+    }
+  });
+});
+
+// Escrow fee not yet charged on a release
+escrowSchema.virtual('unchargedFee').get(function() {
+  const charged = this.timeline.releases.reduce((sum, release) => sum + release.fee, 0);
+  return toMoney(this.fees.total_fee - charged);
+});
+
+// Keep the stored remaining amount in step with the running totals
+escrowSchema.pre('validate', function(next) {
+  this.timeline.remaining_amount = this.remainingAmount;
+  next();
+});
 
 // Virtual to check if all conditions are fulfilled
 escrowSchema.virtual('allConditionsFulfilled').get(function() {
@@ -142,17 +542,17 @@ escrowSchema.virtual('allConditionsFulfilled').get(function() {
 });
 
 // Method to fund escrow
-escrowSchema.methods.fund = function() {
+escrowSchema.methods.fund = function(options = {}) {
   this.status = 'funded';
   this.timeline.funded_at = new Date();
-  return this.save();
+  return this.save(options);
 };
 
 // Method to activate escrow
-escrowSchema.methods.activate = function() {
+escrowSchema.methods.activate = function(options = {}) {
   this.status = 'active';
   this.timeline.active_at = new Date();
-  return this.save();
+  return this.save(options);
 };
 
 // Method to fulfill condition
@@ -186,18 +586,254 @@ escrowSchema.methods.requestRelease = function() {
 };
 
 // Method to release funds
-escrowSchema.methods.release = function() {
+escrowSchema.methods.release = function(options = {}) {
   this.status = 'released';
   this.timeline.released_at = new Date();
-  return this.save();
+  return this.save(options);
 };
 
 // Method to refund funds
-escrowSchema.methods.refund = function(reason) {
+escrowSchema.methods.refund = function(reason, options = {}) {
   this.status = 'refunded';
   this.timeline.refunded_at = new Date();
   this.metadata.refund_reason = reason;
-  return this.save();
+  return this.save(options);
+};
+
+// Method to expire the escrow once its deadline has passed
+escrowSchema.methods.expire = function(reason, options = {}) {
+  this.status = 'expired';
+  this.timeline.expired_at = new Date();
+  this.metadata.refund_reason = reason;
+  return this.save(options);
+};
+
+// Method to cancel an escrow that never became active
+escrowSchema.methods.cancel = function(reason, options = {}) {
+  this.status = 'cancelled';
+  this.timeline.cancelled_at = new Date();
+  this.metadata.cancel_reason = reason;
+  return this.save(options);
+};
+
+// Method to find a condition on the escrow or any of its milestones
+escrowSchema.methods.locateCondition = function(conditionId) {
+  const condition = this.conditions.id(conditionId);
+  if (condition) {
+    return { condition, milestone: null };
+  }
+
+  for (const milestone of this.milestones) {
+    const milestoneCondition = milestone.conditions.id(conditionId);
+    if (milestoneCondition) {
+      return { condition: milestoneCondition, milestone };
+    }
+  }
+  return null;
+};
+
+// Method to find a milestone by its milestone_id
+escrowSchema.methods.findMilestone = function(milestoneId) {
+  return this.milestones.find(milestone => milestone.milestone_id === milestoneId) || null;
+};
+
+// Method to get the amount of a milestone not yet released
+escrowSchema.methods.milestoneRemaining = function(milestone) {
+  return milestone.status === 'refunded' ? 0 : toMoney(milestone.amount - milestone.released_amount);
+};
+
+// Method to work out the escrow fee due on a release. The fee not yet charged
+// is spread over the amount still held; the last release takes the remainder.
+escrowSchema.methods.releaseFee = function(amount) {
+  const heldFee = this.unchargedFee;
+  const remaining = this.remainingAmount;
+
+  return amount >= remaining ? heldFee : toMoney(heldFee * amount / remaining);
+};
+
+// Method to work out what returning `amount` of what is still held unlocks
+// on the payer's wallet. A payer who bears the fee also gets back the part of
+// it no release has charged.
+escrowSchema.methods.refundDue = function(amount) {
+  return this.fees.bearer === 'payer' ? toMoney(amount + this.unchargedFee) : amount;
+};
+
+// Method to record a payout to the payee against the escrow and its milestones.
+// Without a milestone the amount goes to the milestones in order. The escrow
+// is released once nothing is held any more. Doesn't save.
+escrowSchema.methods.applyRelease = function({ amount, fee, transactionId, milestoneId, trigger }) {
+  const now = new Date();
+  const targets = milestoneId ? [this.findMilestone(milestoneId)] : this.milestones;
+
+  let unallocated = amount;
+  targets.forEach(milestone => {
+    const share = Math.min(unallocated, this.milestoneRemaining(milestone));
+    if (share <= 0) return;
+
+    milestone.released_amount = toMoney(milestone.released_amount + share);
+    unallocated = toMoney(unallocated - share);
+
+    if (this.milestoneRemaining(milestone) === 0) {
+      milestone.status = 'released';
+      milestone.released_at = now;
+    } else {
+      milestone.status = 'partially_released';
+    }
+  });
+
+  this.timeline.released_amount = toMoney((this.timeline.released_amount || 0) + amount);
+  this.timeline.releases.push({
+    transaction_id: transactionId,
+    milestone_id: milestoneId,
+    amount,
+    fee,
+    net_amount: this.fees.bearer === 'payer' ? amount : toMoney(amount - fee),
+    trigger,
+    released_amount: this.timeline.released_amount,
+    remaining_amount: this.remainingAmount,
+    released_at: now
+  });
+
+  if (this.remainingAmount === 0) {
+    this.status = 'released';
+    this.timeline.released_at = now;
+  }
+};
+
+// Method to record the amount returned to the payer; milestones that still
+// held funds are refunded. Doesn't save.
+escrowSchema.methods.applyRefund = function(amount) {
+  const now = new Date();
+
+  this.milestones.forEach(milestone => {
+    if (this.milestoneRemaining(milestone) > 0) {
+      milestone.status = 'refunded';
+      milestone.refunded_at = now;
+    }
+  });
+
+  this.timeline.refunded_amount = toMoney((this.timeline.refunded_amount || 0) + amount);
+};
+
+// Method to list participants; escrows created before participants existed
+// have just their payer and payee
+escrowSchema.methods.getParticipants = function() {
+  if (this.participants.length > 0) {
+    return this.participants;
+  }
+
+  return ['payer', 'payee'].map(role => ({
+    participant_id: role,
+    role,
+    user_id: this.parties[role].user_id,
+    wallet_id: this.parties[role].wallet_id,
+    name: this.parties[role].name,
+    email: this.parties[role].email
+  }));
+};
+
+// Method to find the participants a user acts as
+escrowSchema.methods.participantsForUser = function(userId) {
+  return this.getParticipants().filter(participant => participant.user_id === String(userId));
+};
+
+// Method to get the roles that may sign an action, and how many signatures it
+// needs. A condition naming its party overrides the release policy's roles.
+escrowSchema.methods.signingRequirement = function(action, party) {
+  const { rule, required_approvals } = this.release_policy;
+
+  if (party) {
+    return { roles: [party], required: party === 'approver' ? required_approvals : 1 };
+  }
+
+  if (rule === 'arbiter') {
+    return { roles: ['arbiter'], required: 1 };
+  }
+  if (rule === 'approvers') {
+    return { roles: ['approver'], required: required_approvals };
+  }
+  return { roles: [action === 'release' ? 'payer' : 'payee'], required: 1 };
+};
+
+// Method to get the signatures still counting towards a target
+escrowSchema.methods.pendingSignatures = function(target) {
+  return this.signatures.filter(signature => signature.target === target && !signature.consumed_at);
+};
+
+// Method to find an amendment by its amendment_id
+escrowSchema.methods.findAmendment = function(amendmentId) {
+  return this.amendments.find(amendment => amendment.amendment_id === amendmentId) || null;
+};
+
+// Method to find the amendment still waiting for consent, if any
+escrowSchema.methods.openAmendment = function() {
+  return this.amendments.find(amendment => amendment.status === 'proposed') || null;
+};
+
+// Method to snapshot the terms an amendment can change
+escrowSchema.methods.amendableTerms = function() {
+  return {
+    amount: this.amount,
+    conditions: this.conditions.map(condition => ({
+      type: condition.type,
+      description: condition.description,
+      party: condition.party,
+      config: {
+        courier: condition.config?.courier,
+        tracking_number: condition.config?.tracking_number,
+        document_name: condition.config?.document_name,
+        allowed_mime_types: condition.config?.allowed_mime_types,
+        date: condition.config?.date,
+        issuer: condition.config?.issuer
+      },
+      fulfilled: condition.fulfilled
+    })),
+    auto_release_date: this.release_settings.auto_release_date,
+    expires_at: this.timeline.expires_at,
+    description: this.metadata.description
+  };
+};
+
+// Method to apply an amendment's changes to the escrow's terms and bump its
+// version. Conditions already fulfilled are kept; `conditions`, prepared from
+// the amendment's, replace the rest. `escrowFee` is the fee on the amended
+// amount. Changed deadlines get fresh reminders. Doesn't save.
+escrowSchema.methods.applyAmendment = function(amendment, { conditions = [], escrowFee } = {}) {
+  const { fields, changes } = amendment;
+  const now = new Date();
+
+  amendment.previous = this.amendableTerms();
+
+  if (fields.includes('amount')) {
+    const held = this.holdAmount;
+    this.amount = changes.amount;
+    this.fees.escrow_fee = escrowFee;
+    this.fees.total_fee = toMoney(this.fees.escrow_fee + this.fees.processing_fee);
+    amendment.lock_adjustment = toMoney(this.holdAmount - held);
+  }
+  if (fields.includes('conditions')) {
+    this.conditions = [
+      ...this.conditions.filter(condition => condition.fulfilled),
+      ...conditions
+    ];
+  }
+  if (fields.includes('auto_release_date')) {
+    this.release_settings.auto_release_date = changes.auto_release_date;
+    this.release_settings.auto_release = !!changes.auto_release_date;
+    this.reminders.auto_release_sent_at = null;
+  }
+  if (fields.includes('expires_at')) {
+    this.timeline.expires_at = changes.expires_at;
+    this.reminders.expiry_sent_at = null;
+  }
+  if (fields.includes('description')) {
+    this.metadata.description = changes.description;
+  }
+
+  this.version += 1;
+  amendment.version = this.version;
+  amendment.status = 'applied';
+  amendment.applied_at = now;
 };
 
 // Method to raise dispute
@@ -223,4 +859,25 @@ escrowSchema.methods.isExpired = function() {
   return this.timeline.expires_at && new Date() > this.timeline.expires_at;
 };
 
-module.exports = mongoose.model('Escrow', escrowSchema);
+// Method to find a dispute by its dispute_id
+escrowSchema.methods.findDispute = function(disputeId) {
+  return this.disputes.find(dispute => dispute.dispute_id === disputeId) || null;
+};
+
+// Method to check for a dispute that hasn't been settled yet
+escrowSchema.methods.hasOpenDispute = function() {
+  return this.disputes.some(dispute => OPEN_DISPUTE_STATUSES.includes(dispute.status));
+};
+
+const Escrow = mongoose.model('Escrow', escrowSchema);
+Escrow.DISPUTE_STATUSES = DISPUTE_STATUSES;
+Escrow.OPEN_DISPUTE_STATUSES = OPEN_DISPUTE_STATUSES;
+Escrow.normalizeDisputeStatus = normalizeDisputeStatus;
+Escrow.storedDisputeStatuses = storedDisputeStatuses;
+Escrow.toMoney = toMoney;
+Escrow.PARTICIPANT_ROLES = PARTICIPANT_ROLES;
+Escrow.RELEASE_RULES = RELEASE_RULES;
+Escrow.AMENDABLE_FIELDS = AMENDABLE_FIELDS;
+Escrow.AMENDMENT_ROLES = AMENDMENT_ROLES;
+
+module.exports = Escrow;
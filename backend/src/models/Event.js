@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { EVENT_API_VERSION, EVENT_TYPES } = require('../config/eventTypes');
+
+const eventSchema = new mongoose.Schema({
+  event_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: Object.keys(EVENT_TYPES)
+  },
+  api_version: {
+    type: String,
+    required: true,
+    default: EVENT_API_VERSION
+  },
+  user_id: {
+    type: String,
+    required: true
+  },
+  object_type: {
+    type: String,
+    required: true
+  },
+  object_id: {
+    type: String,
+    required: true
+  },
+  // Snapshot of the object at the time the event was emitted
+  data: {
+    object: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+eventSchema.index({ user_id: 1, createdAt: -1 });
+eventSchema.index({ user_id: 1, type: 1, createdAt: -1 });
+eventSchema.index({ object_id: 1 });
+
+// Events are immutable once emitted
+eventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Events are immutable'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'].forEach(operation => {
+  eventSchema.pre(operation, function(next) {
+    next(new Error('Events are immutable'));
+  });
+});
+
+// Event as returned by the API and sent in webhooks
+eventSchema.methods.toPayload = function() {
+  return {
+    id: this.event_id,
+    type: this.type,
+    api_version: this.api_version,
+    created: this.createdAt.toISOString(),
+    data: { object: this.data.object }
+  };
+};
+
+module.exports = mongoose.model('Event', eventSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { FEE_TRANSACTION_TYPES, FEE_BEARERS, FEE_RAILS } = require('../config/feeRules');
+
+// Price once a merchant's volume this month reaches min_volume
+const feeTierSchema = new mongoose.Schema({
+  min_volume: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  flat_fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// Price of one kind of transaction. Currency, rail and the amount band narrow
+// what the rule applies to; left out, it applies to any.
+const feeRuleSchema = new mongoose.Schema({
+  transaction_type: {
+    type: String,
+    required: true,
+    enum: FEE_TRANSACTION_TYPES
+  },
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  rail: {
+    type: String,
+    enum: FEE_RAILS
+  },
+  min_amount: {
+    type: Number,
+    min: 0
+  },
+  max_amount: {
+    type: Number,
+    min: 0
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  flat_fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Volume tiers replace the percentage and flat fee above
+  tiers: [feeTierSchema],
+  min_fee: {
+    type: Number,
+    min: 0
+  },
+  max_fee: {
+    type: Number,
+    min: 0
+  },
+  fee_bearer: {
+    type: String,
+    enum: FEE_BEARERS,
+    default: 'payer'
+  }
+}, { _id: false });
+
+// Pricing plan. The default plan prices merchants who haven't been put on
+// another one; without any plan the standard rules in config/feeRules apply.
+const feeScheduleSchema = new mongoose.Schema({
+  schedule_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  merchant_ids: [String],
+  is_default: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'archived'],
+    default: 'active'
+  },
+  rules: [feeRuleSchema],
+  created_by: String,
+  updated_by: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+feeScheduleSchema.index({ merchant_ids: 1, status: 1 });
+feeScheduleSchema.index({ is_default: 1, status: 1 });
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
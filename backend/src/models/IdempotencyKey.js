@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user_id: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  request_hash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // Renewed while the request holding the claim runs; once it has passed, the
+  // process that made the claim is gone and a retry can take the claim over
+  locked_until: Date,
+  response_status: Number,
+  response_body: mongoose.Schema.Types.Mixed,
+  completed_at: Date,
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A key is unique per merchant, not globally
+idempotencyKeySchema.index({ user_id: 1, key: 1 }, { unique: true });
+
+// MongoDB's TTL monitor removes keys once they expire
+idempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
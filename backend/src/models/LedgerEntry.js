@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  account_type: {
+    type: String,
+    required: true,
+    enum: ['wallet', 'system']
+  },
+  wallet_id: String,
+  bucket: {
+    type: String,
+    enum: ['available', 'locked', 'pending']
+  },
+  direction: {
+    type: String,
+    required: true,
+    enum: ['debit', 'credit']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  entry_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  entry_type: {
+    type: String,
+    required: true,
+    enum: [
+      'collection',
+      'funding',
+      'withdrawal',
+      'payout',
+      'payout_reversal',
+      'transfer',
+      'fee',
+      'escrow_lock',
+      'escrow_adjustment',
+      'escrow_release',
+      'escrow_refund',
+      'refund',
+      'refund_reversal'
+    ]
+  },
+  transaction_id: String,
+  user_id: String,
+  currency: {
+    type: String,
+    required: true,
+    default: 'KES',
+    uppercase: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: String,
+  // Where an escrow stood after the posting, for escrow entries
+  escrow: {
+    escrow_id: String,
+    milestone_id: String,
+    released_amount: Number,
+    refunded_amount: Number,
+    remaining_amount: Number
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    required: true
+  },
+  posted_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerEntrySchema.index({ transaction_id: 1 });
+ledgerEntrySchema.index({ 'lines.wallet_id': 1, posted_at: -1 });
+ledgerEntrySchema.index({ 'lines.account': 1 });
+ledgerEntrySchema.index({ entry_type: 1, posted_at: -1 });
+ledgerEntrySchema.index({ 'escrow.escrow_id': 1, posted_at: 1 });
+
+// Amounts are compared in minor units so floating point fees don't break the balance check
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+// Reject any posting whose debits and credits don't balance
+ledgerEntrySchema.pre('validate', function(next) {
+  if (!this.lines || this.lines.length < 2) {
+    this.invalidate('lines', 'A journal entry needs at least one debit and one credit line');
+    return next();
+  }
+
+  let debits = 0;
+  let credits = 0;
+
+  this.lines.forEach(line => {
+    if (line.direction === 'debit') debits += toMinorUnits(line.amount);
+    if (line.direction === 'credit') credits += toMinorUnits(line.amount);
+  });
+
+  if (debits === 0 || debits !== credits) {
+    this.invalidate('lines', `Unbalanced journal entry: debits ${debits / 100} != credits ${credits / 100}`);
+    return next();
+  }
+
+  this.amount = debits / 100;
+  next();
+});
+
+// Journal entries are append-only; corrections are posted as new entries
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries are immutable'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  ledgerEntrySchema.pre(operation, function(next) {
+    next(new Error('Ledger entries are immutable'));
+  });
+});
+
+// Virtual to check the entry balances
+ledgerEntrySchema.virtual('isBalanced').get(function() {
+  const debits = this.lines
+    .filter(line => line.direction === 'debit')
+    .reduce((sum, line) => sum + toMinorUnits(line.amount), 0);
+  const credits = this.lines
+    .filter(line => line.direction === 'credit')
+    .reduce((sum, line) => sum + toMinorUnits(line.amount), 0);
+  return debits === credits;
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Payment methods a buyer can choose from on the hosted checkout page
+const CHECKOUT_METHODS = ['mpesa', 'card', 'bank'];
+
+// A shareable link to a hosted checkout page where buyers pay a merchant.
+// The link either fixes the amount or lets the buyer enter one, optionally
+// within bounds; every payment made through it is a collection carrying the
+// link's id.
+const paymentLinkSchema = new mongoose.Schema({
+  link_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  merchant_id: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: String,
+  // Left out when the buyer enters the amount
+  amount: Number,
+  min_amount: Number,
+  max_amount: Number,
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  payment_methods: {
+    type: [{
+      type: String,
+      enum: CHECKOUT_METHODS
+    }],
+    default: CHECKOUT_METHODS
+  },
+  // Phone number the checkout page starts with, for links sent to one customer
+  customer_phone: String,
+  success_url: String,
+  cancel_url: String,
+  expires_at: Date,
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  deactivated_at: Date,
+  // Times the checkout page was opened
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  // Completed payments and what they brought in
+  conversions: {
+    type: Number,
+    default: 0
+  },
+  revenue: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentLinkSchema.index({ merchant_id: 1, status: 1, createdAt: -1 });
+
+// Static to count a completed collection towards the link it was paid through
+paymentLinkSchema.statics.recordConversion = function(transaction, { session } = {}) {
+  if (!transaction.metadata?.payment_link_id) {
+    return null;
+  }
+  return this.updateOne(
+    { link_id: transaction.metadata.payment_link_id },
+    { $inc: { conversions: 1, revenue: transaction.amount } },
+    { session }
+  );
+};
+
+// Method to tell whether buyers can still pay through the link
+paymentLinkSchema.methods.isOpen = function() {
+  return this.status === 'active' && (!this.expires_at || this.expires_at > new Date());
+};
+
+// Virtual for the link's state as merchants and buyers see it
+paymentLinkSchema.virtual('state').get(function() {
+  if (this.status !== 'active') {
+    return 'inactive';
+  }
+  return this.isOpen() ? 'active' : 'expired';
+});
+
+const PaymentLink = mongoose.model('PaymentLink', paymentLinkSchema);
+PaymentLink.CHECKOUT_METHODS = CHECKOUT_METHODS;
+
+module.exports = PaymentLink;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { PAYMENT_METHODS } = require('../config/paymentProviders');
+
+// Sends a payment method through a provider other than its default. Limited
+// to a merchant, a currency or both; left out, it applies to any. The most
+// specific active route wins.
+const providerRouteSchema = new mongoose.Schema({
+  route_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  method: {
+    type: String,
+    required: true,
+    enum: PAYMENT_METHODS
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  merchant_id: String,
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  created_by: String,
+  updated_by: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+providerRouteSchema.index({ method: 1, status: 1, merchant_id: 1, currency: 1 });
+
+module.exports = mongoose.model('ProviderRoute', providerRouteSchema);
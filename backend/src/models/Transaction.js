@@ -9,7 +9,7 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['collection', 'payout', 'escrow_hold', 'escrow_release', 'refund', 'fee', 'transfer']
+    enum: ['collection', 'payout', 'escrow_hold', 'escrow_release', 'refund', 'fee', 'transfer', 'wallet_funding', 'wallet_withdrawal', 'wallet_transfer']
   },
   status: {
     type: String,
@@ -40,7 +40,13 @@ const transactionSchema = new mongoose.Schema({
     total_fee: {
       type: Number,
       default: 0
-    }
+    },
+    // Who paid the fee and the pricing plan it came from
+    bearer: {
+      type: String,
+      enum: ['payer', 'payee']
+    },
+    schedule_id: String
   },
   net_amount: {
     type: Number,
@@ -50,26 +56,32 @@ const transactionSchema = new mongoose.Schema({
     wallet_id: String,
     payment_method: {
       type: String,
-      enum: ['mpesa', 'card', 'bank', 'wallet']
+      enum: ['mpesa', 'card', 'bank', 'wallet', 'escrow']
     },
+    // Payment provider adapter the money moved through
+    provider: String,
     payment_details: {
       phone_number: String,
       card_last4: String,
       bank_account: String,
-      transaction_ref: String
+      transaction_ref: String,
+      provider_transaction_id: String
     }
   },
   destination: {
     wallet_id: String,
     payment_method: {
       type: String,
-      enum: ['mpesa', 'card', 'bank', 'wallet']
+      enum: ['mpesa', 'card', 'bank', 'wallet', 'escrow']
     },
+    // Payment provider adapter the money moved through
+    provider: String,
     payment_details: {
       phone_number: String,
       card_last4: String,
       bank_account: String,
-      transaction_ref: String
+      transaction_ref: String,
+      provider_transaction_id: String
     }
   },
   escrow_details: {
@@ -81,6 +93,13 @@ const transactionSchema = new mongoose.Schema({
       payee: String
     }
   },
+  // On a collection, how much of it has been refunded (counting refunds still
+  // in flight); on a refund, the collection it pays back and why
+  refund_details: {
+    collection_id: String,
+    reason: String,
+    refunded_amount: Number
+  },
   metadata: {
     description: String,
     reference: String,
@@ -88,7 +107,12 @@ const transactionSchema = new mongoose.Schema({
     customer_name: String,
     ip_address: String,
     user_agent: String,
-    webhook_url: String
+    webhook_url: String,
+    // Payment link a buyer paid through
+    payment_link_id: String,
+    // Bulk payout request a payout was part of
+    bulk_id: String,
+    user_id: String
   },
   processing: {
     initiated_at: Date,
@@ -123,6 +147,9 @@ transactionSchema.index({ 'source.wallet_id': 1 });
 transactionSchema.index({ 'destination.wallet_id': 1 });
 transactionSchema.index({ created_at: -1 });
 transactionSchema.index({ 'escrow_details.escrow_id': 1 });
+transactionSchema.index({ 'metadata.payment_link_id': 1 });
+transactionSchema.index({ 'refund_details.collection_id': 1 });
+transactionSchema.index({ 'metadata.user_id': 1, type: 1 });
 
 // Pre-save middleware to calculate net amount
 transactionSchema.pre('save', function(next) {
@@ -43,6 +43,7 @@ const userSchema = new mongoose.Schema({
     enum: ['test', 'live'],
     default: 'test'
   },
+  // Legacy plaintext keys; moved to hashed ApiKey records the first time they are used
   api_keys: {
     public_test: String,
     secret_test: String,
@@ -62,6 +63,17 @@ const userSchema = new mongoose.Schema({
     owner_selfie: String,
     bank_statement: String
   },
+  // Admin who last reviewed the account and the KYC submission
+  review: {
+    reviewed_by: String,
+    reviewed_at: Date,
+    rejection_reason: String
+  },
+  kyc_review: {
+    reviewed_by: String,
+    reviewed_at: Date,
+    rejection_reason: String
+  },
   trust_score: {
     type: Number,
     min: 0,
@@ -95,18 +107,20 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate API keys
-userSchema.methods.generateAPIKeys = function() {
-  const { v4: uuidv4 } = require('uuid');
-  
-  this.api_keys = {
-    public_test: `pk_test_${uuidv4().replace(/-/g, '')}`,
-    secret_test: `sk_test_${uuidv4().replace(/-/g, '')}`,
-    public_live: this.mode === 'live' ? `pk_live_${uuidv4().replace(/-/g, '')}` : null,
-    secret_live: this.mode === 'live' ? `sk_live_${uuidv4().replace(/-/g, '')}` : null
+// Generate a publishable and a secret key for an environment.
+// Keys are stored hashed in ApiKey; the raw values returned here can't be retrieved again.
+userSchema.methods.generateAPIKeys = async function(environment = this.mode) {
+  const ApiKey = require('./ApiKey');
+
+  const [publishable, secret] = await Promise.all([
+    ApiKey.generate({ userId: this._id, type: 'publishable', environment, name: `Default ${environment} publishable key` }),
+    ApiKey.generate({ userId: this._id, type: 'secret', environment, name: `Default ${environment} secret key` })
+  ]);
+
+  return {
+    [`public_${environment}`]: publishable.rawKey,
+    [`secret_${environment}`]: secret.rawKey
   };
-  
-  return this.api_keys;
 };
 
 module.exports = mongoose.model('User', userSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const httpError = require('../utils/httpError');
 
 const walletSchema = new mongoose.Schema({
   wallet_id: {
@@ -49,6 +51,12 @@ const walletSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'frozen', 'closed'],
     default: 'active'
   },
+  // Set while an admin has frozen the wallet
+  freeze: {
+    frozen_by: String,
+    frozen_at: Date,
+    reason: String
+  },
   metadata: {
     description: String,
     tags: [String]
@@ -70,53 +78,98 @@ walletSchema.methods.hasSufficientFunds = function(amount, includeLocked = false
   return this.balances.available >= amount;
 };
 
-// Method to lock funds
-walletSchema.methods.lockFunds = function(amount) {
-  if (!this.hasSufficientFunds(amount)) {
-    throw new Error('Insufficient funds');
+// Atomically apply balance deltas, e.g. { available: -100, locked: 100 }.
+// Every bucket that decreases is guarded in the filter so the update only
+// matches while the wallet still holds enough; concurrent requests can't
+// overdraw it. Pass { session } to make the change part of a transaction.
+walletSchema.statics.adjustBalances = async function(walletId, deltas, options = {}) {
+  const filter = { wallet_id: walletId, status: 'active' };
+  const inc = {};
+
+  Object.entries(deltas).forEach(([bucket, delta]) => {
+    if (!delta) return;
+    inc[`balances.${bucket}`] = delta;
+    if (delta < 0) {
+      filter[`balances.${bucket}`] = { $gte: -delta };
+    }
+  });
+
+  const wallet = await this.findOneAndUpdate(filter, { $inc: inc }, {
+    new: true,
+    session: options.session
+  });
+
+  if (!wallet) {
+    const existing = await this.findOne({ wallet_id: walletId }).session(options.session || null);
+    if (!existing) {
+      throw httpError(404, 'Wallet not found', { wallet_id: walletId });
+    }
+    if (existing.status !== 'active') {
+      throw httpError(400, `Wallet is ${existing.status}`, { wallet_id: walletId });
+    }
+    throw httpError(400, 'Insufficient funds', {
+      wallet_id: walletId,
+      balances: existing.balances,
+      requested: deltas
+    });
   }
-  
-  this.balances.available -= amount;
-  this.balances.locked += amount;
-  return this.save();
+
+  return wallet;
 };
 
-// Method to unlock funds
-walletSchema.methods.unlockFunds = function(amount) {
-  if (this.balances.locked < amount) {
-    throw new Error('Insufficient locked funds');
+// Find the owner's wallet, creating an empty one on first use
+walletSchema.statics.findOrCreateForOwner = async function(ownerId, ownerType) {
+  let wallet = await this.findOne({ owner_id: ownerId, owner_type: ownerType });
+
+  if (!wallet) {
+    wallet = new this({
+      wallet_id: `wallet_${uuidv4().replace(/-/g, '')}`,
+      owner_type: ownerType,
+      owner_id: ownerId,
+      ownerModel: ownerType === 'user' ? 'User' : 'Business',
+      currency: 'KES'
+    });
+    await wallet.save();
   }
-  
-  this.balances.locked -= amount;
-  this.balances.available += amount;
-  return this.save();
+
+  return wallet;
+};
+
+// Keep this document's balances in sync with the stored ones after an atomic update
+walletSchema.methods.applyBalanceChange = async function(deltas, options = {}) {
+  const updated = await this.constructor.adjustBalances(this.wallet_id, deltas, options);
+  this.balances = updated.balances;
+  return this;
+};
+
+// Method to lock funds
+walletSchema.methods.lockFunds = function(amount, options = {}) {
+  return this.applyBalanceChange({ available: -amount, locked: amount }, options);
+};
+
+// Method to unlock funds
+walletSchema.methods.unlockFunds = function(amount, options = {}) {
+  return this.applyBalanceChange({ locked: -amount, available: amount }, options);
 };
 
 // Method to release funds (move from locked to available)
-walletSchema.methods.releaseFunds = function(amount) {
-  if (this.balances.locked < amount) {
-    throw new Error('Insufficient locked funds');
-  }
-  
-  this.balances.locked -= amount;
-  this.balances.available += amount;
-  return this.save();
+walletSchema.methods.releaseFunds = function(amount, options = {}) {
+  return this.applyBalanceChange({ locked: -amount, available: amount }, options);
+};
+
+// Method to pay out of locked funds (e.g. escrow release to another wallet)
+walletSchema.methods.settleLockedFunds = function(amount, options = {}) {
+  return this.applyBalanceChange({ locked: -amount }, options);
 };
 
 // Method to deduct funds
-walletSchema.methods.deductFunds = function(amount) {
-  if (this.balances.available < amount) {
-    throw new Error('Insufficient available funds');
-  }
-  
-  this.balances.available -= amount;
-  return this.save();
+walletSchema.methods.deductFunds = function(amount, options = {}) {
+  return this.applyBalanceChange({ available: -amount }, options);
 };
 
 // Method to add funds
-walletSchema.methods.addFunds = function(amount) {
-  this.balances.available += amount;
-  return this.save();
+walletSchema.methods.addFunds = function(amount, options = {}) {
+  return this.applyBalanceChange({ available: amount }, options);
 };
 
 module.exports = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One document per delivery attempt of an event to an endpoint.
+// 'pending' attempts are picked up by the delivery worker once scheduled_for
+// has passed; a failed attempt schedules the next one until retries run out,
+// at which point the last attempt is moved to 'dead_letter'.
+const webhookDeliverySchema = new mongoose.Schema({
+  delivery_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event_id: {
+    type: String,
+    required: true
+  },
+  event_type: {
+    type: String,
+    required: true
+  },
+  webhook_id: {
+    type: String,
+    required: true
+  },
+  user_id: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  request_body: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  attempt: {
+    type: Number,
+    required: true,
+    default: 1
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'sending', 'succeeded', 'failed', 'dead_letter'],
+    default: 'pending'
+  },
+  // Manual redeliveries are not retried automatically
+  manual: {
+    type: Boolean,
+    default: false
+  },
+  scheduled_for: {
+    type: Date,
+    default: Date.now
+  },
+  sent_at: Date,
+  response_code: Number,
+  response_body: String,
+  latency_ms: Number,
+  error: String,
+  next_retry_at: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookDeliverySchema.index({ status: 1, scheduled_for: 1 });
+webhookDeliverySchema.index({ webhook_id: 1, createdAt: -1 });
+webhookDeliverySchema.index({ webhook_id: 1, event_id: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('../config/eventTypes');
+
+// Events a merchant can subscribe an endpoint to; '*' subscribes to all of them
+const WEBHOOK_EVENTS = Object.keys(EVENT_TYPES);
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+const webhookEndpointSchema = new mongoose.Schema({
+  webhook_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user_id: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  description: String,
+  events: {
+    type: [{
+      type: String,
+      enum: [...WEBHOOK_EVENTS, '*']
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  secret: {
+    type: String,
+    required: true,
+    default: generateSecret
+  },
+  // The secret replaced by the last rotation, kept so receivers can switch over
+  previous_secret: String,
+  previous_secret_expires_at: Date,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  disabled_at: Date,
+  secret_rotated_at: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEndpointSchema.index({ user_id: 1, active: 1 });
+
+// Method to check whether the endpoint is subscribed to an event
+webhookEndpointSchema.methods.isSubscribedTo = function(eventType) {
+  return this.events.includes('*') || this.events.includes(eventType);
+};
+
+// Secrets outbound webhooks are signed with: the current one, plus the
+// previous one until its rotation grace period ends
+webhookEndpointSchema.methods.getSigningSecrets = function() {
+  const secrets = [this.secret];
+  if (this.previous_secret && this.previous_secret_expires_at > new Date()) {
+    secrets.push(this.previous_secret);
+  }
+  return secrets;
+};
+
+// Method to rotate the signing secret, keeping the old one valid for a grace period
+webhookEndpointSchema.methods.rotateSecret = function(gracePeriodHours = 24) {
+  this.previous_secret = this.secret;
+  this.previous_secret_expires_at = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+  this.secret = generateSecret();
+  this.secret_rotated_at = new Date();
+  return this.save();
+};
+
+// Method to enable or disable deliveries
+webhookEndpointSchema.methods.setActive = function(active) {
+  this.active = active;
+  this.disabled_at = active ? null : new Date();
+  return this.save();
+};
+
+// Static to find the active endpoints of a merchant subscribed to an event
+webhookEndpointSchema.statics.findSubscribed = function(userId, eventType) {
+  return this.find({
+    user_id: String(userId),
+    active: true,
+    events: { $in: [eventType, '*'] }
+  });
+};
+
+// Endpoint as returned by the API; secrets are only shown on create and rotate
+webhookEndpointSchema.methods.toPublicJSON = function() {
+  return {
+    webhook_id: this.webhook_id,
+    url: this.url,
+    description: this.description,
+    events: this.events,
+    active: this.active,
+    disabled_at: this.disabled_at,
+    secret_rotated_at: this.secret_rotated_at,
+    created_at: this.createdAt,
+    updated_at: this.updatedAt
+  };
+};
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+WebhookEndpoint.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookEndpoint;
@@ -0,0 +1,53 @@
+const express = require('express');
+const { body } = require('express-validator');
+const accountController = require('../controllers/accountController');
+const { auth } = require('../middleware/auth');
+const { API_KEY_SCOPES, SCOPE_PRESETS } = require('../config/apiKeyScopes');
+
+const router = express.Router();
+
+// Account routes are used from the dashboard and require a login token
+router.use(auth);
+
+// Validation rules
+const createKeyValidation = [
+  body('type')
+    .optional()
+    .isIn(['publishable', 'secret'])
+    .withMessage('Type must be publishable or secret'),
+  body('environment')
+    .optional()
+    .isIn(['test', 'live'])
+    .withMessage('Environment must be test or live'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters'),
+  body('preset')
+    .optional()
+    .isIn(Object.keys(SCOPE_PRESETS))
+    .withMessage('Invalid scope preset'),
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn([...API_KEY_SCOPES, '*'])
+    .withMessage('Invalid scope')
+];
+
+const rollKeyValidation = [
+  body('overlap_hours')
+    .optional()
+    .isInt({ min: 0, max: 168 })
+    .withMessage('Overlap must be between 0 and 168 hours')
+];
+
+// Routes
+router.get('/keys', accountController.getApiKeys);
+router.post('/keys', createKeyValidation, accountController.createApiKey);
+router.post('/keys/:key_id/roll', rollKeyValidation, accountController.rollApiKey);
+router.delete('/keys/:key_id', accountController.revokeApiKey);
+
+module.exports = router;
@@ -1,37 +1,264 @@
 const express = require('express');
 const { body } = require('express-validator');
 const adminController = require('../controllers/adminController');
-const { adminAuth } = require('../middleware/auth');
+const adminAuthController = require('../controllers/adminAuthController');
+const disputesController = require('../controllers/disputesController');
+const feesController = require('../controllers/feesController');
+const providersController = require('../controllers/providersController');
+const { adminAuth, requirePermission } = require('../middleware/auth');
+const { ADMIN_ROLES } = require('../config/adminPermissions');
+const { FEE_TRANSACTION_TYPES, FEE_BEARERS, FEE_RAILS } = require('../config/feeRules');
+const { PAYMENT_METHODS } = require('../config/paymentProviders');
+const { providerService } = require('../services/providerService');
 
 const router = express.Router();
 
-// All admin routes require admin authentication
+// Validation rules
+const loginValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .toLowerCase()
+    .withMessage('Valid email is required'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const createAdminValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required'),
+  body('email')
+    .trim()
+    .isEmail()
+    .toLowerCase()
+    .withMessage('Valid email is required'),
+  body('password')
+    .isLength({ min: 12 })
+    .withMessage('Password must be at least 12 characters'),
+  body('role')
+    .isIn(ADMIN_ROLES)
+    .withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`)
+];
+
+const updateAdminValidation = [
+  body('role')
+    .optional()
+    .isIn(ADMIN_ROLES)
+    .withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`),
+  body('status')
+    .optional()
+    .isIn(['active', 'disabled'])
+    .withMessage('Status must be active or disabled')
+];
+
+const requestEvidenceValidation = [
+  body('party')
+    .isIn(['payer', 'payee'])
+    .withMessage('Party must be payer or payee'),
+  body('message')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 2000 })
+    .withMessage('Message is required and must not exceed 2000 characters'),
+  body('due_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid due date required'),
+  body('due_in_hours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Due in hours must be between 1 and 720')
+];
+
+const resolveDisputeValidation = [
+  body('outcome')
+    .isIn(['payer', 'payee', 'split'])
+    .withMessage('Outcome must be payer, payee or split'),
+  body('payee_amount')
+    .if(body('outcome').equals('split'))
+    .isFloat({ gt: 0 })
+    .withMessage('Payee amount is required for a split'),
+  body('resolution')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 5000 })
+    .withMessage('A written resolution is required')
+];
+
+const feeRulesValidation = [
+  body('rules.*.transaction_type')
+    .isIn(FEE_TRANSACTION_TYPES)
+    .withMessage(`Rule transaction type must be one of: ${FEE_TRANSACTION_TYPES.join(', ')}`),
+  body('rules.*.currency')
+    .optional({ values: 'null' })
+    .isIn(['KES', 'USD', 'EUR'])
+    .withMessage('Invalid rule currency'),
+  body('rules.*.rail')
+    .optional({ values: 'null' })
+    .isIn(FEE_RAILS)
+    .withMessage(`Rule rail must be one of: ${FEE_RAILS.join(', ')}`),
+  body('rules.*.percentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Percentage must be between 0 and 100'),
+  body(['rules.*.flat_fee', 'rules.*.min_fee', 'rules.*.max_fee', 'rules.*.min_amount', 'rules.*.max_amount'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Fees and amount bounds must not be negative'),
+  body('rules.*.tiers')
+    .optional()
+    .isArray()
+    .withMessage('Tiers must be an array'),
+  body('rules.*.tiers.*.min_volume')
+    .isFloat({ min: 0 })
+    .withMessage('Each tier needs a min_volume of 0 or more'),
+  body('rules.*.tiers.*.percentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tier percentage must be between 0 and 100'),
+  body('rules.*.tiers.*.flat_fee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tier flat fee must not be negative'),
+  body('rules.*.fee_bearer')
+    .optional()
+    .isIn(FEE_BEARERS)
+    .withMessage('Fee bearer must be payer or payee'),
+  body('merchant_ids')
+    .optional()
+    .isArray()
+    .withMessage('Merchant IDs must be an array'),
+  body('is_default')
+    .optional()
+    .isBoolean()
+    .withMessage('is_default must be true or false')
+];
+
+const createFeeScheduleValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required'),
+  body('rules')
+    .isArray({ min: 1 })
+    .withMessage('At least one rule is required'),
+  ...feeRulesValidation
+];
+
+const updateFeeScheduleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name must not be empty'),
+  body('rules')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one rule is required'),
+  body('status')
+    .optional()
+    .isIn(['active', 'archived'])
+    .withMessage('Status must be active or archived'),
+  ...feeRulesValidation
+];
+
+const providerNameValidation = (optional) => {
+  const rule = body('provider');
+  return (optional ? rule.optional() : rule)
+    .custom(value => providerService.has(value))
+    .withMessage('Unknown payment provider');
+};
+
+const createProviderRouteValidation = [
+  body('method')
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  providerNameValidation(false),
+  body('merchant_id')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Merchant ID must be a string'),
+  body('currency')
+    .optional()
+    .isIn(['KES', 'USD', 'EUR'])
+    .withMessage('Invalid currency')
+];
+
+const updateProviderRouteValidation = [
+  providerNameValidation(true),
+  body('status')
+    .optional()
+    .isIn(['active', 'disabled'])
+    .withMessage('Status must be active or disabled')
+];
+
+// Admin login is the only unauthenticated admin route
+router.post('/auth/login', loginValidation, adminAuthController.login);
+
+// All other admin routes require admin authentication
 router.use(adminAuth);
 
+router.get('/auth/me', adminAuthController.getMe);
+
+// Manage admin users
+router.get('/admins', requirePermission('admins:manage'), adminAuthController.getAdmins);
+router.post('/admins', requirePermission('admins:manage'), createAdminValidation, adminAuthController.createAdmin);
+router.patch('/admins/:admin_id', requirePermission('admins:manage'), updateAdminValidation, adminAuthController.updateAdmin);
+
 // Get pending accounts for approval
-router.get('/pending-accounts', adminController.getPendingAccounts);
+router.get('/pending-accounts', requirePermission('accounts:read'), adminController.getPendingAccounts);
 
 // Approve or reject account
-router.post('/approve/:userId', adminController.approveAccount);
-router.post('/reject/:userId', adminController.rejectAccount);
+router.post('/approve/:userId', requirePermission('accounts:review'), adminController.approveAccount);
+router.post('/reject/:userId', requirePermission('accounts:review'), adminController.rejectAccount);
 
 // Get KYC submissions
-router.get('/kyc-submissions', adminController.getKYCSubmissions);
+router.get('/kyc-submissions', requirePermission('kyc:read'), adminController.getKYCSubmissions);
 
 // Approve or reject KYC
-router.post('/kyc/approve/:userId', adminController.approveKYC);
-router.post('/kyc/reject/:userId', adminController.rejectKYC);
+router.post('/kyc/approve/:userId', requirePermission('kyc:review'), adminController.approveKYC);
+router.post('/kyc/reject/:userId', requirePermission('kyc:review'), adminController.rejectKYC);
 
 // Get all accounts
-router.get('/accounts', adminController.getAllAccounts);
+router.get('/accounts', requirePermission('accounts:read'), adminController.getAllAccounts);
 
 // Get platform statistics
-router.get('/stats', adminController.getPlatformStats);
+router.get('/stats', requirePermission('stats:read'), adminController.getPlatformStats);
 
 // Get transaction logs
-router.get('/transactions', adminController.getTransactions);
+router.get('/transactions', requirePermission('transactions:read'), adminController.getTransactions);
 
 // Get API logs
-router.get('/api-logs', adminController.getAPILogs);
+router.get('/api-logs', requirePermission('logs:read'), adminController.getAPILogs);
+
+// Dispute adjudication
+router.get('/disputes', requirePermission('disputes:read'), disputesController.getDisputes);
+router.get('/disputes/:dispute_id', requirePermission('disputes:read'), disputesController.getDispute);
+router.post('/disputes/:dispute_id/review', requirePermission('disputes:resolve'), disputesController.startReview);
+router.post('/disputes/:dispute_id/request-evidence', requirePermission('disputes:resolve'), requestEvidenceValidation, disputesController.requestEvidence);
+router.post('/disputes/:dispute_id/resolve', requirePermission('disputes:resolve'), resolveDisputeValidation, disputesController.resolveDispute);
+
+// Audit trail
+router.get('/audit-logs', requirePermission('audit:read'), adminController.getAuditLogs);
+router.get('/audit-logs/verify', requirePermission('audit:read'), adminController.verifyAuditLogs);
+
+// Pricing plans
+router.get('/fee-schedules', requirePermission('fees:manage'), feesController.getFeeSchedules);
+router.post('/fee-schedules', requirePermission('fees:manage'), createFeeScheduleValidation, feesController.createFeeSchedule);
+router.patch('/fee-schedules/:schedule_id', requirePermission('fees:manage'), updateFeeScheduleValidation, feesController.updateFeeSchedule);
+
+// Payment providers and the routes sending payment methods through them
+router.get('/payment-providers', requirePermission('providers:manage'), providersController.getProviders);
+router.get('/provider-routes', requirePermission('providers:manage'), providersController.getProviderRoutes);
+router.post('/provider-routes', requirePermission('providers:manage'), createProviderRouteValidation, providersController.createProviderRoute);
+router.patch('/provider-routes/:route_id', requirePermission('providers:manage'), updateProviderRouteValidation, providersController.updateProviderRoute);
+
+// Freeze or unfreeze a wallet
+router.post('/wallets/:wallet_id/freeze', requirePermission('wallets:freeze'), adminController.freezeWallet);
+router.post('/wallets/:wallet_id/unfreeze', requirePermission('wallets:freeze'), adminController.unfreezeWallet);
 
 module.exports = router;
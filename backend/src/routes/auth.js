@@ -12,7 +12,7 @@ const {
   approveAccount,
   rejectAccount
 } = require('../controllers/authController');
-const { auth } = require('../middleware/auth');
+const { auth, adminAuth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -107,8 +107,8 @@ router.get('/verify-email/:token', verifyEmail);
 router.post('/kyc/submit', kycValidation, submitKYC);
 
 // Admin routes
-router.get('/admin/pending-accounts', getPendingAccounts);
-router.post('/admin/approve/:accountId', approveAccount);
-router.post('/admin/reject/:accountId', rejectAccount);
+router.get('/admin/pending-accounts', adminAuth, requirePermission('accounts:read'), getPendingAccounts);
+router.post('/admin/approve/:accountId', adminAuth, requirePermission('accounts:review'), approveAccount);
+router.post('/admin/reject/:accountId', adminAuth, requirePermission('accounts:review'), rejectAccount);
 
 module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const { body } = require('express-validator');
+const paymentLinksController = require('../controllers/paymentLinksController');
+const PaymentLink = require('../models/PaymentLink');
+
+const router = express.Router();
+
+// Checkout routes are public: buyers reach them through a payment link
+
+// Validation rules
+const payCheckoutValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body('payment_method')
+    .isIn(PaymentLink.CHECKOUT_METHODS)
+    .withMessage('Valid payment method required'),
+  body('customer_email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email required'),
+  body('customer_phone')
+    .if(body('payment_method').equals('mpesa'))
+    .isMobilePhone()
+    .withMessage('Valid M-Pesa phone number required'),
+  body('customer_name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters')
+];
+
+// Routes
+router.get('/:link_id', paymentLinksController.getCheckout);
+router.post('/:link_id/pay', payCheckoutValidation, paymentLinksController.payCheckout);
+router.get('/:link_id/payments/:transaction_id', paymentLinksController.getCheckoutPayment);
+
+module.exports = router;
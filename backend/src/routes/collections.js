@@ -1,7 +1,8 @@
 const express = require('express');
 const { body } = require('express-validator');
 const collectionsController = require('../controllers/collectionsController');
-const { apiKeyAuth, requireLiveMode } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, requireLiveMode } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -47,11 +48,25 @@ const createCollectionValidation = [
     .withMessage('Reference must not exceed 100 characters')
 ];
 
+const createRefundValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
 // Routes
-router.post('/create', createCollectionValidation, collectionsController.createCollection);
-router.get('/:transaction_id', collectionsController.getCollection);
-router.get('/', collectionsController.getCollections);
-router.post('/:transaction_id/verify', collectionsController.verifyCollection);
-router.post('/:transaction_id/cancel', collectionsController.cancelCollection);
+router.post('/create', requireScope('collections:create'), idempotency, createCollectionValidation, collectionsController.createCollection);
+router.get('/:transaction_id', requireScope('collections:read'), collectionsController.getCollection);
+router.get('/', requireScope('collections:read'), collectionsController.getCollections);
+router.post('/:transaction_id/verify', requireScope('collections:read'), collectionsController.verifyCollection);
+router.post('/:transaction_id/cancel', requireScope('collections:write'), collectionsController.cancelCollection);
+router.post('/:transaction_id/refunds', requireScope('collections:write'), idempotency, createRefundValidation, collectionsController.createRefund);
+router.get('/:transaction_id/refunds', requireScope('collections:read'), collectionsController.getRefunds);
 
 module.exports = router;
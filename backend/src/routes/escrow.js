@@ -1,12 +1,82 @@
 const express = require('express');
 const { body } = require('express-validator');
 const escrowController = require('../controllers/escrowController');
-const { apiKeyAuth, requireKYC } = require('../middleware/auth');
+const disputesController = require('../controllers/disputesController');
+const documentsController = require('../controllers/documentsController');
+const {
+  apiKeyAuth,
+  requireScope,
+  requireKYC,
+  apiKeyOrAdminAuth,
+  requireScopeOrPermission
+} = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { CONDITION_TYPES, CONDITION_PARTIES } = require('../config/conditionTypes');
 
 const router = express.Router();
 
-// All escrow routes require API key authentication
+const CONDITION_TYPE_NAMES = Object.keys(CONDITION_TYPES);
+
+const disputeMessageValidation = [
+  body('body')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 5000 })
+    .withMessage('Message body is required and must not exceed 5000 characters'),
+  body('attachments')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Attachments must be an array of at most 5 files'),
+  body('attachments.*.data')
+    .matches(/^data:.+;base64,/)
+    .withMessage('Attachment data must be a base64 data URL'),
+  body('attachments.*.filename')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Attachment filename must not exceed 255 characters')
+];
+
+// Dispute threads are shared by the escrow parties (API key) and admins (admin token)
+router.get(
+  '/:escrow_id/disputes/:dispute_id/messages',
+  apiKeyOrAdminAuth,
+  requireScopeOrPermission('escrow', 'disputes:read'),
+  disputesController.getDisputeMessages
+);
+router.post(
+  '/:escrow_id/disputes/:dispute_id/messages',
+  apiKeyOrAdminAuth,
+  requireScopeOrPermission('escrow', 'disputes:resolve'),
+  disputeMessageValidation,
+  disputesController.postDisputeMessage
+);
+
+const verifyDocumentValidation = [
+  body('document')
+    .if(body('hash').not().exists())
+    .isBase64()
+    .withMessage('Document must be the base64 encoded PDF'),
+  body('hash')
+    .optional()
+    .isHash('sha256')
+    .withMessage('Hash must be a SHA-256 hex digest'),
+  body('signature')
+    .if(body('hash').exists())
+    .isBase64()
+    .withMessage('Signature is required with a hash')
+];
+
+// Anyone holding an escrow document can verify it
+router.get('/documents/public-key', documentsController.getDocumentKey);
+router.post('/documents/verify', verifyDocumentValidation, documentsController.verifyDocument);
+
+// Third parties fulfill webhook_callback conditions with a signed callback
+router.post('/:escrow_id/conditions/:condition_id/callback', escrowController.conditionCallback);
+
+// All other escrow routes require API key authentication
 router.use(apiKeyAuth);
+router.use(requireScope('escrow'));
 
 // Validation rules
 const createEscrowValidation = [
@@ -18,20 +88,84 @@ const createEscrowValidation = [
     .isIn(['KES', 'USD', 'EUR'])
     .withMessage('Invalid currency'),
   body('payer_wallet_id')
+    .if(body('payment_method').not().exists())
     .notEmpty()
-    .withMessage('Payer wallet ID is required'),
+    .withMessage('Payer wallet ID is required unless the buyer pays at checkout'),
+  body('payment_method')
+    .optional()
+    .isIn(['mpesa', 'card'])
+    .withMessage('Payment method must be mpesa or card'),
+  body('customer_phone')
+    .if(body('payment_method').equals('mpesa'))
+    .isMobilePhone()
+    .withMessage('Valid customer phone number required for M-Pesa'),
+  body('customer_email')
+    .if(body('payment_method').equals('card'))
+    .isEmail()
+    .withMessage('Valid customer email required for card payments'),
+  body('payment_timeout_minutes')
+    .optional()
+    .isInt({ min: 5, max: 10080 })
+    .withMessage('Payment timeout must be between 5 minutes and 7 days'),
   body('payee_wallet_id')
     .notEmpty()
     .withMessage('Payee wallet ID is required'),
   body('conditions')
+    .if(body('milestones').not().exists())
     .isArray({ min: 1 })
-    .withMessage('At least one condition is required'),
+    .withMessage('At least one condition or milestone is required'),
   body('conditions.*.type')
-    .notEmpty()
-    .withMessage('Condition type is required'),
+    .isIn(CONDITION_TYPE_NAMES)
+    .withMessage(`Condition type must be one of ${CONDITION_TYPE_NAMES.join(', ')}`),
   body('conditions.*.description')
     .notEmpty()
     .withMessage('Condition description is required'),
+  body('conditions.*.party')
+    .optional()
+    .isIn(CONDITION_PARTIES)
+    .withMessage('Invalid condition party'),
+  body('milestones')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Milestones must be an array of 1 to 50 milestones'),
+  body('milestones.*.title')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 200 })
+    .withMessage('Milestone title is required'),
+  body('milestones.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Milestone amount must be greater than 0'),
+  body('milestones.*.due_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid milestone due date required'),
+  body('milestones.*.conditions')
+    .optional()
+    .isArray()
+    .withMessage('Milestone conditions must be an array'),
+  body('milestones.*.conditions.*.type')
+    .optional()
+    .isIn(CONDITION_TYPE_NAMES)
+    .withMessage(`Condition type must be one of ${CONDITION_TYPE_NAMES.join(', ')}`),
+  body('milestones.*.conditions.*.description')
+    .notEmpty()
+    .withMessage('Milestone condition description is required'),
+  body('participants')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Participants must be an array of at most 20 participants'),
+  body('participants.*.role')
+    .isIn(['arbiter', 'approver'])
+    .withMessage('Participant role must be arbiter or approver'),
+  body('release_policy.rule')
+    .optional()
+    .isIn(['payer', 'arbiter', 'approvers'])
+    .withMessage('Release rule must be payer, arbiter or approvers'),
+  body('release_policy.required_approvals')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Required approvals must be at least 1'),
   body('description')
     .optional()
     .trim()
@@ -41,6 +175,10 @@ const createEscrowValidation = [
     .optional()
     .isISO8601()
     .withMessage('Valid auto-release date required'),
+  body('expires_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid expiry date required'),
   body('reference')
     .optional()
     .trim()
@@ -49,22 +187,96 @@ const createEscrowValidation = [
 ];
 
 const fulfillConditionValidation = [
-  body('fulfilled_by')
-    .notEmpty()
-    .withMessage('Fulfilled by is required'),
   body('evidence')
     .optional()
     .isArray()
-    .withMessage('Evidence must be an array')
+    .withMessage('Evidence must be an array'),
+  body('tracking_number')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Tracking number must not exceed 100 characters'),
+  body('otp')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('delivered_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid delivery date required')
+];
+
+const releaseValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Release amount must be greater than 0')
+];
+
+const amendmentValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body('conditions')
+    .optional()
+    .isArray()
+    .withMessage('Conditions must be an array'),
+  body('conditions.*.type')
+    .isIn(CONDITION_TYPE_NAMES)
+    .withMessage(`Condition type must be one of ${CONDITION_TYPE_NAMES.join(', ')}`),
+  body('conditions.*.description')
+    .notEmpty()
+    .withMessage('Condition description is required'),
+  body('auto_release_date')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid auto-release date required'),
+  body('expires_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid expiry date required'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
+const reasonValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
 ];
 
 // Routes
-router.post('/create', createEscrowValidation, escrowController.createEscrow);
+router.post('/create', idempotency, createEscrowValidation, escrowController.createEscrow);
 router.get('/:escrow_id', escrowController.getEscrow);
+router.get('/:escrow_id/agreement', documentsController.getAgreement);
+router.get('/:escrow_id/statement', documentsController.getStatement);
 router.get('/', escrowController.getEscrows);
 router.post('/:escrow_id/conditions/:condition_id/fulfill', fulfillConditionValidation, escrowController.fulfillCondition);
-router.post('/:escrow_id/release', escrowController.releaseEscrow);
+router.post('/:escrow_id/release', releaseValidation, escrowController.releaseEscrow);
+router.post('/:escrow_id/milestones/:milestone_id/release', releaseValidation, escrowController.releaseMilestone);
+router.post(
+  '/:escrow_id/milestones/:milestone_id/conditions/:condition_id/fulfill',
+  fulfillConditionValidation,
+  escrowController.fulfillMilestoneCondition
+);
+router.get('/:escrow_id/conditions/:condition_id/callback-secret', escrowController.getConditionCallbackSecret);
 router.post('/:escrow_id/refund', escrowController.refundEscrow);
+router.post('/:escrow_id/cancel', reasonValidation, escrowController.cancelEscrow);
+router.get('/:escrow_id/amendments', escrowController.getAmendments);
+router.post('/:escrow_id/amendments', amendmentValidation, escrowController.proposeAmendment);
+router.post('/:escrow_id/amendments/:amendment_id/consent', escrowController.consentAmendment);
+router.post('/:escrow_id/amendments/:amendment_id/reject', reasonValidation, escrowController.rejectAmendment);
 router.post('/:escrow_id/dispute', escrowController.raiseDispute);
 router.get('/:escrow_id/disputes', escrowController.getDisputes);
 router.post('/:escrow_id/disputes/:dispute_id/evidence', escrowController.addDisputeEvidence);
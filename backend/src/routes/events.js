@@ -0,0 +1,42 @@
+const express = require('express');
+const { query } = require('express-validator');
+const eventsController = require('../controllers/eventsController');
+const { apiKeyAuth, requireScope } = require('../middleware/auth');
+const { EVENT_TYPES } = require('../config/eventTypes');
+
+const router = express.Router();
+
+// All event routes require API key authentication
+router.use(apiKeyAuth);
+router.use(requireScope('events'));
+
+// Validation rules
+const getEventsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('from_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid from_date required'),
+  query('to_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid to_date required'),
+  query('type')
+    .optional()
+    .isIn(Object.keys(EVENT_TYPES))
+    .withMessage('Invalid event type')
+];
+
+// Routes
+router.get('/', getEventsValidation, eventsController.getEvents);
+router.get('/types', eventsController.getEventTypes);
+router.get('/:event_id', eventsController.getEvent);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const { query } = require('express-validator');
+const feesController = require('../controllers/feesController');
+const { apiKeyAuth, requireScope } = require('../middleware/auth');
+const { FEE_TRANSACTION_TYPES } = require('../config/feeRules');
+
+const router = express.Router();
+
+// All fees routes require API key authentication
+router.use(apiKeyAuth);
+router.use(requireScope('fees'));
+
+// Validation rules
+const quoteValidation = [
+  query('type')
+    .isIn(FEE_TRANSACTION_TYPES)
+    .withMessage(`Type must be one of: ${FEE_TRANSACTION_TYPES.join(', ')}`),
+  query('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  query('currency')
+    .optional()
+    .isIn(['KES', 'USD', 'EUR'])
+    .withMessage('Invalid currency'),
+  query('payment_method')
+    .optional()
+    .isIn(['mpesa', 'card', 'bank'])
+    .withMessage('Payment method must be mpesa, card or bank'),
+  query('destination_type')
+    .if(query('type').equals('payout'))
+    .isIn(['mpesa', 'bank', 'wallet'])
+    .withMessage('Destination type must be mpesa, bank or wallet for a payout')
+];
+
+// Routes
+router.get('/quote', quoteValidation, feesController.getQuote);
+router.get('/schedule', feesController.getSchedule);
+
+module.exports = router;
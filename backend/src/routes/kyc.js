@@ -1,12 +1,13 @@
 const express = require('express');
 const { body } = require('express-validator');
 const kycController = require('../controllers/kycController');
-const { apiKeyAuth } = require('../middleware/auth');
+const { apiKeyAuth, requireScope } = require('../middleware/auth');
 
 const router = express.Router();
 
 // All KYC routes require API key authentication
 router.use(apiKeyAuth);
+router.use(requireScope('kyc'));
 
 // Validation rules
 const kycSubmissionValidation = [
@@ -1,12 +1,13 @@
 const express = require('express');
 const { query } = require('express-validator');
 const ledgerController = require('../controllers/ledgerController');
-const { apiKeyAuth, requireKYC } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, requireKYC } = require('../middleware/auth');
 
 const router = express.Router();
 
 // All ledger routes require API key authentication
 router.use(apiKeyAuth);
+router.use(requireScope('ledger'));
 
 // Validation rules
 const getEntriesValidation = [
@@ -28,7 +29,7 @@ const getEntriesValidation = [
     .withMessage('Valid to_date required'),
   query('entry_type')
     .optional()
-    .isIn(['payment', 'refund', 'transfer', 'fee', 'escrow_lock', 'escrow_release'])
+    .isIn(['collection', 'funding', 'withdrawal', 'payout', 'payout_reversal', 'transfer', 'fee', 'escrow_lock', 'escrow_adjustment', 'escrow_release', 'escrow_refund', 'refund', 'refund_reversal'])
     .withMessage('Invalid entry type')
 ];
 
@@ -0,0 +1,62 @@
+const express = require('express');
+const { body } = require('express-validator');
+const paymentLinksController = require('../controllers/paymentLinksController');
+const PaymentLink = require('../models/PaymentLink');
+const { apiKeyAuth, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All payment link routes require API key authentication
+router.use(apiKeyAuth);
+
+// Validation rules
+const createPaymentLinkValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Title must be between 2 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body(['min_amount', 'max_amount'])
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount bounds must be greater than 0'),
+  body('currency')
+    .optional()
+    .isIn(['KES', 'USD', 'EUR'])
+    .withMessage('Invalid currency'),
+  body('payment_methods')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Payment methods must be a non-empty list'),
+  body('payment_methods.*')
+    .isIn(PaymentLink.CHECKOUT_METHODS)
+    .withMessage(`Payment methods must be among: ${PaymentLink.CHECKOUT_METHODS.join(', ')}`),
+  body('customer_phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Valid customer phone number required'),
+  body(['success_url', 'cancel_url'])
+    .optional()
+    .isURL({ require_protocol: true })
+    .withMessage('Valid redirect URL required'),
+  body('expires_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be an ISO 8601 date')
+];
+
+// Routes
+router.post('/', requireScope('collections:write'), createPaymentLinkValidation, paymentLinksController.createPaymentLink);
+router.get('/', requireScope('collections:read'), paymentLinksController.getPaymentLinks);
+router.get('/:link_id', requireScope('collections:read'), paymentLinksController.getPaymentLink);
+router.post('/:link_id/deactivate', requireScope('collections:write'), paymentLinksController.deactivatePaymentLink);
+
+module.exports = router;
@@ -1,12 +1,14 @@
 const express = require('express');
 const { body } = require('express-validator');
 const payoutsController = require('../controllers/payoutsController');
-const { apiKeyAuth, requireKYC } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, requireKYC } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
 // All payouts routes require API key authentication
 router.use(apiKeyAuth);
+router.use(requireScope('payouts'));
 
 // Validation rules
 const createPayoutValidation = [
@@ -53,6 +55,14 @@ const createPayoutValidation = [
 ];
 
 const bulkPayoutValidation = [
+  body('source_wallet_id')
+    .optional()
+    .isString()
+    .withMessage('Source wallet ID must be a string'),
+  body('payouts.*.source_wallet_id')
+    .optional()
+    .isString()
+    .withMessage('Source wallet ID must be a string'),
   body('payouts')
     .isArray({ min: 1, max: 100 })
     .withMessage('Payouts array must have 1-100 items'),
@@ -69,8 +79,8 @@ const bulkPayoutValidation = [
 ];
 
 // Routes
-router.post('/create', createPayoutValidation, payoutsController.createPayout);
-router.post('/bulk', bulkPayoutValidation, payoutsController.createBulkPayouts);
+router.post('/create', idempotency, createPayoutValidation, payoutsController.createPayout);
+router.post('/bulk', idempotency, bulkPayoutValidation, payoutsController.createBulkPayouts);
 router.get('/:payout_id', payoutsController.getPayout);
 router.get('/', payoutsController.getPayouts);
 router.post('/:payout_id/retry', payoutsController.retryPayout);
@@ -1,12 +1,14 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const walletsController = require('../controllers/walletsController');
-const { apiKeyAuth, requireKYC } = require('../middleware/auth');
+const { apiKeyAuth, requireScope, requireKYC } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
 // All wallet routes require API key authentication
 router.use(apiKeyAuth);
+router.use(requireScope('wallets'));
 
 // Validation rules
 const createWalletValidation = [
@@ -68,7 +70,7 @@ router.get('/:wallet_id', walletsController.getWallet);
 router.get('/:wallet_id/balance', walletsController.getWalletBalance);
 router.post('/:wallet_id/fund', fundWalletValidation, walletsController.fundWallet);
 router.post('/:wallet_id/withdraw', walletsController.withdrawFromWallet);
-router.post('/transfer', transferValidation, walletsController.transferFunds);
+router.post('/transfer', idempotency, transferValidation, walletsController.transferFunds);
 router.get('/:wallet_id/transactions', walletsController.getWalletTransactions);
 router.get('/:wallet_id/transactions/:transaction_id', walletsController.getTransaction);
 
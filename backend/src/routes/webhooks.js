@@ -1,13 +1,15 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const webhooksController = require('../controllers/webhooksController');
-const { apiKeyAuth } = require('../middleware/auth');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const { apiKeyAuth, requireScope } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Webhook routes - some require API key auth, others are public for provider callbacks
 
 // Public webhook endpoints for payment providers
+router.post('/mpesa/callback', webhooksController.mpesaSTKCallback);
 router.post('/mpesa/c2b/confirmation', webhooksController.mpesaC2BConfirmation);
 router.post('/mpesa/c2b/validation', webhooksController.mpesaC2BValidation);
 router.post('/mpesa/b2c/result', webhooksController.mpesaB2CResult);
@@ -20,8 +22,11 @@ router.post('/flutterwave/webhook', webhooksController.flutterwaveWebhook);
 // Bank transfer webhooks
 router.post('/bank/confirmation', webhooksController.bankConfirmation);
 
+// Callbacks of any registered payment provider
+router.post('/providers/:provider/callback', webhooksController.providerWebhook);
+
 // User webhook management (requires authentication)
-router.use('/manage', apiKeyAuth);
+router.use('/manage', apiKeyAuth, requireScope('webhooks'));
 
 const webhookValidation = [
   body('url')
@@ -31,14 +36,69 @@ const webhookValidation = [
     .isArray({ min: 1 })
     .withMessage('At least one event required'),
   body('events.*')
-    .isIn(['transaction.completed', 'transaction.failed', 'escrow.locked', 'escrow.released', 'wallet.funded', 'wallet.debited', 'kyc.submitted', 'kyc.approved', 'kyc.rejected'])
-    .withMessage('Invalid event type')
+    .isIn([...WebhookEndpoint.WEBHOOK_EVENTS, '*'])
+    .withMessage('Invalid event type'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters')
+];
+
+const updateWebhookValidation = [
+  body('url')
+    .optional()
+    .isURL()
+    .withMessage('Valid webhook URL required'),
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one event required'),
+  body('events.*')
+    .isIn([...WebhookEndpoint.WEBHOOK_EVENTS, '*'])
+    .withMessage('Invalid event type'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+];
+
+const rotateSecretValidation = [
+  body('grace_period_hours')
+    .optional()
+    .isInt({ min: 0, max: 168 })
+    .withMessage('Grace period must be between 0 and 168 hours')
+];
+
+const deliveriesValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'sending', 'succeeded', 'failed', 'dead_letter'])
+    .withMessage('Invalid delivery status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
 ];
 
 router.post('/manage', webhookValidation, webhooksController.createWebhook);
 router.get('/manage', webhooksController.getWebhooks);
-router.put('/manage/:webhook_id', webhookValidation, webhooksController.updateWebhook);
+router.put('/manage/:webhook_id', updateWebhookValidation, webhooksController.updateWebhook);
 router.delete('/manage/:webhook_id', webhooksController.deleteWebhook);
+router.post('/manage/:webhook_id/enable', webhooksController.enableWebhook);
+router.post('/manage/:webhook_id/disable', webhooksController.disableWebhook);
+router.post('/manage/:webhook_id/rotate-secret', rotateSecretValidation, webhooksController.rotateWebhookSecret);
 router.post('/manage/:webhook_id/test', webhooksController.testWebhook);
+router.get('/manage/:webhook_id/deliveries', deliveriesValidation, webhooksController.getWebhookDeliveries);
+router.post('/manage/:webhook_id/events/:event_id/redeliver', webhooksController.redeliverWebhookEvent);
 
 module.exports = router;
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// previous_hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// JSON with sorted keys, so the same entry always hashes the same way
+const canonicalize = (value) => {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const computeHash = (previousHash, fields) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${previousHash}.${canonicalize(fields)}`)
+    .digest('hex');
+};
+
+// Plain JSON copy, so what is stored is exactly what was hashed
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Changed fields between two flat snapshots, as { field: { from, to } }
+const diff = (before = {}, after = {}) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (canonicalize(from) !== canonicalize(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  });
+
+  return changes;
+};
+
+// Who performed a request: an admin, a dashboard user or an API key
+const actorFromRequest = (req) => {
+  if (req?.admin) {
+    return { type: 'admin', id: req.admin.id, email: req.admin.email, role: req.admin.role };
+  }
+  if (req?.user) {
+    return {
+      type: req.user.apiKey ? 'api_key' : 'user',
+      id: String(req.user.userId),
+      email: req.user.email,
+      key_id: req.user.apiKey?.key_id
+    };
+  }
+  return { type: 'system', id: 'system' };
+};
+
+class AuditService {
+  // Append an entry to the chain. Never throws: an audit failure is logged
+  // rather than failing an action that has already been committed, with the
+  // whole entry so it can be appended later.
+  async record({ action, target, before, after, metadata = {}, req, actor }) {
+    const fields = {
+      audit_id: `aud_${uuidv4().replace(/-/g, '')}`,
+      action,
+      actor: actor || actorFromRequest(req),
+      target: {
+        type: target.type,
+        id: String(target.id),
+        user_id: target.user_id ? String(target.user_id) : undefined
+      },
+      ip: req?.ip,
+      user_agent: req?.get?.('User-Agent'),
+      changes: toPlain(diff(before, after)),
+      metadata: toPlain(metadata),
+      occurred_at: new Date()
+    };
+
+    try {
+      return await this.append(fields);
+    } catch (error) {
+      logger.error('Failed to write audit log; entry not recorded', { entry: fields, error: error.message });
+      return null;
+    }
+  }
+
+  // Link the entry to the current head of the chain. Two writers racing for
+  // the same sequence number collide on its unique index; the loser retries.
+  async append(fields) {
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      const head = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash');
+
+      const entry = new AuditLog({
+        ...fields,
+        sequence: head ? head.sequence + 1 : 1,
+        previous_hash: head ? head.hash : GENESIS_HASH
+      });
+      entry.hash = computeHash(entry.previous_hash, entry.getHashedFields());
+
+      try {
+        return await entry.save();
+      } catch (error) {
+        if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // Recompute the chain in order and report the first entry that doesn't match
+  async verifyChain({ fromSequence = 1, limit = 10000 } = {}) {
+    let previousHash = GENESIS_HASH;
+
+    if (fromSequence > 1) {
+      const previous = await AuditLog.findOne({ sequence: fromSequence - 1 }).select('hash');
+      if (!previous) {
+        return { valid: false, checked: 0, broken_at: fromSequence - 1, reason: 'Entry missing' };
+      }
+      previousHash = previous.hash;
+    }
+
+    const cursor = AuditLog.find({ sequence: { $gte: fromSequence } })
+      .sort({ sequence: 1 })
+      .limit(limit)
+      .cursor();
+
+    let expectedSequence = fromSequence;
+    let checked = 0;
+
+    for await (const entry of cursor) {
+      if (entry.sequence !== expectedSequence) {
+        return { valid: false, checked, broken_at: expectedSequence, reason: 'Entry missing' };
+      }
+      if (entry.previous_hash !== previousHash) {
+        return { valid: false, checked, broken_at: entry.sequence, reason: 'Previous hash mismatch' };
+      }
+      if (computeHash(entry.previous_hash, entry.getHashedFields()) !== entry.hash) {
+        return { valid: false, checked, broken_at: entry.sequence, reason: 'Entry modified' };
+      }
+
+      previousHash = entry.hash;
+      expectedSequence++;
+      checked++;
+    }
+
+    return { valid: true, checked, last_sequence: expectedSequence - 1 };
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = {
+  AuditService,
+  auditService,
+  actorFromRequest,
+  diff
+};
@@ -0,0 +1,171 @@
+const { v4: uuidv4 } = require('uuid');
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const PaymentLink = require('../models/PaymentLink');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+const { eventService } = require('./eventService');
+const { ledgerService } = require('./ledgerService');
+const { feeService } = require('./feeService');
+const { providerService } = require('./providerService');
+const { runInTransaction } = require('../utils/transaction');
+
+// Starts collections for merchants, whether they call the API or a buyer pays
+// through one of their payment links
+class CollectionService {
+  // Create a collection into the merchant's wallet and ask the customer to pay.
+  // Returns the transaction and the provider's answer; a payment the provider
+  // refuses is recorded as failed and rejected with a 400.
+  async create({
+    merchantId,
+    amount,
+    currency = 'KES',
+    payment_method,
+    customer_email,
+    customer_phone,
+    customer_name,
+    description,
+    webhook_url,
+    reference,
+    payment_link_id,
+    req
+  }) {
+    const transaction_id = `col_${uuidv4().replace(/-/g, '')}`;
+
+    // Provider the payment method goes through for this merchant and currency
+    const provider = await providerService.resolve(payment_method, { merchantId, currency });
+
+    // Price the collection; when the customer bears the fee they pay it on top
+    const quote = await feeService.quote({
+      merchantId,
+      type: 'collection',
+      amount,
+      currency,
+      rail: payment_method
+    });
+    const net_amount = quote.net_amount;
+
+    // Collected funds settle into the merchant's wallet
+    const wallet = await Wallet.findOrCreateForOwner(merchantId, 'user');
+
+    // Create transaction record
+    const transaction = new Transaction({
+      transaction_id,
+      type: 'collection',
+      amount: quote.gross_amount,
+      currency,
+      fees: feeService.transactionFees(quote),
+      net_amount,
+      source: {
+        payment_method,
+        provider: provider.name,
+        payment_details: {
+          phone_number: payment_method === 'mpesa' ? customer_phone : null,
+          email: customer_email
+        }
+      },
+      destination: {
+        wallet_id: wallet.wallet_id,
+        payment_method: 'wallet'
+      },
+      metadata: {
+        description,
+        reference,
+        customer_email,
+        customer_name,
+        webhook_url,
+        payment_link_id,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        user_id: merchantId
+      },
+      processing: {
+        initiated_at: new Date()
+      }
+    });
+
+    await transaction.save();
+
+    // Ask the customer to pay through the provider
+    let paymentResponse;
+    try {
+      paymentResponse = await provider.initiateCollection({
+        transaction_id,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        phone_number: customer_phone,
+        customer_email,
+        customer_name,
+        description: description || `Payment for ${reference || transaction_id}`
+      });
+
+      // Update transaction with payment response
+      transaction.source.payment_details.transaction_ref = paymentResponse.reference;
+      transaction.status = paymentResponse.status;
+
+      if (paymentResponse.status === 'completed') {
+        transaction.processing.completed_at = new Date();
+
+        // Credit the merchant's wallet, post the journal entry and complete the collection together
+        await runInTransaction(async (session) => {
+          await transaction.save({ session });
+          await wallet.addFunds(net_amount, { session });
+          await ledgerService.recordCollection(transaction, wallet.wallet_id, { session });
+          await PaymentLink.recordConversion(transaction, { session });
+        });
+
+        logger.logTransaction({
+          transaction_id,
+          type: 'collection',
+          amount,
+          currency,
+          status: 'completed',
+          user_id: merchantId
+        });
+      } else {
+        await transaction.save();
+      }
+
+    } catch (paymentError) {
+      // Mark transaction as failed
+      transaction.status = 'failed';
+      transaction.processing.failed_at = new Date();
+      transaction.processing.failure_reason = paymentError.message;
+      await transaction.save();
+
+      try {
+        await eventService.emitTransactionEvent(transaction, 'collection.failed');
+      } catch (webhookError) {
+        logger.error('Collection webhook failed:', webhookError);
+      }
+
+      logger.logApiError(paymentError, req, { transaction_id });
+
+      throw httpError(400, 'Payment processing failed', {
+        message: paymentError.message,
+        transaction_id
+      });
+    }
+
+    // Notify subscribed webhook endpoints
+    if (transaction.status === 'completed') {
+      try {
+        await eventService.emitTransactionEvent(transaction, 'collection.succeeded');
+      } catch (webhookError) {
+        logger.error('Webhook delivery failed:', webhookError);
+      }
+    }
+
+    logger.info(`Collection created: ${transaction_id}`);
+
+    return { transaction, paymentResponse };
+  }
+}
+
+// Create singleton instance
+const collectionService = new CollectionService();
+
+module.exports = {
+  CollectionService,
+  collectionService
+};
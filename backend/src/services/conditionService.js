@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Escrow = require('../models/Escrow');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+const { CONDITION_TYPES, isKnownConditionType } = require('../config/conditionTypes');
+const { SIGNATURE_HEADER, verifyWebhookSignature } = require('../utils/webhookSignature');
+const { sendEmail } = require('./emailService');
+const { fileService } = require('./fileService');
+
+const MAX_OTP_ATTEMPTS = 5;
+
+// Tracking numbers compare without case, spaces or dashes
+const normalizeTracking = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a), 'utf8');
+  const bufferB = Buffer.from(String(b), 'utf8');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Sets up typed escrow conditions and checks the evidence submitted to
+// fulfill them, one set of rules per type in config/conditionTypes
+class ConditionService {
+  constructor() {
+    this.secret = process.env.ESCROW_CONDITION_SECRET || process.env.WEBHOOK_SECRET;
+
+    if (!this.secret) {
+      // Callback secrets and OTP hashes derived from a temporary key stop
+      // matching after a restart, so production doesn't start without one
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('ESCROW_CONDITION_SECRET or WEBHOOK_SECRET must be set in production');
+      }
+      logger.warn('ESCROW_CONDITION_SECRET not configured. Deriving condition secrets from a temporary key.');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  hmac(value) {
+    return crypto.createHmac('sha256', this.secret).update(value).digest('hex');
+  }
+
+  hashOtp(otp) {
+    return this.hmac(`otp.${String(otp).trim()}`);
+  }
+
+  // Secret a third party signs its callbacks for a condition with. Derived
+  // rather than stored, so the merchant can fetch it again at any time.
+  callbackSecret(escrowId, conditionId) {
+    return `whsec_${this.hmac(`condition.${escrowId}.${conditionId}`)}`;
+  }
+
+  // Check a condition given when creating or amending an escrow and build the
+  // stored condition. `roles` are the participant roles the escrow has. A
+  // buyer_otp condition also returns its code, to be sent once the escrow is saved.
+  prepare(input, { roles }) {
+    const type = input.type || 'custom';
+    if (!isKnownConditionType(type)) {
+      throw httpError(400, 'Unknown condition type', {
+        type,
+        supported_types: Object.keys(CONDITION_TYPES)
+      });
+    }
+
+    const definition = CONDITION_TYPES[type];
+    const party = input.party || definition.party;
+    if (input.party && !definition.parties.includes(input.party)) {
+      throw httpError(400, `A ${type} condition cannot be fulfilled by the ${input.party}`, {
+        allowed_parties: definition.parties
+      });
+    }
+    if (['arbiter', 'approver'].includes(party) && !roles.includes(party)) {
+      throw httpError(400, `Condition is fulfilled by an ${party}, but the escrow has none`);
+    }
+
+    const config = input.config || {};
+    const condition = {
+      _id: new mongoose.Types.ObjectId(),
+      type,
+      description: input.description,
+      party: party || undefined,
+      fulfilled: false,
+      config: {}
+    };
+    let otp = null;
+
+    switch (type) {
+      case 'delivery_confirmation':
+        condition.config.courier = config.courier;
+        condition.config.tracking_number = config.tracking_number;
+        break;
+
+      case 'buyer_otp':
+        otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        condition.config.otp_hash = this.hashOtp(otp);
+        condition.config.otp_sent_at = new Date();
+        break;
+
+      case 'document_upload': {
+        const mimeTypes = config.allowed_mime_types || [];
+        const unsupported = [].concat(mimeTypes).filter(mimeType => !fileService.allowedMimeTypes.includes(mimeType));
+        if (!Array.isArray(mimeTypes) || unsupported.length > 0) {
+          throw httpError(400, 'Unsupported document types', {
+            unsupported,
+            supported_mime_types: fileService.allowedMimeTypes
+          });
+        }
+        condition.config.document_name = config.document_name;
+        condition.config.allowed_mime_types = mimeTypes;
+        break;
+      }
+
+      case 'date_reached': {
+        const date = new Date(config.date);
+        if (!config.date || isNaN(date)) {
+          throw httpError(400, 'A date_reached condition needs a valid config.date');
+        }
+        condition.config.date = date;
+        break;
+      }
+
+      case 'webhook_callback':
+        if (!config.issuer) {
+          throw httpError(400, 'A webhook_callback condition needs config.issuer, the third party that calls back');
+        }
+        condition.config.issuer = String(config.issuer);
+        break;
+
+      default:
+        break;
+    }
+
+    return { condition, otp };
+  }
+
+  // buyer_otp codes are emailed to the payer, so prepared conditions with a
+  // code can only be added to an escrow whose payer has an email address
+  checkOtpRecipient(payer, prepared) {
+    if (prepared.some(item => item.otp) && !payer.email) {
+      throw httpError(400, 'buyer_otp conditions need an email address for the payer');
+    }
+  }
+
+  // Email the buyer the code for a buyer_otp condition
+  async sendOtp(escrow, condition, otp) {
+    const payer = escrow.parties.payer;
+    if (!payer.email) {
+      logger.warn(`No payer email to send the condition code to: ${escrow.escrow_id}`);
+      return;
+    }
+
+    try {
+      await sendEmail({
+        to: payer.email,
+        subject: `Your delivery code for escrow ${escrow.escrow_id}`,
+        template: 'escrow-condition-otp',
+        data: {
+          name: payer.name,
+          escrow_id: escrow.escrow_id,
+          description: escrow.metadata.description,
+          condition: condition.description,
+          otp
+        }
+      });
+    } catch (emailError) {
+      logger.error('Failed to send condition code email:', emailError);
+    }
+  }
+
+  // Evidence items submitted along with a condition
+  evidenceItems(evidence, uploadedBy) {
+    return (Array.isArray(evidence) ? evidence : []).map(item => ({
+      type: item.type,
+      url: item.url,
+      uploaded_by: uploadedBy,
+      uploaded_at: new Date()
+    }));
+  }
+
+  // Check what a party submitted to fulfill a condition against the
+  // condition's type. Returns the evidence to store and how it was verified.
+  async verify(escrow, condition, input, { milestoneId, userId }) {
+    const evidence = this.evidenceItems(input.evidence, userId);
+    const now = new Date();
+
+    switch (condition.type) {
+      case 'delivery_confirmation': {
+        const trackingNumber = normalizeTracking(input.tracking_number);
+        if (!trackingNumber) {
+          throw httpError(400, 'tracking_number is required to confirm delivery');
+        }
+        if (condition.config.tracking_number && trackingNumber !== normalizeTracking(condition.config.tracking_number)) {
+          throw httpError(400, 'Tracking number does not match the one on the condition');
+        }
+        const courier = input.courier || condition.config.courier;
+        if (condition.config.courier && courier.toLowerCase() !== condition.config.courier.toLowerCase()) {
+          throw httpError(400, 'Courier does not match the one on the condition');
+        }
+
+        return {
+          evidence,
+          verification: {
+            method: 'tracking_number',
+            reference: trackingNumber,
+            details: { courier, delivered_at: input.delivered_at },
+            verified_at: now
+          }
+        };
+      }
+
+      case 'buyer_otp': {
+        if (!input.otp) {
+          throw httpError(400, 'otp is required; the buyer received it by email');
+        }
+        if (condition.config.otp_attempts >= MAX_OTP_ATTEMPTS) {
+          throw httpError(429, 'Too many incorrect codes for this condition');
+        }
+        if (!safeEqual(this.hashOtp(input.otp), condition.config.otp_hash)) {
+          await this.recordOtpAttempt(escrow, condition, milestoneId);
+          throw httpError(400, 'Incorrect code', {
+            attempts_left: Math.max(MAX_OTP_ATTEMPTS - condition.config.otp_attempts - 1, 0)
+          });
+        }
+
+        return {
+          evidence,
+          verification: { method: 'buyer_otp', verified_at: now }
+        };
+      }
+
+      case 'document_upload': {
+        const data = typeof input.document === 'string' ? input.document : input.document?.data;
+        const matches = String(data || '').match(/^data:(.+?);base64,(.+)$/);
+        if (!matches) {
+          throw httpError(400, 'document is required as a base64 data URL');
+        }
+
+        const [, mimeType, content] = matches;
+        const { allowed_mime_types: allowed } = condition.config;
+        if (allowed.length > 0 && !allowed.includes(mimeType)) {
+          throw httpError(400, 'Document type not accepted for this condition', { allowed_mime_types: allowed });
+        }
+
+        let file;
+        try {
+          file = await fileService.uploadFile(data, `escrows/${escrow.escrow_id}`);
+        } catch (error) {
+          throw httpError(400, 'Invalid document', { message: error.message });
+        }
+
+        const sha256 = crypto.createHash('sha256').update(Buffer.from(content, 'base64')).digest('hex');
+        evidence.push({
+          type: 'document',
+          url: file.url,
+          filename: input.document?.filename || file.filename,
+          sha256,
+          uploaded_by: userId,
+          uploaded_at: now
+        });
+
+        return {
+          evidence,
+          verification: {
+            method: 'sha256',
+            reference: sha256,
+            details: { document_name: condition.config.document_name, mime_type: mimeType, size: file.size },
+            verified_at: now
+          }
+        };
+      }
+
+      case 'date_reached':
+        if (!(condition.config.date <= now)) {
+          throw httpError(409, 'Condition date has not been reached', { date: condition.config.date });
+        }
+        return {
+          evidence,
+          verification: { method: 'date', reference: condition.config.date.toISOString(), verified_at: now }
+        };
+
+      default:
+        return {
+          evidence,
+          verification: { method: 'sign_off', verified_at: now }
+        };
+    }
+  }
+
+  // Count a wrong code against the condition
+  recordOtpAttempt(escrow, condition, milestoneId) {
+    const path = milestoneId
+      ? 'milestones.$[milestone].conditions.$[condition].config.otp_attempts'
+      : 'conditions.$[condition].config.otp_attempts';
+
+    return Escrow.updateOne(
+      { escrow_id: escrow.escrow_id },
+      { $inc: { [path]: 1 } },
+      {
+        arrayFilters: [
+          ...(milestoneId ? [{ 'milestone.milestone_id': milestoneId }] : []),
+          { 'condition._id': condition._id }
+        ]
+      }
+    );
+  }
+
+  // Check a third party's callback for a webhook_callback condition: it must
+  // carry a PayLoom-Signature made with the condition's callback secret
+  verifyCallback(req, escrow, condition) {
+    return verifyWebhookSignature(
+      req.rawBody || '',
+      req.get(SIGNATURE_HEADER),
+      this.callbackSecret(escrow.escrow_id, condition._id)
+    );
+  }
+
+  callbackProof(condition, { reference, data }) {
+    return {
+      evidence: [],
+      verification: {
+        method: 'webhook_signature',
+        reference,
+        details: { issuer: condition.config.issuer, data },
+        verified_at: new Date()
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const conditionService = new ConditionService();
+
+module.exports = {
+  ConditionService,
+  conditionService,
+  MAX_OTP_ATTEMPTS
+};
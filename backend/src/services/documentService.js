@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+const Transaction = require('../models/Transaction');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+const { renderPdf, readInfoEntry } = require('../utils/pdf');
+const { CONDITION_TYPES } = require('../config/conditionTypes');
+
+const DOCUMENT_VERSION = 1;
+const SIGNATURE_ALGORITHM = 'Ed25519';
+
+const TITLES = {
+  agreement: 'Escrow Agreement',
+  statement: 'Escrow Statement'
+};
+
+const formatDate = (date) => (date ? `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '-');
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+// Canonical JSON of a payload, the exact bytes that are hashed and embedded
+const canonicalJson = (payload) => JSON.stringify(payload);
+
+// Escrow agreements and statements as signed PDFs. Each document is built as
+// a payload of sections, hashed and signed with PayLoom's Ed25519 document
+// key; the payload and signature are embedded in the PDF, so anyone holding
+// the public key can verify a document without calling PayLoom.
+class DocumentService {
+  constructor() {
+    const configuredKey = process.env.ESCROW_DOCUMENT_SIGNING_KEY;
+
+    if (configuredKey) {
+      this.privateKey = crypto.createPrivateKey(configuredKey.replace(/\\n/g, '\n'));
+    } else if (process.env.NODE_ENV === 'production') {
+      // Production documents must keep verifying, so the server doesn't start without the key
+      throw new Error('ESCROW_DOCUMENT_SIGNING_KEY must be set in production');
+    } else {
+      // Documents signed with a throwaway key stop verifying after a restart
+      logger.warn('ESCROW_DOCUMENT_SIGNING_KEY not configured. Signing escrow documents with a temporary key.');
+      this.privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    }
+
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+    this.keyId = crypto
+      .createHash('sha256')
+      .update(this.publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  // Public key documents are verified against
+  getPublicKey() {
+    return {
+      key_id: this.keyId,
+      algorithm: SIGNATURE_ALGORITHM,
+      public_key: this.publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  partyLines(escrow) {
+    const lines = ['payer', 'payee'].map(role => {
+      const party = escrow.parties[role];
+      return `${role === 'payer' ? 'Payer' : 'Payee'}: ${party.name || '-'}` +
+        `${party.email ? ` <${party.email}>` : ''}, wallet ${party.wallet_id || '-'}`;
+    });
+
+    escrow.getParticipants()
+      .filter(participant => !['payer', 'payee'].includes(participant.role))
+      .forEach(participant => {
+        lines.push(`${participant.role === 'arbiter' ? 'Arbiter' : 'Approver'}: ${participant.name || '-'}` +
+          `${participant.email ? ` <${participant.email}>` : ''}, user ${participant.user_id}`);
+      });
+
+    return lines;
+  }
+
+  conditionLine(condition, index) {
+    const type = condition.type || 'custom';
+    const party = condition.party || CONDITION_TYPES[type]?.party || 'release policy';
+    const details = [];
+
+    if (condition.config?.courier) details.push(`courier ${condition.config.courier}`);
+    if (condition.config?.tracking_number) details.push(`tracking number ${condition.config.tracking_number}`);
+    if (condition.config?.document_name) details.push(`document: ${condition.config.document_name}`);
+    if (condition.config?.date) details.push(`on ${formatDate(condition.config.date)}`);
+    if (condition.config?.issuer) details.push(`confirmed by ${condition.config.issuer}`);
+
+    return `${index + 1}. [${type}] ${condition.description || ''} - fulfilled by ${party}` +
+      `${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+  }
+
+  // Terms of the escrow: parties, amount, fees, conditions and deadlines
+  agreementSections(escrow) {
+    const { currency } = escrow;
+    const sections = [
+      {
+        heading: 'Escrow',
+        lines: [
+          `Escrow ID: ${escrow.escrow_id}`,
+          `Reference: ${escrow.metadata.reference || '-'}`,
+          `Description: ${escrow.metadata.description || '-'}`,
+          `Terms version: ${escrow.version || 1}`,
+          `Created: ${formatDate(escrow.timeline.created_at)}`,
+          `Status: ${escrow.status}`
+        ]
+      },
+      {
+        heading: 'Parties',
+        lines: this.partyLines(escrow)
+      },
+      {
+        heading: 'Amount and Fees',
+        lines: [
+          `Amount held: ${formatMoney(escrow.holdAmount, currency)}`,
+          `Escrow fee: ${formatMoney(escrow.fees.escrow_fee, currency)}, paid by the ${escrow.fees.bearer}`,
+          `Processing fee: ${formatMoney(escrow.fees.processing_fee, currency)}`,
+          `Paid to the payee after fees: ${formatMoney(
+            escrow.fees.bearer === 'payer' ? escrow.amount : escrow.amount - escrow.fees.total_fee,
+            currency
+          )}`,
+          `Funded by: ${escrow.funding.method === 'wallet' ? 'payer wallet' : `${escrow.funding.method} checkout`}`
+        ]
+      },
+      {
+        heading: 'Conditions',
+        lines: escrow.conditions.length > 0
+          ? escrow.conditions.map((condition, index) => this.conditionLine(condition, index))
+          : ['None']
+      }
+    ];
+
+    if (escrow.milestones.length > 0) {
+      sections.push({
+        heading: 'Milestones',
+        lines: escrow.milestones.flatMap((milestone, index) => [
+          `${index + 1}. ${milestone.title}: ${formatMoney(milestone.amount, currency)}` +
+            `${milestone.due_date ? `, due ${formatDate(milestone.due_date)}` : ''}`,
+          ...milestone.conditions.map((condition, conditionIndex) => `    ${this.conditionLine(condition, conditionIndex)}`)
+        ])
+      });
+    }
+
+    const { rule, required_approvals } = escrow.release_policy;
+    sections.push({
+      heading: 'Release and Deadlines',
+      lines: [
+        `Release policy: ${rule === 'approvers' ? `${required_approvals} approver(s) sign` : `the ${rule} signs`}`,
+        `Auto-release: ${escrow.release_settings.auto_release ? formatDate(escrow.release_settings.auto_release_date) : 'none'}`,
+        `Expires: ${formatDate(escrow.timeline.expires_at)}`,
+        ...(escrow.funding.pay_by ? [`Payment due by: ${formatDate(escrow.funding.pay_by)}`] : [])
+      ]
+    });
+
+    return sections;
+  }
+
+  // Everything that happened to the escrow and its money, oldest first
+  timelineEvents(escrow, transactions) {
+    const { currency } = escrow;
+    const events = [[escrow.timeline.created_at, `Escrow created for ${formatMoney(escrow.amount, currency)}`]];
+
+    if (escrow.funding.paid_at) {
+      events.push([escrow.funding.paid_at, `Checkout payment received (${escrow.funding.collection_id})`]);
+    }
+    if (escrow.timeline.funded_at) {
+      events.push([escrow.timeline.funded_at, 'Funds locked in escrow']);
+    }
+    if (escrow.timeline.active_at) {
+      events.push([escrow.timeline.active_at, 'Escrow activated']);
+    }
+
+    escrow.amendments
+      .filter(amendment => amendment.status === 'applied')
+      .forEach(amendment => {
+        events.push([amendment.applied_at, `Amended to version ${amendment.version}: ${amendment.fields.join(', ')}` +
+          `${amendment.lock_adjustment ? ` (hold changed by ${formatMoney(amendment.lock_adjustment, currency)})` : ''}`]);
+      });
+
+    const conditionEvent = (condition, prefix) => {
+      const verification = condition.verification?.method
+        ? `, verified by ${condition.verification.method}` +
+          `${condition.verification.reference ? ` ${condition.verification.reference}` : ''}`
+        : '';
+      events.push([condition.fulfilled_at,
+        `${prefix}Condition fulfilled: ${condition.description || condition.type} (by ${condition.fulfilled_by || '-'}${verification})`]);
+    };
+    escrow.conditions.filter(condition => condition.fulfilled).forEach(condition => conditionEvent(condition, ''));
+    escrow.milestones.forEach(milestone => {
+      milestone.conditions
+        .filter(condition => condition.fulfilled)
+        .forEach(condition => conditionEvent(condition, `${milestone.title}: `));
+    });
+
+    escrow.timeline.releases.forEach(release => {
+      events.push([release.released_at, `Released ${formatMoney(release.amount, currency)}` +
+        ` (fee ${formatMoney(release.fee, currency)}, net ${formatMoney(release.net_amount, currency)})` +
+        `${release.milestone_id ? ` for milestone ${release.milestone_id}` : ''}, ${release.trigger}, ${release.transaction_id}`]);
+    });
+
+    escrow.disputes.forEach(dispute => {
+      events.push([dispute.raised_at, `Dispute raised: ${dispute.reason || '-'} (${dispute.dispute_id})`]);
+      if (dispute.resolved_at) {
+        events.push([dispute.resolved_at, `Dispute resolved for the ${dispute.outcome}: ` +
+          `payer ${formatMoney(dispute.payer_amount, currency)}, payee ${formatMoney(dispute.payee_amount, currency)}`]);
+      }
+    });
+
+    transactions
+      .filter(transaction => transaction.type === 'refund' && transaction.status === 'completed')
+      .forEach(transaction => {
+        events.push([transaction.processing.completed_at || transaction.created_at,
+          `Refunded ${formatMoney(transaction.amount, currency)} to the payer (${transaction.transaction_id})`]);
+      });
+
+    if (escrow.timeline.expired_at) {
+      events.push([escrow.timeline.expired_at, `Escrow expired${escrow.metadata.refund_reason ? `: ${escrow.metadata.refund_reason}` : ''}`]);
+    }
+    if (escrow.timeline.cancelled_at) {
+      events.push([escrow.timeline.cancelled_at, `Escrow cancelled${escrow.metadata.cancel_reason ? `: ${escrow.metadata.cancel_reason}` : ''}`]);
+    }
+
+    return events
+      .filter(([date]) => date)
+      .sort(([a], [b]) => new Date(a) - new Date(b))
+      .map(([date, text]) => `${formatDate(date)}  ${text}`);
+  }
+
+  // Full history of the escrow: summary, timeline and transactions
+  statementSections(escrow, transactions) {
+    const { currency } = escrow;
+
+    return [
+      {
+        heading: 'Summary',
+        lines: [
+          `Escrow ID: ${escrow.escrow_id}`,
+          `Status: ${escrow.status}`,
+          `Amount: ${formatMoney(escrow.amount, currency)}`,
+          `Released to the payee: ${formatMoney(escrow.timeline.released_amount, currency)}`,
+          `Refunded to the payer: ${formatMoney(escrow.timeline.refunded_amount, currency)}`,
+          `Still held: ${formatMoney(escrow.remainingAmount, currency)}`
+        ]
+      },
+      {
+        heading: 'Parties',
+        lines: this.partyLines(escrow)
+      },
+      {
+        heading: 'Timeline',
+        lines: this.timelineEvents(escrow, transactions)
+      },
+      {
+        heading: 'Transactions',
+        lines: transactions.length > 0
+          ? transactions.map(transaction => `${formatDate(transaction.created_at)}  ${transaction.transaction_id}  ` +
+            `${transaction.type}  ${formatMoney(transaction.amount, transaction.currency)}  ${transaction.status}`)
+          : ['None']
+      }
+    ];
+  }
+
+  sign(payload) {
+    const hash = crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+    const signature = crypto.sign(null, Buffer.from(hash), this.privateKey).toString('base64');
+    return { hash, signature };
+  }
+
+  // Render a signed payload. The page shows the hash and signature; the
+  // information dictionary carries the payload for verification.
+  render(payload, { hash, signature, keyId }) {
+    const lines = [
+      { text: payload.title, size: 18, bold: true },
+      { text: `Generated ${formatDate(payload.generated_at)} by PayLoom`, size: 9 },
+      { text: '' }
+    ];
+
+    payload.sections.forEach(section => {
+      lines.push({ text: section.heading, size: 12, bold: true });
+      section.lines.forEach(text => lines.push({ text }));
+      lines.push({ text: '' });
+    });
+
+    lines.push(
+      { text: 'Verification', size: 12, bold: true },
+      { text: `SHA-256: ${hash}`, size: 8 },
+      { text: `Signature (${SIGNATURE_ALGORITHM}, key ${keyId}): ${signature}`, size: 8 },
+      { text: 'Verify this document at POST /api/v1/escrow/documents/verify, or offline with PayLoom\'s public key.', size: 8 }
+    );
+
+    return renderPdf({
+      title: `${payload.title} ${payload.escrow_id}`,
+      createdAt: payload.generated_at,
+      lines,
+      info: {
+        PayLoomPayload: Buffer.from(canonicalJson(payload)).toString('base64'),
+        PayLoomSignature: signature,
+        PayLoomKeyId: keyId
+      }
+    });
+  }
+
+  // Build, sign and render an escrow agreement or statement
+  async generate(escrow, document) {
+    const transactions = document === 'statement'
+      ? await Transaction.find({ 'escrow_details.escrow_id': escrow.escrow_id }).sort({ created_at: 1 })
+      : [];
+
+    const payload = {
+      document,
+      document_version: DOCUMENT_VERSION,
+      title: TITLES[document],
+      escrow_id: escrow.escrow_id,
+      escrow_version: escrow.version || 1,
+      generated_at: new Date().toISOString(),
+      sections: document === 'agreement'
+        ? this.agreementSections(escrow)
+        : this.statementSections(escrow, transactions)
+    };
+
+    const { hash, signature } = this.sign(payload);
+    const pdf = this.render(payload, { hash, signature, keyId: this.keyId });
+
+    return { pdf, hash, signature, keyId: this.keyId, payload };
+  }
+
+  // Verify a document from the PDF alone, or a hash and signature. Needs
+  // nothing but the public key: no database or network. For a PDF the
+  // signed payload is re-rendered and compared too, so changes to the
+  // visible text are caught.
+  verify({ pdf, hash, signature }) {
+    let payload = null;
+    let contentMatches;
+
+    if (pdf) {
+      const encodedPayload = readInfoEntry(pdf, 'PayLoomPayload');
+      signature = readInfoEntry(pdf, 'PayLoomSignature');
+      const keyId = readInfoEntry(pdf, 'PayLoomKeyId');
+      if (!encodedPayload || !signature) {
+        throw httpError(400, 'Not a PayLoom escrow document');
+      }
+
+      try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64').toString('utf8'));
+      } catch (error) {
+        throw httpError(400, 'Document payload is corrupt');
+      }
+
+      hash = crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+      contentMatches = this.render(payload, { hash, signature, keyId }).equals(Buffer.from(pdf));
+    }
+
+    if (!hash || !signature) {
+      throw httpError(400, 'A document, or a hash and signature, is required');
+    }
+
+    let signatureValid = false;
+    try {
+      signatureValid = crypto.verify(null, Buffer.from(hash), this.publicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      signatureValid = false;
+    }
+
+    return {
+      valid: signatureValid && contentMatches !== false,
+      signature_valid: signatureValid,
+      content_matches: contentMatches,
+      hash,
+      key_id: this.keyId,
+      document: payload
+        ? {
+          type: payload.document,
+          escrow_id: payload.escrow_id,
+          escrow_version: payload.escrow_version,
+          generated_at: payload.generated_at,
+          sections: payload.sections
+        }
+        : undefined
+    };
+  }
+}
+
+// Create singleton instance
+const documentService = new DocumentService();
+
+module.exports = {
+  DocumentService,
+  documentService
+};
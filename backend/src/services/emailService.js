@@ -112,11 +112,11 @@ class EmailService {
               <div class="api-keys">
                 <div class="api-key">
                   <strong>Public Test Key:</strong><br>
-                  <code>${data.api_keys.public_test}</code>
+                  <code>${data.api_keys?.public_test}</code>
                 </div>
                 <div class="api-key">
                   <strong>Secret Test Key:</strong><br>
-                  <code>${data.api_keys.secret_test}</code>
+                  <code>${data.api_keys?.secret_test}</code>
                 </div>
               </div>
               
@@ -186,11 +186,11 @@ class EmailService {
               <div class="api-keys">
                 <div class="api-key">
                   <strong>Public Live Key:</strong><br>
-                  <code>${data.api_keys.public_live}</code>
+                  <code>${data.api_keys?.public_live}</code>
                 </div>
                 <div class="api-key">
                   <strong>Secret Live Key:</strong><br>
-                  <code>${data.api_keys.secret_live}</code>
+                  <code>${data.api_keys?.secret_live}</code>
                 </div>
               </div>
               
@@ -270,11 +270,11 @@ class EmailService {
               <div class="api-keys">
                 <div class="api-key">
                   <strong>Public Live Key:</strong><br>
-                  <code>${data.api_keys.public_live}</code>
+                  <code>${data.api_keys?.public_live}</code>
                 </div>
                 <div class="api-key">
                   <strong>Secret Live Key:</strong><br>
-                  <code>${data.api_keys.secret_live}</code>
+                  <code>${data.api_keys?.secret_live}</code>
                 </div>
               </div>
               
@@ -431,6 +431,179 @@ class EmailService {
           </div>
         </body>
         </html>
+      `,
+
+      'escrow-deadline-reminder': `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Escrow Reminder</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { text-align: center; padding: 20px 0; border-bottom: 1px solid #eee; }
+            .logo { font-size: 2rem; margin-bottom: 10px; }
+            .content { padding: 30px 0; }
+            .deadline-box { background: #fffbeb; border: 1px solid #f59e0b; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .footer { text-align: center; padding: 20px 0; border-top: 1px solid #eee; color: #666; font-size: 0.9rem; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <div class="logo">⚡ PayLoom</div>
+              <h1>Escrow Reminder</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${data.name || 'there'},</p>
+              
+              <div class="deadline-box">
+                <h3>⏰ ${data.deadline_type === 'auto_release' ? 'Funds will be released automatically' : 'This escrow will expire'}</h3>
+                <p><strong>Escrow:</strong> ${data.escrow_id}</p>
+                <p><strong>Amount:</strong> ${data.currency} ${data.amount}</p>
+                <p><strong>Date:</strong> ${data.deadline_at ? new Date(data.deadline_at).toUTCString() : ''}</p>
+              </div>
+              
+              <p>${data.deadline_type === 'auto_release'
+                ? 'Unless a dispute is raised before this date, the escrowed funds will be paid to the payee.'
+                : 'If the escrow is not completed before this date, any funds held will be returned to the payer.'}</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2026 PayLoom Instants. Built for Africa.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+
+      'escrow-condition-otp': `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your Delivery Code</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { text-align: center; padding: 20px 0; border-bottom: 1px solid #eee; }
+            .logo { font-size: 2rem; margin-bottom: 10px; }
+            .content { padding: 30px 0; }
+            .code { text-align: center; font-size: 2rem; letter-spacing: 0.5rem; font-family: monospace; background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .footer { text-align: center; padding: 20px 0; border-top: 1px solid #eee; color: #666; font-size: 0.9rem; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <div class="logo">⚡ PayLoom</div>
+              <h1>Your Delivery Code</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${data.name || 'there'},</p>
+              <p>Your payment for ${data.description || `escrow ${data.escrow_id}`} is held by PayLoom until you confirm you received it.</p>
+              
+              <div class="code">${data.otp}</div>
+              
+              <p>Only give this code to the seller once you have received your order: sharing it confirms "${data.condition || 'delivery'}".</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2026 PayLoom Instants. Built for Africa.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+
+      'dispute-evidence-requested': `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Evidence Requested</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { text-align: center; padding: 20px 0; border-bottom: 1px solid #eee; }
+            .logo { font-size: 2rem; margin-bottom: 10px; }
+            .content { padding: 30px 0; }
+            .request-box { background: #eff6ff; border: 1px solid #3b82f6; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .footer { text-align: center; padding: 20px 0; border-top: 1px solid #eee; color: #666; font-size: 0.9rem; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <div class="logo">⚡ PayLoom</div>
+              <h1>Evidence Requested</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${data.name || 'there'},</p>
+              <p>Our disputes team needs more information to resolve the dispute on escrow ${data.escrow_id}.</p>
+              
+              <div class="request-box">
+                <p>${data.message}</p>
+                <p><strong>Please respond by:</strong> ${data.due_at ? new Date(data.due_at).toUTCString() : ''}</p>
+              </div>
+              
+              <p>Evidence submitted after this date can't be considered.</p>
+            </div>
+            
+            <div class="footer">
+              <p>© 2026 PayLoom Instants. Built for Africa.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+
+      'dispute-message': `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>New Dispute Message</title>
+          <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { text-align: center; padding: 20px 0; border-bottom: 1px solid #eee; }
+            .logo { font-size: 2rem; margin-bottom: 10px; }
+            .content { padding: 30px 0; }
+            .message-box { background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; white-space: pre-wrap; }
+            .footer { text-align: center; padding: 20px 0; border-top: 1px solid #eee; color: #666; font-size: 0.9rem; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <div class="logo">⚡ PayLoom</div>
+              <h1>New Dispute Message</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${data.name || 'there'},</p>
+              <p>The ${data.sender_role === 'admin' ? 'PayLoom disputes team' : data.sender_role} posted a message on the dispute for escrow ${data.escrow_id}:</p>
+              
+              <div class="message-box">${data.body}</div>
+              
+              ${data.attachment_count ? `<p>📎 ${data.attachment_count} attachment(s)</p>` : ''}
+            </div>
+            
+            <div class="footer">
+              <p>© 2026 PayLoom Instants. Built for Africa.</p>
+            </div>
+          </div>
+        </body>
+        </html>
       `
     };
 
@@ -0,0 +1,1473 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const Escrow = require('../models/Escrow');
+const DisputeMessage = require('../models/DisputeMessage');
+const AdminUser = require('../models/AdminUser');
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+const { runInTransaction } = require('../utils/transaction');
+const { ledgerService } = require('./ledgerService');
+const { eventService } = require('./eventService');
+const { auditService } = require('./auditService');
+const { conditionService } = require('./conditionService');
+const { feeService } = require('./feeService');
+const { sendEmail } = require('./emailService');
+const { uploadFile } = require('./fileService');
+
+const SCHEDULER_ACTOR = { type: 'system', id: 'escrow_scheduler' };
+const MAX_MESSAGE_ATTACHMENTS = 5;
+// Escrows whose terms can still be amended
+const AMENDABLE_STATUSES = ['pending', 'funded', 'active'];
+
+// Add the consumption of the signatures collected for `signatureTarget` to a
+// fulfilment update. Fulfilments nobody signed for (date conditions, issuer
+// callbacks) leave the signatures alone; escrows from before signatures have
+// no array for the filter to match, which MongoDB would reject.
+const consumeSignatures = (set, arrayFilters, signatureTarget) => {
+  if (!signatureTarget) return;
+  set['signatures.$[signature].consumed_at'] = new Date();
+  arrayFilters.push({ 'signature.target': signatureTarget, 'signature.consumed_at': null });
+};
+
+// Dispute as returned by the API and included in dispute events
+const serializeDispute = (dispute) => ({
+  dispute_id: dispute.dispute_id,
+  raised_by: dispute.raised_by,
+  reason: dispute.reason,
+  description: dispute.description,
+  status: Escrow.normalizeDisputeStatus(dispute.status),
+  raised_at: dispute.raised_at,
+  assigned_to: dispute.assigned_to,
+  review_started_at: dispute.review_started_at,
+  evidence_requests: (dispute.evidence_requests || []).map(request => ({
+    request_id: request.request_id,
+    party: request.party,
+    message: request.message,
+    due_at: request.due_at,
+    requested_at: request.requested_at,
+    fulfilled_at: request.fulfilled_at
+  })),
+  evidence_count: (dispute.evidence || []).length,
+  outcome: dispute.outcome,
+  resolution: dispute.resolution,
+  payer_amount: dispute.payer_amount,
+  payee_amount: dispute.payee_amount,
+  transaction_ids: dispute.transaction_ids,
+  resolved_by: dispute.resolved_by,
+  resolved_at: dispute.resolved_at
+});
+
+// Amendment as returned by the API and included in amendment events
+const serializeAmendment = (amendment) => ({
+  amendment_id: amendment.amendment_id,
+  status: amendment.status,
+  base_version: amendment.base_version,
+  version: amendment.version,
+  fields: amendment.fields,
+  changes: Object.fromEntries(amendment.fields.map(field => [field, amendment.changes[field]])),
+  previous: amendment.status === 'applied'
+    ? Object.fromEntries(amendment.fields.map(field => [field, amendment.previous[field]]))
+    : undefined,
+  reason: amendment.reason,
+  proposed_by: amendment.proposed_by,
+  consents: amendment.consents.map(consent => ({
+    participant_id: consent.participant_id,
+    role: consent.role,
+    user_id: consent.user_id,
+    consented_at: consent.consented_at
+  })),
+  lock_adjustment: amendment.lock_adjustment,
+  proposed_at: amendment.proposed_at,
+  applied_at: amendment.applied_at,
+  rejected_at: amendment.rejected_at,
+  rejected_by: amendment.rejected_by,
+  rejection_reason: amendment.rejection_reason
+});
+
+class EscrowService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.reminderHours = parseInt(process.env.ESCROW_REMINDER_HOURS, 10) || 24;
+    this.paymentTimeoutMinutes = parseInt(process.env.ESCROW_PAYMENT_TIMEOUT_MINUTES, 10) || 60;
+    this.leaseDuration = 5 * 60 * 1000; // an instance that dies mid-escrow frees it after 5 minutes
+    this.maxAttempts = parseInt(process.env.ESCROW_SCHEDULER_MAX_ATTEMPTS, 10) || 5;
+    this.batchSize = 20;
+  }
+
+  // Transaction paying (part of) the escrow to the payee and charging the
+  // escrow fee on it: out of the payee's share, or on top when the payer bears it
+  buildReleaseTransaction(escrow, { amount, fee, userId }) {
+    const payerPays = escrow.fees.bearer === 'payer';
+
+    return new Transaction({
+      transaction_id: `rel_${uuidv4().replace(/-/g, '')}`,
+      type: 'escrow_release',
+      amount: payerPays ? Escrow.toMoney(amount + fee) : amount,
+      currency: escrow.currency,
+      fees: {
+        processing_fee: 0,
+        platform_fee: fee,
+        total_fee: fee,
+        bearer: escrow.fees.bearer,
+        schedule_id: escrow.fees.schedule_id
+      },
+      net_amount: payerPays ? amount : Escrow.toMoney(amount - fee),
+      source: {
+        wallet_id: escrow.parties.payer.wallet_id,
+        payment_method: 'wallet'
+      },
+      destination: {
+        wallet_id: escrow.parties.payee.wallet_id,
+        payment_method: 'wallet'
+      },
+      escrow_details: {
+        escrow_id: escrow.escrow_id,
+        parties: {
+          payer: escrow.parties.payer.user_id,
+          payee: escrow.parties.payee.user_id
+        }
+      },
+      metadata: {
+        description: `Escrow release: ${escrow.metadata.description}`,
+        user_id: userId || escrow.metadata.user_id
+      },
+      processing: {
+        initiated_at: new Date(),
+        completed_at: new Date()
+      },
+      status: 'completed'
+    });
+  }
+
+  // Transaction returning (part of) the escrow to the payer
+  buildRefundTransaction(escrow, { amount, description, userId }) {
+    return new Transaction({
+      transaction_id: `ref_${uuidv4().replace(/-/g, '')}`,
+      type: 'refund',
+      amount,
+      currency: escrow.currency,
+      fees: { processing_fee: 0, platform_fee: 0, total_fee: 0 },
+      net_amount: amount,
+      source: {
+        wallet_id: escrow.escrow_id,
+        payment_method: 'escrow'
+      },
+      destination: {
+        wallet_id: escrow.parties.payer.wallet_id,
+        payment_method: 'wallet'
+      },
+      escrow_details: {
+        escrow_id: escrow.escrow_id,
+        parties: {
+          payer: escrow.parties.payer.user_id,
+          payee: escrow.parties.payee.user_id
+        }
+      },
+      metadata: {
+        description,
+        user_id: userId || escrow.metadata.user_id
+      },
+      processing: {
+        initiated_at: new Date(),
+        completed_at: new Date()
+      },
+      status: 'completed'
+    });
+  }
+
+  // Pay (part of) the held amount to the payee: all of it by default, `amount`
+  // for a partial release, or against one milestone. The escrow is re-read
+  // inside the transaction so concurrent releases can't pay out twice.
+  // With `signatureTarget` the release uses up the signatures collected for it.
+  async releaseFunds(escrow, { userId, trigger = 'manual', amount, milestoneId, signatureTarget } = {}) {
+    const [payerWallet, payeeWallet] = await Promise.all([
+      Wallet.findOne({ wallet_id: escrow.parties.payer.wallet_id }),
+      Wallet.findOne({ wallet_id: escrow.parties.payee.wallet_id })
+    ]);
+
+    if (!payeeWallet) {
+      throw httpError(404, 'Payee wallet not found');
+    }
+    if (!payerWallet) {
+      throw httpError(404, 'Payer wallet not found');
+    }
+
+    let releaseTransaction;
+    const released = await runInTransaction(async (session) => {
+      const current = await Escrow.findOne({ escrow_id: escrow.escrow_id, status: 'active' }).session(session);
+      if (!current) {
+        throw httpError(409, 'Escrow is no longer active');
+      }
+
+      const milestone = milestoneId ? current.findMilestone(milestoneId) : null;
+      if (milestoneId && !milestone) {
+        throw httpError(404, 'Milestone not found');
+      }
+
+      const held = milestone ? current.milestoneRemaining(milestone) : current.remainingAmount;
+      const releaseAmount = amount ? Escrow.toMoney(Number(amount)) : held;
+      if (!(releaseAmount > 0) || releaseAmount > held) {
+        throw httpError(400, 'Release amount must be more than 0 and at most the amount still held', {
+          remaining_amount: held
+        });
+      }
+
+      const fee = current.releaseFee(releaseAmount);
+      releaseTransaction = this.buildReleaseTransaction(current, {
+        amount: releaseAmount,
+        fee,
+        userId
+      });
+
+      if (signatureTarget) {
+        const signatures = current.pendingSignatures(signatureTarget);
+        if (signatures.length < current.signingRequirement('release').required) {
+          throw httpError(409, 'Release does not have the signatures it needs');
+        }
+        signatures.forEach(signature => {
+          signature.consumed_at = new Date();
+          signature.transaction_id = releaseTransaction.transaction_id;
+        });
+      }
+
+      current.applyRelease({
+        amount: releaseAmount,
+        fee,
+        transactionId: releaseTransaction.transaction_id,
+        milestoneId,
+        trigger
+      });
+      await current.save({ session });
+
+      await payerWallet.settleLockedFunds(releaseTransaction.amount, { session });
+      await payeeWallet.addFunds(releaseTransaction.net_amount, { session });
+      await releaseTransaction.save({ session });
+      await ledgerService.recordEscrowRelease(current, releaseTransaction, { session });
+
+      return current;
+    });
+
+    const release = released.timeline.releases[released.timeline.releases.length - 1];
+    try {
+      await eventService.emitEscrowEvent(
+        released,
+        released.status === 'released' ? 'escrow.released' : 'escrow.partially_released',
+        { release_trigger: trigger, release: release.toObject() }
+      );
+    } catch (webhookError) {
+      logger.error('Escrow release webhook failed:', webhookError);
+    }
+
+    return { escrow: released, transaction: releaseTransaction, release };
+  }
+
+  // Return whatever is still held to the payer. `expire` marks the escrow
+  // expired instead of refunded, `cancel` marks it cancelled.
+  async refundFunds(escrow, { userId, reason, fromStatuses = ['active', 'disputed'], expire = false, cancel = false } = {}) {
+    const payerWallet = await Wallet.findOne({ wallet_id: escrow.parties.payer.wallet_id });
+    if (!payerWallet) {
+      throw httpError(404, 'Payer wallet not found');
+    }
+
+    let previousStatus;
+    let refundTransaction;
+    const refunded = await runInTransaction(async (session) => {
+      const current = await Escrow.findOne({
+        escrow_id: escrow.escrow_id,
+        status: { $in: fromStatuses }
+      }).session(session);
+      if (!current) {
+        throw httpError(409, 'Escrow can no longer be refunded');
+      }
+
+      const refundAmount = current.remainingAmount;
+      refundTransaction = this.buildRefundTransaction(current, {
+        amount: current.refundDue(refundAmount),
+        description: `Escrow ${expire ? 'expiry' : cancel ? 'cancellation' : 'refund'}: ${reason}`,
+        userId
+      });
+
+      previousStatus = current.status;
+      current.applyRefund(refundAmount);
+      if (expire) {
+        await current.expire(reason, { session });
+      } else if (cancel) {
+        await current.cancel(reason, { session });
+      } else {
+        await current.refund(reason, { session });
+      }
+      await payerWallet.unlockFunds(refundTransaction.amount, { session });
+      await refundTransaction.save({ session });
+      await ledgerService.recordEscrowRefund(current, refundTransaction, { session });
+
+      return current;
+    });
+
+    try {
+      await eventService.emitEscrowEvent(
+        refunded,
+        expire ? 'escrow.expired' : cancel ? 'escrow.cancelled' : 'escrow.refunded'
+      );
+    } catch (webhookError) {
+      logger.error('Escrow refund webhook failed:', webhookError);
+    }
+
+    return { escrow: refunded, transaction: refundTransaction, previousStatus };
+  }
+
+  // Mark a milestone condition as fulfilled. Once all of a milestone's
+  // conditions are fulfilled, whatever it still holds is released.
+  async fulfillMilestoneCondition(escrow, milestoneId, conditionId, { fulfilledBy, userId, proof, signatureTarget }) {
+    const milestone = escrow.findMilestone(milestoneId);
+    if (!milestone) {
+      throw httpError(404, 'Milestone not found');
+    }
+
+    const condition = milestone.conditions.id(conditionId);
+    if (!condition) {
+      throw httpError(404, 'Condition not found');
+    }
+
+    const fulfilled = {
+      'milestones.$[milestone].conditions.$[condition].fulfilled': true,
+      'milestones.$[milestone].conditions.$[condition].fulfilled_at': new Date(),
+      'milestones.$[milestone].conditions.$[condition].fulfilled_by': fulfilledBy,
+      'milestones.$[milestone].conditions.$[condition].verification': proof.verification
+    };
+    const arrayFilters = [
+      { 'milestone.milestone_id': milestoneId },
+      { 'condition._id': condition._id }
+    ];
+    consumeSignatures(fulfilled, arrayFilters, signatureTarget);
+
+    // Conditional update, so a condition is only fulfilled once
+    const updated = await Escrow.findOneAndUpdate(
+      {
+        escrow_id: escrow.escrow_id,
+        status: 'active',
+        milestones: {
+          $elemMatch: {
+            milestone_id: milestoneId,
+            conditions: { $elemMatch: { _id: condition._id, fulfilled: false } }
+          }
+        }
+      },
+      {
+        $set: fulfilled,
+        $push: {
+          'milestones.$[milestone].conditions.$[condition].evidence': { $each: proof.evidence }
+        }
+      },
+      { new: true, arrayFilters }
+    );
+
+    if (!updated) {
+      throw httpError(409, 'Condition is already fulfilled or the escrow is not active');
+    }
+
+    const current = updated.findMilestone(milestoneId);
+    const allFulfilled = current.conditions.every(item => item.fulfilled);
+    if (!allFulfilled || updated.milestoneRemaining(current) === 0) {
+      return { escrow: updated, milestone: current, release: null };
+    }
+
+    const result = await this.releaseFunds(updated, {
+      userId,
+      milestoneId,
+      trigger: 'milestone_conditions'
+    });
+
+    return {
+      escrow: result.escrow,
+      milestone: result.escrow.findMilestone(milestoneId),
+      release: result.release,
+      transaction: result.transaction
+    };
+  }
+
+  // Lock the money from a completed checkout collection for the escrow it pays
+  // for and activate the escrow. Runs inside the transaction that completes the
+  // collection; returns null when the escrow is no longer waiting for payment,
+  // in which case the caller credits the collection like any other.
+  async fundFromCollection(collection, { session }) {
+    const escrow = await Escrow.findOne({
+      escrow_id: collection.escrow_details.escrow_id,
+      status: 'pending',
+      'funding.collection_id': collection.transaction_id
+    }).session(session);
+
+    if (!escrow) {
+      return null;
+    }
+
+    const walletId = escrow.parties.payer.wallet_id;
+    await Wallet.adjustBalances(walletId, { locked: collection.net_amount }, { session });
+    await ledgerService.recordCollection(collection, walletId, { session });
+    await ledgerService.recordEscrowLock(escrow, escrow.metadata.user_id, { session });
+
+    await Transaction.updateOne(
+      { transaction_id: escrow.transaction_id, status: 'pending' },
+      { $set: { status: 'completed', 'processing.completed_at': new Date() } },
+      { session }
+    );
+
+    escrow.funding.paid_at = new Date();
+    await escrow.fund({ session });
+    await escrow.activate({ session });
+
+    return escrow;
+  }
+
+  // Mark an escrow condition as fulfilled with the evidence and verification
+  // in `proof`. Once all conditions are fulfilled an escrow set to
+  // auto-release pays out what it still holds.
+  async fulfillCondition(escrow, conditionId, { fulfilledBy, userId, proof, signatureTarget }) {
+    const condition = escrow.conditions.id(conditionId);
+    if (!condition) {
+      throw httpError(404, 'Condition not found');
+    }
+
+    const fulfilled = {
+      'conditions.$[condition].fulfilled': true,
+      'conditions.$[condition].fulfilled_at': new Date(),
+      'conditions.$[condition].fulfilled_by': fulfilledBy,
+      'conditions.$[condition].verification': proof.verification
+    };
+    const arrayFilters = [{ 'condition._id': condition._id }];
+    consumeSignatures(fulfilled, arrayFilters, signatureTarget);
+
+    // Conditional update, so a condition is only fulfilled once
+    const updated = await Escrow.findOneAndUpdate(
+      {
+        escrow_id: escrow.escrow_id,
+        status: 'active',
+        conditions: { $elemMatch: { _id: condition._id, fulfilled: false } }
+      },
+      {
+        $set: fulfilled,
+        $push: {
+          'conditions.$[condition].evidence': { $each: proof.evidence }
+        }
+      },
+      { new: true, arrayFilters }
+    );
+
+    if (!updated) {
+      throw httpError(409, 'Condition is already fulfilled or the escrow is not active');
+    }
+
+    if (!updated.allConditionsFulfilled || !updated.release_settings.auto_release) {
+      return { escrow: updated, release: null };
+    }
+
+    const result = await this.releaseFunds(updated, { userId, trigger: 'conditions' });
+    return { escrow: result.escrow, release: result.release, transaction: result.transaction };
+  }
+
+  // Record a participant's signature towards a release or a condition. Only
+  // the roles named by the release policy, or by the condition's `party`, may
+  // sign; the action can go ahead once enough signatures are collected.
+  async signAction(escrow, { action, target, userId, milestoneId, conditionId, amount, party, req }) {
+    const { roles, required } = escrow.signingRequirement(action, party);
+    const participant = escrow.participantsForUser(userId).find(item => roles.includes(item.role));
+
+    if (!participant) {
+      throw httpError(403, 'Access denied', {
+        message: party
+          ? `Only the ${party} can fulfill this condition`
+          : `Only the ${roles.join(' or ')} can sign this under the escrow's release policy`,
+        release_rule: escrow.release_policy.rule
+      });
+    }
+
+    const signature = {
+      signature_id: `sig_${uuidv4().replace(/-/g, '')}`,
+      action,
+      target,
+      participant_id: participant.participant_id,
+      role: participant.role,
+      user_id: String(userId),
+      milestone_id: milestoneId,
+      condition_id: conditionId,
+      amount,
+      ip: req?.ip,
+      user_agent: req?.get?.('User-Agent'),
+      signed_at: new Date()
+    };
+
+    // One signature per participant and target
+    const updated = await Escrow.findOneAndUpdate(
+      {
+        escrow_id: escrow.escrow_id,
+        status: 'active',
+        signatures: {
+          $not: { $elemMatch: { target, participant_id: participant.participant_id, consumed_at: null } }
+        }
+      },
+      { $push: { signatures: signature } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw httpError(409, 'Already signed, or the escrow is no longer active');
+    }
+
+    const collected = updated.pendingSignatures(target).length;
+
+    await auditService.record({
+      action: 'escrow.signed',
+      target: { type: 'escrow', id: updated.escrow_id, user_id: updated.metadata.user_id },
+      metadata: {
+        signature_id: signature.signature_id,
+        action,
+        signature_target: target,
+        role: participant.role,
+        collected,
+        required
+      },
+      req
+    });
+
+    try {
+      await eventService.emitEscrowEvent(updated, 'escrow.signed', {
+        signature: { ...signature, ip: undefined, user_agent: undefined },
+        signatures: { collected, required }
+      });
+    } catch (webhookError) {
+      logger.error('Escrow signature webhook failed:', webhookError);
+    }
+
+    return { escrow: updated, signature, collected, required, satisfied: collected >= required };
+  }
+
+  // Announce an escrow funded by its checkout collection
+  async notifyFunded(escrow, collection) {
+    try {
+      await eventService.emitEscrowEvent(escrow, 'escrow.funded', {
+        collection_id: collection.transaction_id
+      });
+    } catch (webhookError) {
+      logger.error('Escrow funded webhook failed:', webhookError);
+    }
+
+    await auditService.record({
+      action: 'escrow.funded',
+      actor: { type: 'system', id: collection.source.payment_method },
+      target: { type: 'escrow', id: escrow.escrow_id, user_id: escrow.metadata.user_id },
+      before: { status: 'pending' },
+      after: { status: escrow.status },
+      metadata: { collection_id: collection.transaction_id }
+    });
+
+    logger.info(`Escrow funded by collection: ${escrow.escrow_id}, collection: ${collection.transaction_id}`);
+  }
+
+  // Expire an escrow that was never funded; nothing is held, so no money moves
+  expireUnfunded(escrow, reason) {
+    return this.closeUnfunded(escrow, reason, { cancel: false });
+  }
+
+  // Close a pending escrow as expired or cancelled and drop its hold transaction
+  async closeUnfunded(escrow, reason, { cancel }) {
+    const status = cancel ? 'cancelled' : 'expired';
+    const closed = await Escrow.findOneAndUpdate(
+      { escrow_id: escrow.escrow_id, status: 'pending' },
+      {
+        $set: {
+          status,
+          [`timeline.${status}_at`]: new Date(),
+          [cancel ? 'metadata.cancel_reason' : 'metadata.refund_reason']: reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!closed) {
+      throw httpError(409, 'Escrow is no longer pending');
+    }
+
+    // The hold never happened
+    await Transaction.updateOne(
+      { transaction_id: closed.transaction_id, status: 'pending' },
+      {
+        $set: {
+          status: 'cancelled',
+          'processing.failed_at': new Date(),
+          'processing.failure_reason': reason
+        }
+      }
+    );
+
+    try {
+      await eventService.emitEscrowEvent(closed, `escrow.${status}`);
+    } catch (webhookError) {
+      logger.error(`Escrow ${cancel ? 'cancellation' : 'expiry'} webhook failed:`, webhookError);
+    }
+
+    return { escrow: closed, previousStatus: 'pending' };
+  }
+
+  // Cancel an escrow that hasn't been activated. A pending escrow holds
+  // nothing yet; a funded one returns its locked funds to the payer.
+  cancelEscrow(escrow, { userId, reason }) {
+    if (escrow.status === 'pending') {
+      return this.closeUnfunded(escrow, reason, { cancel: true });
+    }
+    if (escrow.status === 'funded') {
+      return this.refundFunds(escrow, { userId, reason, fromStatuses: ['funded'], cancel: true });
+    }
+    throw httpError(409, 'Only escrows that have not been activated can be cancelled', { status: escrow.status });
+  }
+
+  // Payer or payee roles a user holds on an escrow; only they amend its terms
+  amendmentParticipants(escrow, userId) {
+    return escrow.participantsForUser(userId).filter(item => Escrow.AMENDMENT_ROLES.includes(item.role));
+  }
+
+  // Check proposed changes against the escrow they would apply to
+  checkAmendment(escrow, { fields, changes }) {
+    if (!AMENDABLE_STATUSES.includes(escrow.status)) {
+      throw httpError(409, 'Escrow can no longer be amended', { status: escrow.status });
+    }
+    if (escrow.hasOpenDispute()) {
+      throw httpError(409, 'Escrow has an open dispute');
+    }
+
+    if (fields.includes('amount')) {
+      if (escrow.milestones.length > 0) {
+        throw httpError(400, 'The amount of a milestone escrow is the sum of its milestones and cannot be amended');
+      }
+      if (escrow.status === 'pending' && escrow.funding.method !== 'wallet') {
+        throw httpError(409, 'The checkout payment was already requested for the current amount; cancel the escrow and create a new one');
+      }
+      if (!(changes.amount > (escrow.timeline.released_amount || 0))) {
+        throw httpError(400, 'Amount must be more than what has already been released', {
+          released_amount: escrow.timeline.released_amount || 0
+        });
+      }
+    }
+
+    // Typed conditions are checked the same way as when creating an escrow
+    if (fields.includes('conditions')) {
+      const roles = escrow.getParticipants().map(participant => participant.role);
+      changes.conditions.forEach(condition => conditionService.prepare(condition, { roles }));
+    }
+
+    const now = new Date();
+    ['auto_release_date', 'expires_at'].forEach(field => {
+      if (fields.includes(field) && changes[field] && !(changes[field] > now)) {
+        throw httpError(400, `${field} must be a date in the future`);
+      }
+    });
+  }
+
+  // Propose changes to an escrow's terms. The proposer consents straight
+  // away; the change is applied once the other party consents too. Only one
+  // amendment can be open at a time.
+  async proposeAmendment(escrow, { userId, fields, changes, reason, req }) {
+    const [participant] = this.amendmentParticipants(escrow, userId);
+    if (!participant) {
+      throw httpError(403, 'Access denied', { message: 'Only the payer or payee can amend an escrow' });
+    }
+
+    this.checkAmendment(escrow, { fields, changes });
+
+    const now = new Date();
+    const amendment = {
+      amendment_id: `amd_${uuidv4().replace(/-/g, '')}`,
+      base_version: escrow.version,
+      status: 'proposed',
+      fields,
+      changes,
+      reason,
+      proposed_by: {
+        participant_id: participant.participant_id,
+        role: participant.role,
+        user_id: String(userId)
+      },
+      consents: [{
+        participant_id: participant.participant_id,
+        role: participant.role,
+        user_id: String(userId),
+        ip: req?.ip,
+        user_agent: req?.get?.('User-Agent'),
+        consented_at: now
+      }],
+      proposed_at: now
+    };
+
+    const updated = await Escrow.findOneAndUpdate(
+      {
+        escrow_id: escrow.escrow_id,
+        status: { $in: AMENDABLE_STATUSES },
+        // Escrows created before versioning have no version stored
+        version: { $in: escrow.version === 1 ? [1, null] : [escrow.version] },
+        amendments: { $not: { $elemMatch: { status: 'proposed' } } }
+      },
+      { $push: { amendments: amendment } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw httpError(409, 'Escrow already has an open amendment, or it changed meanwhile');
+    }
+
+    const proposed = updated.findAmendment(amendment.amendment_id);
+
+    await auditService.record({
+      action: 'escrow.amendment_proposed',
+      target: { type: 'escrow', id: updated.escrow_id, user_id: updated.metadata.user_id },
+      metadata: { amendment_id: proposed.amendment_id, fields, role: participant.role, reason },
+      req
+    });
+
+    await this.emitAmendmentEvent(updated, proposed, 'escrow.amendment_proposed');
+    return { escrow: updated, amendment: proposed };
+  }
+
+  // Record a party's consent to an amendment. The last consent applies it in
+  // the same transaction: the new terms are saved and, when the amount
+  // changed, the difference is locked on or returned to the payer's wallet.
+  async consentAmendment(escrow, amendmentId, { userId, req }) {
+    const participants = this.amendmentParticipants(escrow, userId);
+    if (participants.length === 0) {
+      throw httpError(403, 'Access denied', { message: 'Only the payer or payee can consent to an amendment' });
+    }
+
+    let before;
+    let otps = [];
+    const result = await runInTransaction(async (session) => {
+      const current = await Escrow.findOne({ escrow_id: escrow.escrow_id }).session(session);
+      const amendment = current.findAmendment(amendmentId);
+      if (!amendment) {
+        throw httpError(404, 'Amendment not found');
+      }
+      if (amendment.status !== 'proposed') {
+        throw httpError(409, `Amendment is already ${amendment.status}`);
+      }
+      if (amendment.base_version !== current.version) {
+        throw httpError(409, 'Amendment was proposed against an older version of the escrow');
+      }
+
+      const participant = participants.find(item => !amendment.consents.some(consent => consent.role === item.role));
+      if (!participant) {
+        throw httpError(409, 'Already consented to this amendment');
+      }
+
+      amendment.consents.push({
+        participant_id: participant.participant_id,
+        role: participant.role,
+        user_id: String(userId),
+        ip: req?.ip,
+        user_agent: req?.get?.('User-Agent'),
+        consented_at: new Date()
+      });
+
+      const consented = Escrow.AMENDMENT_ROLES.every(role => amendment.consents.some(consent => consent.role === role));
+      if (consented) {
+        this.checkAmendment(current, amendment);
+        before = current.amendableTerms();
+
+        const roles = current.getParticipants().map(item => item.role);
+        const prepared = amendment.fields.includes('conditions')
+          ? amendment.changes.conditions.map(condition => conditionService.prepare(condition.toObject(), { roles }))
+          : [];
+        conditionService.checkOtpRecipient(current.parties.payer, prepared);
+        otps = prepared.filter(item => item.otp);
+
+        // The fee is repriced on the new amount; who bears it doesn't change
+        const quote = amendment.fields.includes('amount')
+          ? await feeService.quote({
+            merchantId: current.metadata.user_id,
+            type: 'escrow',
+            amount: amendment.changes.amount,
+            currency: current.currency,
+            feeBearer: current.fees.bearer
+          })
+          : null;
+        current.applyAmendment(amendment, {
+          conditions: prepared.map(item => item.condition),
+          escrowFee: quote?.fee
+        });
+
+        // Nothing is locked for an escrow still waiting for its checkout payment
+        if (amendment.lock_adjustment && current.status !== 'pending') {
+          const delta = amendment.lock_adjustment;
+          await Wallet.adjustBalances(
+            current.parties.payer.wallet_id,
+            { available: -delta, locked: delta },
+            { session }
+          );
+          await ledgerService.recordEscrowAdjustment(current, amendment, String(userId), { session });
+        }
+      }
+
+      await current.save({ session });
+      return { escrow: current, amendment, participant, applied: consented };
+    });
+
+    const { escrow: updated, amendment, participant, applied } = result;
+
+    await auditService.record({
+      action: applied ? 'escrow.amended' : 'escrow.amendment_consented',
+      target: { type: 'escrow', id: updated.escrow_id, user_id: updated.metadata.user_id },
+      before: applied ? { version: amendment.base_version, ...before } : undefined,
+      after: applied ? { version: updated.version, ...updated.amendableTerms() } : undefined,
+      metadata: {
+        amendment_id: amendment.amendment_id,
+        role: participant.role,
+        lock_adjustment: amendment.lock_adjustment
+      },
+      req
+    });
+
+    if (applied) {
+      for (const { condition, otp } of otps) {
+        await conditionService.sendOtp(updated, condition, otp);
+      }
+      await this.emitAmendmentEvent(updated, amendment, 'escrow.amended');
+      logger.info(`Escrow amended: ${updated.escrow_id}, version ${updated.version}`);
+    }
+
+    return { escrow: updated, amendment, applied };
+  }
+
+  // Turn down an open amendment; either party can, the proposer included
+  async rejectAmendment(escrow, amendmentId, { userId, reason, req }) {
+    const [participant] = this.amendmentParticipants(escrow, userId);
+    if (!participant) {
+      throw httpError(403, 'Access denied', { message: 'Only the payer or payee can reject an amendment' });
+    }
+    if (!escrow.findAmendment(amendmentId)) {
+      throw httpError(404, 'Amendment not found');
+    }
+
+    const updated = await Escrow.findOneAndUpdate(
+      {
+        escrow_id: escrow.escrow_id,
+        amendments: { $elemMatch: { amendment_id: amendmentId, status: 'proposed' } }
+      },
+      {
+        $set: {
+          'amendments.$.status': 'rejected',
+          'amendments.$.rejected_at': new Date(),
+          'amendments.$.rejected_by': participant.participant_id,
+          'amendments.$.rejection_reason': reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw httpError(409, 'Amendment is no longer open');
+    }
+
+    const amendment = updated.findAmendment(amendmentId);
+
+    await auditService.record({
+      action: 'escrow.amendment_rejected',
+      target: { type: 'escrow', id: updated.escrow_id, user_id: updated.metadata.user_id },
+      metadata: { amendment_id: amendmentId, role: participant.role, reason },
+      req
+    });
+
+    await this.emitAmendmentEvent(updated, amendment, 'escrow.amendment_rejected');
+    return { escrow: updated, amendment };
+  }
+
+  // Amendment events go to both parties and the merchant that created the escrow
+  async emitAmendmentEvent(escrow, amendment, type) {
+    try {
+      await eventService.emitEscrowEventTo(
+        [escrow.parties.payer.user_id, escrow.parties.payee.user_id, escrow.metadata.user_id],
+        escrow,
+        type,
+        { version: escrow.version, amendment: serializeAmendment(amendment) }
+      );
+    } catch (webhookError) {
+      logger.error('Escrow amendment webhook failed:', webhookError);
+    }
+  }
+
+  // Take a dispute into review and assign it to the reviewing admin
+  async startDisputeReview(escrow, dispute, admin) {
+    if (!['open', 'awaiting_buyer', 'awaiting_seller'].includes(dispute.status)) {
+      throw httpError(409, 'Dispute cannot be taken into review', { dispute_status: dispute.status });
+    }
+
+    dispute.status = 'under_review';
+    dispute.assigned_to = admin.id;
+    dispute.review_started_at = dispute.review_started_at || new Date();
+    await escrow.save();
+
+    await this.emitDisputeEvent(escrow, dispute, 'escrow.dispute_updated');
+    return dispute;
+  }
+
+  // Ask one party for evidence by a deadline; the dispute waits on that party
+  async requestDisputeEvidence(escrow, dispute, { party, message, dueAt, admin }) {
+    if (!Escrow.OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      throw httpError(409, 'Dispute is already resolved', { dispute_status: dispute.status });
+    }
+
+    dispute.evidence_requests.push({
+      request_id: `evr_${uuidv4().replace(/-/g, '')}`,
+      party,
+      message,
+      due_at: dueAt,
+      requested_by: admin.id
+    });
+    dispute.status = party === 'payer' ? 'awaiting_buyer' : 'awaiting_seller';
+    dispute.assigned_to = dispute.assigned_to || admin.id;
+    await escrow.save();
+
+    const recipient = escrow.parties[party];
+    if (recipient.email) {
+      try {
+        await sendEmail({
+          to: recipient.email,
+          subject: `Evidence requested for escrow ${escrow.escrow_id}`,
+          template: 'dispute-evidence-requested',
+          data: {
+            name: recipient.name,
+            escrow_id: escrow.escrow_id,
+            dispute_id: dispute.dispute_id,
+            message,
+            due_at: dueAt
+          }
+        });
+      } catch (emailError) {
+        logger.error('Failed to send evidence request email:', emailError);
+      }
+    }
+
+    await this.emitDisputeEvent(escrow, dispute, 'escrow.dispute_updated');
+    return dispute;
+  }
+
+  // Record evidence from a party, fulfilling an outstanding request for it.
+  // Evidence requested by a deadline is refused once the deadline has passed.
+  async addDisputeEvidence(escrow, dispute, { party, userId, evidence }) {
+    if (!Escrow.OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      throw httpError(409, 'Dispute is already resolved', { dispute_status: dispute.status });
+    }
+
+    const request = dispute.evidence_requests.find(item => item.party === party && !item.fulfilled_at);
+    if (request && request.due_at && request.due_at < new Date()) {
+      throw httpError(400, 'Evidence deadline has passed', { due_at: request.due_at });
+    }
+
+    evidence.forEach(item => {
+      dispute.evidence.push({
+        type: item.type,
+        url: item.url,
+        uploaded_by: userId,
+        uploaded_at: new Date()
+      });
+    });
+
+    if (request) {
+      request.fulfilled_at = new Date();
+      const awaitingStatus = party === 'payer' ? 'awaiting_buyer' : 'awaiting_seller';
+      if (dispute.status === awaitingStatus) {
+        dispute.status = 'under_review';
+      }
+    }
+
+    await escrow.save();
+
+    if (request) {
+      await this.emitDisputeEvent(escrow, dispute, 'escrow.dispute_updated');
+    }
+    return dispute;
+  }
+
+  // Settle a dispute over what the escrow still holds: 'payer' refunds it all,
+  // 'payee' releases it all and 'split' pays payeeAmount to the payee and
+  // returns the rest. The escrow fee is charged on the part paid to the payee only.
+  async resolveDispute(escrow, disputeId, { outcome, payeeAmount, resolution, admin }) {
+    const [payerWallet, payeeWallet] = await Promise.all([
+      Wallet.findOne({ wallet_id: escrow.parties.payer.wallet_id }),
+      Wallet.findOne({ wallet_id: escrow.parties.payee.wallet_id })
+    ]);
+
+    if (!payerWallet || !payeeWallet) {
+      throw httpError(404, 'Escrow wallet not found');
+    }
+
+    let releaseTransaction = null;
+    let refundTransaction = null;
+    const resolved = await runInTransaction(async (session) => {
+      const current = await Escrow.findOne({ escrow_id: escrow.escrow_id, status: 'disputed' }).session(session);
+      const dispute = current && current.findDispute(disputeId);
+      if (!dispute || !Escrow.OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+        throw httpError(409, 'Dispute is no longer open');
+      }
+
+      const amount = current.remainingAmount;
+      const payeeShare = outcome === 'payer' ? 0 : outcome === 'payee' ? amount : Escrow.toMoney(Number(payeeAmount));
+      if (outcome === 'split' && !(payeeShare > 0 && payeeShare < amount)) {
+        throw httpError(400, 'Split amount must be between 0 and the amount still held', { remaining_amount: amount });
+      }
+      const payerShare = Escrow.toMoney(amount - payeeShare);
+
+      if (payeeShare > 0) {
+        const fee = current.releaseFee(payeeShare);
+        releaseTransaction = this.buildReleaseTransaction(current, {
+          amount: payeeShare,
+          fee
+        });
+        current.applyRelease({
+          amount: payeeShare,
+          fee,
+          transactionId: releaseTransaction.transaction_id,
+          trigger: 'dispute_resolution'
+        });
+      }
+      if (payerShare > 0) {
+        refundTransaction = this.buildRefundTransaction(current, {
+          amount: current.refundDue(payerShare),
+          description: `Dispute resolution refund: ${current.escrow_id}`
+        });
+        current.applyRefund(payerShare);
+      }
+
+      const now = new Date();
+      dispute.status = outcome === 'payer' ? 'resolved_buyer' : outcome === 'payee' ? 'resolved_seller' : 'closed';
+      dispute.outcome = outcome;
+      dispute.resolution = resolution;
+      dispute.resolved_by = admin.id;
+      dispute.resolved_at = now;
+      dispute.payer_amount = payerShare;
+      dispute.payee_amount = payeeShare;
+      dispute.transaction_ids = [releaseTransaction, refundTransaction]
+        .filter(Boolean)
+        .map(item => item.transaction_id);
+
+      if (releaseTransaction) {
+        current.status = 'released';
+        current.timeline.released_at = now;
+        await payerWallet.settleLockedFunds(releaseTransaction.amount, { session });
+        await payeeWallet.addFunds(releaseTransaction.net_amount, { session });
+        await releaseTransaction.save({ session });
+      } else {
+        current.status = 'refunded';
+      }
+
+      if (refundTransaction) {
+        current.timeline.refunded_at = now;
+        await payerWallet.unlockFunds(refundTransaction.amount, { session });
+        await refundTransaction.save({ session });
+      }
+
+      await current.save({ session });
+
+      // Journal after saving, so the entries carry the escrow's final position
+      if (releaseTransaction) {
+        await ledgerService.recordEscrowRelease(current, releaseTransaction, { session });
+      }
+      if (refundTransaction) {
+        await ledgerService.recordEscrowRefund(current, refundTransaction, { session });
+      }
+
+      return current;
+    });
+
+    const dispute = resolved.findDispute(disputeId);
+    await this.emitDisputeEvent(resolved, dispute, 'escrow.dispute_resolved');
+    try {
+      await eventService.emitEscrowEvent(resolved, resolved.status === 'released' ? 'escrow.released' : 'escrow.refunded', {
+        release_trigger: 'dispute_resolution'
+      });
+    } catch (webhookError) {
+      logger.error('Escrow resolution webhook failed:', webhookError);
+    }
+
+    return { escrow: resolved, dispute, releaseTransaction, refundTransaction };
+  }
+
+  async emitDisputeEvent(escrow, dispute, type) {
+    try {
+      await eventService.emitEscrowEvent(escrow, type, { dispute: serializeDispute(dispute) });
+    } catch (webhookError) {
+      logger.error('Dispute webhook failed:', webhookError);
+    }
+  }
+
+  // Post a message on a dispute's thread and notify everyone else on it.
+  // Attachments are base64 data URLs stored through the file service.
+  async postDisputeMessage(escrow, dispute, { sender, body, attachments = [] }) {
+    if (attachments.length > MAX_MESSAGE_ATTACHMENTS) {
+      throw httpError(400, `A message can have at most ${MAX_MESSAGE_ATTACHMENTS} attachments`);
+    }
+
+    const stored = [];
+    for (const attachment of attachments) {
+      try {
+        const file = await uploadFile(attachment.data, `disputes/${dispute.dispute_id}`);
+        stored.push({
+          filename: attachment.filename || file.filename,
+          mime_type: file.mimeType,
+          size: file.size,
+          url: file.url
+        });
+      } catch (error) {
+        throw httpError(400, 'Invalid attachment', { message: error.message, filename: attachment.filename });
+      }
+    }
+
+    const message = await DisputeMessage.create({
+      message_id: `dmsg_${uuidv4().replace(/-/g, '')}`,
+      escrow_id: escrow.escrow_id,
+      dispute_id: dispute.dispute_id,
+      sender,
+      is_admin: sender.role === 'admin',
+      body,
+      attachments: stored
+    });
+
+    await this.notifyDisputeMessage(escrow, dispute, message);
+    return message;
+  }
+
+  async notifyDisputeMessage(escrow, dispute, message) {
+    const otherParties = ['payer', 'payee'].filter(role => role !== message.sender.role);
+    const recipients = otherParties
+      .map(role => escrow.parties[role])
+      .filter(party => party.email)
+      .map(party => ({ email: party.email, name: party.name }));
+
+    // Parties' messages also go to the admin handling the dispute
+    if (!message.is_admin && dispute.assigned_to) {
+      const admin = await AdminUser.findOne({ admin_id: dispute.assigned_to }).select('email name');
+      if (admin) {
+        recipients.push({ email: admin.email, name: admin.name });
+      }
+    }
+
+    for (const recipient of recipients) {
+      try {
+        await sendEmail({
+          to: recipient.email,
+          subject: `New message on the dispute for escrow ${escrow.escrow_id}`,
+          template: 'dispute-message',
+          data: {
+            name: recipient.name,
+            escrow_id: escrow.escrow_id,
+            dispute_id: dispute.dispute_id,
+            sender_role: message.sender.role,
+            body: message.body,
+            attachment_count: message.attachments.length
+          }
+        });
+      } catch (emailError) {
+        logger.error('Failed to send dispute message email:', emailError);
+      }
+    }
+
+    try {
+      await eventService.emitEscrowEventTo(
+        otherParties.map(role => escrow.parties[role].user_id),
+        escrow,
+        'escrow.dispute_message',
+        { dispute: serializeDispute(dispute), message: message.toPublicJSON() }
+      );
+    } catch (webhookError) {
+      logger.error('Dispute message webhook failed:', webhookError);
+    }
+  }
+
+  // Lease one due escrow to this instance. Several instances run the
+  // scheduler; the lease makes sure only one of them acts on an escrow.
+  // Escrows that failed `maxAttempts` times in a row are no longer claimed.
+  claimDue(filter) {
+    const now = new Date();
+
+    return Escrow.findOneAndUpdate(
+      {
+        $and: [
+          filter,
+          {
+            'disputes.status': { $nin: Escrow.storedDisputeStatuses(Escrow.OPEN_DISPUTE_STATUSES) },
+            $or: [
+              { 'scheduler.locked_until': null },
+              { 'scheduler.locked_until': { $lte: now } }
+            ]
+          },
+          {
+            $or: [
+              { 'scheduler.attempts': null },
+              { 'scheduler.attempts': { $lt: this.maxAttempts } }
+            ]
+          }
+        ]
+      },
+      {
+        $set: {
+          'scheduler.locked_by': this.instanceId,
+          'scheduler.locked_until': new Date(now.getTime() + this.leaseDuration)
+        },
+        $inc: { 'scheduler.attempts': 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Run an action on claimed escrows until none are left or the batch is full.
+  // A failed escrow keeps its lease, so it is retried once the lease runs out,
+  // until it has failed `maxAttempts` times and is left for someone to look at.
+  async processClaimed(filter, action) {
+    let processed = 0;
+
+    while (processed < this.batchSize) {
+      const escrow = await this.claimDue(filter);
+      if (!escrow) {
+        break;
+      }
+
+      try {
+        await action(escrow);
+        await Escrow.updateOne({ _id: escrow._id }, { $unset: { scheduler: 1 } });
+      } catch (error) {
+        logger.error('Escrow scheduler action failed:', {
+          escrow_id: escrow.escrow_id,
+          attempt: escrow.scheduler.attempts,
+          error: error.message
+        });
+        await Escrow.updateOne({ _id: escrow._id }, { $set: { 'scheduler.last_error': error.message } });
+
+        if (escrow.scheduler.attempts >= this.maxAttempts) {
+          logger.error(`Escrow scheduler gave up on ${escrow.escrow_id}; it needs manual attention`, {
+            status: escrow.status,
+            attempts: escrow.scheduler.attempts,
+            error: error.message
+          });
+        }
+      }
+      processed++;
+    }
+
+    return processed;
+  }
+
+  // Release active escrows whose auto-release date has passed
+  processAutoReleases() {
+    return this.processClaimed({
+      status: 'active',
+      'release_settings.auto_release': true,
+      'release_settings.auto_release_date': { $lte: new Date() }
+    }, async (escrow) => {
+      const { escrow: released, transaction } = await this.releaseFunds(escrow, { trigger: 'auto_release' });
+
+      await auditService.record({
+        action: 'escrow.released',
+        actor: SCHEDULER_ACTOR,
+        target: { type: 'escrow', id: released.escrow_id, user_id: released.metadata.user_id },
+        before: { status: 'active' },
+        after: { status: released.status },
+        metadata: { transaction_id: transaction.transaction_id, trigger: 'auto_release' }
+      });
+
+      logger.info(`Escrow auto-released: ${released.escrow_id}`);
+    });
+  }
+
+  // Expire escrows past expires_at, returning any held funds to the payer
+  processExpiries() {
+    return this.processClaimed({
+      status: { $in: ['pending', 'funded', 'active'] },
+      'timeline.expires_at': { $lte: new Date() }
+    }, async (escrow) => {
+      const reason = 'Escrow expired';
+      const result = escrow.status === 'pending'
+        ? await this.expireUnfunded(escrow, reason)
+        : await this.refundFunds(escrow, { reason, fromStatuses: ['funded', 'active'], expire: true });
+
+      await auditService.record({
+        action: 'escrow.expired',
+        actor: SCHEDULER_ACTOR,
+        target: { type: 'escrow', id: result.escrow.escrow_id, user_id: result.escrow.metadata.user_id },
+        before: { status: result.previousStatus },
+        after: { status: result.escrow.status },
+        metadata: { transaction_id: result.transaction?.transaction_id }
+      });
+
+      logger.info(`Escrow expired: ${result.escrow.escrow_id}`);
+    });
+  }
+
+  // Expire checkout escrows whose payment didn't arrive in time. A payment
+  // landing afterwards is credited to the merchant wallet like a plain collection.
+  processUnpaid() {
+    return this.processClaimed({
+      status: 'pending',
+      'funding.pay_by': { $lte: new Date() }
+    }, async (escrow) => {
+      const result = await this.expireUnfunded(escrow, 'Payment not received');
+
+      await auditService.record({
+        action: 'escrow.expired',
+        actor: SCHEDULER_ACTOR,
+        target: { type: 'escrow', id: result.escrow.escrow_id, user_id: result.escrow.metadata.user_id },
+        before: { status: 'pending' },
+        after: { status: result.escrow.status },
+        metadata: { collection_id: result.escrow.funding.collection_id, reason: 'unpaid' }
+      });
+
+      logger.info(`Unpaid escrow expired: ${result.escrow.escrow_id}`);
+    });
+  }
+
+  // Fulfill date_reached conditions whose date has passed. Fulfilling the
+  // last condition releases the escrow or milestone as usual.
+  processDateConditions() {
+    const now = new Date();
+    const due = { type: 'date_reached', fulfilled: false, 'config.date': { $lte: now } };
+
+    return this.processClaimed({
+      status: 'active',
+      $or: [
+        { conditions: { $elemMatch: due } },
+        { 'milestones.conditions': { $elemMatch: due } }
+      ]
+    }, async (escrow) => {
+      const dueConditions = [
+        ...escrow.conditions.map(condition => ({ condition, milestone: null })),
+        ...escrow.milestones.flatMap(milestone => milestone.conditions.map(condition => ({ condition, milestone })))
+      ].filter(({ condition }) => condition.type === 'date_reached' && !condition.fulfilled && condition.config.date <= now);
+
+      let current = escrow;
+      for (const { condition, milestone } of dueConditions) {
+        if (current.status !== 'active') {
+          break;
+        }
+
+        const milestoneId = milestone?.milestone_id;
+        const proof = await conditionService.verify(current, condition, {}, { milestoneId, userId: 'system' });
+        const options = { fulfilledBy: 'system', proof };
+        const result = milestoneId
+          ? await this.fulfillMilestoneCondition(current, milestoneId, condition._id, options)
+          : await this.fulfillCondition(current, condition._id, options);
+        current = result.escrow;
+
+        await auditService.record({
+          action: 'escrow.condition_fulfilled',
+          actor: SCHEDULER_ACTOR,
+          target: { type: 'escrow', id: current.escrow_id, user_id: current.metadata.user_id },
+          metadata: {
+            condition_id: String(condition._id),
+            milestone_id: milestoneId,
+            condition_type: condition.type,
+            transaction_id: result.transaction?.transaction_id
+          }
+        });
+      }
+
+      logger.info(`Date conditions fulfilled: ${escrow.escrow_id}`);
+    });
+  }
+
+  // Warn both parties ahead of an auto-release or expiry. Marking the reminder
+  // as sent is the claim, so each reminder goes out once across instances.
+  async sendDeadlineReminders() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + this.reminderHours * 60 * 60 * 1000);
+
+    const deadlines = [
+      {
+        type: 'auto_release',
+        field: 'release_settings.auto_release_date',
+        sentField: 'reminders.auto_release_sent_at',
+        filter: { status: 'active', 'release_settings.auto_release': true }
+      },
+      {
+        type: 'expiry',
+        field: 'timeline.expires_at',
+        sentField: 'reminders.expiry_sent_at',
+        filter: { status: { $in: ['pending', 'funded', 'active'] } }
+      }
+    ];
+
+    let sent = 0;
+    for (const deadline of deadlines) {
+      while (sent < this.batchSize) {
+        const escrow = await Escrow.findOneAndUpdate(
+          {
+            ...deadline.filter,
+            [deadline.field]: { $gt: now, $lte: horizon },
+            [deadline.sentField]: null
+          },
+          { $set: { [deadline.sentField]: now } },
+          { new: true }
+        );
+
+        if (!escrow) {
+          break;
+        }
+
+        await this.notifyDeadline(escrow, deadline.type, escrow.get(deadline.field));
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  async notifyDeadline(escrow, type, deadlineAt) {
+    const recipients = [escrow.parties.payer, escrow.parties.payee].filter(party => party.email);
+
+    for (const party of recipients) {
+      try {
+        await sendEmail({
+          to: party.email,
+          subject: type === 'auto_release'
+            ? `Escrow ${escrow.escrow_id} will be released soon`
+            : `Escrow ${escrow.escrow_id} will expire soon`,
+          template: 'escrow-deadline-reminder',
+          data: {
+            name: party.name,
+            escrow_id: escrow.escrow_id,
+            amount: escrow.amount,
+            currency: escrow.currency,
+            deadline_type: type,
+            deadline_at: deadlineAt
+          }
+        });
+      } catch (emailError) {
+        logger.error('Failed to send escrow reminder email:', emailError);
+      }
+    }
+
+    try {
+      await eventService.emitEscrowEvent(escrow, 'escrow.deadline_approaching', {
+        deadline: { type, at: deadlineAt }
+      });
+    } catch (webhookError) {
+      logger.error('Escrow reminder webhook failed:', webhookError);
+    }
+  }
+
+  // One scheduler tick: reminders first, then date conditions, then releases
+  // ahead of expiries so an escrow due for both is released rather than refunded
+  async processDeadlines() {
+    const reminders = await this.sendDeadlineReminders();
+    const dated = await this.processDateConditions();
+    const released = await this.processAutoReleases();
+    const expired = await this.processExpiries();
+    const unpaid = await this.processUnpaid();
+
+    return { reminders, dated, released, expired, unpaid };
+  }
+}
+
+// Create singleton instance
+const escrowService = new EscrowService();
+
+module.exports = {
+  EscrowService,
+  escrowService,
+  serializeDispute,
+  serializeAmendment
+};
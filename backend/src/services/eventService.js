@@ -0,0 +1,154 @@
+const { v4: uuidv4 } = require('uuid');
+const Event = require('../models/Event');
+const { EVENT_TYPES } = require('../config/eventTypes');
+const { webhookService } = require('./webhookService');
+const logger = require('../utils/logger');
+
+// Plain snapshots of the objects events are about
+const serializeTransaction = (transaction) => ({
+  object: 'transaction',
+  transaction_id: transaction.transaction_id,
+  type: transaction.type,
+  amount: transaction.amount,
+  currency: transaction.currency,
+  status: transaction.status,
+  fees: {
+    processing_fee: transaction.fees.processing_fee,
+    platform_fee: transaction.fees.platform_fee,
+    total_fee: transaction.fees.total_fee
+  },
+  net_amount: transaction.net_amount,
+  source: {
+    wallet_id: transaction.source.wallet_id,
+    payment_method: transaction.source.payment_method
+  },
+  destination: {
+    wallet_id: transaction.destination.wallet_id,
+    payment_method: transaction.destination.payment_method
+  },
+  customer: {
+    email: transaction.metadata.customer_email,
+    name: transaction.metadata.customer_name
+  },
+  reference: transaction.metadata.reference,
+  // Collection a refund pays back
+  ...(transaction.type === 'refund' && transaction.refund_details?.collection_id && {
+    collection_id: transaction.refund_details.collection_id
+  }),
+  failure_reason: transaction.processing?.failure_reason,
+  created_at: transaction.createdAt,
+  updated_at: transaction.updatedAt
+});
+
+const serializeEscrow = (escrow, additionalData = {}) => ({
+  object: 'escrow',
+  escrow_id: escrow.escrow_id,
+  transaction_id: escrow.transaction_id,
+  amount: escrow.amount,
+  currency: escrow.currency,
+  status: escrow.status,
+  parties: escrow.toObject().parties,
+  conditions: escrow.toObject().conditions,
+  milestones: escrow.toObject().milestones,
+  timeline: escrow.toObject().timeline,
+  created_at: escrow.createdAt,
+  updated_at: escrow.updatedAt,
+  ...additionalData
+});
+
+const serializeWallet = (wallet, additionalData = {}) => ({
+  object: 'wallet',
+  wallet_id: wallet.wallet_id,
+  owner_type: wallet.owner_type,
+  owner_id: wallet.owner_id,
+  currency: wallet.currency,
+  balances: {
+    available: wallet.balances.available,
+    locked: wallet.balances.locked,
+    pending: wallet.balances.pending
+  },
+  status: wallet.status,
+  ...additionalData
+});
+
+const serializeAccount = (user) => ({
+  object: 'account',
+  user_id: String(user._id),
+  business_name: user.business_name,
+  email: user.email,
+  kyc_status: user.kyc_status,
+  trust_score: user.trust_score,
+  status: user.status,
+  mode: user.mode
+});
+
+class EventService {
+  // Record an event and queue it for the merchant's webhook endpoints
+  async emit(type, userId, object) {
+    const definition = EVENT_TYPES[type];
+    if (!definition) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    if (!userId) {
+      logger.warn('Event not emitted, no owning merchant', { type });
+      return null;
+    }
+
+    const objectIdField = {
+      transaction: 'transaction_id',
+      escrow: 'escrow_id',
+      wallet: 'wallet_id',
+      account: 'user_id'
+    }[definition.object];
+
+    const event = await Event.create({
+      event_id: `evt_${uuidv4().replace(/-/g, '')}`,
+      type,
+      user_id: String(userId),
+      object_type: definition.object,
+      object_id: object[objectIdField],
+      data: { object }
+    });
+
+    try {
+      await webhookService.dispatchEvent(event);
+    } catch (error) {
+      logger.error('Event webhook dispatch failed:', { event_id: event.event_id, error: error.message });
+    }
+
+    return event;
+  }
+
+  emitTransactionEvent(transaction, type) {
+    return this.emit(type, transaction.metadata.user_id, serializeTransaction(transaction));
+  }
+
+  // Escrow events belong to the merchant that created the escrow
+  emitEscrowEvent(escrow, type, additionalData = {}) {
+    const merchantId = escrow.metadata.user_id || escrow.parties.payer.user_id;
+    return this.emit(type, merchantId, serializeEscrow(escrow, additionalData));
+  }
+
+  // The same escrow event for several accounts, e.g. the parties of a dispute
+  emitEscrowEventTo(userIds, escrow, type, additionalData = {}) {
+    const recipients = [...new Set(userIds.filter(Boolean).map(String))];
+    return Promise.all(recipients.map(userId => this.emit(type, userId, serializeEscrow(escrow, additionalData))));
+  }
+
+  emitWalletEvent(wallet, type, additionalData = {}) {
+    return this.emit(type, wallet.owner_id, serializeWallet(wallet, additionalData));
+  }
+
+  emitKYCEvent(user, type) {
+    return this.emit(type, user._id, serializeAccount(user));
+  }
+}
+
+// Create singleton instance
+const eventService = new EventService();
+
+module.exports = {
+  EventService,
+  eventService
+};
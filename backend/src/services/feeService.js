@@ -0,0 +1,203 @@
+const FeeSchedule = require('../models/FeeSchedule');
+const Transaction = require('../models/Transaction');
+const httpError = require('../utils/httpError');
+const { FEE_TRANSACTION_TYPES, STANDARD_FEE_RULES } = require('../config/feeRules');
+const { selectPaymentRail } = require('./payoutService');
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Transactions that count towards a merchant's monthly volume
+const VOLUME_TYPES = ['collection', 'escrow_hold', 'payout', 'wallet_funding', 'wallet_withdrawal', 'wallet_transfer'];
+
+const STANDARD_SCHEDULE = {
+  schedule_id: null,
+  name: 'Standard',
+  rules: STANDARD_FEE_RULES
+};
+
+// A rule naming a currency beats one naming a rail, which beats a catch-all
+const specificity = (rule) => (rule.currency ? 2 : 0) + (rule.rail ? 1 : 0);
+
+// Prices transactions from the merchant's pricing plan
+class FeeService {
+  // Plan a merchant is on: their own plan, else the default plan, else standard pricing
+  async scheduleFor(merchantId) {
+    const merchant = merchantId ? String(merchantId) : null;
+    const schedules = await FeeSchedule.find({
+      status: 'active',
+      $or: [
+        ...(merchant ? [{ merchant_ids: merchant }] : []),
+        { is_default: true }
+      ]
+    }).lean();
+
+    return schedules.find(schedule => merchant && schedule.merchant_ids.includes(merchant)) ||
+      schedules.find(schedule => schedule.is_default) ||
+      STANDARD_SCHEDULE;
+  }
+
+  // Most specific rule that applies; ties go to the rule listed first
+  matchRule(rules, { type, currency, rail, amount }) {
+    return rules
+      .filter(rule =>
+        rule.transaction_type === type &&
+        (!rule.currency || rule.currency === currency) &&
+        (!rule.rail || rule.rail === rail) &&
+        (rule.min_amount == null || amount >= rule.min_amount) &&
+        (rule.max_amount == null || amount <= rule.max_amount)
+      )
+      .reduce((best, rule) => (!best || specificity(rule) > specificity(best) ? rule : best), null);
+  }
+
+  // Completed volume of a merchant in a currency since the start of the month (UTC)
+  async monthlyVolume(merchantId, currency) {
+    if (!merchantId) {
+      return 0;
+    }
+
+    const now = new Date();
+    const [row] = await Transaction.aggregate([
+      {
+        $match: {
+          'metadata.user_id': String(merchantId),
+          type: { $in: VOLUME_TYPES },
+          status: 'completed',
+          currency,
+          createdAt: { $gte: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)) }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
+    return row ? toMoney(row.total) : 0;
+  }
+
+  // Price a transaction. `rail` is the payment method or payout rail it goes
+  // over; `feeBearer` overrides who the plan says bears the fee. The payer is
+  // charged gross_amount and the payee receives net_amount.
+  async quote({ merchantId, type, amount, currency = 'KES', rail, feeBearer }) {
+    if (!FEE_TRANSACTION_TYPES.includes(type)) {
+      throw httpError(400, 'Unknown transaction type', { supported_types: FEE_TRANSACTION_TYPES });
+    }
+
+    const criteria = { type, currency: String(currency).toUpperCase(), rail, amount: toMoney(Number(amount)) };
+    const schedule = await this.scheduleFor(merchantId);
+
+    // Plans need only price what they change; the rest is standard pricing
+    let source = schedule;
+    let rule = this.matchRule(schedule.rules, criteria);
+    if (!rule) {
+      source = STANDARD_SCHEDULE;
+      rule = this.matchRule(STANDARD_FEE_RULES, criteria);
+    }
+
+    let monthlyVolume = null;
+    let tier = null;
+    if (rule.tiers && rule.tiers.length > 0) {
+      monthlyVolume = await this.monthlyVolume(merchantId, criteria.currency);
+      tier = [...rule.tiers]
+        .sort((a, b) => b.min_volume - a.min_volume)
+        .find(item => monthlyVolume >= item.min_volume) || null;
+    }
+
+    const percentage = (tier ? tier.percentage : rule.percentage) || 0;
+    const flatFee = (tier ? tier.flat_fee : rule.flat_fee) || 0;
+    let fee = toMoney(criteria.amount * percentage / 100 + flatFee);
+    if (rule.min_fee != null) {
+      fee = Math.max(fee, rule.min_fee);
+    }
+    if (rule.max_fee != null) {
+      fee = Math.min(fee, rule.max_fee);
+    }
+
+    const bearer = feeBearer || rule.fee_bearer || 'payer';
+    if (bearer === 'payee' && fee > criteria.amount) {
+      throw httpError(400, 'Amount is too small to cover the fee', { amount: criteria.amount, fee });
+    }
+
+    return {
+      schedule_id: source.schedule_id,
+      schedule_name: source.name,
+      transaction_type: type,
+      currency: criteria.currency,
+      rail: rail || null,
+      amount: criteria.amount,
+      fee,
+      fee_bearer: bearer,
+      gross_amount: bearer === 'payer' ? toMoney(criteria.amount + fee) : criteria.amount,
+      net_amount: bearer === 'payer' ? criteria.amount : toMoney(criteria.amount - fee),
+      pricing: {
+        percentage,
+        flat_fee: flatFee,
+        min_fee: rule.min_fee,
+        max_fee: rule.max_fee,
+        tier_min_volume: tier ? tier.min_volume : undefined,
+        monthly_volume: monthlyVolume === null ? undefined : monthlyVolume
+      }
+    };
+  }
+
+  // Escrow fee and, for an escrow the buyer pays at checkout, the fee on the
+  // collection. The collection covers everything the escrow holds and the
+  // buyer always pays its fee on top, so the hold arrives in full.
+  async quoteEscrow({ merchantId, amount, currency, paymentMethod, feeBearer }) {
+    const escrow = await this.quote({ merchantId, type: 'escrow', amount, currency, feeBearer });
+    const checkout = paymentMethod
+      ? await this.quote({
+        merchantId,
+        type: 'collection',
+        amount: escrow.gross_amount,
+        currency,
+        rail: paymentMethod,
+        feeBearer: 'payer'
+      })
+      : null;
+
+    return { escrow, checkout };
+  }
+
+  // Payout fee over the rail the destination is routed to
+  async quotePayout({ merchantId, destination, amount, currency }) {
+    const routing = selectPaymentRail(destination, amount, currency);
+    const quote = await this.quote({ merchantId, type: 'payout', amount, currency, rail: routing.rail });
+
+    return { ...quote, instant: routing.instant };
+  }
+
+  // Keep each merchant on one plan and a single default plan: a schedule
+  // takes its merchants and default status over from any other
+  async claimAssignments(schedule) {
+    if (schedule.merchant_ids.length > 0) {
+      await FeeSchedule.updateMany(
+        { schedule_id: { $ne: schedule.schedule_id }, merchant_ids: { $in: schedule.merchant_ids } },
+        { $pullAll: { merchant_ids: schedule.merchant_ids } }
+      );
+    }
+    if (schedule.is_default) {
+      await FeeSchedule.updateMany(
+        { schedule_id: { $ne: schedule.schedule_id }, is_default: true },
+        { $set: { is_default: false } }
+      );
+    }
+  }
+
+  // Transaction fees for a quote, booked as the processing or the platform fee
+  transactionFees(quote, kind = 'processing_fee') {
+    return {
+      processing_fee: kind === 'processing_fee' ? quote.fee : 0,
+      platform_fee: kind === 'platform_fee' ? quote.fee : 0,
+      total_fee: quote.fee,
+      bearer: quote.fee_bearer,
+      schedule_id: quote.schedule_id || undefined
+    };
+  }
+}
+
+// Create singleton instance
+const feeService = new FeeService();
+
+module.exports = {
+  FeeService,
+  feeService,
+  STANDARD_SCHEDULE
+};
@@ -0,0 +1,330 @@
+const { v4: uuidv4 } = require('uuid');
+const LedgerEntry = require('../models/LedgerEntry');
+const logger = require('../utils/logger');
+
+class LedgerService {
+  // Account referencing one balance bucket of a wallet
+  walletAccount(walletId, bucket = 'available') {
+    return {
+      account: `wallet:${walletId}:${bucket}`,
+      account_type: 'wallet',
+      wallet_id: walletId,
+      bucket
+    };
+  }
+
+  // Platform-owned account, e.g. fee revenue or a payment rail clearing account
+  systemAccount(name, currency) {
+    return {
+      account: `system:${name}:${currency}`,
+      account_type: 'system'
+    };
+  }
+
+  debit(account, amount) {
+    return { ...account, direction: 'debit', amount };
+  }
+
+  credit(account, amount) {
+    return { ...account, direction: 'credit', amount };
+  }
+
+  // Post a balanced journal entry
+  async post({ entry_type, transaction_id, user_id, currency, description, escrow, lines }, options = {}) {
+    const entry = new LedgerEntry({
+      entry_id: `led_${uuidv4().replace(/-/g, '')}`,
+      entry_type,
+      transaction_id,
+      user_id: user_id ? String(user_id) : undefined,
+      currency,
+      description,
+      escrow,
+      // Zero-amount legs (e.g. a fee of 0) carry no information
+      lines: lines.filter(line => line.amount > 0)
+    });
+
+    try {
+      await entry.save(options.session ? { session: options.session } : undefined);
+    } catch (error) {
+      logger.error('Ledger posting rejected', {
+        entry_type,
+        transaction_id,
+        error: error.message
+      });
+      throw error;
+    }
+
+    return entry;
+  }
+
+  // Money collected over an external rail lands in a wallet, less fees
+  recordCollection(transaction, walletId, options = {}) {
+    const currency = transaction.currency;
+    const fee = transaction.fees.total_fee;
+
+    return this.post({
+      entry_type: 'collection',
+      transaction_id: transaction.transaction_id,
+      user_id: transaction.metadata.user_id,
+      currency,
+      description: transaction.metadata.description,
+      lines: [
+        this.debit(this.systemAccount(transaction.source.payment_method, currency), transaction.amount),
+        this.credit(this.walletAccount(walletId), transaction.amount - fee),
+        this.credit(this.systemAccount('fees', currency), fee)
+      ]
+    }, options);
+  }
+
+  // Wallet top-up: the customer pays amount + fee, the wallet receives the net amount
+  recordFunding(transaction, walletId, options = {}) {
+    const currency = transaction.currency;
+
+    return this.post({
+      entry_type: 'funding',
+      transaction_id: transaction.transaction_id,
+      user_id: transaction.metadata.user_id,
+      currency,
+      description: transaction.metadata.description,
+      lines: [
+        this.debit(this.systemAccount(transaction.source.payment_method, currency), transaction.amount),
+        this.credit(this.walletAccount(walletId), transaction.net_amount),
+        this.credit(this.systemAccount('fees', currency), transaction.fees.total_fee)
+      ]
+    }, options);
+  }
+
+  // Money leaving a wallet to an external rail or another wallet, fees on top
+  recordPayout(transaction, options = {}) {
+    const currency = transaction.currency;
+    const destinationWalletId = transaction.destination.payment_method === 'wallet'
+      ? transaction.destination.wallet_id || transaction.destination.payment_details?.wallet_id
+      : null;
+    const destination = destinationWalletId
+      ? this.walletAccount(destinationWalletId)
+      : this.systemAccount(transaction.destination.payment_method, currency);
+
+    return this.post({
+      entry_type: transaction.type === 'wallet_withdrawal' ? 'withdrawal' : 'payout',
+      transaction_id: transaction.transaction_id,
+      user_id: transaction.metadata.user_id,
+      currency,
+      description: transaction.metadata.description,
+      lines: [
+        this.debit(this.walletAccount(transaction.source.wallet_id), transaction.amount),
+        this.credit(destination, transaction.amount - transaction.fees.total_fee),
+        this.credit(this.systemAccount('fees', currency), transaction.fees.total_fee)
+      ]
+    }, options);
+  }
+
+  // Undo a payout that failed or was cancelled after the wallet was debited
+  recordPayoutReversal(transaction, options = {}) {
+    return this.reverse(transaction, ['payout', 'withdrawal'], 'payout_reversal', options);
+  }
+
+  // Refund of a collection: the merchant's wallet pays the customer back over
+  // the rail the collection came in on. Fees charged on the collection stay booked.
+  recordRefund(transaction, options = {}) {
+    const currency = transaction.currency;
+
+    return this.post({
+      entry_type: 'refund',
+      transaction_id: transaction.transaction_id,
+      user_id: transaction.metadata.user_id,
+      currency,
+      description: transaction.metadata.description,
+      lines: [
+        this.debit(this.walletAccount(transaction.source.wallet_id), transaction.amount),
+        this.credit(this.systemAccount(transaction.destination.payment_method, currency), transaction.amount)
+      ]
+    }, options);
+  }
+
+  // Undo a refund the provider couldn't deliver
+  recordRefundReversal(transaction, options = {}) {
+    return this.reverse(transaction, ['refund'], 'refund_reversal', options);
+  }
+
+  // Post the mirror image of a transaction's entry of one of `entryTypes`
+  async reverse(transaction, entryTypes, reversalType, options = {}) {
+    const original = await LedgerEntry.findOne({
+      transaction_id: transaction.transaction_id,
+      entry_type: { $in: entryTypes }
+    }).session(options.session || null);
+
+    if (!original) {
+      return null;
+    }
+
+    return this.post({
+      entry_type: reversalType,
+      transaction_id: transaction.transaction_id,
+      user_id: transaction.metadata.user_id,
+      currency: original.currency,
+      description: `Reversal of ${original.entry_id}`,
+      lines: original.lines.map(line => ({
+        account: line.account,
+        account_type: line.account_type,
+        wallet_id: line.wallet_id,
+        bucket: line.bucket,
+        direction: line.direction === 'debit' ? 'credit' : 'debit',
+        amount: line.amount
+      }))
+    }, options);
+  }
+
+  // Wallet-to-wallet transfer; the sender pays the fee
+  recordTransfer(transaction, options = {}) {
+    const currency = transaction.currency;
+
+    return this.post({
+      entry_type: 'transfer',
+      transaction_id: transaction.transaction_id,
+      user_id: transaction.metadata.user_id,
+      currency,
+      description: transaction.metadata.description,
+      lines: [
+        this.debit(this.walletAccount(transaction.source.wallet_id), transaction.amount),
+        this.credit(this.walletAccount(transaction.destination.wallet_id), transaction.net_amount),
+        this.credit(this.systemAccount('fees', currency), transaction.fees.total_fee)
+      ]
+    }, options);
+  }
+
+  // Running released / remaining amounts of an escrow, stamped on its entries
+  escrowPosition(escrow, milestoneId) {
+    return {
+      escrow_id: escrow.escrow_id,
+      milestone_id: milestoneId,
+      released_amount: escrow.timeline.released_amount || 0,
+      refunded_amount: escrow.timeline.refunded_amount || 0,
+      remaining_amount: escrow.remainingAmount
+    };
+  }
+
+  // Escrow hold moves funds from the payer's available to locked balance,
+  // the escrow fee included when the payer bears it
+  recordEscrowLock(escrow, userId, options = {}) {
+    const walletId = escrow.parties.payer.wallet_id;
+
+    return this.post({
+      entry_type: 'escrow_lock',
+      transaction_id: escrow.transaction_id,
+      user_id: userId,
+      currency: escrow.currency,
+      description: `Escrow hold: ${escrow.escrow_id}`,
+      escrow: this.escrowPosition(escrow),
+      lines: [
+        this.debit(this.walletAccount(walletId, 'available'), escrow.holdAmount),
+        this.credit(this.walletAccount(walletId, 'locked'), escrow.holdAmount)
+      ]
+    }, options);
+  }
+
+  // Amended escrow amount locks the difference on the payer's wallet, or
+  // returns it to the available balance when the amount went down
+  recordEscrowAdjustment(escrow, amendment, userId, options = {}) {
+    const walletId = escrow.parties.payer.wallet_id;
+    const delta = amendment.lock_adjustment;
+    const available = this.walletAccount(walletId, 'available');
+    const locked = this.walletAccount(walletId, 'locked');
+
+    return this.post({
+      entry_type: 'escrow_adjustment',
+      transaction_id: escrow.transaction_id,
+      user_id: userId,
+      currency: escrow.currency,
+      description: `Escrow amendment: ${escrow.escrow_id}, version ${amendment.version}`,
+      escrow: this.escrowPosition(escrow),
+      lines: delta > 0
+        ? [this.debit(available, delta), this.credit(locked, delta)]
+        : [this.debit(locked, -delta), this.credit(available, -delta)]
+    }, options);
+  }
+
+  // Escrow release pays (part of) the escrow to the payee out of the payer's
+  // locked balance and books the escrow fee
+  recordEscrowRelease(escrow, releaseTransaction, options = {}) {
+    const currency = escrow.currency;
+    const release = escrow.timeline.releases.find(item => item.transaction_id === releaseTransaction.transaction_id);
+    const milestoneId = release && release.milestone_id;
+
+    return this.post({
+      entry_type: 'escrow_release',
+      transaction_id: releaseTransaction.transaction_id,
+      user_id: releaseTransaction.metadata.user_id,
+      currency,
+      description: milestoneId
+        ? `Escrow release: ${escrow.escrow_id}, milestone ${milestoneId}`
+        : `Escrow release: ${escrow.escrow_id}`,
+      escrow: this.escrowPosition(escrow, milestoneId),
+      lines: [
+        this.debit(this.walletAccount(escrow.parties.payer.wallet_id, 'locked'), releaseTransaction.amount),
+        this.credit(this.walletAccount(escrow.parties.payee.wallet_id), releaseTransaction.net_amount),
+        this.credit(this.systemAccount('fees', currency), releaseTransaction.amount - releaseTransaction.net_amount)
+      ]
+    }, options);
+  }
+
+  // Escrow refund returns locked funds to the payer's available balance
+  recordEscrowRefund(escrow, refundTransaction, options = {}) {
+    const walletId = escrow.parties.payer.wallet_id;
+
+    return this.post({
+      entry_type: 'escrow_refund',
+      transaction_id: refundTransaction.transaction_id,
+      user_id: refundTransaction.metadata.user_id,
+      currency: escrow.currency,
+      description: `Escrow refund: ${escrow.escrow_id}`,
+      escrow: this.escrowPosition(escrow),
+      lines: [
+        this.debit(this.walletAccount(walletId, 'locked'), refundTransaction.amount),
+        this.credit(this.walletAccount(walletId, 'available'), refundTransaction.amount)
+      ]
+    }, options);
+  }
+
+  // Journal balances (credits - debits) for the given wallets, keyed by wallet and bucket
+  async getWalletBalances(walletIds) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: { 'lines.wallet_id': { $in: walletIds } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.wallet_id': { $in: walletIds } } },
+      {
+        $group: {
+          _id: {
+            wallet_id: '$lines.wallet_id',
+            bucket: '$lines.bucket',
+            currency: '$currency'
+          },
+          credits: {
+            $sum: { $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', 0] }
+          },
+          debits: {
+            $sum: { $cond: [{ $eq: ['$lines.direction', 'debit'] }, '$lines.amount', 0] }
+          }
+        }
+      }
+    ]);
+
+    const balances = {};
+    rows.forEach(row => {
+      const { wallet_id, bucket, currency } = row._id;
+      if (!balances[wallet_id]) {
+        balances[wallet_id] = { currency, available: 0, locked: 0, pending: 0 };
+      }
+      balances[wallet_id][bucket] = Math.round((row.credits - row.debits) * 100) / 100;
+    });
+
+    return balances;
+  }
+}
+
+// Create singleton instance
+const ledgerService = new LedgerService();
+
+module.exports = {
+  LedgerService,
+  ledgerService
+};
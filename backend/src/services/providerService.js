@@ -0,0 +1,79 @@
+const ProviderRoute = require('../models/ProviderRoute');
+const httpError = require('../utils/httpError');
+const { PAYMENT_METHODS, DEFAULT_PROVIDERS } = require('../config/paymentProviders');
+const { mpesaProvider } = require('./providers/mpesaProvider');
+const { stripeProvider } = require('./providers/stripeProvider');
+const { bankProvider } = require('./providers/bankProvider');
+const { walletProvider } = require('./providers/walletProvider');
+
+// A route naming a merchant beats one naming a currency, which beats a catch-all
+const specificity = (route) => (route.merchant_id ? 2 : 0) + (route.currency ? 1 : 0);
+
+// Registry of payment provider adapters, and which one a payment goes through
+class ProviderService {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw httpError(404, 'Unknown payment provider', { provider: name });
+    }
+    return provider;
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+
+  // Provider a payment by `method` in `currency` for the merchant goes through:
+  // the most specific active route, else the method's default provider
+  async resolve(method, { merchantId, currency } = {}) {
+    if (!DEFAULT_PROVIDERS[method]) {
+      throw httpError(400, 'Unsupported payment method', { supported_methods: PAYMENT_METHODS });
+    }
+
+    const merchant = merchantId ? String(merchantId) : null;
+    const code = currency ? String(currency).toUpperCase() : null;
+    const routes = await ProviderRoute.find({
+      method,
+      status: 'active',
+      merchant_id: { $in: [merchant, null] },
+      currency: { $in: [code, null] }
+    }).lean();
+
+    const route = routes.reduce((best, item) => (!best || specificity(item) > specificity(best) ? item : best), null);
+    const provider = this.get(route ? route.provider : DEFAULT_PROVIDERS[method]);
+
+    if (!provider.supports(method, code)) {
+      throw httpError(400, `${method} payments are not available in ${code}`, { provider: provider.name });
+    }
+    return provider;
+  }
+
+  // Provider a transaction went through on its source or destination side:
+  // the one recorded on it, else the default for its payment method
+  forTransaction(transaction, side = 'source') {
+    const leg = transaction[side] || {};
+    return this.get(leg.provider || DEFAULT_PROVIDERS[leg.payment_method]);
+  }
+}
+
+// Create singleton instance
+const providerService = new ProviderService();
+[mpesaProvider, stripeProvider, bankProvider, walletProvider].forEach(provider => providerService.register(provider));
+
+module.exports = {
+  ProviderService,
+  providerService
+};
@@ -0,0 +1,86 @@
+const httpError = require('../../utils/httpError');
+
+// Interface every payment provider adapter implements. An adapter moves money
+// for one or more payment methods, optionally only in some currencies, and
+// turns the provider's callbacks into provider-neutral events:
+//
+//   { kind: 'payment' | 'payout', transaction_id, reference, status,
+//     amount, provider_transaction_id, failure_reason, payment_details }
+//
+// kind 'payment' is money coming in (a collection or wallet funding), matched
+// by our transaction_id or the provider reference stored on the transaction;
+// 'payout' is money going out (a payout or a refund), matched by the
+// reference. status is completed, failed or pending. Operations a provider
+// can't do answer 501.
+class PaymentProvider {
+  constructor({ name, methods, currencies = null, pollsStatus = false, internal = false }) {
+    this.name = name;
+    this.methods = methods;
+    // null means any currency
+    this.currencies = currencies;
+    // Whether payments left pending are reconciled by querying their status
+    this.pollsStatus = pollsStatus;
+    // Whether money only moves between our own wallets, so a payout runs
+    // inside the database transaction that debits its source
+    this.internal = internal;
+  }
+
+  supports(method, currency) {
+    return this.methods.includes(method) &&
+      (!this.currencies || !currency || this.currencies.includes(String(currency).toUpperCase()));
+  }
+
+  // Operations the adapter overrides, for listing what a provider can do
+  get capabilities() {
+    const operations = ['initiateCollection', 'queryStatus', 'cancel', 'refund', 'payout', 'parseCallback'];
+    return operations.filter(operation => this[operation] !== PaymentProvider.prototype[operation]);
+  }
+
+  unsupported(operation) {
+    return httpError(501, `${this.name} does not support ${operation}`, { provider: this.name });
+  }
+
+  // Ask the customer to pay: { status, reference, ... }
+  async initiateCollection(payment) {
+    throw this.unsupported('collections');
+  }
+
+  // Current status of a transaction at the provider:
+  // { status, provider_transaction_id, failure_reason, ... }
+  async queryStatus(transaction) {
+    throw this.unsupported('status queries');
+  }
+
+  // Stop a payment the customer hasn't completed
+  async cancel(transaction) {
+    throw this.unsupported('cancellation');
+  }
+
+  // Return some or all of a completed payment to the customer: { status, reference }
+  async refund(transaction, { amount, reason }) {
+    throw this.unsupported('refunds');
+  }
+
+  // Send money out: { status, reference, estimated_completion }. Internal
+  // providers get the `session` of the transaction debiting the source.
+  async payout(payout, { session } = {}) {
+    throw this.unsupported('payouts');
+  }
+
+  // Whether a callback really comes from the provider
+  verifyCallback(req) {
+    return false;
+  }
+
+  // Provider-neutral event for a callback, or null when there's nothing to do
+  parseCallback(req) {
+    throw this.unsupported('callbacks');
+  }
+
+  // Body the provider expects in answer to a callback
+  callbackResponse(accepted) {
+    return { received: accepted };
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const PaymentProvider = require('./PaymentProvider');
+const { verifyWebhookSignature } = require('../../utils/webhookSignature');
+
+// Bank transfers in and out. Mocked until a bank API is integrated, e.g.
+// Equity, KCB or Co-op Bank in Kenya, or Paystack/Flutterwave transfers in Nigeria.
+class BankProvider extends PaymentProvider {
+  constructor() {
+    super({ name: 'bank', methods: ['bank'] });
+  }
+
+  async initiateCollection(payment) {
+    try {
+      // Mock implementation for bank transfers
+      const transferId = `bank_${crypto.randomBytes(16).toString('hex')}`;
+
+      return {
+        status: 'pending',
+        reference: transferId,
+        bank_reference: `BRF${Date.now()}`,
+        estimated_arrival: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000) // 2 days
+      };
+
+    } catch (error) {
+      logger.error('Bank transfer initiation failed:', error);
+      throw new Error('Failed to initiate bank transfer');
+    }
+  }
+
+  async queryStatus(transaction) {
+    // Mock implementation: incoming transfers settle, outgoing ones are still on their way
+    if (transaction.type === 'payout') {
+      return {
+        status: 'processing',
+        reference: transaction.destination.payment_details.transaction_ref,
+        estimated_completion: '1-3 business days'
+      };
+    }
+
+    return {
+      status: 'completed',
+      reference: transaction.source.payment_details.transaction_ref,
+      settled_at: new Date()
+    };
+  }
+
+  async cancel(transaction) {
+    // Nothing to withdraw: the customer simply doesn't send the transfer
+    return { cancelled: true };
+  }
+
+  async refund(transaction, { amount, reason }) {
+    // Mock implementation: transfer the amount back to the paying account
+    return {
+      status: 'processing',
+      reference: `bank_${crypto.randomBytes(16).toString('hex')}`,
+      amount,
+      reason
+    };
+  }
+
+  async payout(payout) {
+    try {
+      const { payout_id, bank_account } = payout;
+
+      // Mock bank transfer
+      const reference = `bank_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+
+      logger.info(`Bank payout initiated: ${payout_id}`, {
+        transaction_id: reference,
+        bank_code: bank_account?.bank_code
+      });
+
+      return {
+        status: 'processing',
+        reference,
+        estimated_completion: '1-3 business days'
+      };
+
+    } catch (error) {
+      logger.error('Bank payout error:', error);
+      throw new Error(`Bank transfer failed: ${error.message}`);
+    }
+  }
+
+  // Confirmations are signed like our own webhooks once BANK_WEBHOOK_SECRET is set
+  verifyCallback(req) {
+    const secret = process.env.BANK_WEBHOOK_SECRET;
+    if (!secret) {
+      return true;
+    }
+
+    const signature = req.headers['bank-signature'];
+    return Boolean(signature && req.rawBody && verifyWebhookSignature(req.rawBody, signature, secret));
+  }
+
+  parseCallback(req) {
+    const { transaction_id, status, amount, reference, reason } = req.body;
+
+    // Transfers out are matched by the reference the bank gave us for them
+    return {
+      transaction_id,
+      reference,
+      status: status === 'completed' ? 'completed' : 'failed',
+      amount,
+      provider_transaction_id: reference,
+      failure_reason: reason || 'Bank transfer failed'
+    };
+  }
+
+  callbackResponse(accepted) {
+    return { status: accepted ? 'success' : 'failed' };
+  }
+}
+
+// Create singleton instance
+const bankProvider = new BankProvider();
+
+module.exports = {
+  BankProvider,
+  bankProvider
+};
@@ -0,0 +1,293 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const PaymentProvider = require('./PaymentProvider');
+
+// STK query error code for a prompt still awaiting the customer
+const STK_IN_PROGRESS = '500.001.1001';
+
+// Safaricom Daraja: STK push collections and B2C payouts and refunds, in KES
+class MpesaProvider extends PaymentProvider {
+  constructor() {
+    super({ name: 'mpesa', methods: ['mpesa'], currencies: ['KES'], pollsStatus: true });
+    this.consumerKey = process.env.MPESA_CONSUMER_KEY;
+    this.consumerSecret = process.env.MPESA_CONSUMER_SECRET;
+    this.passkey = process.env.MPESA_PASSKEY;
+    this.shortcode = process.env.MPESA_SHORTCODE;
+    // MPESA_BASE_URL points the provider elsewhere, e.g. at the local Daraja simulator
+    this.baseUrl = process.env.MPESA_BASE_URL || (process.env.NODE_ENV === 'production'
+      ? 'https://api.safaricom.co.ke'
+      : 'https://sandbox.safaricom.co.ke');
+    this.accessToken = null;
+    this.tokenExpiry = null;
+  }
+
+  async getAccessToken() {
+    if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
+      return this.accessToken;
+    }
+
+    try {
+      const auth = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
+
+      const response = await axios.get(
+        `${this.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+        {
+          headers: {
+            'Authorization': `Basic ${auth}`
+          }
+        }
+      );
+
+      this.accessToken = response.data.access_token;
+      this.tokenExpiry = new Date(Date.now() + 3500 * 1000); // Token expires in ~1 hour
+
+      return this.accessToken;
+    } catch (error) {
+      logger.error('M-Pesa token generation failed:', error.response?.data || error.message);
+      throw new Error('Failed to generate M-Pesa access token');
+    }
+  }
+
+  // Authenticated Daraja API call
+  async request(path, body) {
+    const token = await this.getAccessToken();
+
+    const response = await axios.post(`${this.baseUrl}${path}`, body, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    return response.data;
+  }
+
+  // STK password and the timestamp it was made with
+  credentials() {
+    const now = new Date();
+    const timestamp = now.getFullYear() +
+      String(now.getMonth() + 1).padStart(2, '0') +
+      String(now.getDate()).padStart(2, '0') +
+      String(now.getHours()).padStart(2, '0') +
+      String(now.getMinutes()).padStart(2, '0') +
+      String(now.getSeconds()).padStart(2, '0');
+
+    const password = Buffer.from(this.shortcode + this.passkey + timestamp).toString('base64');
+
+    return { timestamp, password };
+  }
+
+  // Where Daraja posts results; carries MPESA_CALLBACK_TOKEN when one is set
+  callbackUrl(path) {
+    const url = `${process.env.BASE_URL || 'http://localhost:3000'}/api/v1/webhooks/mpesa/${path}`;
+    const token = process.env.MPESA_CALLBACK_TOKEN;
+    return token ? `${url}?token=${encodeURIComponent(token)}` : url;
+  }
+
+  async initiateCollection(payment) {
+    try {
+      const { timestamp, password } = this.credentials();
+      const phone = payment.phone_number.replace('+', '');
+
+      const result = await this.request('/mpesa/stkpush/v1/processrequest', {
+        BusinessShortCode: this.shortcode,
+        Password: password,
+        Timestamp: timestamp,
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: payment.amount,
+        PartyA: phone,
+        PartyB: this.shortcode,
+        PhoneNumber: phone,
+        CallBackURL: this.callbackUrl('callback'),
+        AccountReference: payment.transaction_id.substring(0, 12),
+        TransactionDesc: payment.description || 'Payment'
+      });
+
+      return {
+        status: 'pending',
+        reference: result.CheckoutRequestID,
+        merchant_request_id: result.MerchantRequestID,
+        customer_message: result.CustomerMessage
+      };
+
+    } catch (error) {
+      logger.error('M-Pesa STK Push failed:', error.response?.data || error.message);
+      throw new Error('M-Pesa payment initiation failed');
+    }
+  }
+
+  async queryStatus(transaction) {
+    if (transaction.type === 'payout') {
+      throw this.unsupported('payout status queries; B2C results arrive by callback');
+    }
+
+    try {
+      const { timestamp, password } = this.credentials();
+
+      const result = await this.request('/mpesa/stkpushquery/v1/query', {
+        BusinessShortCode: this.shortcode,
+        Password: password,
+        Timestamp: timestamp,
+        CheckoutRequestID: transaction.source.payment_details.transaction_ref
+      });
+
+      // Anything but success is final: 1032 is the customer cancelling, 1037
+      // the phone not answering, 1 insufficient funds
+      if (Number(result.ResultCode) === 0) {
+        return { status: 'completed' };
+      }
+      return {
+        status: 'failed',
+        failure_reason: result.ResultDesc
+      };
+
+    } catch (error) {
+      // Daraja answers this while the customer hasn't responded yet
+      if (error.response?.data?.errorCode === STK_IN_PROGRESS) {
+        return { status: 'pending' };
+      }
+      logger.error('M-Pesa status query failed:', error.response?.data || error.message);
+      throw new Error('Failed to query M-Pesa transaction status');
+    }
+  }
+
+  // An STK prompt can't be withdrawn; it lapses unanswered, and a late
+  // callback finds the collection no longer pending
+  async cancel(transaction) {
+    return { cancelled: true };
+  }
+
+  // Refunds go back to the paying phone number by B2C
+  async refund(transaction, { amount, reason }) {
+    const phone = transaction.source.payment_details.phone_number;
+    if (!phone) {
+      throw this.unsupported('refunds of payments without a phone number');
+    }
+
+    return this.sendB2C({
+      amount,
+      phone_number: phone,
+      remarks: reason || `Refund ${transaction.transaction_id}`
+    });
+  }
+
+  async payout(payout) {
+    const result = await this.sendB2C({
+      amount: payout.amount,
+      phone_number: payout.phone_number,
+      remarks: payout.description || `Payout ${payout.payout_id}`
+    });
+
+    logger.info(`M-Pesa payout initiated: ${payout.payout_id}`, {
+      conversation_id: result.conversation_id,
+      originator_conversation_id: result.reference
+    });
+
+    return result;
+  }
+
+  // B2C payment; the result callback is matched by OriginatorConversationID
+  async sendB2C({ amount, phone_number, remarks }) {
+    try {
+      const result = await this.request('/mpesa/b2c/v1/paymentrequest', {
+        InitiatorName: process.env.MPESA_INITIATOR_NAME || 'testapi',
+        SecurityCredential: process.env.MPESA_SECURITY_CREDENTIAL || 'testcredential',
+        CommandID: 'BusinessPayment', // Can be: SalaryPayment, BusinessPayment, PromotionPayment
+        Amount: Math.round(amount), // M-Pesa requires whole numbers
+        PartyA: this.shortcode,
+        PartyB: phone_number.replace(/[^0-9]/g, ''), // Clean phone number
+        Remarks: remarks,
+        QueueTimeOutURL: this.callbackUrl('b2c/timeout'),
+        ResultURL: this.callbackUrl('b2c/result'),
+        Occasion: 'Payment'
+      });
+
+      return {
+        status: 'pending',
+        reference: result.OriginatorConversationID,
+        conversation_id: result.ConversationID,
+        estimated_completion: '2-5 minutes'
+      };
+
+    } catch (error) {
+      logger.error('M-Pesa B2C API error:', error.response?.data || error.message);
+      throw new Error(`M-Pesa payout failed: ${error.response?.data?.errorMessage || error.message}`);
+    }
+  }
+
+  // Daraja doesn't sign callbacks; with MPESA_CALLBACK_TOKEN set, only requests
+  // carrying the token from our callback URLs are accepted. Production can't
+  // run without it, since anyone could post a payment confirmation.
+  verifyCallback(req) {
+    const expected = process.env.MPESA_CALLBACK_TOKEN;
+    if (!expected) {
+      if (process.env.NODE_ENV === 'production') {
+        logger.error('MPESA_CALLBACK_TOKEN is not set; rejecting M-Pesa callback');
+        return false;
+      }
+      return true;
+    }
+
+    const token = Buffer.from(String(req.query.token || ''));
+    return token.length === Buffer.byteLength(expected) &&
+      crypto.timingSafeEqual(token, Buffer.from(expected));
+  }
+
+  parseCallback(req) {
+    const body = req.body || {};
+
+    // STK push result
+    const stk = body.Body?.stkCallback;
+    if (stk) {
+      const item = (name) => stk.CallbackMetadata?.Item?.find(entry => entry.Name === name)?.Value;
+      const paid = Number(stk.ResultCode) === 0;
+      return {
+        reference: stk.CheckoutRequestID,
+        status: paid ? 'completed' : 'failed',
+        amount: item('Amount'),
+        provider_transaction_id: item('MpesaReceiptNumber'),
+        failure_reason: paid ? undefined : stk.ResultDesc
+      };
+    }
+
+    // B2C result, or a B2C request that timed out in Daraja's queue
+    const timedOut = req.path.endsWith('/b2c/timeout');
+    if (body.Result || timedOut) {
+      const result = body.Result || body;
+      const paid = !timedOut && Number(result.ResultCode) === 0;
+      return {
+        reference: result.OriginatorConversationID,
+        status: paid ? 'completed' : 'failed',
+        provider_transaction_id: paid ? result.TransactionID : undefined,
+        failure_reason: timedOut ? 'B2C timeout' : (paid ? undefined : result.ResultDesc)
+      };
+    }
+
+    // C2B paybill confirmation; the bill reference is our transaction ID
+    if (body.TransID) {
+      return {
+        transaction_id: body.BillRefNumber,
+        status: 'completed',
+        amount: parseFloat(body.TransAmount),
+        provider_transaction_id: body.TransID
+      };
+    }
+
+    return null;
+  }
+
+  callbackResponse(accepted) {
+    return accepted
+      ? { ResultCode: 0, ResultDesc: 'Success' }
+      : { ResultCode: 1, ResultDesc: 'Failed' };
+  }
+}
+
+// Create singleton instance
+const mpesaProvider = new MpesaProvider();
+
+module.exports = {
+  MpesaProvider,
+  mpesaProvider
+};
@@ -0,0 +1,196 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const PaymentProvider = require('./PaymentProvider');
+const { verifyWebhookSignature } = require('../../utils/webhookSignature');
+
+// Currencies Stripe counts in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'DJF', 'GNF', 'KMF', 'MGA', 'RWF', 'UGX', 'XAF', 'XOF'];
+
+const toMinorUnits = (amount, currency) => (ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase())
+  ? Math.round(amount)
+  : Math.round(amount * 100));
+
+const fromMinorUnits = (amount, currency) => (ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase())
+  ? amount
+  : amount / 100);
+
+// Card payments (Stripe). A collection is a payment intent the checkout page
+// confirms with Stripe.js, 3-D Secure included; its outcome arrives by webhook,
+// as does the outcome of a refund.
+class StripeProvider extends PaymentProvider {
+  constructor() {
+    super({ name: 'stripe', methods: ['card'] });
+    this.secretKey = process.env.STRIPE_SECRET_KEY;
+    this.publishableKey = process.env.STRIPE_PUBLISHABLE_KEY;
+    // STRIPE_BASE_URL points the provider elsewhere, e.g. at stripe-mock
+    this.baseUrl = process.env.STRIPE_BASE_URL || 'https://api.stripe.com';
+  }
+
+  // Authenticated Stripe API call; Stripe takes form-encoded bodies
+  async request(method, path, params, { idempotencyKey } = {}) {
+    if (!this.secretKey) {
+      throw new Error('STRIPE_SECRET_KEY is not set');
+    }
+
+    const body = params && new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+    ).toString();
+
+    const response = await axios({
+      method,
+      url: `${this.baseUrl}${path}`,
+      data: body,
+      headers: {
+        'Authorization': `Bearer ${this.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+      }
+    });
+
+    return response.data;
+  }
+
+  async initiateCollection(payment) {
+    try {
+      const intent = await this.request('post', '/v1/payment_intents', {
+        amount: toMinorUnits(payment.amount, payment.currency),
+        currency: payment.currency.toLowerCase(),
+        'payment_method_types[]': 'card',
+        description: payment.description,
+        receipt_email: payment.customer_email,
+        'metadata[transaction_id]': payment.transaction_id
+      }, { idempotencyKey: payment.transaction_id });
+
+      // The page confirms the intent with the client secret and the publishable key
+      return {
+        status: 'pending',
+        reference: intent.id,
+        client_secret: intent.client_secret,
+        publishable_key: this.publishableKey,
+        amount: payment.amount,
+        currency: intent.currency
+      };
+
+    } catch (error) {
+      logger.error('Card payment creation failed:', error.response?.data || error.message);
+      throw new Error('Failed to create card payment');
+    }
+  }
+
+  async queryStatus(transaction) {
+    try {
+      const intent = await this.request('get', `/v1/payment_intents/${transaction.source.payment_details.transaction_ref}`);
+
+      if (intent.status === 'succeeded') {
+        return { status: 'completed', provider_transaction_id: intent.latest_charge };
+      }
+      if (intent.status === 'canceled') {
+        return { status: 'failed', failure_reason: intent.cancellation_reason || 'Card payment was cancelled' };
+      }
+      // A declined card, like the payment_intent.payment_failed webhook
+      if (intent.status === 'requires_payment_method' && intent.last_payment_error) {
+        return { status: 'failed', failure_reason: intent.last_payment_error.message || 'Card payment failed' };
+      }
+      return { status: 'pending' };
+
+    } catch (error) {
+      logger.error('Card payment status query failed:', error.response?.data || error.message);
+      throw new Error('Failed to query card payment');
+    }
+  }
+
+  async cancel(transaction) {
+    const reference = transaction.source.payment_details.transaction_ref;
+
+    try {
+      await this.request('post', `/v1/payment_intents/${reference}/cancel`, {});
+      return { cancelled: true, reference };
+
+    } catch (error) {
+      logger.error('Card payment cancellation failed:', error.response?.data || error.message);
+      throw new Error('Failed to cancel card payment');
+    }
+  }
+
+  async refund(transaction, { amount, reason }) {
+    try {
+      const refund = await this.request('post', '/v1/refunds', {
+        payment_intent: transaction.source.payment_details.transaction_ref,
+        amount: toMinorUnits(amount, transaction.currency),
+        'metadata[collection_id]': transaction.transaction_id,
+        'metadata[reason]': reason
+      });
+
+      // Stripe often settles a card refund straight away
+      const refunded = refund.status === 'succeeded';
+      return {
+        status: refunded ? 'completed' : 'pending',
+        reference: refund.id,
+        amount,
+        reason
+      };
+
+    } catch (error) {
+      const stripeError = error.response?.data?.error;
+      logger.error('Card refund failed:', stripeError || error.message);
+      throw new Error(stripeError?.message || 'Failed to refund card payment');
+    }
+  }
+
+  // Stripe signs "<t>.<raw body>" like our own webhooks
+  verifyCallback(req) {
+    const signature = req.headers['stripe-signature'];
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+    return Boolean(signature && secret && req.rawBody &&
+      verifyWebhookSignature(req.rawBody, signature, secret));
+  }
+
+  parseCallback(req) {
+    const { type, data } = req.body;
+    const intent = data?.object;
+
+    switch (type) {
+      case 'payment_intent.succeeded':
+        return {
+          transaction_id: intent.metadata?.transaction_id,
+          reference: intent.id,
+          status: 'completed',
+          amount: fromMinorUnits(intent.amount_received, intent.currency),
+          provider_transaction_id: intent.latest_charge
+        };
+      case 'payment_intent.payment_failed':
+        return {
+          transaction_id: intent.metadata?.transaction_id,
+          reference: intent.id,
+          status: 'failed',
+          failure_reason: intent.last_payment_error?.message || 'Card payment failed'
+        };
+      case 'refund.updated':
+      case 'charge.refund.updated': {
+        const refund = data?.object;
+        if (!['succeeded', 'failed', 'canceled'].includes(refund.status)) {
+          return null;
+        }
+        const refunded = refund.status === 'succeeded';
+        return {
+          reference: refund.id,
+          status: refunded ? 'completed' : 'failed',
+          provider_transaction_id: refunded ? refund.id : undefined,
+          failure_reason: refunded ? undefined : (refund.failure_reason || 'Card refund failed')
+        };
+      }
+      default:
+        logger.info('Unhandled Stripe event:', type);
+        return null;
+    }
+  }
+}
+
+// Create singleton instance
+const stripeProvider = new StripeProvider();
+
+module.exports = {
+  StripeProvider,
+  stripeProvider
+};
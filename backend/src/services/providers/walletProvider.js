@@ -0,0 +1,40 @@
+const Wallet = require('../../models/Wallet');
+const logger = require('../../utils/logger');
+const PaymentProvider = require('./PaymentProvider');
+
+// Payouts into another PayLoom wallet. They settle immediately, inside the
+// transaction that debits the source wallet.
+class WalletProvider extends PaymentProvider {
+  constructor() {
+    super({ name: 'wallet', methods: ['wallet'], internal: true });
+  }
+
+  async payout(payout, { session } = {}) {
+    const { payout_id, amount, wallet_id } = payout;
+
+    await Wallet.adjustBalances(wallet_id, { available: amount }, { session });
+
+    logger.info(`Wallet payout completed: ${payout_id}`, {
+      destination_wallet: wallet_id,
+      amount
+    });
+
+    return {
+      status: 'completed',
+      reference: payout_id,
+      completed_at: new Date()
+    };
+  }
+
+  async queryStatus(transaction) {
+    return { status: transaction.status, reference: transaction.transaction_id };
+  }
+}
+
+// Create singleton instance
+const walletProvider = new WalletProvider();
+
+module.exports = {
+  WalletProvider,
+  walletProvider
+};
@@ -0,0 +1,236 @@
+const { v4: uuidv4 } = require('uuid');
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+const { eventService } = require('./eventService');
+const { ledgerService } = require('./ledgerService');
+const { providerService } = require('./providerService');
+const { runInTransaction } = require('../utils/transaction');
+
+const OPEN_STATUSES = ['pending', 'processing'];
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Refunds of completed collections. The merchant's wallet pays for a refund
+// up front and the collection's provider sends it back to the customer;
+// providers report the outcome later, and a refund that fails returns its
+// amount to the wallet.
+class RefundService {
+  // What's left to refund of a collection
+  refundableAmount(collection) {
+    return toMoney(collection.amount - (collection.refund_details?.refunded_amount || 0));
+  }
+
+  // Refund `amount` of a collection, all that's left of it by default
+  async create(collection, { amount, reason } = {}) {
+    if (collection.type !== 'collection' || collection.status !== 'completed') {
+      throw httpError(400, 'Only completed collections can be refunded', { status: collection.status });
+    }
+
+    if (collection.escrow_details?.escrow_id) {
+      throw httpError(400, 'This collection paid for an escrow; refund the escrow instead', {
+        escrow_id: collection.escrow_details.escrow_id
+      });
+    }
+
+    const refundable = this.refundableAmount(collection);
+    const refundAmount = toMoney(amount ?? refundable);
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw httpError(400, 'Refund exceeds the refundable amount', { refundable_amount: refundable });
+    }
+
+    const provider = providerService.forTransaction(collection);
+    if (!provider.capabilities.includes('refund')) {
+      throw provider.unsupported('refunds');
+    }
+
+    const refund = new Transaction({
+      transaction_id: `ref_${uuidv4().replace(/-/g, '')}`,
+      type: 'refund',
+      amount: refundAmount,
+      currency: collection.currency,
+      fees: { processing_fee: 0, platform_fee: 0, total_fee: 0 },
+      net_amount: refundAmount,
+      source: {
+        wallet_id: collection.destination.wallet_id,
+        payment_method: 'wallet'
+      },
+      destination: {
+        payment_method: collection.source.payment_method,
+        provider: provider.name,
+        payment_details: {
+          phone_number: collection.source.payment_details.phone_number,
+          card_last4: collection.source.payment_details.card_last4
+        }
+      },
+      refund_details: {
+        collection_id: collection.transaction_id,
+        reason
+      },
+      metadata: {
+        description: reason || `Refund of ${collection.transaction_id}`,
+        reference: collection.metadata.reference,
+        customer_email: collection.metadata.customer_email,
+        customer_name: collection.metadata.customer_name,
+        user_id: collection.metadata.user_id
+      },
+      processing: {
+        initiated_at: new Date()
+      },
+      status: 'pending'
+    });
+
+    // Count the refund against the collection, debit the merchant's wallet
+    // and journal it as one unit. The collection is only updated while the
+    // refund still fits, so concurrent refunds can't exceed what was paid.
+    await runInTransaction(async (session) => {
+      const reserved = await Transaction.findOneAndUpdate(
+        {
+          transaction_id: collection.transaction_id,
+          status: 'completed',
+          $expr: {
+            $lte: [{ $add: [{ $ifNull: ['$refund_details.refunded_amount', 0] }, refundAmount] }, '$amount']
+          }
+        },
+        { $inc: { 'refund_details.refunded_amount': refundAmount } },
+        { new: true, session }
+      );
+      if (!reserved) {
+        throw httpError(400, 'Refund exceeds the refundable amount', { refundable_amount: refundable });
+      }
+
+      await refund.save({ session });
+      await Wallet.adjustBalances(refund.source.wallet_id, { available: -refundAmount }, { session });
+      await ledgerService.recordRefund(refund, { session });
+    });
+
+    try {
+      await eventService.emitTransactionEvent(refund, 'refund.created');
+    } catch (webhookError) {
+      logger.error('Refund webhook failed:', webhookError);
+    }
+
+    // Send the money back through the provider
+    let result;
+    try {
+      result = await provider.refund(collection, { amount: refundAmount, reason });
+    } catch (refundError) {
+      await this.fail(refund.transaction_id, refundError.message);
+      throw httpError(400, 'Refund processing failed', {
+        message: refundError.message,
+        refund_id: refund.transaction_id
+      });
+    }
+
+    // The reference is what the provider's callback is matched by
+    const update = { 'destination.payment_details.transaction_ref': result.reference };
+    if (OPEN_STATUSES.includes(result.status)) {
+      update.status = result.status;
+    }
+    const sent = await Transaction.findOneAndUpdate(
+      { transaction_id: refund.transaction_id, status: { $in: OPEN_STATUSES } },
+      { $set: update },
+      { new: true }
+    );
+
+    logger.info(`Refund created: ${refund.transaction_id} for ${collection.transaction_id}, status: ${result.status}`);
+
+    if (sent && result.status === 'completed') {
+      return this.complete(sent, { provider_transaction_id: result.reference });
+    }
+    return sent || Transaction.findOne({ transaction_id: refund.transaction_id });
+  }
+
+  // Complete a refund the provider has delivered
+  async complete(refund, event = {}) {
+    const completed = await Transaction.findOneAndUpdate(
+      { transaction_id: refund.transaction_id, status: { $in: OPEN_STATUSES } },
+      {
+        $set: {
+          status: 'completed',
+          'processing.completed_at': new Date(),
+          'destination.payment_details.provider_transaction_id': event.provider_transaction_id
+        }
+      },
+      { new: true }
+    );
+
+    if (!completed) {
+      return null;
+    }
+
+    logger.logTransaction({
+      transaction_id: completed.transaction_id,
+      type: 'refund',
+      amount: completed.amount,
+      currency: completed.currency,
+      status: 'completed',
+      collection_id: completed.refund_details.collection_id,
+      provider_transaction_id: event.provider_transaction_id
+    });
+
+    try {
+      await eventService.emitTransactionEvent(completed, 'refund.succeeded');
+    } catch (webhookError) {
+      logger.error('Refund webhook failed:', webhookError);
+    }
+
+    return completed;
+  }
+
+  // Fail a refund the provider couldn't deliver: its amount goes back to the
+  // merchant's wallet and can be refunded again. Conditional on the refund
+  // still being open, so it only ever happens once.
+  async fail(refundId, reason) {
+    const failed = await runInTransaction(async (session) => {
+      const refund = await Transaction.findOneAndUpdate(
+        { transaction_id: refundId, type: 'refund', status: { $in: OPEN_STATUSES } },
+        {
+          $set: {
+            status: 'failed',
+            'processing.failed_at': new Date(),
+            'processing.failure_reason': reason
+          }
+        },
+        { new: true, session }
+      );
+
+      if (!refund) {
+        return null;
+      }
+
+      await Wallet.adjustBalances(refund.source.wallet_id, { available: refund.amount }, { session });
+      await ledgerService.recordRefundReversal(refund, { session });
+      await Transaction.updateOne(
+        { transaction_id: refund.refund_details.collection_id },
+        { $inc: { 'refund_details.refunded_amount': -refund.amount } },
+        { session }
+      );
+
+      return refund;
+    });
+
+    if (!failed) {
+      return null;
+    }
+
+    logger.warn(`Refund failed: ${refundId}`, { reason });
+
+    try {
+      await eventService.emitTransactionEvent(failed, 'refund.failed');
+    } catch (webhookError) {
+      logger.error('Refund webhook failed:', webhookError);
+    }
+
+    return failed;
+  }
+}
+
+// Create singleton instance
+const refundService = new RefundService();
+
+module.exports = {
+  RefundService,
+  refundService
+};
@@ -0,0 +1,332 @@
+const Transaction = require('../models/Transaction');
+const Wallet = require('../models/Wallet');
+const Escrow = require('../models/Escrow');
+const PaymentLink = require('../models/PaymentLink');
+const logger = require('../utils/logger');
+const { escrowService } = require('./escrowService');
+const { eventService } = require('./eventService');
+const { ledgerService } = require('./ledgerService');
+const { reversePayout } = require('./payoutService');
+const { refundService } = require('./refundService');
+const { providerService } = require('./providerService');
+const { DEFAULT_PROVIDERS } = require('../config/paymentProviders');
+const { runInTransaction } = require('../utils/transaction');
+
+// Transactions that bring money in from a provider
+const PAYMENT_TYPES = ['collection', 'wallet_funding'];
+
+const OPEN_STATUSES = ['pending', 'processing'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Applies what providers report about payments, payouts and refunds, whether
+// it comes in by callback or from a status query. Every change is conditional
+// on the transaction still being open, so repeated or racing reports are no-ops.
+class SettlementService {
+  // Transaction a provider event is about. Our own IDs can reach a callback
+  // from the payer (a C2B bill reference), so they only ever name payments;
+  // payouts and refunds are matched by the provider's reference.
+  async findTransaction(event) {
+    if (event.transaction_id) {
+      const payment = await Transaction.findOne({ transaction_id: event.transaction_id, type: { $in: PAYMENT_TYPES } });
+      if (payment) {
+        return payment;
+      }
+    }
+    if (event.reference) {
+      return Transaction.findOne({
+        $or: [
+          { 'source.payment_details.transaction_ref': event.reference, type: { $in: PAYMENT_TYPES } },
+          { 'destination.payment_details.transaction_ref': event.reference, type: { $in: ['payout', 'refund'] } }
+        ]
+      });
+    }
+    return null;
+  }
+
+  // Apply a provider event; returns the transaction it was about, if any
+  async applyEvent(provider, event) {
+    const transaction = await this.findTransaction(event);
+    if (!transaction) {
+      logger.warn(`Transaction not found for ${provider.name} event:`, {
+        transaction_id: event.transaction_id,
+        reference: event.reference
+      });
+      return null;
+    }
+
+    if (!OPEN_STATUSES.includes(transaction.status) || !['completed', 'failed'].includes(event.status)) {
+      return transaction;
+    }
+
+    if (transaction.type === 'payout') {
+      return event.status === 'completed'
+        ? this.completePayout(transaction, event)
+        : reversePayout(transaction.transaction_id, { reason: event.failure_reason });
+    }
+
+    if (transaction.type === 'refund') {
+      return event.status === 'completed'
+        ? refundService.complete(transaction, event)
+        : refundService.fail(transaction.transaction_id, event.failure_reason);
+    }
+
+    if (PAYMENT_TYPES.includes(transaction.type)) {
+      // A payment for another amount than requested is not credited
+      if (event.status === 'completed' && event.amount != null && toCents(event.amount) !== toCents(transaction.amount)) {
+        logger.logSecurityEvent('payment_amount_mismatch', {
+          transaction_id: transaction.transaction_id,
+          provider: provider.name,
+          expected: transaction.amount,
+          received: event.amount,
+          provider_transaction_id: event.provider_transaction_id
+        });
+        return this.failPayment(transaction, `Amount mismatch: paid ${event.amount}, expected ${transaction.amount}`);
+      }
+
+      const settled = event.status === 'completed'
+        ? await this.completePayment(transaction, event)
+        : await this.failPayment(transaction, event.failure_reason);
+
+      if (settled && event.status === 'completed') {
+        logger.logTransaction({
+          transaction_id: settled.transaction_id,
+          type: settled.type,
+          amount: event.amount ?? settled.amount,
+          currency: settled.currency,
+          status: 'completed',
+          provider: provider.name,
+          provider_transaction_id: event.provider_transaction_id
+        });
+      }
+      return settled;
+    }
+
+    return transaction;
+  }
+
+  // Ask providers about payments still open `timeoutMinutes` after they were
+  // started, for when their callback never arrived. Each payment is queried
+  // at most `maxAttempts` times, backing off between attempts; claiming the
+  // attempt first keeps other instances off the same payment.
+  async reconcilePending({ timeoutMinutes = 2, maxAttempts = 5, limit = 50 } = {}) {
+    const now = new Date();
+    const pollable = providerService.list().filter(provider => provider.pollsStatus).map(provider => provider.name);
+    const defaultMethods = Object.keys(DEFAULT_PROVIDERS).filter(method => pollable.includes(DEFAULT_PROVIDERS[method]));
+
+    const candidates = await Transaction.find({
+      type: { $in: PAYMENT_TYPES },
+      status: { $in: OPEN_STATUSES },
+      'source.payment_details.transaction_ref': { $nin: [null, ''] },
+      createdAt: { $lte: new Date(now.getTime() - timeoutMinutes * 60 * 1000) },
+      'processing.retry_count': { $lt: maxAttempts },
+      $and: [
+        {
+          $or: [
+            { 'source.provider': { $in: pollable } },
+            { 'source.provider': null, 'source.payment_method': { $in: defaultMethods } }
+          ]
+        },
+        { $or: [{ 'processing.next_retry_at': null }, { 'processing.next_retry_at': { $lte: now } }] }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    const result = { checked: 0, completed: 0, failed: 0 };
+    for (const candidate of candidates) {
+      const attempt = candidate.processing.retry_count;
+      const claimed = await Transaction.findOneAndUpdate(
+        {
+          transaction_id: candidate.transaction_id,
+          status: { $in: OPEN_STATUSES },
+          'processing.retry_count': attempt
+        },
+        {
+          $set: {
+            'processing.retry_count': attempt + 1,
+            'processing.next_retry_at': new Date(now.getTime() + timeoutMinutes * 60 * 1000 * 2 ** attempt)
+          }
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      result.checked += 1;
+      try {
+        const provider = providerService.forTransaction(claimed);
+        const status = await provider.queryStatus(claimed);
+        const settled = await this.applyEvent(provider, { ...status, transaction_id: claimed.transaction_id });
+
+        if (settled?.status === 'completed') {
+          result.completed += 1;
+        } else if (settled?.status === 'failed') {
+          result.failed += 1;
+        } else if (attempt + 1 >= maxAttempts) {
+          logger.warn(`Payment still pending after ${maxAttempts} status checks: ${claimed.transaction_id}`);
+        }
+      } catch (error) {
+        logger.error('Payment status reconciliation failed:', { transaction_id: claimed.transaction_id, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  // Credit a completed collection inside its transaction: into the escrow it
+  // pays for while that escrow still waits for payment, otherwise into the
+  // destination wallet. Returns the funded escrow, if any.
+  async creditCollection(collection, session) {
+    if (collection.escrow_details?.escrow_id) {
+      const escrow = await escrowService.fundFromCollection(collection, { session });
+      if (escrow) {
+        return escrow;
+      }
+    }
+
+    if (collection.destination.wallet_id) {
+      await Wallet.adjustBalances(collection.destination.wallet_id, { available: collection.net_amount }, { session });
+      await ledgerService.recordCollection(collection, collection.destination.wallet_id, { session });
+    }
+    return null;
+  }
+
+  // Complete a pending payment and credit the destination wallet (or fund the
+  // escrow it pays for) in one transaction
+  async completePayment(transaction, event) {
+    let fundedEscrow = null;
+    const completed = await runInTransaction(async (session) => {
+      const updated = await Transaction.findOneAndUpdate(
+        { transaction_id: transaction.transaction_id, status: { $in: OPEN_STATUSES } },
+        {
+          $set: {
+            status: 'completed',
+            'processing.completed_at': new Date(),
+            'source.payment_details.provider_transaction_id': event.provider_transaction_id
+          }
+        },
+        { new: true, session }
+      );
+
+      if (updated && updated.type === 'wallet_funding') {
+        const walletId = updated.destination.wallet_id;
+        await Wallet.adjustBalances(walletId, { available: updated.net_amount }, { session });
+        await ledgerService.recordFunding(updated, walletId, { session });
+      } else if (updated) {
+        fundedEscrow = await this.creditCollection(updated, session);
+        await PaymentLink.recordConversion(updated, { session });
+      }
+
+      return updated;
+    });
+
+    if (!completed) {
+      return null;
+    }
+
+    if (fundedEscrow) {
+      await escrowService.notifyFunded(fundedEscrow, completed);
+    }
+
+    try {
+      if (completed.type === 'wallet_funding') {
+        const wallet = await Wallet.findOne({ wallet_id: completed.destination.wallet_id });
+        await eventService.emitWalletEvent(wallet, 'wallet.funded', {
+          transaction_id: completed.transaction_id,
+          amount: completed.net_amount
+        });
+      } else {
+        await eventService.emitTransactionEvent(completed, 'collection.succeeded');
+      }
+    } catch (webhookError) {
+      logger.error('Payment webhook failed:', webhookError);
+    }
+
+    return completed;
+  }
+
+  // Mark a pending payment failed; an escrow waiting on it can't be paid any more and expires
+  async failPayment(transaction, reason) {
+    const failed = await Transaction.findOneAndUpdate(
+      { transaction_id: transaction.transaction_id, status: { $in: OPEN_STATUSES } },
+      {
+        $set: {
+          status: 'failed',
+          'processing.failed_at': new Date(),
+          'processing.failure_reason': reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!failed || failed.type !== 'collection') {
+      return failed;
+    }
+
+    if (failed.escrow_details?.escrow_id) {
+      const escrow = await Escrow.findOne({
+        escrow_id: failed.escrow_details.escrow_id,
+        status: 'pending',
+        'funding.collection_id': failed.transaction_id
+      });
+      if (escrow) {
+        try {
+          await escrowService.expireUnfunded(escrow, `Payment failed: ${reason}`);
+        } catch (error) {
+          logger.error('Failed to expire unpaid escrow:', { escrow_id: escrow.escrow_id, error: error.message });
+        }
+      }
+    }
+
+    try {
+      await eventService.emitTransactionEvent(failed, 'collection.failed');
+    } catch (webhookError) {
+      logger.error('Collection webhook failed:', webhookError);
+    }
+
+    return failed;
+  }
+
+  // Complete a payout the provider has delivered
+  async completePayout(transaction, event) {
+    const completed = await Transaction.findOneAndUpdate(
+      { transaction_id: transaction.transaction_id, status: { $in: OPEN_STATUSES } },
+      {
+        $set: {
+          status: 'completed',
+          'processing.completed_at': new Date(),
+          'destination.payment_details.provider_transaction_id': event.provider_transaction_id
+        }
+      },
+      { new: true }
+    );
+
+    if (!completed) {
+      return null;
+    }
+
+    logger.info('Payout completed:', {
+      transaction_id: completed.transaction_id,
+      provider_transaction_id: event.provider_transaction_id
+    });
+
+    try {
+      await eventService.emitTransactionEvent(completed, 'payout.succeeded');
+    } catch (webhookError) {
+      logger.error('Payout webhook failed:', webhookError);
+    }
+
+    return completed;
+  }
+}
+
+// Create singleton instance
+const settlementService = new SettlementService();
+
+module.exports = {
+  SettlementService,
+  settlementService,
+  PAYMENT_TYPES
+};
@@ -1,242 +1,279 @@
-const crypto = require('crypto');
 const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { EVENT_API_VERSION } = require('../config/eventTypes');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
 const logger = require('../utils/logger');
+const {
+  SIGNATURE_HEADER,
+  signWebhookPayload,
+  verifyWebhookSignature
+} = require('../utils/webhookSignature');
+
+const generateId = (prefix) => `${prefix}_${uuidv4().replace(/-/g, '')}`;
 
 class WebhookService {
   constructor() {
     this.webhookSecret = process.env.WEBHOOK_SECRET || 'default_webhook_secret';
-    this.maxRetries = 3;
-    this.retryDelays = [5000, 15000, 45000]; // 5s, 15s, 45s
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+    this.baseRetryDelay = 30 * 1000; // 30s, doubling per attempt
+    this.maxRetryDelay = 6 * 60 * 60 * 1000; // 6h
+    this.sendingTimeout = 5 * 60 * 1000; // attempts stuck in 'sending' longer than this are requeued
+    this.batchSize = 20;
   }
 
-  // Generate webhook signature
-  generateSignature(payload) {
-    return crypto
-      .createHmac('sha256', this.webhookSecret)
-      .update(JSON.stringify(payload))
-      .digest('hex');
+  // Generate the signature header for a serialized body; one v1 per secret
+  generateSignature(rawBody, secrets = [this.webhookSecret]) {
+    return signWebhookPayload(rawBody, secrets);
   }
 
-  // Verify webhook signature
-  verifySignature(payload, signature) {
-    const expectedSignature = this.generateSignature(payload);
-    return crypto.timingSafeEqual(
-      Buffer.from(signature, 'hex'),
-      Buffer.from(expectedSignature, 'hex')
-    );
+  // Body for an ad-hoc event that is not stored, such as a test ping
+  buildRequestBody(eventType, data) {
+    return {
+      id: generateId('evt'),
+      type: eventType,
+      api_version: EVENT_API_VERSION,
+      created: new Date().toISOString(),
+      data: { object: data }
+    };
+  }
+
+  // Single HTTP attempt; never throws
+  async postWebhook(url, body, { secrets, deliveryId } = {}) {
+    // Sign exactly the bytes that are sent
+    const rawBody = JSON.stringify(body);
+    const signature = this.generateSignature(rawBody, secrets);
+    const startTime = Date.now();
+
+    try {
+      const response = await axios.post(url, rawBody, {
+        timeout: 30000, // 30 seconds timeout
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PayLoom-Webhooks/1.0',
+          'X-PayLoom-Webhook-ID': body.id,
+          'X-PayLoom-Delivery-ID': deliveryId || body.id,
+          [SIGNATURE_HEADER]: signature
+        }
+      });
+
+      return {
+        success: true,
+        status: response.status,
+        duration: Date.now() - startTime,
+        responseBody: this.truncateResponse(response.data)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        status: error.response?.status,
+        duration: Date.now() - startTime,
+        responseBody: this.truncateResponse(error.response?.data),
+        error: error.message
+      };
+    }
   }
 
-  // Send webhook with retry logic
+  truncateResponse(data) {
+    if (data === undefined || data === null) {
+      return undefined;
+    }
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return text.slice(0, 1000);
+  }
+
+  // Send a one-off webhook (e.g. a test event) without queueing or retries
   async sendWebhook(url, payload, options = {}) {
-    const signature = this.generateSignature(payload);
-    const webhookId = `webhook_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const body = this.buildRequestBody(payload.event, payload.data);
+    const result = await this.postWebhook(url, body, { secrets: options.secrets });
 
-    const webhookData = {
-      id: webhookId,
+    logger.info('Webhook sent', {
+      webhookId: body.id,
+      url,
       event: payload.event,
-      data: payload.data,
-      timestamp: new Date().toISOString(),
-      signature
+      duration: `${result.duration}ms`,
+      status: result.status,
+      success: result.success
+    });
+
+    return {
+      webhookId: body.id,
+      ...result
     };
+  }
 
-    let attempt = 0;
-    let lastError = null;
+  // Delay before the given attempt number, doubling from the base delay
+  getRetryDelay(attempt) {
+    return Math.min(this.baseRetryDelay * Math.pow(2, attempt - 2), this.maxRetryDelay);
+  }
 
-    while (attempt < this.maxRetries) {
-      try {
-        const startTime = Date.now();
-        
-        const response = await axios.post(url, webhookData, {
-          timeout: 30000, // 30 seconds timeout
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'PayLoom-Webhooks/1.0',
-            'X-PayLoom-Webhook-ID': webhookId,
-            'X-PayLoom-Webhook-Signature': signature
-          },
-          ...options
-        });
+  // Persist a pending attempt for the delivery worker to pick up
+  enqueueDelivery(endpoint, requestBody, { attempt = 1, manual = false, scheduledFor = new Date() } = {}) {
+    return WebhookDelivery.create({
+      delivery_id: generateId('whd'),
+      event_id: requestBody.id,
+      event_type: requestBody.type,
+      webhook_id: endpoint.webhook_id,
+      user_id: endpoint.user_id,
+      url: endpoint.url,
+      request_body: requestBody,
+      attempt,
+      manual,
+      scheduled_for: scheduledFor
+    });
+  }
 
-        const duration = Date.now() - startTime;
+  // Send one claimed attempt and record its outcome, scheduling a retry or dead-lettering it
+  async processDelivery(delivery) {
+    const endpoint = await WebhookEndpoint.findOne({ webhook_id: delivery.webhook_id });
 
-        logger.info('Webhook delivered successfully', {
-          webhookId,
-          url,
-          event: payload.event,
-          attempt: attempt + 1,
-          duration: `${duration}ms`,
-          status: response.status
-        });
+    if (!endpoint || !endpoint.active) {
+      delivery.status = 'dead_letter';
+      delivery.error = endpoint ? 'Endpoint disabled' : 'Endpoint deleted';
+      await delivery.save();
+      return delivery;
+    }
 
-        return {
-          success: true,
-          webhookId,
-          attempt: attempt + 1,
-          duration,
-          status: response.status
-        };
+    const result = await this.postWebhook(delivery.url, delivery.request_body, {
+      secrets: endpoint.getSigningSecrets(),
+      deliveryId: delivery.delivery_id
+    });
 
-      } catch (error) {
-        lastError = error;
-        attempt++;
-
-        logger.warn('Webhook delivery failed, retrying', {
-          webhookId,
-          url,
-          event: payload.event,
-          attempt,
-          error: error.message,
-          nextRetryIn: attempt < this.maxRetries ? this.retryDelays[attempt - 1] : null
-        });
+    delivery.sent_at = new Date();
+    delivery.response_code = result.status;
+    delivery.response_body = result.responseBody;
+    delivery.latency_ms = result.duration;
+    delivery.error = result.error;
+
+    if (result.success) {
+      delivery.status = 'succeeded';
+      await delivery.save();
+
+      logger.info('Webhook delivered successfully', {
+        delivery_id: delivery.delivery_id,
+        webhook_id: delivery.webhook_id,
+        event: delivery.event_type,
+        attempt: delivery.attempt,
+        duration: `${result.duration}ms`,
+        status: result.status
+      });
+      return delivery;
+    }
 
-        // Wait before retry (except for the last attempt)
-        if (attempt < this.maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, this.retryDelays[attempt - 1]));
-        }
-      }
+    if (delivery.manual || delivery.attempt >= this.maxAttempts) {
+      delivery.status = 'dead_letter';
+      await delivery.save();
+
+      logger.error('Webhook delivery moved to dead letter', {
+        delivery_id: delivery.delivery_id,
+        webhook_id: delivery.webhook_id,
+        event: delivery.event_type,
+        attempts: delivery.attempt,
+        finalError: result.error
+      });
+      return delivery;
     }
 
-    // All attempts failed
-    logger.error('Webhook delivery failed after all retries', {
-      webhookId,
-      url,
-      event: payload.event,
-      totalAttempts: attempt,
-      finalError: lastError.message
-    });
+    const nextAttempt = delivery.attempt + 1;
+    delivery.status = 'failed';
+    delivery.next_retry_at = new Date(Date.now() + this.getRetryDelay(nextAttempt));
+    await delivery.save();
 
-    return {
-      success: false,
-      webhookId,
-      totalAttempts: attempt,
-      error: lastError.message
-    };
-  }
+    await this.enqueueDelivery(endpoint, delivery.request_body, {
+      attempt: nextAttempt,
+      scheduledFor: delivery.next_retry_at
+    });
 
-  // Queue webhook for background processing
-  queueWebhook(url, payload, priority = 'normal') {
-    // In production, this would use a proper queue system like Redis or Bull
-    // For now, we'll use setTimeout for background processing
-    const delay = priority === 'high' ? 0 : 1000;
-    
-    setTimeout(async () => {
-      try {
-        await this.sendWebhook(url, payload);
-      } catch (error) {
-        logger.error('Queued webhook processing failed:', error);
-      }
-    }, delay);
+    logger.warn('Webhook delivery failed, retry scheduled', {
+      delivery_id: delivery.delivery_id,
+      webhook_id: delivery.webhook_id,
+      event: delivery.event_type,
+      attempt: delivery.attempt,
+      error: result.error,
+      next_retry_at: delivery.next_retry_at
+    });
 
-    return {
-      queued: true,
-      priority,
-      estimatedDelivery: Date.now() + delay
-    };
+    return delivery;
   }
 
-  // Send webhook for transaction events
-  async sendTransactionWebhook(transaction, eventType) {
-    if (!transaction.metadata.webhook_url) {
-      return { skipped: true, reason: 'No webhook URL configured' };
-    }
-
-    const payload = {
-      event: `transaction.${eventType}`,
-      data: {
-        transaction_id: transaction.transaction_id,
-        type: transaction.type,
-        amount: transaction.amount,
-        currency: transaction.currency,
-        status: transaction.status,
-        fees: transaction.fees,
-        net_amount: transaction.net_amount,
-        customer: {
-          email: transaction.metadata.customer_email,
-          name: transaction.metadata.customer_name
-        },
-        created_at: transaction.created_at,
-        updated_at: transaction.updated_at
-      }
-    };
+  // Claim and send due attempts; claims are atomic so several workers can run side by side
+  async processDueDeliveries() {
+    // Requeue attempts left in 'sending' by a worker that stopped mid-delivery
+    await WebhookDelivery.updateMany(
+      { status: 'sending', updatedAt: { $lte: new Date(Date.now() - this.sendingTimeout) } },
+      { $set: { status: 'pending' } }
+    );
 
-    return await this.sendWebhook(transaction.metadata.webhook_url, payload);
-  }
+    let processed = 0;
+    while (processed < this.batchSize) {
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', scheduled_for: { $lte: new Date() } },
+        { $set: { status: 'sending' } },
+        { sort: { scheduled_for: 1 }, new: true }
+      );
 
-  // Send webhook for escrow events
-  async sendEscrowWebhook(escrow, eventType) {
-    // Get webhook URL from one of the parties
-    const webhookUrl = escrow.metadata.webhook_url;
-    if (!webhookUrl) {
-      return { skipped: true, reason: 'No webhook URL configured' };
-    }
+      if (!delivery) {
+        break;
+      }
 
-    const payload = {
-      event: `escrow.${eventType}`,
-      data: {
-        escrow_id: escrow.escrow_id,
-        transaction_id: escrow.transaction_id,
-        amount: escrow.amount,
-        currency: escrow.currency,
-        status: escrow.status,
-        parties: escrow.parties,
-        conditions: escrow.conditions,
-        timeline: escrow.timeline,
-        created_at: escrow.created_at,
-        updated_at: escrow.updated_at
+      try {
+        await this.processDelivery(delivery);
+      } catch (error) {
+        logger.error('Webhook delivery processing failed:', {
+          delivery_id: delivery.delivery_id,
+          error: error.message
+        });
       }
-    };
+      processed++;
+    }
 
-    return await this.sendWebhook(webhookUrl, payload);
+    return processed;
   }
 
-  // Send webhook for wallet events
-  async sendWalletWebhook(wallet, eventType, additionalData = {}) {
-    // In a real implementation, you'd get webhook URL from user's settings
-    const webhookUrl = wallet.metadata.webhook_url;
-    if (!webhookUrl) {
-      return { skipped: true, reason: 'No webhook URL configured' };
+  // Send an event to an endpoint again, outside the automatic retry schedule
+  async redeliver(endpoint, eventId) {
+    const original = await WebhookDelivery.findOne({
+      webhook_id: endpoint.webhook_id,
+      event_id: eventId
+    }).sort({ createdAt: -1 });
+
+    if (!original) {
+      return null;
     }
 
-    const payload = {
-      event: `wallet.${eventType}`,
-      data: {
-        wallet_id: wallet.wallet_id,
-        owner_type: wallet.owner_type,
-        owner_id: wallet.owner_id,
-        currency: wallet.currency,
-        balances: wallet.balances,
-        status: wallet.status,
-        ...additionalData,
-        timestamp: new Date().toISOString()
-      }
-    };
+    const delivery = await this.enqueueDelivery(endpoint, original.request_body, { manual: true });
+    const claimed = await WebhookDelivery.findOneAndUpdate(
+      { _id: delivery._id, status: 'pending' },
+      { $set: { status: 'sending' } },
+      { new: true }
+    );
 
-    return await this.sendWebhook(webhookUrl, payload);
+    // A worker may have picked it up first
+    return claimed ? this.processDelivery(claimed) : delivery;
   }
 
-  // Send webhook for KYC events
-  async sendKYCWebhook(user, eventType) {
-    // Get webhook URL from user's metadata or settings
-    const webhookUrl = user.metadata.webhook_url;
-    if (!webhookUrl) {
-      return { skipped: true, reason: 'No webhook URL configured' };
+  // Queue a stored event for every active endpoint of its merchant subscribed to it.
+  // The body is the event itself, so its id stays the same across retries and
+  // receivers can de-duplicate.
+  async dispatchEvent(event) {
+    const endpoints = await WebhookEndpoint.findSubscribed(event.user_id, event.type);
+    if (endpoints.length === 0) {
+      return { skipped: true, reason: 'No webhook endpoints subscribed' };
     }
 
-    const payload = {
-      event: `kyc.${eventType}`,
-      data: {
-        user_id: user._id,
-        business_name: user.business_name,
-        email: user.email,
-        kyc_status: user.kyc_status,
-        trust_score: user.trust_score,
-        status: user.status,
-        mode: user.mode,
-        timestamp: new Date().toISOString()
-      }
-    };
+    const requestBody = event.toPayload();
+    const deliveries = await Promise.all(
+      endpoints.map(endpoint => this.enqueueDelivery(endpoint, requestBody))
+    );
 
-    return await this.sendWebhook(webhookUrl, payload);
+    return {
+      queued: true,
+      event_id: event.event_id,
+      deliveries: deliveries.map(delivery => ({
+        delivery_id: delivery.delivery_id,
+        webhook_id: delivery.webhook_id
+      }))
+    };
   }
 
   // Batch send multiple webhooks
@@ -281,7 +318,6 @@ const webhookService = new WebhookService();
 
 // Export main functions for backward compatibility
 const sendWebhook = (url, payload, options) => webhookService.sendWebhook(url, payload, options);
-const verifyWebhookSignature = (payload, signature) => webhookService.verifySignature(payload, signature);
 
 module.exports = {
   WebhookService,
@@ -0,0 +1,407 @@
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Offline stand-in for Safaricom's Daraja API. Point MPESA_BASE_URL at it and
+// the M-Pesa provider's OAuth, STK push, STK query, B2C and C2B calls are
+// answered locally, with the callbacks Daraja would send posted to the URLs in
+// each request (our /webhooks/mpesa/* routes).
+//
+// Outcomes are scripted: each STK push or B2C request takes the next outcome
+// queued with POST /simulator/outcomes, else the outcome of its test phone
+// number, else success.
+
+// What each scripted outcome reports
+const OUTCOMES = {
+  success: { ResultCode: 0, ResultDesc: 'The service request is processed successfully.' },
+  user_cancel: { ResultCode: 1032, ResultDesc: 'Request cancelled by user' },
+  insufficient_funds: { ResultCode: 1, ResultDesc: 'The balance is insufficient for the transaction' },
+  timeout: { ResultCode: 1037, ResultDesc: 'DS timeout user cannot be reached' }
+};
+
+// Test phone numbers with a fixed outcome
+const TEST_PHONE_OUTCOMES = {
+  254700000001: 'user_cancel',
+  254700000002: 'insufficient_funds',
+  254700000003: 'timeout'
+};
+
+const TOKEN_TTL_SECONDS = 3599;
+
+const randomId = (prefix, bytes = 8) => `${prefix}${crypto.randomBytes(bytes).toString('hex')}`;
+
+// M-Pesa receipt numbers are 10 upper-case letters and digits
+const receiptNumber = () => crypto.randomBytes(8).toString('base64').replace(/[^A-Za-z0-9]/g, '').toUpperCase().padEnd(10, 'X').slice(0, 10);
+
+// YYYYMMDDHHmmss, the way Daraja writes dates in callbacks
+const darajaTimestamp = (date = new Date()) => Number(
+  date.getFullYear() +
+  String(date.getMonth() + 1).padStart(2, '0') +
+  String(date.getDate()).padStart(2, '0') +
+  String(date.getHours()).padStart(2, '0') +
+  String(date.getMinutes()).padStart(2, '0') +
+  String(date.getSeconds()).padStart(2, '0')
+);
+
+// Daraja error body
+const darajaError = (res, status, errorCode, errorMessage) => res.status(status).json({
+  requestId: randomId('', 6),
+  errorCode,
+  errorMessage
+});
+
+class DarajaSimulator {
+  constructor({
+    consumerKey = process.env.MPESA_CONSUMER_KEY,
+    consumerSecret = process.env.MPESA_CONSUMER_SECRET,
+    passkey = process.env.MPESA_PASSKEY,
+    callbackDelayMs = Number(process.env.DARAJA_SIMULATOR_CALLBACK_DELAY_MS || 1000)
+  } = {}) {
+    this.consumerKey = consumerKey;
+    this.consumerSecret = consumerSecret;
+    this.passkey = passkey;
+    this.callbackDelayMs = callbackDelayMs;
+    this.reset();
+    this.app = this.buildApp();
+  }
+
+  // Forget tokens, requests, registrations and scripted outcomes, and drop pending callbacks
+  reset() {
+    if (this.timers) {
+      this.timers.forEach(timer => clearTimeout(timer));
+    }
+    this.tokens = new Map();
+    this.stkRequests = new Map();
+    this.b2cRequests = new Map();
+    this.c2bRegistrations = new Map();
+    this.callbacks = [];
+    this.script = [];
+    this.timers = new Set();
+  }
+
+  // Queue outcomes for the next STK push or B2C requests, in order
+  queueOutcomes(outcomes) {
+    const unknown = outcomes.filter(outcome => !OUTCOMES[outcome]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown outcome(s): ${unknown.join(', ')}`);
+    }
+    this.script.push(...outcomes);
+  }
+
+  nextOutcome(phoneNumber) {
+    return this.script.shift() || TEST_PHONE_OUTCOMES[String(phoneNumber)] || 'success';
+  }
+
+  // Send a callback after the configured delay, as Daraja does once the customer responds
+  scheduleCallback(url, body, beforeSend = () => {}) {
+    const timer = setTimeout(async () => {
+      this.timers.delete(timer);
+      beforeSend();
+      await this.sendCallback(url, body);
+    }, this.callbackDelayMs);
+    this.timers.add(timer);
+  }
+
+  async sendCallback(url, body) {
+    const record = { url, body, sent_at: new Date() };
+    this.callbacks.push(record);
+
+    try {
+      const response = await axios.post(url, body, { timeout: 10000 });
+      record.response_code = response.status;
+      record.response_body = response.data;
+    } catch (error) {
+      record.response_code = error.response?.status;
+      record.error = error.message;
+      logger.warn('Daraja simulator callback failed:', { url, error: error.message });
+    }
+    return record;
+  }
+
+  // Stop pending callbacks and the server, e.g. when a test suite ends
+  close() {
+    this.reset();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  listen(port, callback) {
+    this.server = this.app.listen(port, callback);
+    return this.server;
+  }
+
+  authenticate(req, res, next) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const expiresAt = this.tokens.get(token);
+    if (scheme !== 'Bearer' || !expiresAt || expiresAt < Date.now()) {
+      return darajaError(res, 401, '404.001.03', 'Invalid Access Token');
+    }
+    next();
+  }
+
+  // The STK password is base64(shortcode + passkey + timestamp); only checked when the passkey is known
+  validPassword({ BusinessShortCode, Password, Timestamp }) {
+    if (!this.passkey) {
+      return true;
+    }
+    return Password === Buffer.from(`${BusinessShortCode}${this.passkey}${Timestamp}`).toString('base64');
+  }
+
+  // OAuth client credentials grant
+  generateToken(req, res) {
+    const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+    const [key, secret] = Buffer.from(credentials || '', 'base64').toString().split(':');
+
+    if (scheme !== 'Basic' || req.query.grant_type !== 'client_credentials' ||
+      (this.consumerKey && (key !== this.consumerKey || secret !== this.consumerSecret))) {
+      return darajaError(res, 400, '400.008.01', 'Invalid Authentication passed');
+    }
+
+    const token = crypto.randomBytes(14).toString('base64').replace(/[^A-Za-z0-9]/g, '');
+    this.tokens.set(token, Date.now() + TOKEN_TTL_SECONDS * 1000);
+
+    res.json({ access_token: token, expires_in: String(TOKEN_TTL_SECONDS) });
+  }
+
+  stkPush(req, res) {
+    const { BusinessShortCode, Amount, PhoneNumber, CallBackURL, AccountReference } = req.body;
+
+    if (!BusinessShortCode || !Amount || !PhoneNumber || !CallBackURL || !AccountReference) {
+      return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid request body');
+    }
+    if (!this.validPassword(req.body)) {
+      return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid Password');
+    }
+
+    const request = {
+      MerchantRequestID: randomId('', 6),
+      CheckoutRequestID: randomId('ws_CO_', 10),
+      outcome: this.nextOutcome(PhoneNumber),
+      amount: Number(Amount),
+      phone_number: Number(PhoneNumber),
+      callback_url: CallBackURL,
+      account_reference: AccountReference,
+      completed: false
+    };
+    this.stkRequests.set(request.CheckoutRequestID, request);
+
+    const { ResultCode, ResultDesc } = OUTCOMES[request.outcome];
+    const stkCallback = {
+      MerchantRequestID: request.MerchantRequestID,
+      CheckoutRequestID: request.CheckoutRequestID,
+      ResultCode,
+      ResultDesc
+    };
+    if (ResultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: request.amount },
+          { Name: 'MpesaReceiptNumber', Value: receiptNumber() },
+          { Name: 'TransactionDate', Value: darajaTimestamp() },
+          { Name: 'PhoneNumber', Value: request.phone_number }
+        ]
+      };
+    }
+
+    this.scheduleCallback(CallBackURL, { Body: { stkCallback } }, () => {
+      request.completed = true;
+    });
+
+    res.json({
+      MerchantRequestID: request.MerchantRequestID,
+      CheckoutRequestID: request.CheckoutRequestID,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+  }
+
+  stkQuery(req, res) {
+    const request = this.stkRequests.get(req.body.CheckoutRequestID);
+
+    if (!request) {
+      return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid CheckoutRequestID');
+    }
+    if (!request.completed) {
+      return darajaError(res, 500, '500.001.1001', 'The transaction is being processed');
+    }
+
+    const { ResultCode, ResultDesc } = OUTCOMES[request.outcome];
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: request.MerchantRequestID,
+      CheckoutRequestID: request.CheckoutRequestID,
+      ResultCode: String(ResultCode),
+      ResultDesc
+    });
+  }
+
+  b2cPayment(req, res) {
+    const { Amount, PartyA, PartyB, ResultURL, QueueTimeOutURL, CommandID } = req.body;
+
+    if (!Amount || !PartyA || !PartyB || !ResultURL || !QueueTimeOutURL || !CommandID) {
+      return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid request body');
+    }
+
+    const request = {
+      ConversationID: randomId('AG_', 10),
+      OriginatorConversationID: randomId('', 10),
+      outcome: this.nextOutcome(PartyB),
+      amount: Number(Amount),
+      phone_number: Number(PartyB)
+    };
+    this.b2cRequests.set(request.OriginatorConversationID, request);
+
+    const result = {
+      ResultType: 0,
+      ResultCode: OUTCOMES[request.outcome].ResultCode,
+      ResultDesc: OUTCOMES[request.outcome].ResultDesc,
+      OriginatorConversationID: request.OriginatorConversationID,
+      ConversationID: request.ConversationID,
+      TransactionID: receiptNumber()
+    };
+
+    if (request.outcome === 'timeout') {
+      // The request expired in Daraja's queue before it was processed
+      this.scheduleCallback(QueueTimeOutURL, { Result: { ...result, ResultType: 1 } });
+    } else {
+      if (result.ResultCode === 0) {
+        result.ResultParameters = {
+          ResultParameter: [
+            { Key: 'TransactionAmount', Value: request.amount },
+            { Key: 'TransactionReceipt', Value: result.TransactionID },
+            { Key: 'ReceiverPartyPublicName', Value: `${PartyB} - Test Customer` },
+            { Key: 'TransactionCompletedDateTime', Value: new Date().toLocaleString('en-GB') },
+            { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' }
+          ]
+        };
+      }
+      this.scheduleCallback(ResultURL, { Result: result });
+    }
+
+    res.json({
+      ConversationID: request.ConversationID,
+      OriginatorConversationID: request.OriginatorConversationID,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+  }
+
+  c2bRegister(req, res) {
+    const { ShortCode, ResponseType, ConfirmationURL, ValidationURL } = req.body;
+
+    if (!ShortCode || !ConfirmationURL || !ValidationURL) {
+      return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid request body');
+    }
+
+    this.c2bRegistrations.set(String(ShortCode), {
+      response_type: ResponseType || 'Completed',
+      confirmation_url: ConfirmationURL,
+      validation_url: ValidationURL
+    });
+
+    res.json({
+      OriginatorCoversationID: randomId('', 10),
+      ResponseCode: '0',
+      ResponseDescription: 'Success'
+    });
+  }
+
+  // A customer paying the shortcode from their phone: validation, then confirmation
+  async c2bSimulate(req, res) {
+    const { ShortCode, CommandID, Amount, Msisdn, BillRefNumber } = req.body;
+    const registration = this.c2bRegistrations.get(String(ShortCode));
+
+    if (!registration) {
+      return darajaError(res, 400, '400.002.02', 'Bad Request - No URLs registered for this shortcode');
+    }
+
+    const payment = {
+      TransactionType: CommandID === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'Pay Bill',
+      TransID: receiptNumber(),
+      TransTime: String(darajaTimestamp()),
+      TransAmount: String(Amount),
+      BusinessShortCode: String(ShortCode),
+      BillRefNumber: BillRefNumber || '',
+      InvoiceNumber: '',
+      OrgAccountBalance: '',
+      ThirdPartyTransID: '',
+      MSISDN: String(Msisdn),
+      FirstName: 'Test'
+    };
+
+    res.json({
+      OriginatorCoversationID: randomId('', 10),
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+
+    // Validation can refuse the payment; with ResponseType Completed an
+    // unreachable validation URL still lets it through, as on Daraja
+    const validation = await this.sendCallback(registration.validation_url, payment);
+    const rejected = validation.response_body && Number(validation.response_body.ResultCode) !== 0;
+    if (rejected || (validation.error && registration.response_type === 'Cancelled')) {
+      return;
+    }
+    await this.sendCallback(registration.confirmation_url, payment);
+  }
+
+  buildApp() {
+    const app = express();
+    app.use(express.json());
+
+    const auth = this.authenticate.bind(this);
+
+    app.get('/oauth/v1/generate', this.generateToken.bind(this));
+    app.post('/mpesa/stkpush/v1/processrequest', auth, this.stkPush.bind(this));
+    app.post('/mpesa/stkpushquery/v1/query', auth, this.stkQuery.bind(this));
+    app.post('/mpesa/b2c/v1/paymentrequest', auth, this.b2cPayment.bind(this));
+    app.post(['/mpesa/c2b/v1/registerurl', '/mpesa/c2b/v2/registerurl'], auth, this.c2bRegister.bind(this));
+    app.post(['/mpesa/c2b/v1/simulate', '/mpesa/c2b/v2/simulate'], auth, this.c2bSimulate.bind(this));
+
+    // Scripting and inspection, for tests
+    app.post('/simulator/outcomes', (req, res) => {
+      try {
+        this.queueOutcomes(req.body.outcomes || []);
+        res.json({ queued: this.script });
+      } catch (error) {
+        res.status(400).json({ error: error.message, supported_outcomes: Object.keys(OUTCOMES) });
+      }
+    });
+    app.get('/simulator/state', (req, res) => {
+      res.json({
+        queued_outcomes: this.script,
+        stk_requests: [...this.stkRequests.values()],
+        b2c_requests: [...this.b2cRequests.values()],
+        c2b_registrations: Object.fromEntries(this.c2bRegistrations),
+        callbacks: this.callbacks
+      });
+    });
+    app.post('/simulator/reset', (req, res) => {
+      this.reset();
+      res.json({ reset: true });
+    });
+
+    return app;
+  }
+}
+
+// Run standalone: npm run simulate:mpesa
+if (require.main === module) {
+  require('dotenv').config();
+  const port = process.env.DARAJA_SIMULATOR_PORT || 4010;
+  const simulator = new DarajaSimulator();
+  simulator.listen(port, () => {
+    logger.info(`Daraja simulator listening on port ${port}; set MPESA_BASE_URL=http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  DarajaSimulator,
+  OUTCOMES,
+  TEST_PHONE_OUTCOMES
+};
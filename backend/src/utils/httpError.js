@@ -0,0 +1,9 @@
+// Error carrying the HTTP status a controller should answer with
+const httpError = (status, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+module.exports = httpError;
@@ -0,0 +1,118 @@
+// Minimal PDF writer for text documents: A4 pages of left-aligned lines in
+// the standard Helvetica fonts, which every PDF reader has built in. Output
+// depends only on the input, so the same document always renders to the same
+// bytes.
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_SPACING = 1.4;
+// Rough Helvetica average character width, as a share of the font size
+const CHAR_WIDTH = 0.5;
+
+// Text as Latin-1 with PDF string escapes; other characters become '?'
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+// Split a line into pieces that fit the page width, on spaces where possible
+const wrap = (text, size) => {
+  const maxChars = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * CHAR_WIDTH));
+  const pieces = [];
+  let rest = String(text);
+
+  while (rest.length > maxChars) {
+    const space = rest.lastIndexOf(' ', maxChars);
+    const cut = space > maxChars / 2 ? space : maxChars;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^ /, '');
+  }
+  pieces.push(rest);
+
+  return pieces;
+};
+
+// Lay the lines out on pages; returns one content stream per page
+const layout = (lines) => {
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  lines.forEach(({ text = '', size = 10, bold = false }) => {
+    wrap(text, size).forEach(piece => {
+      const height = size * LINE_SPACING;
+      if (y - height < MARGIN) {
+        pages.push(ops.join('\n'));
+        ops = [];
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= height;
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td (${escapeText(piece)}) Tj ET`);
+    });
+  });
+  pages.push(ops.join('\n'));
+
+  return pages;
+};
+
+// PDF date string, e.g. D:20240601120000Z
+const pdfDate = (date) => `D:${new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+// Render lines ({ text, size, bold }) to a PDF. `info` entries are added to
+// the document information dictionary as extra string keys.
+const renderPdf = ({ title, createdAt, lines, info = {} }) => {
+  const pages = layout(lines);
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const regularFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map(content => {
+    const contentId = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const infoEntries = Object.entries({ Title: title, Producer: 'PayLoom', ...info })
+    .map(([key, value]) => `/${key} (${escapeText(value)})`);
+  const infoId = add(`<< ${infoEntries.join(' ')} /CreationDate (${pdfDate(createdAt)}) >>`);
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+// Read a string entry of the information dictionary written by renderPdf.
+// Only meant for values without parentheses or backslashes, such as base64.
+const readInfoEntry = (pdf, key) => {
+  const match = Buffer.from(pdf).toString('latin1').match(new RegExp(`/${key} \\(([^()\\\\]*)\\)`));
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  renderPdf,
+  readInfoEntry
+};
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Run a unit of work inside a MongoDB transaction. The callback receives the
+// session and must pass it to every read and write that belongs to the unit.
+// Transient write conflicts are retried, any thrown error rolls the whole unit
+// back, and Mongoose resets the change tracking of documents saved inside it.
+const runInTransaction = (work) => {
+  return mongoose.connection.transaction((session) => work(session));
+};
+
+module.exports = {
+  runInTransaction
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Header carrying the signature of outbound webhooks, e.g.
+// PayLoom-Signature: t=1700000000,v1=5257a869e7ec...,v1=9d1f0c...
+// Each v1 value is an HMAC-SHA256 of "<t>.<raw body>"; during secret
+// rotation there is one v1 per active secret.
+const SIGNATURE_HEADER = 'PayLoom-Signature';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const computeSignature = (rawBody, secret, timestamp) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+};
+
+// Build the header value for a raw body signed with one or more secrets
+const signWebhookPayload = (rawBody, secrets, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signatures = [].concat(secrets)
+    .filter(Boolean)
+    .map(secret => `v1=${computeSignature(rawBody, secret, timestamp)}`);
+
+  return [`t=${timestamp}`, ...signatures].join(',');
+};
+
+const parseSignatureHeader = (header) => {
+  const parsed = { timestamp: null, signatures: [] };
+
+  String(header || '').split(',').forEach(part => {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') parsed.timestamp = parseInt(value, 10);
+    if (key === 'v1' && value) parsed.signatures.push(value);
+  });
+
+  return parsed;
+};
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a, 'utf8');
+  const bufferB = Buffer.from(b, 'utf8');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Verify a PayLoom-Signature header against the raw request body (the exact
+// bytes received, before JSON parsing). Returns false for a missing or
+// malformed header, a timestamp outside the tolerance (in seconds), or when
+// no v1 signature matches the secret.
+const verifyWebhookSignature = (rawBody, header, secret, tolerance = DEFAULT_TOLERANCE_SECONDS) => {
+  const { timestamp, signatures } = parseSignatureHeader(header);
+
+  if (!timestamp || signatures.length === 0 || !secret) {
+    return false;
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+  if (tolerance > 0 && age > tolerance) {
+    return false;
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+  const expected = computeSignature(body, secret, timestamp);
+
+  return signatures.some(signature => safeEqual(signature, expected));
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  signWebhookPayload,
+  parseSignatureHeader,
+  verifyWebhookSignature
+};
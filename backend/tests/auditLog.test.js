@@ -0,0 +1,74 @@
+const AuditLog = require('../src/models/AuditLog');
+const { auditService } = require('../src/services/auditService');
+const database = require('./helpers/database');
+
+// The audit log is a hash chain: appends link up, and any edit, removal or
+// reordering is found by verifying it
+describe('audit log chain', () => {
+  const admin = { type: 'admin', id: 'admin_1', email: 'ops@payloom.example', role: 'super_admin' };
+
+  const record = (i) => auditService.record({
+    action: 'account.approved',
+    actor: admin,
+    target: { type: 'user', id: `user_${i}`, user_id: `user_${i}` },
+    before: { status: 'pending' },
+    after: { status: 'approved' },
+    metadata: { note: `approval ${i}` }
+  });
+
+  beforeAll(database.connect, database.STARTUP_TIMEOUT_MS);
+  afterAll(database.disconnect);
+
+  beforeEach(database.clear);
+
+  test('entries link to the one before them and the chain verifies', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await record(i);
+    }
+
+    const entries = await AuditLog.find().sort({ sequence: 1 });
+    expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3]);
+    expect(entries[0].previous_hash).toBe('0'.repeat(64));
+    expect(entries[1].previous_hash).toBe(entries[0].hash);
+    expect(entries[2].previous_hash).toBe(entries[1].hash);
+    expect(entries[0].changes).toEqual({ status: { from: 'pending', to: 'approved' } });
+
+    expect(await auditService.verifyChain()).toEqual({ valid: true, checked: 3, last_sequence: 3 });
+  });
+
+  test('concurrent writers still append one unbroken chain', async () => {
+    await Promise.all(Array.from({ length: 5 }, (_, i) => record(i + 1)));
+
+    const sequences = (await AuditLog.find().sort({ sequence: 1 })).map(entry => entry.sequence);
+    expect(sequences).toEqual([1, 2, 3, 4, 5]);
+    expect((await auditService.verifyChain()).valid).toBe(true);
+  });
+
+  test('entries cannot be changed through the model', async () => {
+    await record(1);
+
+    await expect(AuditLog.updateOne({ sequence: 1 }, { $set: { action: 'account.rejected' } }))
+      .rejects.toThrow('Audit log entries are immutable');
+    await expect(AuditLog.deleteOne({ sequence: 1 })).rejects.toThrow('Audit log entries are immutable');
+  });
+
+  test('an entry edited in the database breaks the chain at that entry', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await record(i);
+    }
+
+    await AuditLog.collection.updateOne({ sequence: 2 }, { $set: { 'metadata.note': 'rewritten' } });
+
+    expect(await auditService.verifyChain()).toMatchObject({ valid: false, checked: 1, broken_at: 2, reason: 'Entry modified' });
+  });
+
+  test('a removed entry breaks the chain where it was', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await record(i);
+    }
+
+    await AuditLog.collection.deleteOne({ sequence: 2 });
+
+    expect(await auditService.verifyChain()).toMatchObject({ valid: false, broken_at: 2, reason: 'Entry missing' });
+  });
+});
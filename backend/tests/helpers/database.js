@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Database for suites that need MongoDB. Transactions need a replica set, so a
+// single-node one is started in memory; MONGODB_TEST_URI points the suites at
+// an existing replica set instead, whose database is dropped on every run.
+let replSet = null;
+
+// Suites time out on the first run while the MongoDB binary downloads
+const STARTUP_TIMEOUT_MS = 120000;
+
+const connect = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    uri = replSet.getUri();
+  }
+
+  await mongoose.connect(uri, { autoIndex: false, autoCreate: false });
+  await mongoose.connection.dropDatabase();
+
+  // Collections can't be created inside a transaction, and unique indexes are
+  // what several of the guarantees under test rest on
+  for (const model of Object.values(mongoose.models)) {
+    await model.createCollection();
+    await model.createIndexes();
+  }
+};
+
+// Empty every collection. Goes through the driver, since the journal and the
+// audit log refuse deletes through their models.
+const clear = () => Promise.all(Object.values(mongoose.models).map(model => model.collection.deleteMany({})));
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+};
+
+module.exports = {
+  STARTUP_TIMEOUT_MS,
+  connect,
+  clear,
+  disconnect
+};
@@ -0,0 +1,93 @@
+const Wallet = require('../../src/models/Wallet');
+const Transaction = require('../../src/models/Transaction');
+const { ledgerService } = require('../../src/services/ledgerService');
+const { runInTransaction } = require('../../src/utils/transaction');
+
+// Call a controller the way Express would and collect its response
+const call = async (handler, { userId, params = {}, body = {}, query = {} }) => {
+  const req = {
+    params,
+    body,
+    query,
+    headers: {},
+    ip: '127.0.0.1',
+    user: { userId },
+    get: () => undefined
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+
+  await handler(req, res);
+  return res;
+};
+
+const createWallet = (ownerId) => Wallet.create({
+  wallet_id: `wallet_${ownerId}`,
+  owner_type: 'user',
+  owner_id: ownerId,
+  ownerModel: 'User',
+  currency: 'KES'
+});
+
+// Top a wallet up the way a settled funding does, journal entry included
+const fundWallet = (wallet, amount) => runInTransaction(async (session) => {
+  const transaction = new Transaction({
+    transaction_id: `fund_${wallet.wallet_id}`,
+    type: 'wallet_funding',
+    amount,
+    currency: wallet.currency,
+    fees: { processing_fee: 0, platform_fee: 0, total_fee: 0 },
+    net_amount: amount,
+    source: { payment_method: 'mpesa' },
+    destination: { wallet_id: wallet.wallet_id, payment_method: 'wallet' },
+    metadata: { user_id: wallet.owner_id },
+    status: 'completed'
+  });
+  await transaction.save({ session });
+  await Wallet.adjustBalances(wallet.wallet_id, { available: amount }, { session });
+  await ledgerService.recordFunding(transaction, wallet.wallet_id, { session });
+});
+
+// Stored balances of a wallet next to what its journal entries add up to
+const balancesOf = async (walletId) => {
+  const [wallet, journal] = await Promise.all([
+    Wallet.findOne({ wallet_id: walletId }),
+    ledgerService.getWalletBalances([walletId])
+  ]);
+  return {
+    stored: wallet.balances,
+    posted: journal[walletId] || { available: 0, locked: 0, pending: 0 }
+  };
+};
+
+// Wait for a condition that is met asynchronously, e.g. by a provider callback
+const waitFor = async (check, { timeout = 10000, interval = 50 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+};
+
+module.exports = {
+  call,
+  createWallet,
+  fundWallet,
+  balancesOf,
+  waitFor
+};
@@ -0,0 +1,101 @@
+const express = require('express');
+const request = require('supertest');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const { idempotency } = require('../src/middleware/idempotency');
+const database = require('./helpers/database');
+const { waitFor } = require('./helpers/fixtures');
+
+// Idempotency-Key handling in front of a handler that counts its runs
+describe('Idempotency-Key', () => {
+  let runs;
+  let holdHandler;
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { userId: 'merchant_1' };
+    next();
+  });
+  app.post('/payouts', idempotency, async (req, res) => {
+    runs += 1;
+    if (holdHandler) {
+      await holdHandler;
+    }
+    res.status(201).json({ payout_id: `payout_${runs}`, amount: req.body.amount });
+  });
+
+  const post = (key, body) => request(app).post('/payouts').set('Idempotency-Key', key).send(body);
+
+  beforeAll(database.connect, database.STARTUP_TIMEOUT_MS);
+  afterAll(database.disconnect);
+
+  beforeEach(async () => {
+    await database.clear();
+    runs = 0;
+    holdHandler = null;
+  });
+
+  test('a retry gets the stored response instead of running again', async () => {
+    const first = await post('key-replay', { amount: 100 });
+    const retry = await post('key-replay', { amount: 100 });
+
+    expect(runs).toBe(1);
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('reusing a key for another request is rejected', async () => {
+    await post('key-reused', { amount: 100 });
+    const reused = await post('key-reused', { amount: 200 });
+
+    expect(reused.status).toBe(422);
+    expect(runs).toBe(1);
+  });
+
+  test('a retry while the first request still runs is turned away', async () => {
+    let release;
+    holdHandler = new Promise(resolve => {
+      release = resolve;
+    });
+
+    // Sent straight away; supertest only sends once the request is awaited
+    const first = post('key-in-flight', { amount: 100 }).then(res => res);
+    await waitFor(() => runs === 1);
+
+    const retry = await post('key-in-flight', { amount: 100 });
+    release();
+
+    expect(retry.status).toBe(409);
+    expect((await first).status).toBe(201);
+    expect(runs).toBe(1);
+  });
+
+  test('a retry takes over a claim whose lease has run out', async () => {
+    const stale = {
+      user_id: 'merchant_1',
+      method: 'POST',
+      path: '/payouts',
+      status: 'processing',
+      expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    };
+    // The first request is hashed as its server saw it, so take the hash from a real run
+    await post('key-probe', { amount: 100 });
+    const { request_hash } = await IdempotencyKey.findOne({ key: 'key-probe' });
+
+    await IdempotencyKey.create({ ...stale, key: 'key-stale', request_hash, locked_until: new Date(Date.now() - 1000) });
+    await IdempotencyKey.create({ ...stale, key: 'key-live', request_hash, locked_until: new Date(Date.now() + 60000) });
+
+    const takenOver = await post('key-stale', { amount: 100 });
+    const stillHeld = await post('key-live', { amount: 100 });
+
+    expect(takenOver.status).toBe(201);
+    expect(stillHeld.status).toBe(409);
+    expect(runs).toBe(2);
+
+    const record = await IdempotencyKey.findOne({ key: 'key-stale' });
+    expect(record.status).toBe('completed');
+    expect(record.response_body).toEqual(takenOver.body);
+  });
+});
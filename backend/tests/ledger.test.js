@@ -0,0 +1,137 @@
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Transaction = require('../src/models/Transaction');
+const Wallet = require('../src/models/Wallet');
+const { ledgerService } = require('../src/services/ledgerService');
+const { reversePayout } = require('../src/services/payoutService');
+const payoutsController = require('../src/controllers/payoutsController');
+const database = require('./helpers/database');
+const { call, createWallet, fundWallet, balancesOf } = require('./helpers/fixtures');
+
+// The journal balances, rejects postings that don't, and accounts for every
+// payout the way the wallets do
+describe('ledger', () => {
+  let merchant;
+
+  beforeAll(database.connect, database.STARTUP_TIMEOUT_MS);
+  afterAll(database.disconnect);
+
+  beforeEach(async () => {
+    await database.clear();
+    merchant = await createWallet('merchant');
+    await fundWallet(merchant, 10000);
+  });
+
+  // Every entry's debits equal its credits, and so do the journal's totals
+  const expectJournalBalanced = async () => {
+    const entries = await LedgerEntry.find();
+    let debits = 0;
+    let credits = 0;
+
+    entries.forEach(entry => {
+      expect(entry.isBalanced).toBe(true);
+      entry.lines.forEach(line => {
+        if (line.direction === 'debit') debits += Math.round(line.amount * 100);
+        if (line.direction === 'credit') credits += Math.round(line.amount * 100);
+      });
+    });
+
+    expect(debits).toBe(credits);
+  };
+
+  test('a posting whose debits and credits differ is rejected', async () => {
+    await expect(ledgerService.post({
+      entry_type: 'fee',
+      transaction_id: 'txn_unbalanced',
+      currency: 'KES',
+      lines: [
+        ledgerService.debit(ledgerService.walletAccount(merchant.wallet_id), 100),
+        ledgerService.credit(ledgerService.systemAccount('fees', 'KES'), 99.99)
+      ]
+    })).rejects.toThrow('Unbalanced journal entry');
+
+    expect(await LedgerEntry.countDocuments({ transaction_id: 'txn_unbalanced' })).toBe(0);
+  });
+
+  test('journal entries cannot be changed once posted', async () => {
+    await expect(LedgerEntry.updateOne({}, { $set: { amount: 0 } })).rejects.toThrow('Ledger entries are immutable');
+    await expect(LedgerEntry.deleteMany({})).rejects.toThrow('Ledger entries are immutable');
+  });
+
+  test('bulk payouts debit the wallet and journal every payout; cancelling one returns it', async () => {
+    const bulk = await call(payoutsController.createBulkPayouts, {
+      userId: merchant.owner_id,
+      body: {
+        source_wallet_id: merchant.wallet_id,
+        payouts: [
+          { amount: 1000, payment_method: 'bank', recipient_name: 'Supplier A', recipient_bank_account: '0123456789' },
+          { amount: 2500, payment_method: 'bank', recipient_name: 'Supplier B', recipient_bank_account: '9876543210' }
+        ]
+      }
+    });
+
+    expect(bulk.statusCode).toBe(201);
+    expect(bulk.body.summary.successful_count).toBe(2);
+
+    const payouts = await Transaction.find({ 'metadata.bulk_id': bulk.body.bulk_id });
+    expect(payouts).toHaveLength(2);
+    for (const payout of payouts) {
+      expect(await LedgerEntry.countDocuments({ transaction_id: payout.transaction_id, entry_type: 'payout' })).toBe(1);
+    }
+
+    const debited = payouts.reduce((sum, payout) => sum + payout.amount, 0);
+    let { stored, posted } = await balancesOf(merchant.wallet_id);
+    expect(stored.available).toBeCloseTo(10000 - debited, 2);
+    expect(stored.available).toBeCloseTo(posted.available, 2);
+
+    const cancelled = await call(payoutsController.cancelPayout, {
+      userId: merchant.owner_id,
+      params: { payout_id: payouts[0].transaction_id }
+    });
+    expect(cancelled.statusCode).toBe(200);
+
+    ({ stored, posted } = await balancesOf(merchant.wallet_id));
+    expect(stored.available).toBeCloseTo(10000 - payouts[1].amount, 2);
+    expect(stored.available).toBeCloseTo(posted.available, 2);
+    await expectJournalBalanced();
+  });
+
+  test('bulk payouts only leave wallets the merchant owns', async () => {
+    const other = await createWallet('other');
+    await fundWallet(other, 5000);
+
+    const bulk = await call(payoutsController.createBulkPayouts, {
+      userId: merchant.owner_id,
+      body: {
+        payouts: [
+          { source_wallet_id: other.wallet_id, amount: 1000, payment_method: 'bank', recipient_name: 'Supplier A', recipient_bank_account: '0123456789' }
+        ]
+      }
+    });
+
+    expect(bulk.body.results[0]).toMatchObject({ success: false, error: 'Source wallet not found' });
+    const { stored } = await balancesOf(other.wallet_id);
+    expect(stored.available).toBe(5000);
+  });
+
+  test('reversing a payout that was never journaled credits nothing', async () => {
+    await Transaction.create({
+      transaction_id: 'payout_unjournaled',
+      type: 'payout',
+      amount: 1000,
+      currency: 'KES',
+      fees: { processing_fee: 0, platform_fee: 0, total_fee: 0 },
+      net_amount: 1000,
+      source: { wallet_id: merchant.wallet_id, payment_method: 'wallet' },
+      destination: { payment_method: 'bank' },
+      metadata: { user_id: merchant.owner_id },
+      status: 'pending'
+    });
+
+    const reversed = await reversePayout('payout_unjournaled', { reason: 'Bank rejected the transfer' });
+
+    expect(reversed.status).toBe('failed');
+    const wallet = await Wallet.findOne({ wallet_id: merchant.wallet_id });
+    expect(wallet.balances.available).toBe(10000);
+    expect(await LedgerEntry.countDocuments({ entry_type: 'payout_reversal' })).toBe(0);
+  });
+});
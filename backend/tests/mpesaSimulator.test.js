@@ -0,0 +1,164 @@
+const express = require('express');
+const Transaction = require('../src/models/Transaction');
+const Wallet = require('../src/models/Wallet');
+const webhooksRoutes = require('../src/routes/webhooks');
+const payoutsController = require('../src/controllers/payoutsController');
+const { collectionService } = require('../src/services/collectionService');
+const { settlementService } = require('../src/services/settlementService');
+const { mpesaProvider } = require('../src/services/providers/mpesaProvider');
+const { DarajaSimulator } = require('../src/simulators/darajaSimulator');
+const database = require('./helpers/database');
+const { call, createWallet, fundWallet, balancesOf, waitFor } = require('./helpers/fixtures');
+
+const MERCHANT = 'merchant_mpesa';
+
+// M-Pesa collections and payouts end to end against the Daraja simulator,
+// whose callbacks reach our webhook routes over HTTP
+describe('M-Pesa flows against the Daraja simulator', () => {
+  const simulator = new DarajaSimulator({
+    consumerKey: 'test_key',
+    consumerSecret: 'test_secret',
+    passkey: 'test_passkey',
+    callbackDelayMs: 20
+  });
+  const baseUrl = process.env.BASE_URL;
+  let callbackServer;
+  let callbackBaseUrl;
+
+  const listen = (app) => new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+  const collect = (phone, amount = 1000) => collectionService.create({
+    merchantId: MERCHANT,
+    amount,
+    currency: 'KES',
+    payment_method: 'mpesa',
+    customer_phone: phone,
+    customer_email: 'buyer@example.com',
+    customer_name: 'Test Buyer',
+    description: 'Order 42',
+    req: { ip: '127.0.0.1', get: () => undefined }
+  });
+
+  const settled = (transactionId) => waitFor(async () => {
+    const transaction = await Transaction.findOne({ transaction_id: transactionId });
+    return ['completed', 'failed', 'cancelled'].includes(transaction.status) && transaction;
+  });
+
+  beforeAll(async () => {
+    await database.connect();
+
+    const simulatorServer = await listen(simulator.app);
+    simulator.server = simulatorServer;
+
+    const app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    app.use('/api/v1/webhooks', webhooksRoutes);
+    callbackServer = await listen(app);
+    callbackBaseUrl = `http://127.0.0.1:${callbackServer.address().port}`;
+
+    // The provider reads its settings once, so point the singleton at the simulator directly
+    Object.assign(mpesaProvider, {
+      baseUrl: `http://127.0.0.1:${simulatorServer.address().port}`,
+      consumerKey: 'test_key',
+      consumerSecret: 'test_secret',
+      passkey: 'test_passkey',
+      shortcode: '174379',
+      accessToken: null,
+      tokenExpiry: null
+    });
+  }, database.STARTUP_TIMEOUT_MS);
+
+  afterAll(async () => {
+    if (baseUrl === undefined) {
+      delete process.env.BASE_URL;
+    } else {
+      process.env.BASE_URL = baseUrl;
+    }
+    simulator.close();
+    if (callbackServer) {
+      await new Promise(resolve => callbackServer.close(resolve));
+    }
+    await database.disconnect();
+  });
+
+  beforeEach(async () => {
+    await database.clear();
+    simulator.reset();
+    process.env.BASE_URL = callbackBaseUrl;
+  });
+
+  test('a paid STK push completes the collection and credits the merchant', async () => {
+    const { transaction } = await collect('254712345678');
+    expect(transaction.status).toBe('pending');
+
+    const completed = await settled(transaction.transaction_id);
+
+    expect(completed.status).toBe('completed');
+    expect(completed.source.payment_details.provider_transaction_id).toMatch(/^[A-Z0-9]{10}$/);
+    const wallet = await Wallet.findOne({ owner_id: MERCHANT });
+    const { stored, posted } = await balancesOf(wallet.wallet_id);
+    expect(stored.available).toBeCloseTo(completed.net_amount, 2);
+    expect(stored.available).toBeCloseTo(posted.available, 2);
+  });
+
+  test('a cancelled STK push (1032) fails the collection without crediting anything', async () => {
+    const { transaction } = await collect('254700000001');
+
+    const failed = await settled(transaction.transaction_id);
+
+    expect(failed.status).toBe('failed');
+    expect(failed.processing.failure_reason).toBe('Request cancelled by user');
+    const wallet = await Wallet.findOne({ owner_id: MERCHANT });
+    expect(wallet.balances.available).toBe(0);
+  });
+
+  test('a collection whose callback was lost is settled by querying the STK status', async () => {
+    // Nothing listens here, so the simulator's callback goes nowhere
+    process.env.BASE_URL = 'http://127.0.0.1:1';
+    simulator.queueOutcomes(['insufficient_funds']);
+    const { transaction } = await collect('254712345678');
+    await waitFor(() => simulator.callbacks.length === 1);
+    expect(simulator.callbacks[0].error).toBeDefined();
+
+    const result = await settlementService.reconcilePending({ timeoutMinutes: 0 });
+
+    expect(result).toMatchObject({ checked: 1, failed: 1 });
+    const failed = await Transaction.findOne({ transaction_id: transaction.transaction_id });
+    expect(failed.status).toBe('failed');
+    expect(failed.processing.failure_reason).toBe('The balance is insufficient for the transaction');
+  });
+
+  test('B2C payouts complete, and one that fails returns its money to the wallet', async () => {
+    const wallet = await createWallet(MERCHANT);
+    await fundWallet(wallet, 10000);
+    simulator.queueOutcomes(['success', 'insufficient_funds']);
+
+    const payout = (phone) => call(payoutsController.createPayout, {
+      userId: MERCHANT,
+      body: {
+        source_wallet_id: wallet.wallet_id,
+        destination: { type: 'mpesa', phone, recipient_name: 'Supplier' },
+        amount: 2000,
+        currency: 'KES'
+      }
+    });
+
+    const paid = await payout('254712345678');
+    const refused = await payout('254712345679');
+    expect(paid.statusCode).toBe(201);
+    expect(refused.statusCode).toBe(201);
+
+    expect((await settled(paid.body.payout_id)).status).toBe('completed');
+    expect((await settled(refused.body.payout_id)).status).toBe('failed');
+
+    const { stored, posted } = await balancesOf(wallet.wallet_id);
+    expect(stored.available).toBeCloseTo(10000 - paid.body.total_amount, 2);
+    expect(stored.available).toBeCloseTo(posted.available, 2);
+  });
+});
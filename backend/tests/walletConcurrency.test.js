@@ -0,0 +1,82 @@
+const Wallet = require('../src/models/Wallet');
+const { ledgerService } = require('../src/services/ledgerService');
+const walletsController = require('../src/controllers/walletsController');
+const escrowController = require('../src/controllers/escrowController');
+const database = require('./helpers/database');
+const { call, createWallet, fundWallet } = require('./helpers/fixtures');
+
+// Balance invariants under concurrent money movements
+const STARTING_BALANCE = 10000;
+const REQUESTS_PER_KIND = 15;
+const AMOUNT = 400;
+
+describe('wallet balances under concurrent requests', () => {
+  let payer;
+  let payee;
+
+  beforeAll(database.connect, database.STARTUP_TIMEOUT_MS);
+  afterAll(database.disconnect);
+
+  beforeEach(async () => {
+    await database.clear();
+    payer = await createWallet('payer');
+    payee = await createWallet('payee');
+    await fundWallet(payer, STARTING_BALANCE);
+  });
+
+  test('transfers, escrow locks and withdrawals never overdraw a wallet', async () => {
+    const requests = [];
+    for (let i = 0; i < REQUESTS_PER_KIND; i++) {
+      requests.push(call(walletsController.transferFunds, {
+        userId: payer.owner_id,
+        body: { amount: AMOUNT, recipient_wallet_id: payee.wallet_id, currency: 'KES' }
+      }));
+      requests.push(call(escrowController.createEscrow, {
+        userId: payer.owner_id,
+        body: { amount: AMOUNT, payer_wallet_id: payer.wallet_id, payee_wallet_id: payee.wallet_id }
+      }));
+      requests.push(call(walletsController.withdrawFromWallet, {
+        userId: payer.owner_id,
+        params: { wallet_id: payer.wallet_id },
+        body: { amount: AMOUNT, payment_method: 'bank', recipient_details: { account_number: '0123456789' } }
+      }));
+    }
+
+    const responses = await Promise.all(requests);
+
+    // Every request either went through or was turned away for lack of funds
+    responses.forEach(res => expect([201, 400]).toContain(res.statusCode));
+    const succeeded = responses.filter(res => res.statusCode === 201);
+    expect(succeeded.length).toBeGreaterThan(0);
+    expect(succeeded.length).toBeLessThan(responses.length);
+
+    const stored = await Wallet.find({ wallet_id: { $in: [payer.wallet_id, payee.wallet_id] } });
+    const journal = await ledgerService.getWalletBalances([payer.wallet_id, payee.wallet_id]);
+
+    stored.forEach(wallet => {
+      expect(wallet.balances.available).toBeGreaterThanOrEqual(0);
+      expect(wallet.balances.locked).toBeGreaterThanOrEqual(0);
+
+      // The journal accounts for every cent the stored balances moved
+      const posted = journal[wallet.wallet_id] || { available: 0, locked: 0, pending: 0 };
+      expect(wallet.balances.available).toBeCloseTo(posted.available, 2);
+      expect(wallet.balances.locked).toBeCloseTo(posted.locked, 2);
+      expect(wallet.balances.pending).toBeCloseTo(posted.pending, 2);
+    });
+  }, 60000);
+
+  test('racing withdrawals of more than half the balance debit the wallet once', async () => {
+    const responses = await Promise.all(Array.from({ length: 10 }, () => call(walletsController.withdrawFromWallet, {
+      userId: payer.owner_id,
+      params: { wallet_id: payer.wallet_id },
+      body: { amount: STARTING_BALANCE / 2 + 1, payment_method: 'bank', recipient_details: { account_number: '0123456789' } }
+    })));
+
+    expect(responses.filter(res => res.statusCode === 201)).toHaveLength(1);
+
+    const wallet = await Wallet.findOne({ wallet_id: payer.wallet_id });
+    const journal = await ledgerService.getWalletBalances([payer.wallet_id]);
+    expect(wallet.balances.available).toBeGreaterThanOrEqual(0);
+    expect(wallet.balances.available).toBeCloseTo(journal[payer.wallet_id].available, 2);
+  }, 60000);
+});
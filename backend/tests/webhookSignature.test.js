@@ -0,0 +1,111 @@
+const http = require('http');
+const WebhookEndpoint = require('../src/models/WebhookEndpoint');
+const { webhookService } = require('../src/services/webhookService');
+const { StripeProvider } = require('../src/services/providers/stripeProvider');
+const {
+  SIGNATURE_HEADER,
+  signWebhookPayload,
+  parseSignatureHeader,
+  verifyWebhookSignature
+} = require('../src/utils/webhookSignature');
+
+// PayLoom-Signature: signing, verification, secret rotation and replay windows
+describe('webhook signatures', () => {
+  const rawBody = JSON.stringify({ id: 'evt_1', type: 'payout.succeeded', data: { object: { amount: 1000 } } });
+  const now = () => Math.floor(Date.now() / 1000);
+
+  test('a signed body verifies against its secret', () => {
+    const header = signWebhookPayload(rawBody, 'whsec_current');
+
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(verifyWebhookSignature(rawBody, header, 'whsec_current')).toBe(true);
+    expect(verifyWebhookSignature(Buffer.from(rawBody), header, 'whsec_current')).toBe(true);
+  });
+
+  test('a changed body, another secret or a malformed header fails', () => {
+    const header = signWebhookPayload(rawBody, 'whsec_current');
+
+    expect(verifyWebhookSignature(rawBody.replace('1000', '9000'), header, 'whsec_current')).toBe(false);
+    expect(verifyWebhookSignature(rawBody, header, 'whsec_other')).toBe(false);
+    expect(verifyWebhookSignature(rawBody, header.replace(/^t=\d+,/, ''), 'whsec_current')).toBe(false);
+    expect(verifyWebhookSignature(rawBody, 'v1=abc', 'whsec_current')).toBe(false);
+    expect(verifyWebhookSignature(rawBody, undefined, 'whsec_current')).toBe(false);
+    expect(verifyWebhookSignature(rawBody, header, undefined)).toBe(false);
+  });
+
+  test('the timestamp is covered by the signature and bounds replays', () => {
+    const old = now() - 600;
+    const header = signWebhookPayload(rawBody, 'whsec_current', old);
+
+    // Outside the default five minute window, a replay is refused
+    expect(verifyWebhookSignature(rawBody, header, 'whsec_current')).toBe(false);
+    expect(verifyWebhookSignature(rawBody, header, 'whsec_current', 900)).toBe(true);
+
+    // Moving the timestamp forward breaks the signature
+    const { signatures } = parseSignatureHeader(header);
+    expect(verifyWebhookSignature(rawBody, `t=${now()},v1=${signatures[0]}`, 'whsec_current')).toBe(false);
+  });
+
+  test('during rotation the body is signed with both secrets and either verifies', () => {
+    const endpoint = new WebhookEndpoint({
+      url: 'https://merchant.example.com/webhooks',
+      user_id: 'merchant_1',
+      secret: 'whsec_new',
+      previous_secret: 'whsec_old',
+      previous_secret_expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    const header = signWebhookPayload(rawBody, endpoint.getSigningSecrets());
+
+    expect(parseSignatureHeader(header).signatures).toHaveLength(2);
+    expect(verifyWebhookSignature(rawBody, header, 'whsec_new')).toBe(true);
+    expect(verifyWebhookSignature(rawBody, header, 'whsec_old')).toBe(true);
+
+    // Once the grace period is over only the new secret signs
+    endpoint.previous_secret_expires_at = new Date(Date.now() - 1000);
+    expect(endpoint.getSigningSecrets()).toEqual(['whsec_new']);
+  });
+
+  test('a delivery is signed over exactly the bytes the receiver gets', async () => {
+    const received = await new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          res.end('ok');
+          server.close();
+          resolve({ body, header: req.headers[SIGNATURE_HEADER.toLowerCase()] });
+        });
+      });
+      server.listen(0, () => {
+        webhookService
+          .postWebhook(`http://127.0.0.1:${server.address().port}/`, { id: 'evt_2', type: 'refund.succeeded' }, { secrets: ['whsec_endpoint'] })
+          .catch(reject);
+      });
+    });
+
+    expect(verifyWebhookSignature(received.body, received.header, 'whsec_endpoint')).toBe(true);
+  });
+
+  test('Stripe callbacks are verified against STRIPE_WEBHOOK_SECRET over the raw body', () => {
+    const previous = process.env.STRIPE_WEBHOOK_SECRET;
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_stripe';
+
+    try {
+      const stripe = new StripeProvider();
+      const body = JSON.stringify({ type: 'payment_intent.succeeded', data: { object: { id: 'pi_1' } } });
+      const signed = { headers: { 'stripe-signature': signWebhookPayload(body, 'whsec_stripe') }, rawBody: Buffer.from(body) };
+
+      expect(stripe.verifyCallback(signed)).toBe(true);
+      expect(stripe.verifyCallback({ ...signed, rawBody: Buffer.from(body.replace('pi_1', 'pi_2')) })).toBe(false);
+      expect(stripe.verifyCallback({ ...signed, headers: {} })).toBe(false);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.STRIPE_WEBHOOK_SECRET;
+      } else {
+        process.env.STRIPE_WEBHOOK_SECRET = previous;
+      }
+    }
+  });
+});